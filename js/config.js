@@ -20,18 +20,181 @@ export const APP_INFO = {
 export const API_CONFIG = {
     baseUrl: 'https://api.open-meteo.com/v1/forecast',
     elevationUrl: 'https://api.open-meteo.com/v1/elevation',
+    ensembleUrl: 'https://ensemble-api.open-meteo.com/v1/ensemble',
     timeout: 15000,  // Max. Wartezeit in ms
-    // OpenWindMap/Pioupiou API für Live-Winddaten
-    pioupiouUrl: 'https://api.pioupiou.fr/v1/live/all',
-    pioupiouStationUrl: 'https://api.pioupiou.fr/v1/live/',
-    // Lawinenwarndienste (avalanche.report) - Alpenraum
-    // Quellen: LWD Tirol, Bayern, Salzburg, Südtirol, GeoSphere Austria
-    avalancheReportUrl: 'https://static.avalanche.report/weather_stations/',
-    avalancheReportEnabled: true,  // Kann deaktiviert werden falls API-Probleme
-    // Gemeinsame Live-Wind Konfiguration
-    liveWindRadius: 30,  // km - Radius für Stationen in der Nähe (erhöht für Bergstationen)
-    liveWindMaxStations: 8,  // Max. Anzahl angezeigter Stationen (erhöht)
-    liveWindCacheTTL: 60000  // 60 Sekunden Cache
+    // OpenWindMap/Pioupiou API für einzelne Stationen
+    pioupiouStationUrl: 'https://api.pioupiou.fr/v1/live/'
+};
+
+// === Live-Wind: Stationsanbieter (Adapter in livewind.js) ===
+// quality: 1 = amtliches Messnetz ... 4 = Low-Cost-Sensor. Entscheidet bei Dubletten
+// (gleiche Station über zwei Anbieter) und bei fast gleicher Distanz.
+export const LIVE_WIND_CONFIG = {
+    radius: 30,                 // km - Radius für Stationen in der Nähe (erhöht für Bergstationen)
+    maxStations: 8,             // Max. Anzahl angezeigter Stationen
+    maxAgeMinutes: 120,         // Ältere Messungen werden verworfen
+    duplicateKm: 0.3,           // Stationen verschiedener Anbieter näher als 300 m = dieselbe Station
+    similarDistanceKm: 1,       // Bei weniger als 1 km Distanzunterschied zählt die Qualität
+    timeout: 10000,
+    providers: {
+        // OpenWindMap/Pioupiou - 60 Sekunden Cache wegen API Rate Limit
+        openwindmap: { enabled: true, url: 'https://api.pioupiou.fr/v1/live/all', cacheTTL: 60000, quality: 4 },
+        // Lawinenwarndienste (avalanche.report) - LWD Tirol, Bayern, Salzburg, Südtirol, GeoSphere Austria
+        lwd: { enabled: true, url: 'https://static.avalanche.report/weather_stations/', cacheTTL: 5 * 60000, quality: 2 },
+        // Holfuy - opt-in: braucht ein eigenes API-Passwort (https://holfuy.com/en/support/api).
+        // Es gibt dafür keine Einstellung in der App - wer eines hat, trägt es hier als apiKey ein
+        // und setzt enabled auf true. Das Passwort steht dann im ausgelieferten Quelltext.
+        holfuy: { enabled: false, apiKey: '', url: 'https://api.holfuy.com/live/', cacheTTL: 60000, quality: 3 },
+        // MeteoSchweiz SwissMetNet (opendata via geo.admin.ch, 10-Minuten-Werte)
+        meteoswiss: {
+            enabled: true,
+            speedUrl: 'https://data.geo.admin.ch/ch.meteoschweiz.messwerte-windgeschwindigkeit-kmh-10min/ch.meteoschweiz.messwerte-windgeschwindigkeit-kmh-10min_de.json',
+            gustUrl: 'https://data.geo.admin.ch/ch.meteoschweiz.messwerte-wind-boeenspitze-kmh-10min/ch.meteoschweiz.messwerte-wind-boeenspitze-kmh-10min_de.json',
+            cacheTTL: 10 * 60000,
+            quality: 1
+        },
+        // DWD Open Data über Bright Sky (nächste Station mit aktuellen Messwerten)
+        dwd: { enabled: true, url: 'https://api.brightsky.dev/current_weather', cacheTTL: 10 * 60000, quality: 1 },
+        // GeoSphere Austria TAWES (10-Minuten-Werte), Stationsliste wird einen Tag gemerkt
+        geosphere: {
+            enabled: true,
+            url: 'https://dataset.api.hub.geosphere.at/v1/station/current/tawes-v1-10min',
+            metadataTTL: 24 * 60 * 60000,
+            cacheTTL: 5 * 60000,
+            quality: 1
+        },
+        // METAR der Flugplätze (aviationweather.gov) - Wind in Knoten
+        metar: { enabled: true, url: 'https://aviationweather.gov/api/data/metar', cacheTTL: 10 * 60000, quality: 2 }
+    }
+};
+
+// Verlauf der Live-Windstationen (Sparkline + Trendpfeil), rollierend in IndexedDB
+// Quellen: Pioupiou-Archiv je Station, stündliche avalanche.report-Dateien der Vorstunden
+export const STATION_HISTORY_CONFIG = {
+    dbName: 'skycheck-stations',
+    dbVersion: 1,
+    storeName: 'history',
+    pioupiouArchiveUrl: 'https://api.pioupiou.fr/v1/archive/',
+    bufferHours: 6,             // So lange bleiben Messwerte gespeichert
+    spanOptions: [2, 4, 6],     // Wählbare Länge der Sparkline in Stunden (Start: state.liveWindSpan)
+    refetchMinutes: 10,         // Pioupiou-Archiv frühestens nach 10 min erneut abfragen
+    trendMinutes: 30,           // Mittel der letzten 30 min ...
+    trendLookbackMinutes: 90,   // ... gegen das Mittel der 30 min, die 90 min davor enden
+    trendThreshold: 3,          // km/h Unterschied für zunehmend/abnehmend
+    timeout: 8000
+};
+
+// Modell-Check: Vorhersage der aktuellen Stunde gegen die nächsten Live-Stationen
+// Unterschätzt das Modell den Wind bei mindestens der Hälfte der Stationen, zeigt die Ampel
+// für die aktuelle Stunde höchstens VORSICHT
+export const MODEL_CHECK_CONFIG = {
+    maxStations: 3,             // Nächste Stationen mit aktuellem Messwert
+    maxDistanceKm: 15,
+    maxAgeMinutes: 60,          // Ältere Messwerte zählen nicht
+    underestimateKmh: 10,       // Mittelwind gemessen > Vorhersage + 10 km/h
+    gustUnderestimateKmh: 15,   // Böen gemessen > Vorhersage + 15 km/h
+    directionMismatch: 60       // ° Abweichung, ab der die Richtung markiert wird (ohne Einfluss auf die Ampel)
+};
+
+// Vorhersagezeitraum: Tage jenseits des hochauflösenden Modells = "Trend"
+export const FORECAST_HORIZON = {
+    options: [3, 7, 10],        // Wählbare Tage
+    default: 3,
+    highResDays: 3,             // ICON-D2/EU bzw. best_match - danach globales Modell
+    trendModel: { id: 'ecmwf_ifs025', label: 'ECMWF' },
+    trendBlockHours: 3          // Trend-Tage in 3h-Blöcken bewerten (6-8, 9-11, ...)
+};
+
+// Multi-Modell-Vergleich (gleiche Variablen je Modell, parallel abgerufen)
+export const MODEL_COMPARISON = {
+    models: [
+        { id: 'icon_d2', label: 'ICON-D2' },
+        { id: 'icon_eu', label: 'ICON-EU' },
+        { id: 'ecmwf_ifs025', label: 'ECMWF' },
+        { id: 'gfs_seamless', label: 'GFS' },
+        { id: 'meteofrance_arome_france_hd', label: 'AROME' }
+    ],
+    // Nur Variablen, die scoreHourFromData() tatsächlich auswertet
+    hourly: 'temperature_2m,dew_point_2m,precipitation,precipitation_probability,showers,cloud_cover,cloud_cover_low,visibility,wind_speed_10m,wind_direction_10m,wind_gusts_10m,cape,lifted_index,wind_speed_900hPa,wind_speed_850hPa,wind_speed_800hPa,wind_speed_700hPa,wind_direction_900hPa',
+    minModels: 2,           // Weniger Modelle mit Daten = kein Vergleich
+    agreementHigh: 0.8,     // Anteil übereinstimmender Modelle für ⭐⭐⭐
+    agreementMedium: 0.6    // Anteil übereinstimmender Modelle für ⭐⭐☆
+};
+
+// Ensemble-Prognose (Prognose-Sicherheit aus Einzelläufen)
+export const ENSEMBLE_CONFIG = {
+    modelEU: { id: 'icon_seamless', label: 'ICON-EPS' },     // Europa: ICON-D2/EU-EPS
+    modelGlobal: { id: 'ecmwf_ifs025', label: 'ECMWF-ENS' }, // Außerhalb Europa
+    // Bodenwerte aus dem Ensemble, Höhenwinde übernimmt das Hauptmodell
+    hourly: 'temperature_2m,dew_point_2m,precipitation,cloud_cover,wind_speed_10m,wind_direction_10m,wind_gusts_10m,cape',
+    minMembers: 5,          // Weniger Läufe = keine Aussage
+    confidenceHigh: 0.8,    // Ø Anteil der Läufe mit gleicher Ampel für ⭐⭐⭐
+    confidenceMedium: 0.6   // Ø Anteil der Läufe mit gleicher Ampel für ⭐⭐☆
+};
+
+// Virtuelle Radiosonde (Skew-T / Emagramm)
+export const SOUNDING_CONFIG = {
+    levels: [1000, 975, 950, 925, 900, 850, 800, 700, 600, 500],  // hPa
+    pTop: 500,              // Obere Diagrammgrenze in hPa
+    tRangeLeft: 45,         // °C unter Bodentemperatur am linken Rand
+    tRangeRight: 15,        // °C über Bodentemperatur am rechten Rand
+    skew: 35,               // °C Verschiebung der Isothermen von unten nach oben
+    minInversion: 0.5,      // °C Temperaturzunahme ab der eine Schicht als Inversion gilt
+    thermalExcess: 1        // °C Überhitzung der Thermikblase gegenüber 2m-Temperatur
+};
+
+// Meteogramm des gewählten Tages (Skalen-Minima, damit ruhige Tage nicht aufgebläht wirken)
+export const METEOGRAM_CONFIG = {
+    minTempRange: 10,       // °C Mindestspanne der Temperaturachse
+    minPrecipScale: 2,      // mm/h Vollausschlag der Niederschlagsbalken
+    minCapeScale: 500,      // J/kg Vollausschlag der CAPE-Kurve
+    heightStep: 500         // m Raster der Höhenachse (Grenzschicht/Wolkenbasis)
+};
+
+// Föhn-Erkennung über Druckdifferenz (MSL) quer über den Alpenhauptkamm
+// Differenz = Süd minus Nord: positiv = Südföhn, negativ = Nordföhn
+export const FOEHN_CONFIG = {
+    pairs: [
+        {
+            label: 'Bozen–Innsbruck',
+            south: { name: 'Bozen', lat: 46.50, lon: 11.35 },
+            north: { name: 'Innsbruck', lat: 47.27, lon: 11.39 }
+        },
+        {
+            label: 'Lugano–Zürich',
+            south: { name: 'Lugano', lat: 46.00, lon: 8.96 },
+            north: { name: 'Zürich', lat: 47.38, lon: 8.54 }
+        }
+    ],
+    caution: 4,     // hPa - Föhn wahrscheinlich, Lee-Turbulenz in Tälern möglich
+    nogo: 6         // hPa - Föhn bricht durch, kein Flugwetter
+};
+
+// Lee-Erkennung: Geländeprofil in Anströmrichtung (Höhenwind 850/700 hPa)
+export const LEE_CONFIG = {
+    directions: 12,         // Profilstrahlen rund um den Standort (alle 30°)
+    samples: 8,             // Stützpunkte je Strahl (Elevation-API: max. 100 Punkte je Abruf)
+    distanceKm: 16,         // Reichweite des Profils in Anströmrichtung
+    minRidgeHeight: 300,    // m über Standort - ab hier gilt ein Grat als lee-relevant
+    windCaution: 20,        // km/h Höhenwind - darunter keine nennenswerte Lee-Turbulenz
+    windDanger: 35          // km/h Höhenwind - Rotoren und Lee-Wellen wahrscheinlich
+};
+
+// Thermikstärke (W*) und Thermik-Qualität - unabhängig von der Sicherheits-Ampel
+export const THERMAL_CONFIG = {
+    heatFluxFactor: 0.3,    // Fühlbarer Wärmestrom ≈ 30% der Globalstrahlung (Landoberfläche)
+    airDensity: 1.1,        // kg/m³ - typische Dichte in Starthöhe
+    cp: 1005,               // J/(kg·K) - spezifische Wärmekapazität Luft
+    gliderSink: 1.0,        // m/s - Eigensinken Gleitschirm (W* minus Sinken = Steigwert)
+    // Stufen: W* (m/s) und nutzbare Arbeitshöhe über Grund (m) müssen beide erreicht sein
+    // Bezeichnungen: thermal.q<Stufe> in js/i18n
+    quality: [
+        { minWStar: 0, minHeight: 0 },
+        { minWStar: 0.8, minHeight: 300 },
+        { minWStar: 1.5, minHeight: 800 },
+        { minWStar: 2.2, minHeight: 1200 },
+        { minWStar: 3.0, minHeight: 1800 }
+    ]
 };
 
 // Drucklevel-Konfiguration
@@ -106,6 +269,62 @@ export const LIMITS = {
     precipProb: { yellow: 30 }  // Nur Gelb-Schwelle
 };
 
+// Startplatz-Ausrichtung: Wind von außerhalb der Startsektoren
+// Abweichung = Winkel zur nächsten Sektorkante (0° = Wind im Sektor)
+export const TAKEOFF_SECTOR = {
+    calmWind: 5,         // km/h - Bodenwind darunter: Richtung egal (Nullwind-Start)
+    calmWind900: 10,     // km/h - Wind 1000m darunter: Richtung egal
+    crossWind: 45,       // ° - bis hier Seitenwind (VORSICHT), darüber Rückenwind (NO-GO)
+    maxSectors: 3        // Max. Anzahl Sektoren pro Startplatz
+};
+
+// Mitgelieferte Fluggebiete (Startplätze mit Landeplätzen, offline im SW-Cache)
+export const SITES_CONFIG = {
+    url: './data/sites.geojson',
+    minQueryLength: 2,   // Zeichen ab denen die Suche Treffer zeigt
+    searchLimit: 8       // Max. Treffer in der Ergebnisliste
+};
+
+// Regionale Übersicht ("Wo fliegen?"): Raster über dem sichtbaren Kartenausschnitt
+// Jeder Rasterpunkt zählt bei Open-Meteo als eigener Abruf - Raster daher bewusst grob
+export const HEATMAP_CONFIG = {
+    columns: 8,          // Spalten - Zeilen ergeben sich aus dem Seitenverhältnis
+    maxPoints: 80,       // Obergrenze für Spalten x Zeilen
+    minZoom: 7,          // darunter wird das Raster zu grob (Hinweis statt Abruf)
+    fillOpacity: 0.35,
+    debounce: 800,       // ms nach dem Verschieben der Karte bis zum Neuladen
+    timeout: 20000       // ms - Rasterabruf ist größer als ein Einzelabruf
+};
+
+// Windpfeile auf der Karte: Raster mit allen Höhenlevels in einem Abruf
+export const WIND_LAYER_CONFIG = {
+    columns: 7,
+    maxPoints: 56,
+    minZoom: 7,
+    debounce: 800,
+    timeout: 20000
+};
+
+// Ortssuche: Open-Meteo Geocoding, offline das mitgelieferte Ortsverzeichnis
+export const GEOCODING_CONFIG = {
+    url: 'https://geocoding-api.open-meteo.com/v1/search',
+    gazetteerUrl: './data/places.json',
+    minQueryLength: 2,   // Open-Meteo liefert erst ab 2 Zeichen Treffer
+    limit: 6,            // Max. Orte zusätzlich zu den Fluggebieten
+    debounce: 300,       // ms Pause nach der letzten Eingabe
+    timeout: 5000,       // ms - danach Ortsverzeichnis statt API
+    // Reverse-Geocoding für Kartenklicks: Anbieter der Reihe nach, der erste Name gewinnt
+    // 'local' (Startplätze + Ortsverzeichnis) bleibt als Offline-Fallback am Ende
+    reverseProviders: ['nominatim', 'local'],
+    reverseUrl: 'https://nominatim.openstreetmap.org/reverse',
+    reverseZoom: 14,        // Nominatim-Detailstufe: Dorf/Ortsteil statt Straße
+    reverseTimeout: 3000,   // ms je Anbieter
+    reverseRadius: 15,      // km - weiter entfernt bleibt es bei den Koordinaten
+    reverseExactRadius: 1,  // km - darunter ohne "bei ..."
+    reverseCachePrecision: 3,  // Nachkommastellen für den Cache-Schlüssel (~100 m)
+    reverseCacheSize: 200      // Max. gemerkte Namen pro Sitzung (Nominatim: wiederholte Abfragen vermeiden)
+};
+
 // Anfänger-freundliche Grenzwerte (strenger als normale Grün-Limits)
 // Für das Beginner-Badge - perfekte Bedingungen für Flugschüler und Genussflieger
 export const BEGINNER_LIMITS = {
@@ -121,29 +340,29 @@ export const BEGINNER_LIMITS = {
     spread: 5            // Spread >= 5°C (keine Nebelgefahr)
 };
 
-// v8 NEU: Wetter-Codes für Symbole
+// v8 NEU: Wetter-Codes für Symbole (Bezeichnungen: weather.<code> in js/i18n)
 export const WEATHER_CODES = {
-    0: { icon: '☀️', text: 'Klar' },
-    1: { icon: '🌤️', text: 'Überwiegend klar' },
-    2: { icon: '⛅', text: 'Teilweise bewölkt' },
-    3: { icon: '☁️', text: 'Bedeckt' },
-    45: { icon: '🌫️', text: 'Nebel' },
-    48: { icon: '🌫️', text: 'Reifnebel' },
-    51: { icon: '🌦️', text: 'Nieselregen' },
-    53: { icon: '🌦️', text: 'Nieselregen' },
-    55: { icon: '🌧️', text: 'Starker Niesel' },
-    61: { icon: '🌧️', text: 'Leichter Regen' },
-    63: { icon: '🌧️', text: 'Regen' },
-    65: { icon: '🌧️', text: 'Starker Regen' },
-    71: { icon: '❄️', text: 'Leichter Schnee' },
-    73: { icon: '❄️', text: 'Schnee' },
-    75: { icon: '❄️', text: 'Starker Schnee' },
-    80: { icon: '🌦️', text: 'Schauer' },
-    81: { icon: '🌧️', text: 'Schauer' },
-    82: { icon: '⛈️', text: 'Starke Schauer' },
-    95: { icon: '⛈️', text: 'Gewitter' },
-    96: { icon: '⛈️', text: 'Gewitter+Hagel' },
-    99: { icon: '⛈️', text: 'Starkes Gewitter' }
+    0: { icon: '☀️' },
+    1: { icon: '🌤️' },
+    2: { icon: '⛅' },
+    3: { icon: '☁️' },
+    45: { icon: '🌫️' },
+    48: { icon: '🌫️' },
+    51: { icon: '🌦️' },
+    53: { icon: '🌦️' },
+    55: { icon: '🌧️' },
+    61: { icon: '🌧️' },
+    63: { icon: '🌧️' },
+    65: { icon: '🌧️' },
+    71: { icon: '❄️' },
+    73: { icon: '❄️' },
+    75: { icon: '❄️' },
+    80: { icon: '🌦️' },
+    81: { icon: '🌧️' },
+    82: { icon: '⛈️' },
+    95: { icon: '⛈️' },
+    96: { icon: '⛈️' },
+    99: { icon: '⛈️' }
 };
 
 // localStorage Keys (konsolidiert)
@@ -159,7 +378,93 @@ export const STORAGE_KEYS = {
     WIND_DIAGRAM: 'gleitschirm-meteo-wind-diagram',
     EXPERT_MODE: 'skycheck-expert-mode',
     CUSTOM_LIMITS: 'skycheck-custom-limits',
-    ONBOARDING_DONE: 'skycheck-onboarding-done'
+    ONBOARDING_DONE: 'skycheck-onboarding-done',
+    MODEL_COMPARE: 'skycheck-model-compare',
+    FORECAST_HORIZON: 'skycheck-forecast-horizon',
+    LANGUAGE: 'skycheck-language',
+    UNITS: 'skycheck-units'
+};
+
+// Sprachen der Oberfläche (Texte in js/i18n/<code>.js)
+export const I18N_CONFIG = {
+    defaultLocale: 'de',    // Fallback für fehlende Übersetzungen
+    // intl: Locale für Zahlen- und Datumsformat (Intl)
+    locales: {
+        de: { label: 'Deutsch', intl: 'de-DE' },
+        en: { label: 'English', intl: 'en-GB' },
+        fr: { label: 'Français', intl: 'fr-FR' },
+        it: { label: 'Italiano', intl: 'it-IT' }
+    }
+};
+
+// Bewertetes Flugfenster je Tag: Sonnenaufgang bis Sonnenuntergang plus Dämmerung
+// (Sonnenzeiten aus daily.sunrise/sunset, Ortszeit des Standorts)
+export const DAYLIGHT_CONFIG = {
+    beforeSunrise: 30,      // Minuten vor Sonnenaufgang (bürgerliche Morgendämmerung)
+    afterSunset: 30,        // Minuten nach Sonnenuntergang (bürgerliche Abenddämmerung)
+    fallback: { start: 6, end: 20 }  // Ohne Sonnenzeiten (z.B. Polartag/-nacht)
+};
+
+// Einheiten der Anzeige
+// Intern (API-Abfragen, LIMITS, eigene Grenzwerte) wird immer in km/h und Metern gerechnet,
+// umgerechnet wird nur bei der Ausgabe bzw. bei Eingaben im Expertenmodus.
+export const UNIT_CONFIG = {
+    apiWindSpeedUnit: 'kmh',    // Open-Meteo wind_speed_unit - nicht ändern, siehe oben
+    defaultSpeed: 'kmh',
+    defaultAltitude: 'm',
+    // factor: Anzeigewert = km/h × factor; digits: Nachkommastellen
+    speed: {
+        kmh: { label: 'km/h', factor: 1, digits: 0 },
+        ms: { label: 'm/s', factor: 1 / 3.6, digits: 1 },
+        kn: { label: 'kn', factor: 1 / 1.852, digits: 0 },
+        mph: { label: 'mph', factor: 1 / 1.609344, digits: 0 }
+    },
+    // factor: Anzeigewert = m × factor
+    altitude: {
+        m: { label: 'm', factor: 1 },
+        ft: { label: 'ft', factor: 1 / 0.3048 }
+    }
+};
+
+// Hintergrund-Benachrichtigungen für Favoriten (Service Worker + Periodic Background Sync)
+export const NOTIFY_CONFIG = {
+    syncTag: 'skycheck-favorites',
+    minInterval: 6 * 60 * 60 * 1000,    // Frühestens alle 6h - der Browser entscheidet selbst
+    cacheName: 'skycheck-notify',       // Wird beim SW-Update nicht gelöscht
+    configUrl: './notify-config.json',  // Favoriten + Regeln (schreibt die App)
+    stateUrl: './notify-state.json',    // Zuletzt gemeldete Fenster (schreibt der SW)
+    maxWindowHours: 18,                 // Längstes Flugfenster im Hochsommer (siehe DAYLIGHT_CONFIG)
+    // Standard-Regel je Favorit: Wochentage wie Date.getDay() (0 = Sonntag)
+    defaultRule: { enabled: false, days: [0, 1, 2, 3, 4, 5, 6], minHours: 3, quietFrom: 22, quietTo: 7 }
+};
+
+// Offline-Kartenpakete: OpenTopoMap-Tiles einer Region, vom SW in einen eigenen Cache geladen
+// Obergrenzen schonen Speicher und den (spendenfinanzierten) Tile-Server
+export const TILE_PACK_CONFIG = {
+    cacheName: 'skycheck-tiles',        // Wird beim SW-Update nicht gelöscht
+    indexUrl: './tile-packs.json',      // Liste der Pakete (schreibt der SW)
+    tileUrl: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',  // Auch für die Kartenebene (initMap)
+    subdomains: ['a', 'b', 'c'],
+    minZoom: 8,
+    maxZoom: 15,
+    defaultZooms: { min: 10, max: 13 },
+    maxTilesPerPack: 4000,
+    maxTotalBytes: 250 * 1024 * 1024,   // Alle Pakete zusammen
+    avgTileBytes: 30 * 1024,            // Schätzwert für die Größenanzeige
+    concurrency: 2,
+    recentCacheName: 'skycheck-tiles-recent',  // Beim Surfen gesehene Tiles (ohne Paket)
+    maxRecentTiles: 1500
+};
+
+// Offline-Vorhersagen: vollständige Abrufe der Favoriten in IndexedDB ("Für unterwegs vorbereiten")
+// Alter = Zeitpunkt des Abrufs; ab degradeAfterHours zeigt die Ampel höchstens VORSICHT
+export const SNAPSHOT_CONFIG = {
+    dbName: 'skycheck-snapshots',
+    dbVersion: 1,
+    storeName: 'forecasts',
+    staleAfterHours: 3,       // Offline-Hinweis ab diesem Alter als Warnung
+    degradeAfterHours: 12,
+    maxAgeDays: 7             // Ältere Vorhersagen werden verworfen
 };
 
 // Cache-Konfiguration
@@ -169,10 +474,10 @@ export const CACHE_CONFIG = {
 
 // Parameter-Filter Konfiguration
 export const PARAM_FILTER_CONFIG = {
-    wind: { label: 'Wind', icon: '💨', default: true },
-    thermik: { label: 'Thermik', icon: '🌡️', default: true },
-    clouds: { label: 'Sicht', icon: '☁️', default: true },
-    precip: { label: 'Niederschlag', icon: '🌧️', default: true }
+    wind: { labelKey: 'ui.filterWind', icon: '💨', default: true },
+    thermik: { labelKey: 'ui.filterThermik', icon: '🌡️', default: true },
+    clouds: { labelKey: 'ui.filterClouds', icon: '☁️', default: true },
+    precip: { labelKey: 'ui.filterPrecip', icon: '🌧️', default: true }
 };
 
 // UI-Konstanten
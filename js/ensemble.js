@@ -0,0 +1,138 @@
+/**
+ * SkyCheck - Ensemble-Prognose
+ * Bewertet jeden Ensemble-Lauf (ICON-EPS / ECMWF-ENS) und leitet daraus
+ * GO-Wahrscheinlichkeit und Prognose-Sicherheit ab
+ */
+
+import { state } from './state.js';
+import { API_CONFIG, ENSEMBLE_CONFIG, UNIT_CONFIG } from './config.js';
+import { isInIconEUCoverage } from './utils.js';
+import { scoreHourFromData, getFlyingHours } from './weather.js';
+
+// Schlüssel des zuletzt angeforderten Standorts (verhindert veraltete Antworten)
+let pendingKey = null;
+
+/**
+ * Ensemble-Läufe für den aktuellen Standort abrufen
+ * Setzt voraus, dass state.hourlyData bereits geladen ist (Zeitachse + Höhenwinde).
+ * @returns {Promise<Object|null>} state.ensemble oder null
+ */
+export async function fetchEnsemble() {
+    const { lat, lon } = state.currentLocation;
+    if (!lat || !lon || !state.hourlyData) return null;
+    const key = lat.toFixed(4) + ',' + lon.toFixed(4);
+    pendingKey = key;
+
+    const model = isInIconEUCoverage(lat, lon) ? ENSEMBLE_CONFIG.modelEU : ENSEMBLE_CONFIG.modelGlobal;
+    const params = new URLSearchParams({
+        latitude: lat,
+        longitude: lon,
+        hourly: ENSEMBLE_CONFIG.hourly,
+        wind_speed_unit: UNIT_CONFIG.apiWindSpeedUnit,
+        timezone: state.timezone,
+        forecast_days: 3,
+        models: model.id
+    });
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.timeout);
+    let data;
+    try {
+        const res = await fetch(API_CONFIG.ensembleUrl + '?' + params, { signal: controller.signal });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        data = await res.json();
+    } catch (e) {
+        if (e.name === 'AbortError') {
+            throw new Error('Zeitüberschreitung - Ensemble-Server antwortet nicht');
+        }
+        throw e;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+
+    // Standort wurde inzwischen gewechselt - Ergebnis verwerfen
+    if (pendingKey !== key) return null;
+
+    if (data.error || !Array.isArray(data.hourly?.time)) {
+        throw new Error(data.reason || 'Ungültige Ensemble-Antwort');
+    }
+
+    const members = buildMembers(data.hourly, state.hourlyData);
+    state.ensemble = members.length >= ENSEMBLE_CONFIG.minMembers
+        ? { key, label: model.label, members }
+        : null;
+    return state.ensemble;
+}
+
+/**
+ * Ensemble-Antwort in einzelne Läufe zerlegen
+ * Jeder Lauf ist ein hourly-Objekt auf der Zeitachse der Hauptdaten, damit
+ * scoreHourFromData() mit denselben Indizes arbeitet. Variablen, die das Ensemble
+ * nicht liefert (Höhenwinde, Sicht, ...), kommen aus dem Hauptmodell.
+ * @param {Object} ens - hourly-Objekt der Ensemble-API
+ * @param {Object} base - state.hourlyData
+ * @returns {Array<Object>} Läufe
+ */
+function buildMembers(ens, base) {
+    // Kontrolllauf hat kein Suffix, weitere Läufe "_member01", "_member02", ...
+    const suffixes = Object.keys(ens)
+        .filter(k => k === 'wind_speed_10m' || k.startsWith('wind_speed_10m_member'))
+        .map(k => k.slice('wind_speed_10m'.length));
+    const variables = ENSEMBLE_CONFIG.hourly.split(',');
+
+    const ensIndex = new Map(ens.time.map((t, i) => [t, i]));
+    const mapping = base.time.map(t => ensIndex.has(t) ? ensIndex.get(t) : -1);
+
+    return suffixes.map(suffix => {
+        const member = { ...base };
+        // Wahrscheinlichkeit ergibt sich aus den Läufen selbst, nicht aus dem Hauptmodell
+        delete member.precipitation_probability;
+        delete member.showers;
+        variables.forEach(v => {
+            const series = ens[v + suffix];
+            if (series) member[v] = mapping.map(i => i === -1 ? null : series[i]);
+        });
+        return member;
+    });
+}
+
+/**
+ * Anteil der Läufe je Ampel-Stufe für eine Stunde
+ * @param {number} i - Stunden-Index in state.hourlyData
+ * @returns {Object|null} { go, caution, nogo (je 0-1), total } oder null ohne Ensemble
+ */
+export function getEnsembleProbability(i) {
+    if (!state.ensemble) return null;
+    const filter = state.paramFilter || { wind: true, thermik: true, clouds: true, precip: true };
+    const counts = { 1: 0, 2: 0, 3: 0 };
+    let total = 0;
+    state.ensemble.members.forEach(m => {
+        // Ensemble-Horizont überschritten
+        if (m.wind_speed_10m[i] === null || m.wind_speed_10m[i] === undefined) return;
+        counts[scoreHourFromData(m, i, filter, state.currentLocation.sectors)]++;
+        total++;
+    });
+    if (total < ENSEMBLE_CONFIG.minMembers) return null;
+    return { go: counts[3] / total, caution: counts[2] / total, nogo: counts[1] / total, total };
+}
+
+/**
+ * Ensemble-Sicherheit eines Tages (Flugfenster aus Sonnenauf-/-untergang)
+ * Ø Anteil der Läufe, die auf die häufigste Ampel-Stufe kommen
+ * @param {string} dayStr - Datum "YYYY-MM-DD"
+ * @returns {number|null} 0-1 oder null ohne Ensemble
+ */
+export function getDayEnsembleConfidence(dayStr) {
+    if (!state.ensemble || !state.hourlyData) return null;
+    let sum = 0, count = 0;
+    const { start, end } = getFlyingHours(dayStr);
+    for (let h = start; h <= end; h++) {
+        const idx = state.hourlyData.time.indexOf(dayStr + 'T' + h.toString().padStart(2, '0') + ':00');
+        const p = idx !== -1 ? getEnsembleProbability(idx) : null;
+        if (p) {
+            sum += Math.max(p.go, p.caution, p.nogo);
+            count++;
+        }
+    }
+    return count > 0 ? sum / count : null;
+}
@@ -5,10 +5,16 @@
 
 import { state } from './state.js';
 import { STORAGE_KEYS, UI_CONFIG, CACHE_CONFIG } from './config.js';
-import { isInIconEUCoverage, escapeHtml } from './utils.js';
+import { escapeHtml, isValidSectorList, isValidNotifyRule, isValidLandingPoint, getSiteNow } from './utils.js';
 import { selectLocation } from './map.js';
-import { scoreHourFromData } from './weather.js';
-import { showToast } from './ui.js';
+import { fetchSiteHourly, evaluateSiteDay } from './sitecheck.js';
+import { fetchFoehnForSite } from './foehn.js';
+import { showToast, updateDisplay, buildTimeline, buildDayComparison, updateTakeoffSectorInfo } from './ui.js';
+import { initSectorEditor, setEditorSectors, getEditorSectors } from './sectors.js';
+import { initNotifyForm, setNotifyForm, getNotifyForm, requestNotifyPermission, syncNotifyConfig } from './notify.js';
+import { prefetchForecast } from './weather.js';
+import { pruneSnapshots } from './snapshots.js';
+import { t } from './i18n.js';
 
 // Rate limiting: Verzögerung zwischen API-Calls (ms)
 const API_DELAY = 200;
@@ -73,7 +79,10 @@ function isValidFavorite(fav) {
            typeof fav.lat === 'number' && isFinite(fav.lat) && fav.lat >= -90 && fav.lat <= 90 &&
            typeof fav.lon === 'number' && isFinite(fav.lon) && fav.lon >= -180 && fav.lon <= 180 &&
            typeof fav.name === 'string' && fav.name.length > 0 && fav.name.length <= 100 &&
-           (fav.elevation === undefined || (typeof fav.elevation === 'number' && isFinite(fav.elevation)));
+           (fav.elevation === undefined || (typeof fav.elevation === 'number' && isFinite(fav.elevation))) &&
+           (fav.sectors === undefined || isValidSectorList(fav.sectors)) &&
+           (fav.landing === undefined || isValidLandingPoint(fav.landing)) &&
+           (fav.notify === undefined || isValidNotifyRule(fav.notify));
 }
 
 /**
@@ -162,10 +171,10 @@ export function renderFavoritesUI() {
     container.innerHTML = state.favorites.map((f, idx) => {
         const key = f.lat.toFixed(4) + ',' + f.lon.toFixed(4);
         const cached = state.favoriteWeatherCache[key];
-        let statusClass = 'loading', quickInfo = 'Lade...';
+        let statusClass = 'loading', quickInfo = t('fav.loading');
         if (cached) {
             statusClass = cached.status;
-            quickInfo = cached.info;
+            quickInfo = formatQuickInfo(cached);
         }
         // XSS-Schutz: User-Input escapen
         const safeName = escapeHtml(f.name);
@@ -211,7 +220,7 @@ function handleFavoriteClick(e) {
 export function selectFavorite(idx) {
     const f = state.favorites[idx];
     if (f) {
-        selectLocation(f.lat, f.lon, f.elevation, f.name);
+        selectLocation(f.lat, f.lon, f.elevation, f.name, f.sectors);
     }
 }
 
@@ -226,7 +235,7 @@ export function deleteFavorite(idx) {
     const modal = document.getElementById('confirmModal');
     const text = document.getElementById('confirmModalText');
     const fav = state.favorites[idx];
-    text.textContent = `Möchtest du "${fav?.name || 'diesen Favoriten'}" wirklich löschen?`;
+    text.textContent = t('fav.deleteConfirm', { name: fav?.name || t('fav.deleteFallback') });
     modal.classList.add('visible');
 }
 
@@ -237,6 +246,7 @@ export function confirmDelete() {
     if (pendingDeleteIdx !== null) {
         state.favorites.splice(pendingDeleteIdx, 1);
         saveFavoritesToStorage();
+        syncNotifyConfig();
         renderFavorites();
         pendingDeleteIdx = null;
     }
@@ -257,6 +267,11 @@ export function closeConfirmModal() {
 export function openFavoriteModal() {
     if (!state.currentLocation.lat) return;
     document.getElementById('favoriteNameInput').value = state.currentLocation.name || '';
+    initSectorEditor();
+    setEditorSectors(state.currentLocation.sectors);
+    initNotifyForm();
+    const key = state.currentLocation.lat.toFixed(4) + ',' + state.currentLocation.lon.toFixed(4);
+    setNotifyForm(state.favorites.find(f => f.lat.toFixed(4) + ',' + f.lon.toFixed(4) === key)?.notify);
     document.getElementById('favoriteModal').classList.add('visible');
     document.getElementById('favoriteNameInput').focus();
 }
@@ -286,22 +301,98 @@ export function saveFavorite() {
         return;
     }
 
-    if (state.favorites.length >= MAX_FAVORITES) {
-        showToast(`Maximal ${MAX_FAVORITES} Favoriten erlaubt`, 'warning', 4000);
-        closeFavoriteModal();
-        return;
+    const sectors = getEditorSectors();
+    const notify = getNotifyForm();
+    const key = state.currentLocation.lat.toFixed(4) + ',' + state.currentLocation.lon.toFixed(4);
+    const existing = state.favorites.find(f => f.lat.toFixed(4) + ',' + f.lon.toFixed(4) === key);
+
+    if (existing) {
+        // Gleicher Standort bereits gespeichert: Name und Startrichtungen aktualisieren
+        existing.name = name;
+        if (sectors.length > 0) existing.sectors = sectors;
+        else delete existing.sectors;
+        if (state.currentLocation.landing) existing.landing = toLandingPoint(state.currentLocation.landing);
+        else delete existing.landing;
+        if (notify.enabled || existing.notify) existing.notify = notify;
+    } else {
+        if (state.favorites.length >= MAX_FAVORITES) {
+            showToast(t('toast.maxFavorites', { max: MAX_FAVORITES }), 'warning', 4000);
+            closeFavoriteModal();
+            return;
+        }
+
+        const favorite = {
+            lat: state.currentLocation.lat,
+            lon: state.currentLocation.lon,
+            elevation: state.currentLocation.elevation,
+            name: name
+        };
+        if (sectors.length > 0) favorite.sectors = sectors;
+        if (state.currentLocation.landing) favorite.landing = toLandingPoint(state.currentLocation.landing);
+        if (notify.enabled) favorite.notify = notify;
+        state.favorites.push(favorite);
     }
 
-    state.favorites.push({
-        lat: state.currentLocation.lat,
-        lon: state.currentLocation.lon,
-        elevation: state.currentLocation.elevation,
-        name: name
-    });
+    // Schnell-Bewertung mit neuen Sektoren neu berechnen
+    delete state.favoriteWeatherCache[key];
+    state.currentLocation.sectors = sectors.length > 0 ? sectors : undefined;
 
     saveFavoritesToStorage();
     renderFavorites();
     closeFavoriteModal();
+    if (existing) showToast(t('toast.favoriteUpdated'), 'success');
+    if (notify.enabled) enableNotifications();
+    else syncNotifyConfig();
+
+    // Anzeige mit neuer Startplatz-Ausrichtung aktualisieren
+    updateTakeoffSectorInfo();
+    if (state.hourlyData && state.selectedHourIndex !== null && state.forecastDays?.length > 0) {
+        updateDisplay(state.selectedHourIndex);
+        if (state.forecastDays[state.selectedDay]) {
+            buildTimeline(state.forecastDays[state.selectedDay].date);
+            buildDayComparison();
+        }
+    }
+}
+
+/**
+ * Landeplatz für die Speicherung auf die gespeicherten Felder reduzieren
+ * (Einträge aus der Datenbank tragen zusätzlich eine ID)
+ */
+function toLandingPoint(landing) {
+    return { lat: landing.lat, lon: landing.lon, elevation: landing.elevation, name: landing.name };
+}
+
+/**
+ * Landeplatz des aktuellen Standorts im passenden Favoriten aktualisieren
+ * @returns {boolean} true wenn ein Favorit geändert wurde
+ */
+export function updateFavoriteLanding() {
+    const key = state.currentLocation.lat.toFixed(4) + ',' + state.currentLocation.lon.toFixed(4);
+    const favorite = state.favorites.find(f => f.lat.toFixed(4) + ',' + f.lon.toFixed(4) === key);
+    if (!favorite) return false;
+    if (state.currentLocation.landing) favorite.landing = toLandingPoint(state.currentLocation.landing);
+    else delete favorite.landing;
+    saveFavoritesToStorage();
+    return true;
+}
+
+/**
+ * Berechtigungen anfragen und Regeln an den Service Worker übergeben
+ * Ohne Hintergrund-Sync bleibt die Regel gespeichert (z.B. für spätere Installation)
+ */
+async function enableNotifications() {
+    const status = await requestNotifyPermission();
+    await syncNotifyConfig();
+    if (status === 'denied') {
+        showToast(t('toast.notifyBlocked'), 'warning', 5000);
+    } else if (status === 'unsupported') {
+        showToast(t('toast.notifyUnsupported'), 'warning', 5000);
+    } else if (status === 'no-background') {
+        showToast(t('toast.notifyNoBackground'), 'warning', 6000);
+    } else {
+        showToast(t('toast.notifyEnabled'), 'success');
+    }
 }
 
 // PHASE 3 Aufgabe 4: Schnell-Wetterdaten für Favoriten laden
@@ -328,6 +419,7 @@ async function fetchAllFavoriteWeather() {
         .map(f => ({
             lat: f.lat,
             lon: f.lon,
+            sectors: f.sectors,
             key: f.lat.toFixed(4) + ',' + f.lon.toFixed(4)
         }))
         .filter(f => !isCacheValid(state.favoriteWeatherCache[f.key]));
@@ -340,7 +432,7 @@ async function fetchAllFavoriteWeather() {
 
         // Alle Requests im Batch parallel starten
         await Promise.all(
-            batch.map(f => fetchQuickWeather(f.lat, f.lon, f.key))
+            batch.map(f => fetchQuickWeather(f.lat, f.lon, f.key, f.sectors))
         );
 
         // Nach jedem Batch einmal rendern (nicht nach jedem einzelnen Request)
@@ -358,84 +450,55 @@ async function fetchAllFavoriteWeather() {
 
 /**
  * Vollständige Wetter-Abfrage für einen Favoriten.
- * Nutzt scoreHourFromData() aus weather.js für konsistente Bewertung
- * (inkl. Expert-Mode, getFogRisk, getEffectiveLimits).
+ * Nutzt evaluateSiteDay() aus sitecheck.js für konsistente Bewertung
+ * (inkl. Expert-Mode, getFogRisk, getEffectiveLimits, Startplatz-Sektoren).
  */
-async function fetchQuickWeather(lat, lon, cacheKey) {
+async function fetchQuickWeather(lat, lon, cacheKey, sectors = null) {
     try {
-        const inEU = isInIconEUCoverage(lat, lon);
-        const model = inEU ? 'icon_seamless' : 'best_match';
-        const params = [
-            'wind_speed_10m', 'wind_gusts_10m',
-            'wind_speed_900hPa', 'wind_speed_850hPa', 'wind_speed_800hPa', 'wind_speed_700hPa',
-            'temperature_2m', 'dew_point_2m',
-            'cape', 'lifted_index',
-            'cloud_cover', 'cloud_cover_low', 'visibility',
-            'precipitation', 'precipitation_probability', 'showers'
-        ].join(',');
-        const url = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&hourly=${params}&models=${model}&forecast_days=1&timezone=auto`;
-
-        const response = await fetch(url);
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
-        const data = await response.json();
-        const h = data.hourly;
-        if (!h || !Array.isArray(h.time)) throw new Error('Ungültige API-Antwort');
-
-        // Analysiere die nächsten Stunden (6-20 Uhr heute)
-        const now = new Date();
-        const todayStr = now.toISOString().split('T')[0];
-        let worstScore = 3, bestWindow = null, currentWindow = null;
-
-        for (let hour = 6; hour <= 20; hour++) {
-            const ts = todayStr + 'T' + hour.toString().padStart(2, '0') + ':00';
-            const idx = h.time.findIndex(t => t === ts);
-            if (idx === -1) continue;
-
-            // Zentrale Scoring-Funktion nutzen (konsistent mit Hauptampel)
-            const score = scoreHourFromData(h, idx);
-
-            if (score < worstScore) worstScore = score;
-
-            // Grüne Fenster tracken
-            if (score === 3) {
-                if (!currentWindow) currentWindow = { start: hour, end: hour };
-                else currentWindow.end = hour;
-            } else {
-                if (currentWindow && (!bestWindow || (currentWindow.end - currentWindow.start) > (bestWindow.end - bestWindow.start))) {
-                    bestWindow = currentWindow;
-                }
-                currentWindow = null;
-            }
-        }
-        if (currentWindow && (!bestWindow || (currentWindow.end - currentWindow.start) > (bestWindow.end - bestWindow.start))) {
-            bestWindow = currentWindow;
-        }
+        const h = await fetchSiteHourly(lat, lon);
+
+        // Analysiere das Flugfenster heute (Tageslicht, Ortszeit des Favoriten)
+        const todayStr = getSiteNow(h.timezone).date;
+        // Föhn je Favorit über das nächstgelegene Druckpaar (außerhalb der Alpen null) -
+        // Fehler sind unkritisch, dann entfällt nur die Föhn-Regel
+        const foehn = await fetchFoehnForSite(lat, lon, h.timezone, 1).catch(() => null);
+        const { worstScore, bestWindow } = evaluateSiteDay(h, todayStr, sectors, foehn);
 
         const statusMap = { 3: 'go', 2: 'caution', 1: 'nogo' };
-        const labelMap = { 3: 'GO', 2: 'Vorsicht', 1: 'No-Go' };
-        let info = labelMap[worstScore];
-        if (bestWindow) {
-            info += ' ' + bestWindow.start + '-' + bestWindow.end + 'h';
-        } else if (worstScore === 1) {
-            info += ' (kein Fenster)';
-        }
 
+        // Text erst beim Rendern bilden - so folgt er einem Sprachwechsel
         state.favoriteWeatherCache[cacheKey] = {
             status: statusMap[worstScore],
-            info: info,
+            score: worstScore,
+            window: bestWindow ? { start: bestWindow.start, end: bestWindow.end } : null,
             timestamp: Date.now()
         };
     } catch (e) {
         state.favoriteWeatherCache[cacheKey] = {
             status: 'caution',
-            info: 'Fehler',
+            error: true,
             timestamp: Date.now()
         };
     }
 }
 
+/**
+ * Kurzinfo eines Cache-Eintrags in der aktiven Sprache (z.B. "GO 10-15h")
+ * Ältere Einträge ohne score enthalten noch den fertigen Text (info)
+ */
+function formatQuickInfo(entry) {
+    if (entry.error) return t('fav.error');
+    if (entry.score === undefined) return entry.info || '';
+    const labelMap = { 3: 'fav.go', 2: 'fav.caution', 1: 'fav.nogo' };
+    let info = t(labelMap[entry.score]);
+    if (entry.window) {
+        info += ' ' + entry.window.start + '-' + entry.window.end + 'h';
+    } else if (entry.score === 1) {
+        info += ' ' + t('fav.noWindow');
+    }
+    return info;
+}
+
 /**
  * Öffnet das Vergleichs-Modal
  */
@@ -467,17 +530,17 @@ function renderCompareGrid() {
     if (!grid) return;
 
     const statusLabels = {
-        go: 'GO',
-        caution: 'VORSICHT',
-        nogo: 'NO-GO',
-        loading: 'Lädt...'
+        go: t('status.go'),
+        caution: t('status.caution'),
+        nogo: t('status.nogo'),
+        loading: t('fav.loading')
     };
 
     grid.innerHTML = state.favorites.map((f, idx) => {
         const key = f.lat.toFixed(4) + ',' + f.lon.toFixed(4);
         const cached = state.favoriteWeatherCache[key];
         const status = cached?.status || 'loading';
-        const info = cached?.info || 'Lade Wetterdaten...';
+        const info = cached ? formatQuickInfo(cached) : t('fav.loadingWeather');
         const safeName = escapeHtml(f.name);
         const safeInfo = escapeHtml(info);
 
@@ -504,3 +567,52 @@ function renderCompareGrid() {
         });
     });
 }
+
+// Läuft gerade "Für unterwegs vorbereiten"?
+let tripPreparing = false;
+
+/**
+ * Für unterwegs vorbereiten: vollständige Vorhersagen aller Favoriten offline speichern
+ * Nacheinander mit API_DELAY (volle Abrufe statt Kurzinfo wie fetchAllFavoriteWeather)
+ */
+export async function prepareTrip() {
+    if (tripPreparing || state.favorites.length === 0) return;
+    if (!navigator.onLine) {
+        showToast(t('trip.offline'), 'warning', 4000);
+        return;
+    }
+
+    tripPreparing = true;
+    const btn = document.getElementById('favPrepareBtn');
+    if (btn) btn.disabled = true;
+    const total = state.favorites.length;
+    showToast(t('trip.started', { count: total }), '', 3000);
+
+    let saved = 0;
+    try {
+        for (const [i, f] of state.favorites.entries()) {
+            try {
+                const snapshot = await prefetchForecast({ lat: f.lat, lon: f.lon, landing: f.landing });
+                // Antwort aus dem SW-Cache ist gespeichert, zählt aber nicht als frisch
+                if (!snapshot.fromCache) saved++;
+            } catch (e) {
+                console.warn('Offline-Vorhersage fehlgeschlagen:', f.name, e);
+            }
+            if (i < total - 1) {
+                await new Promise(resolve => setTimeout(resolve, API_DELAY));
+            }
+        }
+        await pruneSnapshots(state.favorites);
+    } catch (e) {
+        console.warn('Offline-Vorhersagen konnten nicht aufgeräumt werden:', e);
+    } finally {
+        tripPreparing = false;
+        if (btn) btn.disabled = false;
+    }
+
+    if (saved === total) {
+        showToast(t('trip.done', { count: saved }), 'success', 4000);
+    } else {
+        showToast(t('trip.partial', { saved, total }), 'warning', 5000);
+    }
+}
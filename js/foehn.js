@@ -0,0 +1,133 @@
+/**
+ * SkyCheck - Föhn-Erkennung
+ * Druckdifferenz (MSL) zwischen Referenzorten südlich und nördlich des
+ * Alpenhauptkamms, z.B. Bozen–Innsbruck oder Lugano–Zürich
+ */
+
+import { state } from './state.js';
+import { API_CONFIG, FOEHN_CONFIG } from './config.js';
+import { isInAlpineRegion, haversineDistance } from './utils.js';
+import { t } from './i18n.js';
+
+// Schlüssel des zuletzt angeforderten Standorts (verhindert veraltete Antworten)
+let pendingKey = null;
+
+/**
+ * Nächstgelegenes Referenzpaar für einen Standort (Abstand zur Paarmitte)
+ * @returns {Object} Eintrag aus FOEHN_CONFIG.pairs
+ */
+function getNearestPair(lat, lon) {
+    let best = null, bestDist = Infinity;
+    FOEHN_CONFIG.pairs.forEach(pair => {
+        const midLat = (pair.south.lat + pair.north.lat) / 2;
+        const midLon = (pair.south.lon + pair.north.lon) / 2;
+        const dist = haversineDistance(lat, lon, midLat, midLon);
+        if (dist < bestDist) {
+            bestDist = dist;
+            best = pair;
+        }
+    });
+    return best;
+}
+
+/**
+ * Bodendruck der Referenzorte für einen beliebigen Standort abrufen und Druckdifferenz je Stunde berechnen
+ * Unabhängig vom aktuellen Standort - der Service Worker nutzt das für Favoriten
+ * @param {string} timezone - Zeitzone der Stundenwerte (muss zur Vorhersage des Standorts passen)
+ * @param {number} days - Vorhersagetage
+ * @returns {Promise<Object|null>} { key, pair, diffs } oder null (außerhalb des Alpenraums)
+ */
+export async function fetchFoehnForSite(lat, lon, timezone, days) {
+    if (!isInAlpineRegion(lat, lon)) return null;
+    const key = lat.toFixed(4) + ',' + lon.toFixed(4);
+    const pair = getNearestPair(lat, lon);
+    // Mehrere Koordinaten in einem Aufruf - Antwort ist ein Array in gleicher Reihenfolge
+    const params = new URLSearchParams({
+        latitude: pair.south.lat + ',' + pair.north.lat,
+        longitude: pair.south.lon + ',' + pair.north.lon,
+        hourly: 'pressure_msl',
+        timezone,
+        forecast_days: days
+    });
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.timeout);
+    let data;
+    try {
+        const res = await fetch(API_CONFIG.baseUrl + '?' + params, { signal: controller.signal });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        data = await res.json();
+    } catch (e) {
+        if (e.name === 'AbortError') {
+            throw new Error('Zeitüberschreitung - Föhn-Daten nicht verfügbar');
+        }
+        throw e;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+
+    if (data.error || !Array.isArray(data) || data.length !== 2) {
+        throw new Error(data.reason || 'Ungültige Antwort: Druckdaten fehlen');
+    }
+    const [south, north] = data.map(d => d.hourly);
+    if (!Array.isArray(south?.time) || !Array.isArray(north?.time)) {
+        throw new Error('Ungültige Antwort: Druckdaten fehlen');
+    }
+
+    const northIndex = new Map(north.time.map((t, i) => [t, i]));
+    const diffs = new Map();
+    south.time.forEach((t, i) => {
+        const j = northIndex.get(t);
+        const pSouth = south.pressure_msl?.[i];
+        const pNorth = j !== undefined ? north.pressure_msl?.[j] : null;
+        if (pSouth != null && pNorth != null) diffs.set(t, pSouth - pNorth);
+    });
+
+    return diffs.size > 0 ? { key, pair, diffs } : null;
+}
+
+/**
+ * Föhn-Daten für den aktuellen Standort laden
+ * Nur für Standorte im Alpenraum - sonst bleibt state.foehn null.
+ * @param {number} days - Vorhersagetage (wie Hauptdaten inkl. Trend)
+ * @returns {Promise<Object|null>} state.foehn oder null
+ */
+export async function fetchFoehnData(days) {
+    const { lat, lon } = state.currentLocation;
+    if (!lat || !lon || !isInAlpineRegion(lat, lon)) return null;
+    const key = lat.toFixed(4) + ',' + lon.toFixed(4);
+    pendingKey = key;
+
+    const foehn = await fetchFoehnForSite(lat, lon, state.timezone, days);
+
+    // Standort wurde inzwischen gewechselt - Ergebnis verwerfen
+    if (pendingKey !== key) return null;
+
+    state.foehn = foehn;
+    return state.foehn;
+}
+
+/**
+ * Föhn-Einschätzung für einen Zeitpunkt
+ * @param {string} timeStr - ISO-Zeit wie in hourly.time
+ * @param {Object|null} foehn - Föhn-Daten (Standard: aktueller Standort)
+ * @returns {Object|null} { diff (hPa), direction ('south'|'north'), label, pair, score (1-3) } oder null
+ */
+export function getFoehnAt(timeStr, foehn = state.foehn) {
+    if (!foehn || !timeStr) return null;
+    const diff = foehn.diffs.get(timeStr);
+    if (diff === undefined) return null;
+
+    const abs = Math.abs(diff);
+    let score = 3;
+    if (abs >= FOEHN_CONFIG.nogo) score = 1;
+    else if (abs >= FOEHN_CONFIG.caution) score = 2;
+
+    return {
+        diff,
+        direction: diff > 0 ? 'south' : 'north',
+        label: t(diff > 0 ? 'foehn.south' : 'foehn.north'),
+        pair: foehn.pair.label,
+        score
+    };
+}
@@ -0,0 +1,396 @@
+/**
+ * SkyCheck - Ortssuche
+ * Orts-, Gipfel- und Startplatznamen suchen: Fluggebiete aus der Datenbank zuerst,
+ * dann Orte über die Open-Meteo Geocoding-API. Offline bzw. bei API-Fehlern
+ * springt das mitgelieferte Ortsverzeichnis (data/places.json) ein.
+ * Außerdem Reverse-Geocoding für Kartenklicks über austauschbare Anbieter.
+ */
+
+import { state } from './state.js';
+import { GEOCODING_CONFIG } from './config.js';
+import { escapeHtml, normalizeSearchText, haversineDistance } from './utils.js';
+import { handleMapClick, flyTo } from './map.js';
+import { searchSites, selectSite } from './sites.js';
+import { t, getLocale } from './i18n.js';
+import { formatAltitude } from './units.js';
+
+// Flag um Event-Listener nur einmal zu registrieren
+let searchInitialized = false;
+
+// Ortsverzeichnis wird beim ersten Bedarf geladen (Promise, damit nur ein Abruf läuft)
+let gazetteerPromise = null;
+
+// Laufende Suche: Debounce-Timer, Abbruch veralteter Anfragen, angezeigte Orte
+let debounceTimer = null;
+let activeController = null;
+let shownPlaces = [];
+
+const PLACE_ICONS = { town: '📍', peak: '⛰️', pass: '🛣️' };
+
+// Reverse-Geocoding-Anbieter: id → async (lat, lon, signal) => Name oder null
+// Reihenfolge und Auswahl über GEOCODING_CONFIG.reverseProviders
+const reverseProviders = new Map();
+
+// Bereits aufgelöste Namen je gerundeter Position und Sprache (Nominatim-Nutzungsrichtlinie:
+// dieselbe Stelle nicht mehrfach abfragen). Map behält die Einfügereihenfolge → ältester zuerst raus
+const reverseCache = new Map();
+
+/**
+ * Validiert einen Ort (API oder Ortsverzeichnis)
+ * @returns {Object|null} { name, type, region, country, lat, lon, elevation }
+ */
+function toPlace(name, type, region, country, lat, lon, elevation) {
+    const valid = typeof name === 'string' && name.length > 0 && name.length <= 100 &&
+        typeof lat === 'number' && isFinite(lat) && lat >= -90 && lat <= 90 &&
+        typeof lon === 'number' && isFinite(lon) && lon >= -180 && lon <= 180;
+    if (!valid) return null;
+    return {
+        name,
+        type: PLACE_ICONS[type] ? type : 'town',
+        region: typeof region === 'string' ? region : '',
+        country: typeof country === 'string' ? country : '',
+        lat,
+        lon,
+        elevation: typeof elevation === 'number' && isFinite(elevation) ? elevation : null
+    };
+}
+
+/**
+ * GeoNames-Featurecode der API auf unsere Typen abbilden
+ */
+function placeType(featureCode) {
+    if (typeof featureCode !== 'string') return 'town';
+    if (featureCode.startsWith('PK') || featureCode.startsWith('MT')) return 'peak';
+    if (featureCode === 'PASS') return 'pass';
+    return 'town';
+}
+
+/**
+ * Mitgeliefertes Ortsverzeichnis laden (einmalig)
+ * @returns {Promise<Array>} Orte, bei Fehlern leer
+ */
+function loadGazetteer() {
+    if (!gazetteerPromise) {
+        gazetteerPromise = fetch(GEOCODING_CONFIG.gazetteerUrl)
+            .then(res => {
+                if (!res.ok) throw new Error('HTTP ' + res.status);
+                return res.json();
+            })
+            .then(data => (Array.isArray(data?.places) ? data.places : [])
+                .map(p => toPlace(p?.name, p?.type, p?.region, p?.country, p?.lat, p?.lon, p?.elevation))
+                .filter(Boolean))
+            .catch(e => {
+                console.warn('Ortsverzeichnis konnte nicht geladen werden:', e);
+                gazetteerPromise = null;
+                return [];
+            });
+    }
+    return gazetteerPromise;
+}
+
+/**
+ * Ortsverzeichnis durchsuchen (Treffer am Namensanfang zuerst)
+ */
+async function searchGazetteer(query) {
+    const q = normalizeSearchText(query);
+    const places = await loadGazetteer();
+    return places
+        .map(place => {
+            const name = normalizeSearchText(place.name);
+            const rank = name.startsWith(q) ? 0 : name.includes(q) ? 1 :
+                normalizeSearchText(place.region).includes(q) ? 2 : -1;
+            return { place, rank };
+        })
+        .filter(r => r.rank !== -1)
+        .sort((a, b) => a.rank - b.rank || a.place.name.localeCompare(b.place.name))
+        .slice(0, GEOCODING_CONFIG.limit)
+        .map(r => r.place);
+}
+
+/**
+ * Orte über die Open-Meteo Geocoding-API suchen
+ * @param {AbortSignal} [signal] - bricht veraltete Anfragen ab
+ * @returns {Promise<Array>}
+ */
+async function fetchGeocoding(query, signal) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), GEOCODING_CONFIG.timeout);
+    if (signal) signal.addEventListener('abort', () => controller.abort(), { once: true });
+
+    const params = new URLSearchParams({
+        name: query.trim(),
+        count: GEOCODING_CONFIG.limit,
+        language: getLocale(),
+        format: 'json'
+    });
+    try {
+        const res = await fetch(GEOCODING_CONFIG.url + '?' + params, { signal: controller.signal });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        const data = await res.json();
+        return (Array.isArray(data?.results) ? data.results : [])
+            .map(r => toPlace(r?.name, placeType(r?.feature_code), r?.admin1, r?.country_code, r?.latitude, r?.longitude, r?.elevation))
+            .filter(Boolean);
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Orte suchen - online über die API, sonst aus dem Ortsverzeichnis
+ * @param {string} query
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Object>} { places, offline } - offline: Treffer stammen aus dem Ortsverzeichnis
+ */
+export async function searchPlaces(query, signal = undefined) {
+    if (normalizeSearchText(query || '').length < GEOCODING_CONFIG.minQueryLength) {
+        return { places: [], offline: false };
+    }
+    if (navigator.onLine !== false) {
+        try {
+            return { places: await fetchGeocoding(query, signal), offline: false };
+        } catch (e) {
+            // Durch neuere Eingabe überholt: nicht aufs Ortsverzeichnis ausweichen
+            if (signal?.aborted) throw e;
+            console.warn('Geocoding fehlgeschlagen, nutze Ortsverzeichnis:', e);
+        }
+    }
+    return { places: await searchGazetteer(query), offline: true };
+}
+
+/**
+ * Trefferliste zeichnen: Fluggebiete, dann Orte
+ * @param {Array} sites - Treffer aus der Startplatz-Datenbank
+ * @param {Array|null} places - Orte, null solange die Suche läuft
+ */
+function renderResults(query, sites, places, offline = false) {
+    const list = document.getElementById('placeSearchResults');
+    if (!list) return;
+    shownPlaces = places || [];
+    if (normalizeSearchText(query).length < GEOCODING_CONFIG.minQueryLength) {
+        list.innerHTML = '';
+        return;
+    }
+
+    let html = sites.map(site => {
+        const meta = [site.region, formatAltitude(site.elevation)].filter(Boolean).join(' · ');
+        return `<button class="place-result site" data-site-id="${escapeHtml(site.id)}">
+            <span class="place-result-name">▲ ${escapeHtml(site.name)}</span>
+            <span class="place-result-meta">${escapeHtml(meta)}</span>
+        </button>`;
+    }).join('');
+
+    html += shownPlaces.map((place, i) => {
+        const meta = [place.region, place.country, place.elevation !== null ? formatAltitude(place.elevation) : '']
+            .filter(Boolean).join(' · ');
+        return `<button class="place-result" data-place-index="${i}">
+            <span class="place-result-name">${PLACE_ICONS[place.type]} ${escapeHtml(place.name)}</span>
+            <span class="place-result-meta">${escapeHtml(meta)}</span>
+        </button>`;
+    }).join('');
+
+    if (places === null) {
+        html += `<div class="place-result-note">${escapeHtml(t('place.searching'))}</div>`;
+    } else if (sites.length === 0 && shownPlaces.length === 0) {
+        html += `<div class="place-result-note">${escapeHtml(t('place.noResults'))}</div>`;
+    }
+    if (offline) {
+        html += `<div class="place-result-note">${escapeHtml(t('place.offline'))}</div>`;
+    }
+    list.innerHTML = html;
+}
+
+/**
+ * Suche für die aktuelle Eingabe ausführen
+ * Fluggebiete erscheinen sofort, Orte sobald die API (bzw. das Ortsverzeichnis) antwortet.
+ */
+async function runSearch(query) {
+    if (activeController) activeController.abort();
+    const sites = searchSites(query);
+    if (normalizeSearchText(query).length < GEOCODING_CONFIG.minQueryLength) {
+        activeController = null;
+        renderResults(query, [], []);
+        return;
+    }
+    renderResults(query, sites, null);
+
+    const controller = new AbortController();
+    activeController = controller;
+    try {
+        const { places, offline } = await searchPlaces(query, controller.signal);
+        if (activeController !== controller) return;
+        renderResults(query, sites, places, offline);
+    } catch (e) {
+        // Abgebrochen durch neuere Eingabe - deren Ergebnis kommt gleich
+    } finally {
+        if (activeController === controller) activeController = null;
+    }
+}
+
+/**
+ * Suchfeld leeren und offene Anfragen verwerfen
+ */
+function clearSearch() {
+    clearTimeout(debounceTimer);
+    if (activeController) activeController.abort();
+    activeController = null;
+    const input = document.getElementById('placeSearchInput');
+    if (input) input.value = '';
+    renderResults('', [], []);
+}
+
+/**
+ * Ort auswählen: Karte dorthin bewegen und Wetter mit dem Ortsnamen laden
+ * Der Name landet so auch im geteilten Link (statt der Koordinaten-Bezeichnung).
+ */
+export function selectPlace(place) {
+    clearSearch();
+    flyTo(place.lat, place.lon);
+    handleMapClick(place.lat, place.lon, place.name);
+}
+
+/**
+ * Ersten Treffer wählen (Enter): Fluggebiet vor Ort
+ * Die Orte werden neu gesucht, da die angezeigte Liste noch zur vorherigen Eingabe gehören kann.
+ */
+async function selectFirst(query) {
+    const site = searchSites(query)[0];
+    if (site) {
+        clearSearch();
+        selectSite(site.id);
+        return;
+    }
+    clearTimeout(debounceTimer);
+    try {
+        const { places } = await searchPlaces(query);
+        if (places[0]) selectPlace(places[0]);
+    } catch (e) {
+        console.warn('Ortssuche fehlgeschlagen:', e);
+    }
+}
+
+/**
+ * Suchfeld der Ortssuche einrichten
+ */
+export function initPlaceSearch() {
+    if (searchInitialized) return;
+    const input = document.getElementById('placeSearchInput');
+    const list = document.getElementById('placeSearchResults');
+    if (!input || !list) return;
+
+    input.addEventListener('input', () => {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(() => runSearch(input.value), GEOCODING_CONFIG.debounce);
+    });
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            selectFirst(input.value);
+        } else if (e.key === 'Escape') {
+            clearSearch();
+        }
+    });
+    // Event-Delegation für die Trefferliste
+    list.addEventListener('click', (e) => {
+        const btn = e.target.closest('.place-result');
+        if (!btn) return;
+        if (btn.dataset.siteId) {
+            clearSearch();
+            selectSite(btn.dataset.siteId);
+        } else {
+            const place = shownPlaces[Number(btn.dataset.placeIndex)];
+            if (place) selectPlace(place);
+        }
+    });
+    searchInitialized = true;
+}
+
+/**
+ * Reverse-Geocoding-Anbieter registrieren (z.B. ein Online-Dienst statt des Ortsverzeichnisses)
+ * Aktiv wird er, sobald seine id in GEOCODING_CONFIG.reverseProviders steht.
+ * @param {string} id
+ * @param {Function} reverse - async (lat, lon, signal) => Name oder null
+ */
+export function registerReverseProvider(id, reverse) {
+    reverseProviders.set(id, reverse);
+}
+
+/**
+ * Lokaler Anbieter: nächstgelegener Startplatz bzw. Ort/Gipfel aus dem Ortsverzeichnis
+ * Weiter als reverseExactRadius entfernt wird der Name als "bei ..." angegeben.
+ */
+async function reverseLocal(lat, lon) {
+    const candidates = [...state.sites, ...await loadGazetteer()];
+    let nearest = null, nearestDist = Infinity;
+    candidates.forEach(c => {
+        const d = haversineDistance(lat, lon, c.lat, c.lon);
+        if (d < nearestDist) {
+            nearest = c;
+            nearestDist = d;
+        }
+    });
+    if (!nearest || nearestDist > GEOCODING_CONFIG.reverseRadius) return null;
+    return nearestDist <= GEOCODING_CONFIG.reverseExactRadius ? nearest.name : t('place.near', { name: nearest.name });
+}
+
+registerReverseProvider('local', reverseLocal);
+
+/**
+ * Online-Anbieter: OpenStreetMap Nominatim - Ort bzw. Ortsteil an der Position
+ * Offline gar nicht erst anfragen, dann übernimmt der lokale Anbieter
+ */
+async function reverseNominatim(lat, lon, signal) {
+    if (navigator.onLine === false) return null;
+    const params = new URLSearchParams({
+        format: 'jsonv2',
+        lat: lat.toFixed(5),
+        lon: lon.toFixed(5),
+        zoom: GEOCODING_CONFIG.reverseZoom,
+        'accept-language': getLocale()
+    });
+    const res = await fetch(GEOCODING_CONFIG.reverseUrl + '?' + params, { signal });
+    if (!res.ok) throw new Error('HTTP ' + res.status);
+    const data = await res.json();
+    // Außerhalb jeder Ortschaft (z.B. auf dem Meer) liefert Nominatim { error }
+    const a = data?.address || {};
+    return a.village || a.town || a.city || a.hamlet || a.suburb || a.municipality || data?.name || null;
+}
+
+registerReverseProvider('nominatim', reverseNominatim);
+
+/**
+ * Ortsname zu einer Position - Anbieter der Reihe nach, Fehler führen zum nächsten
+ * @returns {Promise<string|null>} null: kein Name gefunden (Koordinaten bleiben)
+ */
+export async function reverseGeocode(lat, lon) {
+    const digits = GEOCODING_CONFIG.reverseCachePrecision;
+    const key = getLocale() + ':' + lat.toFixed(digits) + ',' + lon.toFixed(digits);
+    if (reverseCache.has(key)) return reverseCache.get(key);
+    let failed = false;
+    let result = null;
+    for (const id of GEOCODING_CONFIG.reverseProviders) {
+        const reverse = reverseProviders.get(id);
+        if (!reverse) continue;
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), GEOCODING_CONFIG.reverseTimeout);
+        try {
+            const name = await reverse(lat, lon, controller.signal);
+            if (typeof name === 'string' && name.trim().length > 0) {
+                result = name.trim().slice(0, 100);
+                break;
+            }
+        } catch (e) {
+            failed = true;
+            console.warn('Reverse-Geocoding (' + id + ') fehlgeschlagen:', e);
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+    // Fehlschläge (Timeout, offline) nicht merken - beim nächsten Klick erneut versuchen
+    if ((result !== null || !failed) && navigator.onLine !== false) {
+        reverseCache.set(key, result);
+        if (reverseCache.size > GEOCODING_CONFIG.reverseCacheSize) {
+            reverseCache.delete(reverseCache.keys().next().value);
+        }
+    }
+    return result;
+}
@@ -0,0 +1,203 @@
+/**
+ * SkyCheck - Gemeinsame Grundlage der Raster-Overlays (regionale Übersicht, Windpfeile)
+ * Ein-/Ausschalten, verzögertes Nachladen nach dem Verschieben der Karte, Rasterabruf
+ * mit Abbruch und Zeitlimit, Statuszeile und Zeitregler. Was in einer Zelle gezeichnet
+ * wird, entscheidet das jeweilige Overlay (draw-Callback).
+ */
+
+import { state } from './state.js';
+import { FORECAST_HORIZON } from './config.js';
+import { getDaylightWindow, getSiteNow, parseDay, buildGridCells } from './utils.js';
+import { fetchGridHourly } from './sitecheck.js';
+import { t, formatWeekday, formatShortDate } from './i18n.js';
+
+/**
+ * Raster-Overlay anlegen
+ * Bedienelemente über ihre ids: <prefix>Btn, Panel, Status, Slider und Time
+ * @param {Object} options
+ * @param {string} options.prefix - id-Präfix der Bedienelemente (z.B. 'heatmap')
+ * @param {Object} options.config - { columns, maxPoints, minZoom, debounce, timeout }
+ * @param {Function} options.draw - (layer, cells, ts) zeichnet die Zellen, liefert den Statustext
+ * @param {string} [options.hourly] - Stundenwerte des Abrufs (Standard: die der Bewertung)
+ * @param {string} options.errorLog - Konsolenmeldung bei Fehlern
+ * @param {Function} [options.onActivate] - beim Einschalten vor dem ersten Abruf
+ * @param {boolean} [options.siteDaylight] - Flugfenster des gewählten Standorts statt der Rastermitte
+ * @returns {Object} { toggle, render, syncTime, setHour, getTime }
+ */
+export function createGridOverlay({ prefix, config, draw, hourly, errorLog, onActivate = null, siteDaylight = false }) {
+    let active = false;
+    let layer = null;
+
+    // Geladenes Raster: { key, cells: [{ lat, lon, south, west, north, east, h }] }
+    let grid = null;
+    let loadController = null;
+    let debounceTimer = null;
+
+    // Angezeigter Zeitpunkt (Tag "YYYY-MM-DD" und Stunde)
+    let shownDay = null;
+    let shownHour = 12;
+
+    /**
+     * Overlay ein-/ausschalten
+     */
+    function toggle() {
+        active = !active;
+        const btn = document.getElementById(prefix + 'Btn');
+        const panel = document.getElementById(prefix + 'Panel');
+        if (btn) {
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', String(active));
+        }
+        if (panel) panel.classList.toggle('u-hidden', !active);
+
+        if (active) {
+            if (onActivate) onActivate();
+            state.map.on('moveend', scheduleLoad);
+            loadGrid();
+        } else {
+            state.map.off('moveend', scheduleLoad);
+            clearTimeout(debounceTimer);
+            if (loadController) loadController.abort();
+            loadController = null;
+            if (layer) layer.clearLayers();
+        }
+    }
+
+    /**
+     * Nach dem Verschieben/Zoomen verzögert neu laden
+     */
+    function scheduleLoad() {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(loadGrid, config.debounce);
+    }
+
+    /**
+     * Statuszeile unter dem Zeitregler
+     */
+    function setStatus(text) {
+        const el = document.getElementById(prefix + 'Status');
+        if (el) el.textContent = text;
+    }
+
+    /**
+     * Raster für den sichtbaren Ausschnitt laden
+     * Fehler sind unkritisch - die Statuszeile zeigt sie, die Karte bleibt bedienbar
+     */
+    async function loadGrid() {
+        if (!active || !state.map) return;
+        if (state.map.getZoom() < config.minZoom) {
+            grid = null;
+            if (layer) layer.clearLayers();
+            setStatus(t('grid.zoomIn'));
+            return;
+        }
+
+        const b = state.map.getBounds();
+        const cells = buildGridCells({ south: b.getSouth(), west: b.getWest(), north: b.getNorth(), east: b.getEast() },
+            config.columns, config.maxPoints);
+        const key = cells.map(c => c.lat.toFixed(3) + ',' + c.lon.toFixed(3)).join(';');
+        if (grid?.key === key) {
+            render();
+            return;
+        }
+
+        if (loadController) loadController.abort();
+        const controller = new AbortController();
+        loadController = controller;
+        const timeoutId = setTimeout(() => controller.abort(), config.timeout);
+        setStatus(t('grid.loading', { count: cells.length }));
+
+        try {
+            const timezone = state.currentLocation.lat && state.timezone ? state.timezone : 'auto';
+            const data = await fetchGridHourly(cells, FORECAST_HORIZON.highResDays, timezone, controller.signal, hourly);
+            data.forEach((h, i) => { cells[i].h = h; });
+            grid = { key, cells };
+            render();
+        } catch (e) {
+            if (loadController !== controller) return;  // durch neueren Abruf ersetzt
+            console.warn(errorLog, e);
+            setStatus(t('grid.error'));
+        } finally {
+            clearTimeout(timeoutId);
+            if (loadController === controller) loadController = null;
+        }
+    }
+
+    /**
+     * Zeitregler auf das Flugfenster des Tages einstellen
+     * Sonnenzeiten der Rastermitte bzw. (siteDaylight) die des gewählten Standorts
+     */
+    function updateSlider(days) {
+        const slider = document.getElementById(prefix + 'Slider');
+        const label = document.getElementById(prefix + 'Time');
+        const center = grid.cells[Math.floor(grid.cells.length / 2)].h;
+
+        if (!shownDay || !days.includes(shownDay)) {
+            const now = getSiteNow(center.timezone || state.timezone);
+            shownDay = days.includes(now.date) ? now.date : days[0];
+            shownHour = now.hour;
+        }
+        const daily = siteDaylight ? state.dailyData || center.daily : center.daily;
+        const { start, end } = getDaylightWindow(daily, shownDay);
+        shownHour = Math.min(Math.max(shownHour, start), end);
+
+        if (slider) {
+            slider.min = start;
+            slider.max = end;
+            slider.value = shownHour;
+        }
+        if (label) {
+            const date = parseDay(shownDay);
+            label.textContent = formatWeekday(date) + ' ' + formatShortDate(date) + ' · ' + String(shownHour).padStart(2, '0') + ':00';
+        }
+    }
+
+    /**
+     * Geladenes Raster für den angezeigten Zeitpunkt zeichnen
+     */
+    function render() {
+        if (!active || !grid) return;
+        if (!layer) layer = L.layerGroup().addTo(state.map);
+        layer.clearLayers();
+
+        const days = [...new Set(grid.cells[0].h.time.map(ts => ts.slice(0, 10)))];
+        if (shownDay && shownDay > days[days.length - 1]) {
+            // Trend-Tage: Raster nur für den hochaufgelösten Zeitraum
+            setStatus(t('grid.outOfRange', { days: FORECAST_HORIZON.highResDays }));
+            return;
+        }
+        updateSlider(days);
+
+        const ts = shownDay + 'T' + String(shownHour).padStart(2, '0') + ':00';
+        setStatus(draw(layer, grid.cells, ts));
+    }
+
+    /**
+     * Zeitpunkt der Hauptansicht übernehmen (Tag- bzw. Stundenwahl)
+     * @param {string} dayStr - "YYYY-MM-DD"
+     * @param {number} hour - Stunde 0-23
+     */
+    function syncTime(dayStr, hour) {
+        shownDay = dayStr;
+        shownHour = hour;
+        if (active) render();
+    }
+
+    /**
+     * Stunde über den Zeitregler wählen (Tag bleibt)
+     * @param {number} hour - Stunde 0-23
+     */
+    function setHour(hour) {
+        shownHour = hour;
+    }
+
+    /**
+     * Angezeigter Zeitpunkt als Zeitstempel wie in den Stundenwerten
+     * @returns {string} "YYYY-MM-DDTHH:00"
+     */
+    function getTime() {
+        return shownDay + 'T' + String(shownHour).padStart(2, '0') + ':00';
+    }
+
+    return { toggle, render, syncTime, setHour, getTime };
+}
@@ -0,0 +1,91 @@
+/**
+ * SkyCheck - Regionale Übersicht ("Wo fliegen?")
+ * Raster über dem sichtbaren Kartenausschnitt: ein Multi-Location-Abruf, jede Zelle mit
+ * scoreHourFromData() bewertet und als halbtransparente GO/VORSICHT/NO-GO-Fläche gezeichnet.
+ * Zeitregler für die Stunde, Klick auf eine Zelle lädt deren Mitte als Standort.
+ * Abruf, Zeitregler und Statuszeile: gridoverlay.js
+ */
+
+import { state } from './state.js';
+import { HEATMAP_CONFIG } from './config.js';
+import { scoreToColor } from './utils.js';
+import { scoreHourFromData } from './weather.js';
+import { createGridOverlay } from './gridoverlay.js';
+import { t } from './i18n.js';
+
+const SCORE_LABELS = { 3: 'status.go', 2: 'status.caution', 1: 'status.nogo' };
+
+let onCellSelected = null;
+
+const overlay = createGridOverlay({
+    prefix: 'heatmap',
+    config: HEATMAP_CONFIG,
+    draw: drawCells,
+    errorLog: 'Regionale Übersicht konnte nicht geladen werden:'
+});
+
+/**
+ * Callback registrieren für Klick auf eine Zelle
+ * @param {Function} callback - erhält (lat, lon)
+ */
+export function setHeatmapCellCallback(callback) {
+    onCellSelected = callback;
+}
+
+/**
+ * Übersicht ein-/ausschalten
+ */
+export function toggleHeatmap() {
+    overlay.toggle();
+}
+
+/**
+ * Zeitpunkt der Hauptansicht übernehmen (Tag- bzw. Stundenwahl)
+ * @param {string} dayStr - "YYYY-MM-DD"
+ * @param {number} hour - Stunde 0-23
+ */
+export function syncHeatmapTime(dayStr, hour) {
+    overlay.syncTime(dayStr, hour);
+}
+
+/**
+ * Zellen für den angezeigten Zeitpunkt als GO/VORSICHT/NO-GO-Flächen zeichnen
+ * @returns {string} Statuszeile
+ */
+function drawCells(layer, cells, ts) {
+    const counts = { 3: 0, 2: 0, 1: 0 };
+    cells.forEach(cell => {
+        const idx = cell.h.time.indexOf(ts);
+        if (idx === -1) return;
+        // Ohne Startrichtung und Föhn - die gelten nur für den gewählten Standort
+        const score = scoreHourFromData(cell.h, idx, state.paramFilter, null, null);
+        counts[score]++;
+        const rect = L.rectangle([[cell.south, cell.west], [cell.north, cell.east]], {
+            className: 'heatmap-cell ' + scoreToColor(score),
+            stroke: false,
+            fillOpacity: HEATMAP_CONFIG.fillOpacity
+        });
+        rect.bindTooltip(t(SCORE_LABELS[score]), { sticky: true, direction: 'top' });
+        rect.on('click', (e) => {
+            L.DomEvent.stopPropagation(e);
+            if (onCellSelected) onCellSelected(cell.lat, cell.lon);
+        });
+        layer.addLayer(rect);
+    });
+    return t('heatmap.summary', { go: counts[3], caution: counts[2], nogo: counts[1] });
+}
+
+/**
+ * Bedienelemente einrichten (Button über der Karte, Zeitregler)
+ */
+export function initHeatmap() {
+    const btn = document.getElementById('heatmapBtn');
+    const slider = document.getElementById('heatmapSlider');
+    if (btn) btn.addEventListener('click', toggleHeatmap);
+    if (slider) {
+        slider.addEventListener('input', () => {
+            overlay.setHour(parseInt(slider.value, 10));
+            overlay.render();
+        });
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * SkyCheck - Mehrsprachigkeit
+ * Sprachkataloge (js/i18n/<code>.js), Spracherkennung und sprachabhängige
+ * Zahlen-/Datumsformatierung. Wird auch vom Service Worker geladen -
+ * DOM und localStorage daher nur innerhalb der Funktionen verwenden.
+ */
+
+import { I18N_CONFIG, STORAGE_KEYS } from './config.js';
+import de from './i18n/de.js';
+import en from './i18n/en.js';
+import fr from './i18n/fr.js';
+import it from './i18n/it.js';
+
+const CATALOGS = { de, en, fr, it };
+
+let currentLocale = I18N_CONFIG.defaultLocale;
+
+/**
+ * Prüft ob eine Sprache unterstützt wird
+ * @param {*} lang - Sprachcode, z.B. 'fr'
+ */
+export function isSupportedLocale(lang) {
+    return typeof lang === 'string' && Object.prototype.hasOwnProperty.call(I18N_CONFIG.locales, lang);
+}
+
+/**
+ * Text aus dem Katalog der aktuellen Sprache
+ * Fehlt der Schlüssel, wird Deutsch und zuletzt der Schlüssel selbst verwendet.
+ * @param {string} key - z.B. 'toast.linkCopied'
+ * @param {Object} [params] - Platzhalter, z.B. { max: 50 } für "{max}"
+ * @returns {string}
+ */
+export function t(key, params = null) {
+    const text = CATALOGS[currentLocale][key] ?? CATALOGS[I18N_CONFIG.defaultLocale][key] ?? key;
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? params[name] : match);
+}
+
+/**
+ * Sprache ermitteln: URL-Parameter > gespeicherte Auswahl > Browsersprache > Deutsch
+ * @param {string|null} urlLang - Wert von ?lang=
+ * @returns {string} Sprachcode
+ */
+export function detectLocale(urlLang = null) {
+    if (isSupportedLocale(urlLang)) return urlLang;
+    try {
+        const saved = localStorage.getItem(STORAGE_KEYS.LANGUAGE);
+        if (isSupportedLocale(saved)) return saved;
+    } catch (e) {
+        // localStorage nicht verfügbar
+    }
+    const browserLangs = navigator.languages || [navigator.language];
+    for (const lang of browserLangs) {
+        const code = (lang || '').slice(0, 2).toLowerCase();
+        if (isSupportedLocale(code)) return code;
+    }
+    return I18N_CONFIG.defaultLocale;
+}
+
+/**
+ * Sprache nur für Texte umstellen (ohne DOM/Speicher - z.B. im Service Worker)
+ * @returns {string} aktive Sprache
+ */
+export function useLocale(lang) {
+    if (isSupportedLocale(lang)) currentLocale = lang;
+    return currentLocale;
+}
+
+/**
+ * Sprache wechseln, speichern und statische Texte übersetzen
+ * @param {string} lang - Sprachcode
+ * @param {boolean} persist - Auswahl in localStorage merken
+ */
+export function setLocale(lang, persist = true) {
+    useLocale(lang);
+    if (persist) {
+        try {
+            localStorage.setItem(STORAGE_KEYS.LANGUAGE, currentLocale);
+        } catch (e) {
+            // localStorage voll oder nicht verfügbar
+        }
+    }
+    document.documentElement.lang = currentLocale;
+    const select = document.getElementById('languageSelect');
+    if (select) select.value = currentLocale;
+    applyTranslations();
+}
+
+/**
+ * Aktive Sprache (z.B. 'de')
+ */
+export function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Intl-Locale der aktiven Sprache (z.B. 'de-DE')
+ */
+export function getIntlLocale() {
+    return I18N_CONFIG.locales[currentLocale].intl;
+}
+
+/**
+ * Statische Texte im HTML übersetzen
+ * data-i18n → textContent, data-i18n-html → innerHTML (nur Katalogtexte mit <strong>/<em>),
+ * data-i18n-title/-aria-label/-placeholder → Attribut
+ * @param {ParentNode} root - Startknoten (Standard: document)
+ */
+export function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach(el => {
+        el.innerHTML = t(el.dataset.i18nHtml);
+    });
+    ['title', 'aria-label', 'placeholder'].forEach(attr => {
+        root.querySelectorAll('[data-i18n-' + attr + ']').forEach(el => {
+            el.setAttribute(attr, t(el.getAttribute('data-i18n-' + attr)));
+        });
+    });
+}
+
+/**
+ * Zahl im Format der aktiven Sprache (z.B. "2,5" / "2.5")
+ * @param {number} value
+ * @param {number} digits - Nachkommastellen
+ */
+export function formatNumber(value, digits = 0) {
+    return new Intl.NumberFormat(getIntlLocale(), {
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits
+    }).format(value);
+}
+
+/**
+ * Uhrzeit "HH:MM" im Format der aktiven Sprache
+ * @param {Date} date
+ */
+export function formatTime(date) {
+    return date.toLocaleTimeString(getIntlLocale(), { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Kurzer Wochentag ohne Punkt (z.B. "Mo", "Mon", "lun", "lun")
+ * @param {Date} date
+ */
+export function formatWeekday(date) {
+    const name = date.toLocaleDateString(getIntlLocale(), { weekday: 'short' }).replace(/\.$/, '');
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * Kurzes Datum ohne Jahr (z.B. "18.10." / "18/10")
+ * @param {Date} date
+ */
+export function formatShortDate(date) {
+    return date.toLocaleDateString(getIntlLocale(), { day: 'numeric', month: 'numeric' });
+}
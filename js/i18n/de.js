@@ -0,0 +1,718 @@
+/**
+ * SkyCheck - Sprachkatalog Deutsch (Referenz für alle anderen Sprachen)
+ * Platzhalter in geschweiften Klammern, z.B. {speed}
+ */
+
+export default {
+    // === Oberfläche (statische Texte, data-i18n) ===
+    'ui.subtitle': 'Sicherer fliegen mit der Wetterampel',
+    'ui.pageTitle': 'SkyCheck | Sicherer fliegen mit der Wetterampel',
+    'ui.language': 'Sprache',
+    'ui.speedUnit': 'Windeinheit',
+    'ui.altitudeUnit': 'Höheneinheit',
+    'ui.design': 'Design',
+    'ui.about': 'Info',
+    'ui.aboutAria': 'Über SkyCheck',
+    'ui.themeToggle': 'Hell/Dunkel umschalten',
+    'ui.themeToggleAria': 'Dunkles Design umschalten',
+    'ui.highContrast': 'Hoher Kontrast',
+    'ui.chooseSite': 'Startplatz wählen',
+    'ui.clickMap': '- klicke auf die Karte -',
+    'ui.gps': 'Mein Standort',
+    'ui.gpsAria': 'GPS-Standort ermitteln',
+    'ui.share': 'Link teilen',
+    'ui.shareAria': 'Standort-Link teilen',
+    'ui.favorites': '⭐ Meine Favoriten',
+    'ui.compareFavorites': 'Alle Standorte vergleichen',
+    'ui.prepareTrip': 'Für unterwegs vorbereiten: Vorhersagen aller Favoriten offline speichern',
+    'ui.addFavorite': '+ Aktuellen Standort als Favorit speichern',
+    'ui.loading': 'Wetterdaten werden abgerufen...',
+    'ui.model': 'Modell:',
+    'ui.sunrise': '☀️ Aufgang:',
+    'ui.sunset': '🌙 Untergang:',
+    'ui.daylight': '⏱️ Tageslicht:',
+    'ui.freezingLevel': '❄️ 0°C-Grenze:',
+    'ui.stationElevation': '📍 Stationshöhe:',
+    'ui.dataFrom': 'Daten von:',
+    'ui.dataLabel': 'Daten:',
+    'ui.disclaimer': 'SkyCheck ersetzt keine fundierte Wetterberatung. Piloten sind selbst verantwortlich für ihre Flugentscheidungen.',
+    'ui.motto': '🪂 <em>Im Zweifel: Nicht starten! Der Berg ist morgen noch da.</em>',
+    'ui.reload': '↻ Neu laden',
+    'ui.reloadTitle': 'Daten aktualisieren',
+    'ui.pullToRefresh': 'Ziehen zum Aktualisieren',
+    'ui.releaseToRefresh': 'Loslassen zum Aktualisieren',
+    'ui.refreshing': 'Aktualisiere...',
+    'ui.noData': 'Keine Daten',
+    'ui.confidence': '📊 Prognose-Sicherheit:',
+    'ui.confidenceTooltip': 'Basiert auf den Ensemble-Läufen (ICON-EPS/ECMWF-ENS): Ø Anteil der Läufe mit gleicher Ampel im Flugfenster (Tageslicht). Ersatzweise mit Modellvergleich (🔀 Modelle): Anteil der Wettermodelle, die im Flugfenster dieselbe Ampel ergeben. Ohne Vergleich: Schätzung nach Vorhersagezeitraum (Heute hoch, Morgen mittel, Übermorgen gering). Am Flugtag nochmals prüfen!',
+    'ui.bestWindow': 'Bestes Zeitfenster:',
+    'ui.forecastChange': '📈 Änderung seit letztem Laden:',
+    'ui.chooseDay': '📅 Tag wählen',
+    'ui.horizon3': '3 Tage',
+    'ui.horizon7': '7 Tage',
+    'ui.horizon10': '10 Tage',
+    'ui.dayNavAria': 'Tagesauswahl',
+    'ui.horizonAria': 'Vorhersagezeitraum',
+    'ui.horizonTitle': 'Tage nach Tag 3 als Trend (globales Modell, 3h-Blöcke)',
+    'ui.filterAria': 'Parameter-Filter',
+    'ui.filterTitle': '🎯 Ampel-Filter',
+    'ui.filterHint': 'Wähle, welche Parameter für die Ampel-Bewertung berücksichtigt werden:',
+    'ui.filterWind': 'Wind',
+    'ui.filterThermik': 'Thermik',
+    'ui.filterClouds': 'Sicht',
+    'ui.filterPrecip': 'Niederschlag',
+    'ui.filterReset': 'Alle aktivieren',
+    'ui.filterAll': 'Alle Parameter',
+    'ui.filterNone': 'Keine ausgewählt',
+    'expert.toggle': '⚙️ Expertenmodus',
+    'expert.hintOff': 'Eigene Grenzwerte für die Ampel-Bewertung definieren',
+    'expert.hintChanged': '✓ {count} Parameter angepasst',
+    'expert.hintAdjust': 'Klicke "Anpassen" um Grenzwerte zu setzen',
+    'expert.adjust': 'Anpassen',
+    'expert.adjustTitle': 'Grenzwerte anpassen',
+    'expert.presetBeginner': 'Anfänger',
+    'expert.presetBeginnerDesc': 'Konservative Limits für Flugschüler und Genussflieger',
+    'expert.presetStandard': 'Standard',
+    'expert.presetStandardDesc': 'Ausgewogene Limits für erfahrene Freizeitpiloten',
+    'expert.presetPro': 'Profi',
+    'expert.presetProDesc': 'Erweiterte Limits für erfahrene Piloten mit guter Ortskenntnis',
+    'expert.subtitle': 'Eigene Grenzwerte für die Ampel-Bewertung',
+    'expert.presets': 'Schnellauswahl:',
+    'expert.info': 'NO-GO Schwellenwerte anpassen. Grün-Schwellen werden automatisch berechnet.',
+    'expert.label.surface': 'Bodenwind max',
+    'expert.label.gusts': 'Böen max',
+    'expert.label.gustSpread': 'Böendifferenz max',
+    'expert.label.gradient': 'Gradient max',
+    'expert.label.wind900': 'Wind 1000m max',
+    'expert.label.wind850': 'Wind 1500m max',
+    'expert.label.wind700': 'Wind 3000m max',
+    'expert.label.cape': 'CAPE max',
+    'expert.label.cloudLow': 'Tiefe Wolken max',
+    'expert.label.visibility': 'Sicht min',
+    'expert.label.precip': 'Niederschlag max',
+    'expert.label.precipProb': 'Regenwahrsch. max',
+    'expert.reset': 'Zurücksetzen',
+    'ui.timeline': 'Tagesverlauf',
+    'ui.timelineAria': 'Stündlicher Tagesverlauf',
+    'ui.hoursAria': 'Stunden auswählen',
+    'ui.modelCompare': '🔀 Modelle',
+    'ui.modelCompareTitle': 'ICON-D2, ICON-EU, ECMWF, GFS und AROME vergleichen',
+    'ui.assessmentAria': 'Aktuelle Flugbedingungen',
+    'ui.currentWeatherAria': 'Aktuelles Wetter',
+    'ui.killerTitle': 'STOPP-Kriterien',
+    'ui.killerSubtitle': 'Bei diesen Bedingungen NICHT fliegen:',
+    'ui.windByHeight': 'Wind nach Höhe',
+    'ui.ground': 'Boden',
+    'ui.climb': 'Steigen',
+    'ui.calm': 'Windstille',
+    'ui.placeSearch': '🔍 Ort, Gipfel oder Startplatz suchen...',
+    'ui.placeSearchAria': 'Ort, Gipfel oder Startplatz suchen',
+    'ui.heatmap': 'Wo fliegen? Regionale Übersicht',
+    'ui.heatmapAria': 'Regionale Übersicht ein-/ausschalten',
+    'ui.windLayer': 'Windpfeile auf der Karte',
+    'ui.windLayerAria': 'Windpfeile ein-/ausschalten',
+    'ui.tilePacks': 'Offline-Karten',
+    'ui.tilePacksAria': 'Offline-Karten verwalten',
+    'ui.meteogram': 'Meteogramm',
+    'meteogram.tooltip': 'Verlauf des gewählten Tages im Flugfenster: Temperatur (rot) und Taupunkt (blau), Bewölkung hoch/mittel/tief (je dunkler, desto dichter), Niederschlag (Balken) und CAPE (orange), darunter Grenzschicht (Thermikschicht ab Boden) und berechnete Wolkenbasis. Tippe auf eine Stunde, um sie auszuwählen.',
+    'meteogram.hint': 'Tippe auf eine Stunde, um sie auszuwählen',
+    'meteogram.noData': 'Keine Stundenwerte für diesen Tag',
+    'meteogram.temp': 'Temperatur',
+    'meteogram.dew': 'Taupunkt',
+    'meteogram.precip': 'Niederschlag',
+    'meteogram.blh': 'Grenzschicht',
+    'meteogram.cloudBase': 'Wolkenbasis',
+    'meteogram.high': 'H',
+    'meteogram.mid': 'M',
+    'meteogram.low': 'T',
+    'meteogram.readoutClouds': 'Wolken T/M/H {low}/{mid}/{high} %',
+    'sounding.noData': 'Keine Profildaten für diese Stunde (nur die ersten {days} Tage)',
+    'sounding.thermalTopLabel': 'Thermik-Obergrenze',
+    'sounding.thermalTo': 'Thermik bis {alt}',
+    'sounding.thermalAbove': 'Thermik über {p} hPa',
+    'sounding.workingCloud': 'Arbeitshöhe ~{alt} (Wolkenbasis)',
+    'sounding.workingBlue': 'Arbeitshöhe ~{alt} (blau)',
+    'sounding.inversion': 'Inversion {ranges}',
+    'sounding.noInversion': 'keine Inversion',
+    'sounding.surface': 'Boden',
+    'sounding.loading': '⏳ Profildaten werden geladen...',
+    'sounding.error': '⚠️ Profildaten konnten nicht geladen werden',
+    'sounding.title': 'Virtuelle Radiosonde (Skew-T)',
+    'sounding.tooltip': 'Temperatur (rot) und Taupunkt (blau) von 1000 bis 500 hPa. Orange: Trockenadiabate vom Boden - wo sie die Temperaturkurve schneidet, endet die Thermik. LCL = Kondensationsniveau (Wolkenbasis). Graue Bänder = Inversionen. Rechts: Windfiedern (halb 5 kt, ganz 10 kt, Wimpel 50 kt).',
+    'sounding.load': 'Radiosonde laden',
+    'sounding.loadHint': 'Temperaturprofil 1000-500 hPa für die gewählte Stunde',
+    'sounding.chartAria': 'Skew-T Diagramm der gewählten Stunde',
+    'sounding.readoutHint': 'Tippe auf das Diagramm für Werte je Druckfläche',
+    'ui.expandAll': '📂 Alle aufklappen',
+    'ui.collapseAll': '📁 Alle zuklappen',
+    'param.gridAria': 'Wetterparameter',
+    'param.windAria': 'Windparameter',
+    'param.windTitle': '💨 Wind (Details)',
+    'param.windTip1': 'Detaillierte Windwerte für die ausgewählte Stunde. Großer Gradient = Turbulenz. Höhenwind',
+    'param.windTip2': '= Föhngefahr!',
+    'param.height': 'Höhe',
+    'param.speed': 'Geschw.',
+    'param.direction': 'Richtung',
+    'dir.points': 'N,NNO,NO,ONO,O,OSO,SO,SSO,S,SSW,SW,WSW,W,WNW,NW,NNW',
+    'param.surface10m': 'Boden (10m)',
+    'param.gusts': 'Böen',
+    'param.gustiness': 'Böigkeit',
+    'param.gustinessTip': 'Differenz zwischen Böen und Grundwind. Große Unterschiede = unruhige, schwer einschätzbare Bedingungen.',
+    'param.gradient1500': 'Gradient (Boden-1500m)',
+    'param.gradient3000': 'Gradient (Boden-3000m)',
+    'param.leeTitle': '⛰️ Gelände in Anströmrichtung',
+    'param.leeTip': 'Geländeschnitt entgegen dem Höhenwind (850/700 hPa). Liegt ein Grat deutlich über dem Standort im Luv, fliegt man im Lee - Rotoren und Abwinde möglich.',
+    'param.leeAria': 'Geländeprofil in Anströmrichtung',
+    'param.windroseShow': 'Windrose anzeigen',
+    'param.east': 'O',
+    'param.west': 'W',
+    'param.shearWarning': '⚠️ Richtungsscherung erkannt!',
+    'param.thermikAria': 'Thermikparameter',
+    'param.thermikTitle': '🌡️ Thermik',
+    'param.thermikTip': 'CAPE zeigt Thermik-Energie. >1000 J/kg = Gewittergefahr! Lifted Index negativ = labile Luft.',
+    'param.spreadTip': 'Differenz Temperatur - Taupunkt. Zeigt wie feucht die Luft ist.',
+    'param.cape': 'CAPE',
+    'param.capeTip': 'Energie für Konvektion (J/kg). >1000 = hohe Gewittergefahr!',
+    'param.liftedIndex': 'Lifted Index',
+    'param.liftedIndexTip': 'Stabilitätsindex. Negativ = labil = kräftige Thermik. <-4 = Gewitter!',
+    'param.cloudBase': '☁️ Wolkenbasis',
+    'param.cloudBaseTip': 'Geschätzte Untergrenze der Cumulus-Wolken, berechnet aus Spread × 125m + Stationshöhe.',
+    'param.boundaryLayer': '📈 Grenzschicht',
+    'param.boundaryLayerTip': 'Atmosphärische Grenzschichthöhe - Obergrenze der bodennahen Luftmasse. Bei Thermikflügen relevant für maximale Steighöhe.',
+    'param.climb': '🌀 Steigwerte',
+    'param.climbTip': 'Geschätzte Thermikstärke (W*) aus Sonneneinstrahlung und Grenzschichthöhe, abzüglich Eigensinken. Arbeitshöhe = Grenzschicht, begrenzt durch die Wolkenbasis.',
+    'param.thermalQuality': '⭐ Thermik-Qualität',
+    'param.thermalQualityTip': 'Wie gut die Thermik zum Streckenfliegen taugt - unabhängig von der Sicherheits-Ampel.',
+    'param.cloudsAria': 'Wolken und Sicht',
+    'param.cloudsTitle': '☁️ Wolken & Sicht',
+    'param.cloudsTip': 'Tiefe Wolken (<2000m) sind kritisch - dämpfen Thermik und können Start eindecken.',
+    'param.cloudTotal': 'Gesamt',
+    'param.cloudLow': 'Tief (<2km)',
+    'param.cloudMid': 'Mittel',
+    'param.cloudHigh': 'Hoch',
+    'param.fogRisk': 'Nebelrisiko',
+    'param.fogRiskTip': 'Basiert auf Spread (Temp-Taupunkt), Wind und Sichtweite. Bei wenig Wind und niedrigem Spread kann sich Bodennebel bilden.',
+    'param.precipTitle': '🌧️ Niederschlag',
+    'param.precipTip': 'Jeder Niederschlag ist problematisch - nasser Schirm hat schlechtere Flugeigenschaften!',
+    'param.precipAmount': 'Menge (gesamt)',
+    'param.showers': 'Schauer (konvektiv)',
+    'param.showersTip': 'Konvektiver Niederschlag aus Quellwolken/Gewittern - oft lokal und heftig!',
+    'param.precipProb': 'Wahrscheinl.',
+    'param.thunderRisk': 'Gewitterrisiko',
+    'ref.toggle': '📖 Parameter-Referenz',
+    'ref.killerTitle': '🚨 Die 5 STOPP-Kriterien - Immer prüfen!',
+    'ref.killer1': 'Gewitter / CB',
+    'ref.killer2': 'Föhn / Höhenwind',
+    'ref.killer3': 'Windscherung',
+    'ref.gradient': 'Gradient',
+    'ref.killer4': 'Nebel / Sicht',
+    'ref.killer4Text': 'Sicht <1.5 km oder Spread <1°C',
+    'ref.killer5': 'Eigene Verfassung',
+    'ref.killer5Text': 'Müde, Druck, Zweifel?',
+    'ref.modelsTitle': '🌐 Wettermodelle',
+    'ref.region': 'Region',
+    'ref.model': 'Modell',
+    'ref.resolution': 'Auflösung',
+    'ref.forecast': 'Vorhersage',
+    'ref.centralEurope': 'Mitteleuropa (D, A, CH)',
+    'ref.europe': 'Europa',
+    'ref.worldwide': 'Weltweit',
+    'ref.days5': '5 Tage',
+    'ref.days7to16': '7-16 Tage',
+    'ref.modelsNote': 'Das jeweils beste verfügbare Modell wird automatisch gewählt. Höhere Auflösung = genauere lokale Vorhersage.',
+    'ref.beginnerTitle': '⭐ Anfängerfreundliche Bedingungen',
+    'ref.beginnerIntro': 'Bei grüner Ampel UND diesen Werten erscheint das "Anfänger-freundlich"-Badge:',
+    'ref.beginnerNote': '⚠️ <strong>Hinweis:</strong> Diese Einschätzung basiert nur auf Modelldaten. Lokale Einflüsse (Talwindsysteme, Lee-Effekte, Thermikauslöser) müssen vor Ort selbst bewertet werden!',
+    'ref.parameter': 'Parameter',
+    'ref.threshold': 'Schwelle',
+    'ref.why': 'Warum?',
+    'ref.begGroundWind': 'Entspanntes Aufziehen',
+    'ref.begGustDiff': 'Ruhige, laminare Luft',
+    'ref.begUpper1500': 'Keine Lee-Gefahr',
+    'ref.upperWind2000': 'Höhenwind (2000m)',
+    'ref.begUpper2000': 'Ruhige Höhenluft',
+    'ref.upperWind3000': 'Höhenwind (3000m)',
+    'ref.begUpper3000': 'Kein Föhn-Risiko',
+    'ref.begGradient': 'Sanfter Übergang',
+    'ref.begCape': 'Sanfte Thermik',
+    'ref.begVisibility': 'Gute Orientierung',
+    'ref.begSpread': 'Keine Nebelgefahr',
+    'ref.dayTitle': '📅 Tagesauswahl-Ampel',
+    'ref.dayIntro': 'Die Ampel bei der Tagesauswahl zeigt die Flugchancen des Tages:',
+    'ref.status': 'Status',
+    'ref.meaning': 'Bedeutung',
+    'ref.dayGo': '≥ 3 Stunden grünes Zeitfenster vorhanden',
+    'ref.dayCaution': '1-2 Stunden grün ODER keine roten Stunden',
+    'ref.dayNogo': 'Kein grünes Zeitfenster UND rote Stunden vorhanden',
+    'ref.dayNote': 'Der beste Tag wird mit goldenem Rahmen markiert (längstes grünes Zeitfenster).',
+    'ref.thresholdsTitle': '🚦 Ampel-Schwellwerte',
+    'ref.thresholdsIntro': 'Hier findest du die genauen Grenzwerte für die Ampel-Bewertung.',
+    'ref.lightGreen': 'GRÜN = Go',
+    'ref.lightYellow': 'GELB = Prüfen',
+    'ref.lightRed': 'ROT = No-Go',
+    'ref.green': 'Grün',
+    'ref.yellow': 'Gelb',
+    'ref.red': 'Rot',
+    'ref.windTitle': '💨 Wind',
+    'ref.surfaceWind10m': 'Bodenwind (10m)',
+    'ref.gustSpread': 'Böigkeit (Böen-Differenz)',
+    'ref.gradient1500': 'Gradient Boden↔1500m',
+    'ref.gradient3000': 'Gradient Boden↔3000m',
+    'ref.thermikTitle': '🌡️ Thermik & Stabilität',
+    'ref.to': 'bis',
+    'ref.fogTitle': '🌫️ Nebel & Sicht',
+    'ref.condition': 'Bedingung',
+    'ref.visibility': 'Sichtweite',
+    'ref.spreadLowWind': 'Spread + wenig Wind',
+    'ref.fogSmartTitle': 'Intelligente Nebel-Erkennung:',
+    'ref.fogSmart1': 'Spread allein reicht nicht – SkyCheck kombiniert Spread, Wind und Sichtweite. Bei Wind',
+    'ref.fogSmart2': 'bildet sich selten Bodennebel. Bei Gelb: Webcams prüfen!',
+    'ref.cloudsTitle': '☁️ Wolken',
+    'ref.cloudLow': 'Tiefe Wolken (<2km)',
+    'ref.cloudTotal': 'Gesamtbewölkung',
+    'ref.precipAmount': 'Niederschlagsmenge',
+    'ref.precipProb': 'Wahrscheinlichkeit',
+    'ref.notesTitle': '📌 Wichtige Hinweise',
+    'ref.noteHourly': '<strong>Stunden-Ampel:</strong> Die Bewertung zeigt immer den schlechtesten Einzelwert aller Parameter.',
+    'ref.noteBestWindow': '<strong>Bestes Zeitfenster:</strong> Längste zusammenhängende grüne Phase bei Tageslicht (Sonnenaufgang bis -untergang inkl. Dämmerung), markiert mit ⭐.',
+    'ref.noteTrend': '<strong>Trend-Pfeile:</strong> ↑ = Wert steigt (meist schlechter), ↓ = Wert sinkt, → = stabil.',
+    'ref.noteGustTitle': 'Böigkeit:',
+    'ref.noteGust1': 'Differenz zwischen Böen und Grundwind.',
+    'ref.noteGust2': '= Gelb,',
+    'ref.noteGust3': '= Rot (unruhige Luft).',
+    'ref.noteConfidence': '<strong>Prognose-Sicherheit:</strong> Heute ⭐⭐⭐ (hoch), Morgen ⭐⭐ (mittel), Übermorgen ⭐ (gering).',
+    'ref.noteLocal': '<strong>Lokale Verhältnisse:</strong> Diese App ersetzt nicht den Check vor Ort! Windsack, Wolken und Bauchgefühl beachten.',
+    'ui.favoriteSave': '⭐ Favorit speichern',
+    'ui.favoriteName': 'Name eingeben...',
+    'ui.favoriteNameAria': 'Name des Favoriten',
+    'notifyForm.enable': '🔔 Bei GO-Fenster morgen benachrichtigen',
+    'notifyForm.daysAria': 'Wochentage',
+    'notifyForm.mon': 'Mo',
+    'notifyForm.tue': 'Di',
+    'notifyForm.wed': 'Mi',
+    'notifyForm.thu': 'Do',
+    'notifyForm.fri': 'Fr',
+    'notifyForm.sat': 'Sa',
+    'notifyForm.sun': 'So',
+    'notifyForm.minHours': 'Fenster mindestens',
+    'notifyForm.hoursGreen': 'h grün',
+    'notifyForm.quiet': 'Ruhezeit',
+    'notifyForm.quietToAria': 'Ruhezeit bis',
+    'notifyForm.oclock': 'Uhr',
+    'notifyForm.hint': 'Meldet sich auch, wenn ein gemeldetes Fenster auf Rot fällt.',
+    'ui.favoriteDelete': '🗑️ Favorit löschen?',
+    'ui.cancel': 'Abbrechen',
+    'ui.save': 'Speichern',
+    'ui.delete': 'Löschen',
+    'ui.compareTitle': '📊 Standort-Vergleich',
+    'ui.closeDialog': 'Dialog schließen',
+    'ui.close': 'Schließen',
+    'fav.deleteDefault': 'Möchtest du diesen Favoriten wirklich löschen?',
+    'about.tabAbout': 'Was ist SkyCheck?',
+    'about.tabFeatures': 'Features',
+    'about.tabLimits': 'Grenzen',
+    'about.intro': '<strong>SkyCheck</strong> analysiert automatisch die wichtigsten Wetterparameter für sicheres Gleitschirmfliegen und zeigt dir auf einen Blick, ob die Bedingungen zum Fliegen geeignet sind.',
+    'about.trafficLight': 'Das <strong>Ampel-System</strong> (Grün/Gelb/Rot) bewertet jede Stunde basierend auf Wind, Thermik, Wolken und Niederschlag.',
+    'about.dataSource': 'Datenquelle',
+    'about.dataFrom': 'Die Wetterdaten stammen von',
+    'about.dataModels': 'und nutzen je nach Region das hochaufgelöste ICON-D2 (2.2km) oder ICON-EU (7km) Modell.',
+    'about.refHint': '💡 Detaillierte Schwellwerte findest du in der <strong>Parameter-Referenz</strong> am Seitenende.',
+    'about.feature1': '<strong>Wetterampel</strong> mit Stunden-Auflösung (Tageslicht)',
+    'about.feature2': '<strong>5 STOPP-Kriterien</strong> - die wichtigsten Gefahren im Blick',
+    'about.feature3': '<strong>Wind nach Höhe</strong> - Boden bis 3000m mit Gradient',
+    'about.feature4': '<strong>Windrose</strong> - Windrichtung auf allen Höhen',
+    'about.feature5': '<strong>Wind-Höhenprofil</strong> - Tagesverlauf nach Höhe',
+    'about.feature6': '<strong>Favoriten-System</strong> - deine Startplätze speichern',
+    'about.feature7': '<strong>Offline-fähig</strong> - als PWA installierbar',
+    'about.feature8': '<strong>Anfänger-Badge</strong> - zeigt perfekte Bedingungen',
+    'about.feature9': '<strong>3-Tage-Vorschau</strong> mit Tages-Ampel',
+    'about.feature10': '<strong>Live-Wind</strong> - Messwerte von OpenWindMap + Lawinenwarndiensten (Alpen)',
+    'about.limitsTitle': '⚠️ Wichtige Hinweise',
+    'about.limit1': 'SkyCheck <strong>ersetzt keine fundierte Wetterberatung</strong> und kein eigenes Urteilsvermögen.',
+    'about.limit2': '<strong>Modelldaten ≠ Realität</strong> - Vorhersagen können von den tatsächlichen Bedingungen abweichen.',
+    'about.limit3': '<strong>Lokale Effekte</strong> (Talwind, Lee, Thermikauslöser) werden nicht erfasst.',
+    'about.limit4': 'Am Flugtag <strong>immer vor Ort prüfen</strong>: Windsack, Wolken, Bauchgefühl!',
+    'about.limit5': 'Piloten sind <strong>selbst verantwortlich</strong> für ihre Flugentscheidungen.',
+    'about.showWelcome': '🎓 Einführung nochmal anzeigen',
+    'about.feedback': '📧 Feedback senden',
+    'welcome.title': 'Willkommen bei SkyCheck!',
+    'welcome.tagline': 'Dein Flugwetter-Assistent für Gleitschirmflieger',
+    'welcome.step1Title': 'Standort wählen',
+    'welcome.step1Text': 'Klicke auf die Karte oder nutze GPS, um deinen Startplatz zu wählen. Du kannst auch Koordinaten per Link teilen.',
+    'welcome.step2Title': 'Die Ampel',
+    'welcome.step2Text': 'Grün = fliegbar, Gelb = eingeschränkt, Rot = ungeeignet. Basiert auf Wind, Thermik, Sicht und Niederschlag.',
+    'welcome.step3Title': 'Tagesverlauf',
+    'welcome.step3Text': 'Die Timeline zeigt dir stündlich, wie sich die Bedingungen entwickeln. Tippe auf eine Stunde für Details.',
+    'welcome.step4Title': 'Favoriten',
+    'welcome.step4Text': 'Speichere deine Lieblingsplätze für schnellen Zugriff und vergleiche das Wetter an mehreren Standorten.',
+    'welcome.step5Title': 'Expertenmodus',
+    'welcome.step5Text': 'Passe die Grenzwerte der Ampel an dein Können und deine Erfahrung an.',
+    'welcome.start': 'Los geht\'s!',
+
+    // === Ampel ===
+    'status.go': 'GO',
+    'status.caution': 'VORSICHT',
+    'status.nogo': 'NO-GO',
+
+    // === Wetter (Open-Meteo weather_code) ===
+    'weather.0': 'Klar',
+    'weather.1': 'Überwiegend klar',
+    'weather.2': 'Teilweise bewölkt',
+    'weather.3': 'Bedeckt',
+    'weather.45': 'Nebel',
+    'weather.48': 'Reifnebel',
+    'weather.51': 'Nieselregen',
+    'weather.53': 'Nieselregen',
+    'weather.55': 'Starker Niesel',
+    'weather.61': 'Leichter Regen',
+    'weather.63': 'Regen',
+    'weather.65': 'Starker Regen',
+    'weather.71': 'Leichter Schnee',
+    'weather.73': 'Schnee',
+    'weather.75': 'Starker Schnee',
+    'weather.80': 'Schauer',
+    'weather.81': 'Schauer',
+    'weather.82': 'Starke Schauer',
+    'weather.95': 'Gewitter',
+    'weather.96': 'Gewitter+Hagel',
+    'weather.99': 'Starkes Gewitter',
+    'weather.unknown': 'Unbekannt',
+
+    // === Tage und Zeiten ===
+    'day.today': 'Heute',
+    'day.tomorrow': 'Morgen',
+    'day.trend': 'Trend',
+    'day.trendTitle': 'Trend: globales Modell ({model}), Bewertung in {hours}h-Blöcken',
+    'day.ensembleTitle': 'Ø {pct} % der Ensemble-Läufe einig (Flugfenster)',
+    'day.ensembleStars': 'Ø {pct} % der {model}-Läufe einig (Flugfenster)',
+    'day.modelStars': 'Modelle stimmen zu {pct} % überein (Flugfenster)',
+    'time.clock': '{time} Uhr',
+    'time.trendBlock': '{from}–{to} Uhr (Trend)',
+    'time.range': '({from}–{to} Uhr)',
+    'age.justNow': 'gerade eben',
+    'age.minutes': 'vor {min} min',
+    'age.hoursMinutes': 'vor {hours}h {min}min',
+    'age.hours': 'vor {hours}h',
+    'dataAge.snapshot': '📡 Offline-Vorhersage von {time} ({age})',
+    'dataAge.cache': '📡 Keine Verbindung - gespeicherte Daten von {time} ({age})',
+    'dataAge.degraded': 'Veraltet: Ampel höchstens VORSICHT.',
+    'trip.offline': 'Offline - Vorhersagen können jetzt nicht geladen werden',
+    'trip.started': 'Lade Vorhersagen für {count} Favoriten…',
+    'trip.done': '{count} Vorhersagen offline gespeichert',
+    'trip.partial': 'Nur {saved} von {total} Vorhersagen gespeichert',
+    'liveWind.spanAria': 'Zeitraum des Verlaufs',
+    'liveWind.title': 'Live-Wind (Messstationen)',
+    'liveWind.tooltip': 'Aktuelle Windmessungen von echten Stationen im Umkreis. Quellen: OpenWindMap/Pioupiou (OWM), Lawinenwarndienste (LWD Tirol, Bayern, Salzburg, Südtirol), MeteoSchweiz (MCH), DWD, GeoSphere Austria (GSA), Flugplatz-METAR und Holfuy (HF, nur mit eigenem API-Zugang). Hinweis: Messwerte können lokal von Modellprognosen abweichen!',
+    'liveWind.badge': 'LIVE',
+    'liveWind.refresh': 'Aktualisieren',
+    'liveWind.load': 'Live-Windwerte laden',
+    'liveWind.loadHint': 'Stationen im Umkreis von 30 km',
+    'liveWind.avalancheServices': 'Lawinenwarndienste',
+    'liveWind.note': '⚠️ Messwerte können lokal abweichen',
+    'liveWind.sparkAria': 'Windverlauf der letzten {hours} h, Böen bis {max}',
+    'liveWind.trendUp': 'Zunehmend (+{delta})',
+    'liveWind.trendDown': 'Abnehmend (−{delta})',
+    'liveWind.trendSteady': 'Gleichbleibend',
+    'liveWind.openAt': '{name} – auf {provider} öffnen',
+    'liveWind.sources': 'Daten: {sources}',
+    'liveWind.unknownStation': 'Unbekannte Station',
+    'liveWind.gusts': 'Böen:',
+    'liveWind.noStations': 'Keine Stationen im Umkreis von {radius} km gefunden',
+    'liveWind.error': '⚠️ Daten konnten nicht geladen werden',
+    'modelCheck.title': '🧪 Modell-Check {time} Uhr',
+    'modelCheck.observed': 'Gemessen',
+    'modelCheck.forecast': 'Modell',
+    'modelCheck.deltaTitle': 'Mittelwind gemessen minus Vorhersage auf Stationshöhe',
+    'modelCheck.direction': 'Windrichtung weicht um {diff}° ab',
+    'modelCheck.underestimated': '⚠️ Das Modell unterschätzt den Wind (bis +{delta}) - Ampel für {time} Uhr höchstens VORSICHT.',
+    'modelCheck.ok': '✓ Vorhersage passt zu den Messungen.',
+
+    // === Standort und Modell ===
+    'initial.title': 'Wähle einen Standort',
+    'initial.text': 'Klicke auf die Karte oder nutze GPS.',
+    'location.details': '{lat}°N, {lon}°E — {elevation} ü.M.',
+    'location.takeoff': '🧭 Startrichtung: {sectors}',
+    'sector.none': 'Keine Startrichtung festgelegt',
+    'sector.remove': 'Sektor entfernen',
+    'sector.editorLabel': '🧭 Startrichtungen (optional)',
+    'sector.compassAria': 'Kompass zum Festlegen der Startrichtungen',
+    'sector.from': 'Sektor von',
+    'sector.to': '° bis',
+    'sector.toAria': 'Sektor bis',
+    'sector.add': 'Hinzufügen',
+    'sector.hint': 'Auf dem Kompass ziehen oder Gradzahlen eingeben (im Uhrzeigersinn), um einen Windsektor festzulegen (max. 3).',
+    'location.timezone': '🕐 Zeiten in Ortszeit {zone}',
+    'place.noResults': 'Kein Ort gefunden',
+    'place.searching': 'Suche...',
+    'place.offline': 'Offline - Treffer aus dem mitgelieferten Ortsverzeichnis',
+    'place.near': 'bei {name}',
+    'heatmap.title': '▦ Wo fliegen?',
+    'heatmap.sliderAria': 'Uhrzeit der Übersicht',
+    'grid.zoomIn': 'Zum Laden weiter hineinzoomen',
+    'grid.loading': 'Lade {count} Rasterpunkte...',
+    'grid.error': 'Rasterdaten konnten nicht geladen werden',
+    'grid.outOfRange': 'Nur für die ersten {days} Tage verfügbar',
+    'heatmap.summary': '{go} GO · {caution} VORSICHT · {nogo} NO-GO - Zelle antippen zum Laden',
+    'windLayer.title': '🌬️ Windpfeile',
+    'windLayer.levelAria': 'Höhenlevel',
+    'windLayer.sliderAria': 'Uhrzeit der Windpfeile',
+    'windLayer.summary': 'max. {max}',
+    'windLayer.noData': 'Keine Winddaten für diese Stunde',
+    'tilePack.title': '📥 Offline-Karten',
+    'tilePack.draw': '▭ Bereich aufziehen',
+    'tilePack.useView': 'Ausschnitt übernehmen',
+    'tilePack.drawHint': 'Rechteck auf der Karte aufziehen',
+    'tilePack.namePlaceholder': 'Name der Region',
+    'tilePack.zoom': 'Zoom',
+    'tilePack.minZoomAria': 'Kleinste Zoomstufe',
+    'tilePack.maxZoomAria': 'Größte Zoomstufe',
+    'tilePack.download': 'Herunterladen',
+    'tilePack.estimate': '{count} Tiles · ca. {size}',
+    'tilePack.storage': 'Speicher belegt: {used} von {quota}',
+    'tilePack.defaultName': 'Region',
+    'tilePack.started': 'Download von „{name}" gestartet',
+    'tilePack.done': '„{name}" ist offline verfügbar',
+    'tilePack.partial': '„{name}" unvollständig - {failed} Tiles fehlen',
+    'tilePack.errorTooLarge': 'zu groß (max. {max} Tiles)',
+    'tilePack.errorQuota': 'Nicht genug Speicher für dieses Kartenpaket',
+    'tilePack.errorFailed': 'Kartenpaket konnte nicht geladen werden',
+    'tilePack.noWorker': 'Offline-Karten brauchen den Service Worker - Seite neu laden',
+    'tilePack.none': 'Noch keine Offline-Karten',
+    'tilePack.progress': 'Lädt… {done}/{total} Tiles',
+    'tilePack.info': 'Zoom {zoom} · {size} · {date}',
+    'tilePack.incomplete': 'unvollständig',
+    'tilePack.cancel': 'Abbrechen',
+    'tilePack.show': 'Auf der Karte zeigen',
+    'tilePack.refresh': 'Aktualisieren',
+    'tilePack.resume': 'Fortsetzen',
+    'tilePack.delete': 'Löschen',
+    'tilePack.confirmDelete': 'Löschen?',
+    'landing.defaultName': 'Landeplatz',
+    'landing.linked': '🪂 {name} ({elevation}, {drop} unter dem Start)',
+    'landing.none': '🪂 Kein Landeplatz verknüpft',
+    'landing.pick': 'Landeplatz wählen',
+    'landing.change': 'Ändern',
+    'landing.remove': 'Landeplatz entfernen',
+    'landing.compareTitle': 'Start vs. Landeplatz',
+    'landing.noHour': 'Keine Landeplatz-Werte für diese Stunde',
+    'landing.noData': 'Wind am Landeplatz nicht verfügbar',
+    'landing.launch': 'Start',
+    'landing.surfaceWind': 'Bodenwind',
+    'landing.gusts': 'Böen',
+    'landing.direction': 'Richtung',
+    'landing.rating': 'Bewertung',
+    'landing.valleyWind': 'Wind am Landeplatz aus anderer Richtung als am Start (Talwind) - Landeeinteilung anpassen',
+    'landing.reason.wind': 'Bodenwind {ws}',
+    'landing.reason.gusts': 'Böen {wg}',
+    'landing.reason.gustSpread': 'böig ({ws}, Böen {wg})',
+    'landing.reason.precip': 'Niederschlag',
+    'landing.reason.fog': 'Nebel / schlechte Sicht',
+    'model.outsideEurope': '⚠️ Außerhalb Europa - globales Modell (weniger genau für lokale Bedingungen)',
+    'model.iconEu': 'ℹ️ ICON-EU Modell (7km Auflösung)',
+    'model.compareLoading': '⏳ Modelle werden geladen...',
+    'model.compareUnavailable': '⚠️ Modellvergleich für diesen Standort nicht verfügbar',
+    'model.compareAgreement': 'Übereinstimmung {pct} %',
+    'model.spread': 'Spanne über {count} Modelle',
+    'ensemble.info': '🎲 GO in {go} der Läufe · VORSICHT {caution} · NO-GO {nogo} ({model}, {total} Läufe)',
+    'ensemble.goShare': 'GO in {pct} % der Läufe',
+
+    // === Fehler beim Laden ===
+    'error.load.title': 'Fehler beim Laden',
+    'error.load.hint': 'Bitte erneut versuchen oder anderen Standort wählen.',
+    'error.offline.title': 'Keine Internetverbindung',
+    'error.offline.detail': 'Du bist offline.',
+    'error.offline.hint': 'Prüfe deine Verbindung und versuche es erneut.',
+    'error.timeout.title': 'Server antwortet nicht',
+    'error.timeout.detail': 'Die Wetter-API ist momentan überlastet.',
+    'error.timeout.hint': 'Warte kurz und versuche es erneut.',
+    'error.rateLimit.title': 'API-Limit erreicht',
+    'error.rateLimit.detail': 'Zu viele Anfragen in kurzer Zeit.',
+    'error.rateLimit.hint': 'Bitte warte einige Minuten.',
+    'error.network.title': 'Netzwerkfehler',
+    'error.network.detail': 'Verbindung zum Wetterdienst fehlgeschlagen.',
+    'error.network.hint': 'Prüfe deine Internetverbindung.',
+
+    // === Risiko-Erklärungen (getRiskExplanation) ===
+    'risk.surfaceHigh.title': 'Starker Bodenwind',
+    'risk.surfaceHigh.desc': '{ws} am Boden – Schwieriger Start, Sturzgefahr',
+    'risk.surfaceHigh.advice': 'Nur für erfahrene Piloten mit guter Schirmkontrolle',
+    'risk.surfaceMedium.title': 'Erhöhter Bodenwind',
+    'risk.surfaceMedium.desc': '{ws} – Aktiver Startaufbau erforderlich',
+    'risk.surfaceMedium.advice': 'Rückwärtsstart empfohlen, auf Böen achten',
+    'risk.gustsHigh.title': 'Starke Böen',
+    'risk.gustsHigh.desc': 'Böen {wg} ({diff} über Grundwind) – Sehr turbulent',
+    'risk.gustsHigh.advice': 'Erhöhte Einklappergefahr, hohe Pilotenbelastung',
+    'risk.gustsMedium.title': 'Erhöhte Böigkeit',
+    'risk.gustsMedium.desc': 'Böen {wg} ({diff} über Grundwind) – Unruhige Luft',
+    'risk.gustsMedium.advice': 'Aktives Fliegen nötig, Schirm im Blick behalten',
+    'risk.upperHigh.title': 'Gefährlicher Höhenwind',
+    'risk.upperHigh.desc': '{w700} in 3000m – Extreme Lee-Turbulenzen möglich',
+    'risk.upperHigh.advice': 'Lee-Seiten absolut meiden! Föhngefahr in den Alpen',
+    'risk.upperMedium.title': 'Starker Höhenwind',
+    'risk.upperMedium.desc': '{w700} in 3000m – Lee-Turbulenzen möglich',
+    'risk.upperMedium.advice': 'Lee-Bereiche meiden, Beschleuniger bereithalten',
+    'risk.foehnHigh.title': '{label} bricht durch',
+    'risk.foehnHigh.desc': 'Druckdifferenz {diff} – Stürmische Fallwinde in Lee-Tälern',
+    'risk.foehnHigh.advice': 'Nicht fliegen! Auch bei ruhigem Bodenwind droht plötzlicher Föhndurchbruch',
+    'risk.foehnMedium.title': '{label} möglich',
+    'risk.foehnMedium.desc': 'Druckdifferenz {diff} – Föhnlage baut sich auf',
+    'risk.foehnMedium.adviceSouth': 'Nordseite der Alpen meiden, Windentwicklung genau beobachten',
+    'risk.foehnMedium.adviceNorth': 'Südseite der Alpen meiden, Windentwicklung genau beobachten',
+    'risk.leeHigh.title': 'Starkes Lee',
+    'risk.leeHigh.advice': 'Rotoren und starke Abwinde wahrscheinlich - Startplatz auf der Luvseite wählen',
+    'risk.leeMedium.title': 'Lee-Lage',
+    'risk.leeMedium.advice': 'Lee-Turbulenz möglich, Abstand zum Grat halten',
+    'risk.lee.desc': 'Grat {elevation} (+{height}) {dist} km im Luv bei {speed} aus {dir}',
+    'risk.gradientHigh.title': 'Gefährliche Windscherung',
+    'risk.gradientHigh.desc': '{grad} Unterschied Boden/1500m – Starke Turbulenz',
+    'risk.gradientHigh.advice': 'Beim Aufsteigen auf Schirm achten, abrupte Schirmreaktionen möglich',
+    'risk.gradientMedium.title': 'Erhöhter Windgradient',
+    'risk.gradientMedium.desc': '{grad} Unterschied Boden/1500m',
+    'risk.gradientMedium.advice': 'Beim Thermikflug auf Windwechsel vorbereitet sein',
+    'risk.capeHigh.title': 'Gewittergefahr',
+    'risk.capeHigh.desc': 'CAPE {cape} J/kg – Gewitterwolken (Cb) können entstehen',
+    'risk.capeHigh.advice': 'Früh landen! Wetterentwicklung ständig beobachten',
+    'risk.capeMedium.title': 'Kräftige Thermik',
+    'risk.capeMedium.desc': 'CAPE {cape} J/kg – Unruhige, starke Aufwinde möglich',
+    'risk.capeMedium.advice': 'Nur für erfahrene Thermikflieger, Wolkenentwicklung beobachten',
+    'risk.visibilitySevere.title': 'Kritisch schlechte Sicht',
+    'risk.visibilitySevere.desc': 'Nur {vis} km Sicht – VFR-Minimum unterschritten',
+    'risk.visibilitySevere.advice': 'Nicht starten! Orientierung und Landeplatzerkennung unmöglich',
+    'risk.fogSevere.title': 'Hohe Nebelgefahr',
+    'risk.fogSevere.desc': 'Spread nur {spread}°C bei {ws} Wind – Klassische Nebelbedingungen',
+    'risk.fogSevere.advice': 'Luft nahezu gesättigt, Bodennebel sehr wahrscheinlich',
+    'risk.fogLikely.title': 'Nebel wahrscheinlich',
+    'risk.fogLikely.desc': 'Spread {spread}°C, Sicht {vis} km – Feucht und dunstig',
+    'risk.fogLikely.advice': 'Webcams prüfen! Lokale Verhältnisse können besser sein (Inversion)',
+    'risk.visibilityPossible.title': 'Sichteinschränkung möglich',
+    'risk.visibilityPossible.descHumid': 'Hohe Luftfeuchtigkeit (Spread {spread}°C) – Dunst oder tiefe Basis möglich',
+    'risk.visibilityPossible.descVis': 'Sicht {vis} km – Reduzierte Fernsicht',
+    'risk.visibilityPossible.advice': 'Wetter vor Ort checken, früh orientieren',
+    'foehn.south': 'Südföhn',
+    'foehn.north': 'Nordföhn',
+
+    // === Begründung unter der Ampel (updateReasonSummary) ===
+    'hint.allGreen': '✓ <strong>Alle Parameter im grünen Bereich.</strong>{filter} Gute Bedingungen – dennoch vor Ort prüfen.',
+    'hint.filterActive': '(Filter aktiv)',
+    'hint.surfaceHigh': '💨 Bodenwind zu stark ({ws})',
+    'hint.surfaceMedium': '💨 Bodenwind erhöht ({ws})',
+    'hint.gustsHigh': '💨 Böen gefährlich stark ({wg})',
+    'hint.gustsMedium': '💨 Böen erhöht ({wg})',
+    'hint.gustSpreadHigh': '💨 Stark böig – Differenz {diff}',
+    'hint.gustSpreadMedium': '💨 Böigkeit erhöht – Differenz {diff}',
+    'hint.windLevelHigh': '🌬️ Wind {level} kritisch ({speed})',
+    'hint.windLevelMedium': '🌬️ Wind {level} erhöht ({speed})',
+    'hint.gradientHigh': '📊 Gradient kritisch ({grad})',
+    'hint.gradientMedium': '📊 Gradient erhöht ({grad})',
+    'hint.gradient3000High': '📊 Gradient 3000m kritisch ({grad})',
+    'hint.gradient3000Medium': '📊 Gradient 3000m erhöht ({grad})',
+    'hint.sectorLevel900': ' in 1000m',
+    'hint.tailwind': '🧭 Rückenwind am Startplatz ({wind})',
+    'hint.crosswind': '🧭 Seitenwind am Startplatz ({wind})',
+    'hint.foehn': '🌪️ {label} – {diff} hPa {pair}',
+    'hint.lee': '⛰️ Lee hinter Grat {elevation} ({dir} {speed})',
+    'hint.landing': '🪂 Landeplatz {name}: {reason}',
+    'hint.gustFactorHigh': '💨 Böenfaktor kritisch ({factor}x)',
+    'hint.gustFactorMedium': '💨 Böenfaktor erhöht ({factor}x)',
+    'hint.capeHigh': '⚡ CAPE kritisch ({cape} J/kg) – Gewittergefahr',
+    'hint.capeMedium': '🌤️ CAPE erhöht ({cape} J/kg)',
+    'hint.liHigh': '⚡ Lifted Index {li} – stark labil',
+    'hint.liMedium': '⚡ Lifted Index {li} – labil',
+    'hint.dryAir': '💧 Sehr trockene Luft (Spread {spread}°C) – schwache Thermik',
+    'hint.visibilityCritical': '🌫️ Kritische Sicht ({vis} km)',
+    'hint.fogSevere': '🌫️ Hohe Nebelgefahr – Spread {spread}°C',
+    'hint.fogLikely': '🌁 Nebel wahrscheinlich – Spread {spread}°C',
+    'hint.visibilityReduced': '🌫️ Sicht eingeschränkt ({vis} km)',
+    'hint.fogPossible': '🌁 Nebelrisiko möglich – Spread {spread}°C',
+    'hint.cloudLow': '☁️ Tiefe Bewölkung {pct}%',
+    'hint.cloudTotalHigh': '☁️ Starke Bewölkung {pct}%',
+    'hint.cloudTotalMedium': '☁️ Bewölkung {pct}%',
+    'hint.precipHigh': '🌧️ Niederschlag {mm} mm',
+    'hint.precipMedium': '🌧️ Leichter Niederschlag möglich',
+    'hint.showersHigh': '⛈️ Schauer erwartet ({mm} mm)',
+    'hint.showersMedium': '🌦️ Lokale Schauer möglich',
+    'hint.precipProb': '🌧️ Regenwahrscheinlichkeit {pct}%',
+    'fog.severe': 'Hoch 🌫️',
+    'fog.likely': 'Wahrscheinlich ⚠️',
+    'fog.possible': 'Möglich',
+    'fog.unlikely': 'Gering ✓',
+    'beginner.badge': 'Anfänger-freundlich',
+    'beginner.badgeSub': 'Sanfte & sichere Bedingungen',
+    'beginner.perfect': 'Perfekt für Einsteiger & Genussflieger',
+    'beginner.groundWind': 'Bodenwind',
+    'beginner.groundWindReason': 'Bodenwind zu stark für entspanntes Aufziehen',
+    'beginner.gustDiff': 'Böendifferenz',
+    'beginner.gustDiffReason': 'Starke Böen = turbulente Luft',
+    'beginner.wind1000': 'Wind 1000m',
+    'beginner.wind1000Reason': 'Höhenwind 1000m erhöht',
+    'beginner.upperWind': 'Höhenwind (1500m)',
+    'beginner.upperWindReason': 'Höhenwind erhöht (Lee-Gefahr)',
+    'beginner.gradient': 'Windgradient',
+    'beginner.gradientReason': 'Zu großer Unterschied Boden/Höhe',
+    'beginner.wind2000': 'Wind 2000m',
+    'beginner.wind2000Reason': 'Höhenwind 2000m zu stark',
+    'beginner.wind3000': 'Wind 3000m',
+    'beginner.wind3000Reason': 'Höhenwind 3000m zu stark (Föhn-Indikator)',
+    'beginner.cape': 'Thermik-Energie',
+    'beginner.capeReason': 'Unruhige, starke Thermik möglich',
+    'beginner.visibility': 'Sicht',
+    'beginner.visibilityReason': 'Eingeschränkte Sicht',
+    'beginner.spread': 'Spread',
+    'beginner.spreadReason': 'Nebelgefahr (Spread zu niedrig)',
+
+    // === Lee-Skizze im Wind-Detail ===
+    'lee.upwind': '{dist} km Luv',
+    'lee.ridge': 'Grat {elevation} (+{height}) {dist} km {dir}',
+    'lee.danger': '⚠️ Im Lee: {ridge} – Rotoren wahrscheinlich',
+    'lee.caution': '⚠️ Im Lee: {ridge} – Lee-Turbulenz möglich',
+    'lee.weakWind': 'Grat im Luv, aber Höhenwind nur {speed}',
+    'lee.noRidge': 'Kein relevanter Grat in Anströmrichtung {dir}',
+
+    // === Thermik (W*) ===
+    'thermal.na': 'n.v.',
+    'thermal.none': 'Keine nutzbare Thermik',
+    'thermal.cloudBase': '~{climb} m/s, Basis {top}',
+    'thermal.blue': '~{climb} m/s, blau bis {top}',
+    'thermal.tooltip': '{hour} Uhr: ~{climb} m/s bis {top} ({quality})',
+    'thermal.q0': 'keine',
+    'thermal.q1': 'schwach',
+    'thermal.q2': 'mäßig',
+    'thermal.q3': 'gut',
+    'thermal.q4': 'sehr gut',
+
+    // === Favoriten ===
+    'fav.go': 'GO',
+    'fav.caution': 'Vorsicht',
+    'fav.nogo': 'No-Go',
+    'fav.noWindow': '(kein Fenster)',
+    'fav.error': 'Fehler',
+    'fav.loading': 'Lädt...',
+    'fav.loadingWeather': 'Lade Wetterdaten...',
+    'fav.deleteConfirm': 'Möchtest du "{name}" wirklich löschen?',
+    'fav.deleteFallback': 'diesen Favoriten',
+
+    // === Toasts ===
+    'toast.maxFavorites': 'Maximal {max} Favoriten erlaubt',
+    'toast.pickLanding': 'Landeplatz in der Karte antippen',
+    'toast.landingLinked': 'Landeplatz verknüpft',
+    'toast.favoriteUpdated': '⭐ Favorit aktualisiert',
+    'toast.notifyBlocked': '🔕 Benachrichtigungen wurden im Browser blockiert',
+    'toast.notifyUnsupported': '🔕 Benachrichtigungen werden von diesem Browser nicht unterstützt',
+    'toast.notifyNoBackground': '🔔 Hintergrund-Prüfung nur in der installierten App (Chrome/Edge) verfügbar',
+    'toast.notifyEnabled': '🔔 Benachrichtigung für GO-Fenster aktiviert',
+    'toast.offline': '📴 Offline - gespeicherte Daten werden angezeigt',
+    'toast.online': '🌐 Wieder online',
+    'toast.gpsUnsupported': 'GPS nicht unterstützt',
+    'toast.gpsDenied': 'GPS-Zugriff verweigert',
+    'toast.gpsUnavailable': 'Position nicht verfügbar',
+    'toast.gpsTimeout': 'Zeitüberschreitung',
+    'toast.gpsError': 'GPS-Fehler',
+    'toast.linkCopied': '🔗 Link kopiert!',
+    'toast.copyFailed': 'Fehler beim Kopieren',
+
+    // === Hintergrund-Benachrichtigungen (Service Worker) ===
+    'notify.goTitle': '🪂 {name}: GO morgen',
+    'notify.goBody': 'Grünes Fenster {start}-{end} Uhr ({hours} h)',
+    'notify.redTitle': '⛔ {name}: Fenster morgen fällt weg',
+    'notify.redBody': '{start}-{end} Uhr jetzt No-Go – Prognose hat sich verschlechtert'
+};
@@ -0,0 +1,718 @@
+/**
+ * SkyCheck - Sprachkatalog Englisch
+ * Schlüssel wie in de.js - fehlende Einträge fallen auf Deutsch zurück
+ */
+
+export default {
+    // === Oberfläche (statische Texte, data-i18n) ===
+    'ui.subtitle': 'Fly safer with the weather traffic light',
+    'ui.pageTitle': 'SkyCheck | Fly safer with the weather traffic light',
+    'ui.language': 'Language',
+    'ui.speedUnit': 'Wind speed unit',
+    'ui.altitudeUnit': 'Altitude unit',
+    'ui.design': 'Theme',
+    'ui.about': 'Info',
+    'ui.aboutAria': 'About SkyCheck',
+    'ui.themeToggle': 'Toggle light/dark',
+    'ui.themeToggleAria': 'Toggle dark theme',
+    'ui.highContrast': 'High contrast',
+    'ui.chooseSite': 'Choose launch site',
+    'ui.clickMap': '- click on the map -',
+    'ui.gps': 'My location',
+    'ui.gpsAria': 'Get GPS location',
+    'ui.share': 'Share link',
+    'ui.shareAria': 'Share location link',
+    'ui.favorites': '⭐ My favourites',
+    'ui.compareFavorites': 'Compare all sites',
+    'ui.prepareTrip': 'Prepare for trip: save forecasts of all favorites offline',
+    'ui.addFavorite': '+ Save current location as favourite',
+    'ui.loading': 'Fetching weather data...',
+    'ui.model': 'Model:',
+    'ui.sunrise': '☀️ Sunrise:',
+    'ui.sunset': '🌙 Sunset:',
+    'ui.daylight': '⏱️ Daylight:',
+    'ui.freezingLevel': '❄️ Freezing level:',
+    'ui.stationElevation': '📍 Site elevation:',
+    'ui.dataFrom': 'Data from:',
+    'ui.dataLabel': 'Data:',
+    'ui.disclaimer': 'SkyCheck does not replace a proper weather briefing. Pilots are responsible for their own flight decisions.',
+    'ui.motto': '🪂 <em>When in doubt: don\'t launch! The mountain will still be there tomorrow.</em>',
+    'ui.reload': '↻ Reload',
+    'ui.reloadTitle': 'Refresh data',
+    'ui.pullToRefresh': 'Pull to refresh',
+    'ui.releaseToRefresh': 'Release to refresh',
+    'ui.refreshing': 'Refreshing...',
+    'ui.noData': 'No data',
+    'ui.confidence': '📊 Forecast confidence:',
+    'ui.confidenceTooltip': 'Based on the ensemble runs (ICON-EPS/ECMWF-ENS): average share of runs with the same traffic light within the flying window (daylight). Otherwise via model comparison (🔀 Models): share of weather models giving the same traffic light within the flying window. Without comparison: estimate by forecast range (today high, tomorrow medium, day after low). Check again on the day!',
+    'ui.bestWindow': 'Best window:',
+    'ui.forecastChange': '📈 Change since last load:',
+    'ui.chooseDay': '📅 Choose day',
+    'ui.horizon3': '3 days',
+    'ui.horizon7': '7 days',
+    'ui.horizon10': '10 days',
+    'ui.dayNavAria': 'Day selection',
+    'ui.horizonAria': 'Forecast range',
+    'ui.horizonTitle': 'Days after day 3 as a trend (global model, 3h blocks)',
+    'ui.filterAria': 'Parameter filter',
+    'ui.filterTitle': '🎯 Traffic light filter',
+    'ui.filterHint': 'Choose which parameters are included in the traffic light rating:',
+    'ui.filterWind': 'Wind',
+    'ui.filterThermik': 'Thermals',
+    'ui.filterClouds': 'Visibility',
+    'ui.filterPrecip': 'Precipitation',
+    'ui.filterReset': 'Enable all',
+    'ui.filterAll': 'All parameters',
+    'ui.filterNone': 'None selected',
+    'expert.toggle': '⚙️ Expert mode',
+    'expert.hintOff': 'Define your own limits for the traffic light',
+    'expert.hintChanged': '✓ {count} parameters adjusted',
+    'expert.hintAdjust': 'Click "Adjust" to set limits',
+    'expert.adjust': 'Adjust',
+    'expert.adjustTitle': 'Adjust limits',
+    'expert.presetBeginner': 'Beginner',
+    'expert.presetBeginnerDesc': 'Conservative limits for students and leisure pilots',
+    'expert.presetStandard': 'Standard',
+    'expert.presetStandardDesc': 'Balanced limits for experienced recreational pilots',
+    'expert.presetPro': 'Pro',
+    'expert.presetProDesc': 'Extended limits for experienced pilots with good local knowledge',
+    'expert.subtitle': 'Your own limits for the traffic light rating',
+    'expert.presets': 'Quick select:',
+    'expert.info': 'Adjust the NO-GO thresholds. Green thresholds are calculated automatically.',
+    'expert.label.surface': 'Surface wind max',
+    'expert.label.gusts': 'Gusts max',
+    'expert.label.gustSpread': 'Gust difference max',
+    'expert.label.gradient': 'Gradient max',
+    'expert.label.wind900': 'Wind 1000m max',
+    'expert.label.wind850': 'Wind 1500m max',
+    'expert.label.wind700': 'Wind 3000m max',
+    'expert.label.cape': 'CAPE max',
+    'expert.label.cloudLow': 'Low clouds max',
+    'expert.label.visibility': 'Visibility min',
+    'expert.label.precip': 'Precipitation max',
+    'expert.label.precipProb': 'Rain probability max',
+    'expert.reset': 'Reset',
+    'ui.timeline': 'Daily course',
+    'ui.timelineAria': 'Hourly forecast',
+    'ui.hoursAria': 'Select hours',
+    'ui.modelCompare': '🔀 Models',
+    'ui.modelCompareTitle': 'Compare ICON-D2, ICON-EU, ECMWF, GFS and AROME',
+    'ui.assessmentAria': 'Current flying conditions',
+    'ui.currentWeatherAria': 'Current weather',
+    'ui.killerTitle': 'STOP criteria',
+    'ui.killerSubtitle': 'Do NOT fly in these conditions:',
+    'ui.windByHeight': 'Wind by altitude',
+    'ui.ground': 'Ground',
+    'ui.climb': 'Climb',
+    'ui.calm': 'Calm',
+    'ui.placeSearch': '🔍 Search place, summit or takeoff...',
+    'ui.placeSearchAria': 'Search place, summit or takeoff',
+    'ui.heatmap': 'Where to fly? Regional overview',
+    'ui.heatmapAria': 'Toggle regional overview',
+    'ui.windLayer': 'Wind arrows on the map',
+    'ui.windLayerAria': 'Toggle wind arrows',
+    'ui.tilePacks': 'Offline maps',
+    'ui.tilePacksAria': 'Manage offline maps',
+    'ui.meteogram': 'Meteogram',
+    'meteogram.tooltip': 'Course of the selected day within the flying window: temperature (red) and dew point (blue), high/mid/low cloud cover (darker = denser), precipitation (bars) and CAPE (orange), below that the boundary layer (thermal layer from the ground) and the computed cloud base. Tap an hour to select it.',
+    'meteogram.hint': 'Tap an hour to select it',
+    'meteogram.noData': 'No hourly values for this day',
+    'meteogram.temp': 'Temperature',
+    'meteogram.dew': 'Dew point',
+    'meteogram.precip': 'Precipitation',
+    'meteogram.blh': 'Boundary layer',
+    'meteogram.cloudBase': 'Cloud base',
+    'meteogram.high': 'H',
+    'meteogram.mid': 'M',
+    'meteogram.low': 'L',
+    'meteogram.readoutClouds': 'Clouds L/M/H {low}/{mid}/{high} %',
+    'sounding.noData': 'No profile data for this hour (first {days} days only)',
+    'sounding.thermalTopLabel': 'Thermal ceiling',
+    'sounding.thermalTo': 'Thermals up to {alt}',
+    'sounding.thermalAbove': 'Thermals above {p} hPa',
+    'sounding.workingCloud': 'Working height ~{alt} (cloud base)',
+    'sounding.workingBlue': 'Working height ~{alt} (blue)',
+    'sounding.inversion': 'Inversion {ranges}',
+    'sounding.noInversion': 'no inversion',
+    'sounding.surface': 'Surface',
+    'sounding.loading': '⏳ Loading profile data...',
+    'sounding.error': '⚠️ Profile data could not be loaded',
+    'sounding.title': 'Virtual sounding (Skew-T)',
+    'sounding.tooltip': 'Temperature (red) and dew point (blue) from 1000 to 500 hPa. Orange: dry adiabat from the ground - where it crosses the temperature curve, thermals end. LCL = lifted condensation level (cloud base). Grey bands = inversions. Right: wind barbs (half 5 kt, full 10 kt, pennant 50 kt).',
+    'sounding.load': 'Load sounding',
+    'sounding.loadHint': 'Temperature profile 1000-500 hPa for the selected hour',
+    'sounding.chartAria': 'Skew-T diagram of the selected hour',
+    'sounding.readoutHint': 'Tap the chart for values per pressure level',
+    'ui.expandAll': '📂 Expand all',
+    'ui.collapseAll': '📁 Collapse all',
+    'param.gridAria': 'Weather parameters',
+    'param.windAria': 'Wind parameters',
+    'param.windTitle': '💨 Wind (details)',
+    'param.windTip1': 'Detailed wind values for the selected hour. Large gradient = turbulence. Upper wind',
+    'param.windTip2': '= foehn risk!',
+    'param.height': 'Height',
+    'param.speed': 'Speed',
+    'param.direction': 'Direction',
+    'dir.points': 'N,NNE,NE,ENE,E,ESE,SE,SSE,S,SSW,SW,WSW,W,WNW,NW,NNW',
+    'param.surface10m': 'Surface (10m)',
+    'param.gusts': 'Gusts',
+    'param.gustiness': 'Gustiness',
+    'param.gustinessTip': 'Difference between gusts and mean wind. Large differences = rough, hard-to-judge conditions.',
+    'param.gradient1500': 'Gradient (surface-1500m)',
+    'param.gradient3000': 'Gradient (surface-3000m)',
+    'param.leeTitle': '⛰️ Terrain upwind',
+    'param.leeTip': 'Terrain section against the upper wind (850/700 hPa). If a ridge upwind is clearly higher than the site, you fly in the lee - rotors and sink possible.',
+    'param.leeAria': 'Terrain profile upwind',
+    'param.windroseShow': 'Show wind rose',
+    'param.east': 'E',
+    'param.west': 'W',
+    'param.shearWarning': '⚠️ Directional shear detected!',
+    'param.thermikAria': 'Thermal parameters',
+    'param.thermikTitle': '🌡️ Thermals',
+    'param.thermikTip': 'CAPE shows thermal energy. >1000 J/kg = thunderstorm risk! Negative lifted index = unstable air.',
+    'param.spreadTip': 'Temperature minus dew point. Shows how humid the air is.',
+    'param.cape': 'CAPE',
+    'param.capeTip': 'Energy for convection (J/kg). >1000 = high thunderstorm risk!',
+    'param.liftedIndex': 'Lifted index',
+    'param.liftedIndexTip': 'Stability index. Negative = unstable = strong thermals. <-4 = thunderstorms!',
+    'param.cloudBase': '☁️ Cloud base',
+    'param.cloudBaseTip': 'Estimated base of cumulus clouds, calculated from spread × 125m + station elevation.',
+    'param.boundaryLayer': '📈 Boundary layer',
+    'param.boundaryLayerTip': 'Atmospheric boundary layer height - top of the air mass near the ground. Relevant for maximum climb height on thermal flights.',
+    'param.climb': '🌀 Climb rates',
+    'param.climbTip': 'Estimated thermal strength (W*) from solar radiation and boundary layer height, minus glider sink. Working height = boundary layer, capped by cloud base.',
+    'param.thermalQuality': '⭐ Thermal quality',
+    'param.thermalQualityTip': 'How good the thermals are for cross-country - independent of the safety traffic light.',
+    'param.cloudsAria': 'Clouds and visibility',
+    'param.cloudsTitle': '☁️ Clouds & visibility',
+    'param.cloudsTip': 'Low clouds (<2000m) are critical - they dampen thermals and can cover the launch.',
+    'param.cloudTotal': 'Total',
+    'param.cloudLow': 'Low (<2km)',
+    'param.cloudMid': 'Mid',
+    'param.cloudHigh': 'High',
+    'param.fogRisk': 'Fog risk',
+    'param.fogRiskTip': 'Based on spread (temp - dew point), wind and visibility. With little wind and a low spread, ground fog can form.',
+    'param.precipTitle': '🌧️ Precipitation',
+    'param.precipTip': 'Any precipitation is a problem - a wet wing flies worse!',
+    'param.precipAmount': 'Amount (total)',
+    'param.showers': 'Showers (convective)',
+    'param.showersTip': 'Convective precipitation from cumulus/thunderstorms - often local and intense!',
+    'param.precipProb': 'Probability',
+    'param.thunderRisk': 'Thunderstorm risk',
+    'ref.toggle': '📖 Parameter reference',
+    'ref.killerTitle': '🚨 The 5 STOP criteria - always check!',
+    'ref.killer1': 'Thunderstorm / CB',
+    'ref.killer2': 'Foehn / upper wind',
+    'ref.killer3': 'Wind shear',
+    'ref.gradient': 'Gradient',
+    'ref.killer4': 'Fog / visibility',
+    'ref.killer4Text': 'Visibility <1.5 km or spread <1°C',
+    'ref.killer5': 'Your own condition',
+    'ref.killer5Text': 'Tired, under pressure, doubts?',
+    'ref.modelsTitle': '🌐 Weather models',
+    'ref.region': 'Region',
+    'ref.model': 'Model',
+    'ref.resolution': 'Resolution',
+    'ref.forecast': 'Forecast',
+    'ref.centralEurope': 'Central Europe (D, A, CH)',
+    'ref.europe': 'Europe',
+    'ref.worldwide': 'Worldwide',
+    'ref.days5': '5 days',
+    'ref.days7to16': '7-16 days',
+    'ref.modelsNote': 'The best available model is chosen automatically. Higher resolution = more accurate local forecast.',
+    'ref.beginnerTitle': '⭐ Beginner-friendly conditions',
+    'ref.beginnerIntro': 'With a green light AND these values, the "Beginner-friendly" badge appears:',
+    'ref.beginnerNote': '⚠️ <strong>Note:</strong> This assessment is based on model data only. Local influences (valley wind systems, lee effects, thermal triggers) must be judged on site!',
+    'ref.parameter': 'Parameter',
+    'ref.threshold': 'Threshold',
+    'ref.why': 'Why?',
+    'ref.begGroundWind': 'Relaxed inflation',
+    'ref.begGustDiff': 'Calm, laminar air',
+    'ref.begUpper1500': 'No lee danger',
+    'ref.upperWind2000': 'Upper wind (2000m)',
+    'ref.begUpper2000': 'Calm air aloft',
+    'ref.upperWind3000': 'Upper wind (3000m)',
+    'ref.begUpper3000': 'No foehn risk',
+    'ref.begGradient': 'Smooth transition',
+    'ref.begCape': 'Gentle thermals',
+    'ref.begVisibility': 'Good orientation',
+    'ref.begSpread': 'No fog risk',
+    'ref.dayTitle': '📅 Day selection traffic light',
+    'ref.dayIntro': 'The traffic light in the day selection shows the flying chances of the day:',
+    'ref.status': 'Status',
+    'ref.meaning': 'Meaning',
+    'ref.dayGo': '≥ 3 hours of green window',
+    'ref.dayCaution': '1-2 green hours OR no red hours',
+    'ref.dayNogo': 'No green window AND red hours present',
+    'ref.dayNote': 'The best day is marked with a golden frame (longest green window).',
+    'ref.thresholdsTitle': '🚦 Traffic light thresholds',
+    'ref.thresholdsIntro': 'Here you can find the exact limits used for the traffic light rating.',
+    'ref.lightGreen': 'GREEN = Go',
+    'ref.lightYellow': 'YELLOW = Check',
+    'ref.lightRed': 'RED = No-go',
+    'ref.green': 'Green',
+    'ref.yellow': 'Yellow',
+    'ref.red': 'Red',
+    'ref.windTitle': '💨 Wind',
+    'ref.surfaceWind10m': 'Surface wind (10m)',
+    'ref.gustSpread': 'Gustiness (gust difference)',
+    'ref.gradient1500': 'Gradient surface↔1500m',
+    'ref.gradient3000': 'Gradient surface↔3000m',
+    'ref.thermikTitle': '🌡️ Thermals & stability',
+    'ref.to': 'to',
+    'ref.fogTitle': '🌫️ Fog & visibility',
+    'ref.condition': 'Condition',
+    'ref.visibility': 'Visibility',
+    'ref.spreadLowWind': 'Spread + little wind',
+    'ref.fogSmartTitle': 'Smart fog detection:',
+    'ref.fogSmart1': 'Spread alone is not enough – SkyCheck combines spread, wind and visibility. With wind',
+    'ref.fogSmart2': 'ground fog rarely forms. On yellow: check webcams!',
+    'ref.cloudsTitle': '☁️ Clouds',
+    'ref.cloudLow': 'Low clouds (<2km)',
+    'ref.cloudTotal': 'Total cloud cover',
+    'ref.precipAmount': 'Precipitation amount',
+    'ref.precipProb': 'Probability',
+    'ref.notesTitle': '📌 Important notes',
+    'ref.noteHourly': '<strong>Hourly light:</strong> The rating always shows the worst single value of all parameters.',
+    'ref.noteBestWindow': '<strong>Best window:</strong> Longest continuous green phase in daylight (sunrise to sunset incl. twilight), marked with ⭐.',
+    'ref.noteTrend': '<strong>Trend arrows:</strong> ↑ = value rising (usually worse), ↓ = value falling, → = stable.',
+    'ref.noteGustTitle': 'Gustiness:',
+    'ref.noteGust1': 'Difference between gusts and mean wind.',
+    'ref.noteGust2': '= yellow,',
+    'ref.noteGust3': '= red (rough air).',
+    'ref.noteConfidence': '<strong>Forecast confidence:</strong> Today ⭐⭐⭐ (high), tomorrow ⭐⭐ (medium), day after ⭐ (low).',
+    'ref.noteLocal': '<strong>Local conditions:</strong> This app does not replace checking on site! Watch the windsock, the clouds and your gut feeling.',
+    'ui.favoriteSave': '⭐ Save favourite',
+    'ui.favoriteName': 'Enter name...',
+    'ui.favoriteNameAria': 'Name of the favourite',
+    'notifyForm.enable': '🔔 Notify me about a GO window tomorrow',
+    'notifyForm.daysAria': 'Weekdays',
+    'notifyForm.mon': 'Mo',
+    'notifyForm.tue': 'Tu',
+    'notifyForm.wed': 'We',
+    'notifyForm.thu': 'Th',
+    'notifyForm.fri': 'Fr',
+    'notifyForm.sat': 'Sa',
+    'notifyForm.sun': 'Su',
+    'notifyForm.minHours': 'Window at least',
+    'notifyForm.hoursGreen': 'h green',
+    'notifyForm.quiet': 'Quiet hours',
+    'notifyForm.quietToAria': 'Quiet hours until',
+    'notifyForm.oclock': 'o\'clock',
+    'notifyForm.hint': 'Also notifies you when a reported window turns red.',
+    'ui.favoriteDelete': '🗑️ Delete favourite?',
+    'ui.cancel': 'Cancel',
+    'ui.save': 'Save',
+    'ui.delete': 'Delete',
+    'ui.compareTitle': '📊 Site comparison',
+    'ui.closeDialog': 'Close dialog',
+    'ui.close': 'Close',
+    'fav.deleteDefault': 'Do you really want to delete this favourite?',
+    'about.tabAbout': 'What is SkyCheck?',
+    'about.tabFeatures': 'Features',
+    'about.tabLimits': 'Limits',
+    'about.intro': '<strong>SkyCheck</strong> automatically analyses the key weather parameters for safe paragliding and shows you at a glance whether conditions are suitable for flying.',
+    'about.trafficLight': 'The <strong>traffic light system</strong> (green/yellow/red) rates every hour based on wind, thermals, clouds and precipitation.',
+    'about.dataSource': 'Data source',
+    'about.dataFrom': 'The weather data comes from',
+    'about.dataModels': 'and use the high-resolution ICON-D2 (2.2km) or ICON-EU (7km) model depending on the region.',
+    'about.refHint': '💡 Detailed thresholds are in the <strong>parameter reference</strong> at the bottom of the page.',
+    'about.feature1': '<strong>Weather traffic light</strong> with hourly resolution (daylight)',
+    'about.feature2': '<strong>5 STOP criteria</strong> - the main hazards at a glance',
+    'about.feature3': '<strong>Wind by height</strong> - surface to 3000m with gradient',
+    'about.feature4': '<strong>Wind rose</strong> - wind direction at all heights',
+    'about.feature5': '<strong>Wind height profile</strong> - daily course by height',
+    'about.feature6': '<strong>Favourites</strong> - save your launch sites',
+    'about.feature7': '<strong>Works offline</strong> - installable as a PWA',
+    'about.feature8': '<strong>Beginner badge</strong> - shows perfect conditions',
+    'about.feature9': '<strong>3-day outlook</strong> with daily traffic light',
+    'about.feature10': '<strong>Live wind</strong> - measurements from OpenWindMap + avalanche warning services (Alps)',
+    'about.limitsTitle': '⚠️ Important notes',
+    'about.limit1': 'SkyCheck <strong>does not replace a proper weather briefing</strong> or your own judgement.',
+    'about.limit2': '<strong>Model data ≠ reality</strong> - forecasts can differ from actual conditions.',
+    'about.limit3': '<strong>Local effects</strong> (valley wind, lee, thermal triggers) are not captured.',
+    'about.limit4': 'On the day <strong>always check on site</strong>: windsock, clouds, gut feeling!',
+    'about.limit5': 'Pilots are <strong>responsible themselves</strong> for their flight decisions.',
+    'about.showWelcome': '🎓 Show introduction again',
+    'about.feedback': '📧 Send feedback',
+    'welcome.title': 'Welcome to SkyCheck!',
+    'welcome.tagline': 'Your flying weather assistant for paraglider pilots',
+    'welcome.step1Title': 'Choose a site',
+    'welcome.step1Text': 'Click on the map or use GPS to choose your launch site. You can also share coordinates via link.',
+    'welcome.step2Title': 'The traffic light',
+    'welcome.step2Text': 'Green = flyable, yellow = limited, red = unsuitable. Based on wind, thermals, visibility and precipitation.',
+    'welcome.step3Title': 'Daily course',
+    'welcome.step3Text': 'The timeline shows hour by hour how conditions develop. Tap an hour for details.',
+    'welcome.step4Title': 'Favourites',
+    'welcome.step4Text': 'Save your favourite sites for quick access and compare the weather at several sites.',
+    'welcome.step5Title': 'Expert mode',
+    'welcome.step5Text': 'Adjust the traffic light limits to your skills and experience.',
+    'welcome.start': 'Let\'s go!',
+
+    // === Ampel ===
+    'status.go': 'GO',
+    'status.caution': 'CAUTION',
+    'status.nogo': 'NO-GO',
+
+    // === Wetter (Open-Meteo weather_code) ===
+    'weather.0': 'Clear',
+    'weather.1': 'Mainly clear',
+    'weather.2': 'Partly cloudy',
+    'weather.3': 'Overcast',
+    'weather.45': 'Fog',
+    'weather.48': 'Rime fog',
+    'weather.51': 'Drizzle',
+    'weather.53': 'Drizzle',
+    'weather.55': 'Heavy drizzle',
+    'weather.61': 'Light rain',
+    'weather.63': 'Rain',
+    'weather.65': 'Heavy rain',
+    'weather.71': 'Light snow',
+    'weather.73': 'Snow',
+    'weather.75': 'Heavy snow',
+    'weather.80': 'Showers',
+    'weather.81': 'Showers',
+    'weather.82': 'Heavy showers',
+    'weather.95': 'Thunderstorm',
+    'weather.96': 'Thunderstorm+hail',
+    'weather.99': 'Severe thunderstorm',
+    'weather.unknown': 'Unknown',
+
+    // === Tage und Zeiten ===
+    'day.today': 'Today',
+    'day.tomorrow': 'Tomorrow',
+    'day.trend': 'Trend',
+    'day.trendTitle': 'Trend: global model ({model}), rated in {hours}h blocks',
+    'day.ensembleTitle': 'Ø {pct} % of ensemble runs agree (flying window)',
+    'day.ensembleStars': 'Avg. {pct} % of {model} runs agree (flying window)',
+    'day.modelStars': 'Models agree {pct} % (flying window)',
+    'time.clock': '{time}',
+    'time.trendBlock': '{from}–{to} h (trend)',
+    'time.range': '({from}–{to} h)',
+    'age.justNow': 'just now',
+    'age.minutes': '{min} min ago',
+    'age.hoursMinutes': '{hours}h {min}min ago',
+    'age.hours': '{hours}h ago',
+    'dataAge.snapshot': '📡 Offline forecast from {time} ({age})',
+    'dataAge.cache': '📡 No connection - stored data from {time} ({age})',
+    'dataAge.degraded': 'Outdated: traffic light at most CAUTION.',
+    'trip.offline': 'Offline - forecasts cannot be loaded right now',
+    'trip.started': 'Loading forecasts for {count} favorites…',
+    'trip.done': '{count} forecasts saved offline',
+    'trip.partial': 'Only {saved} of {total} forecasts saved',
+    'liveWind.spanAria': 'History period',
+    'liveWind.title': 'Live wind (stations)',
+    'liveWind.tooltip': 'Current wind measurements from real stations nearby. Sources: OpenWindMap/Pioupiou (OWM), avalanche warning services (LWD Tyrol, Bavaria, Salzburg, South Tyrol), MeteoSwiss (MCH), DWD, GeoSphere Austria (GSA), airfield METAR and Holfuy (HF, only with your own API access). Note: measurements can differ locally from model forecasts!',
+    'liveWind.badge': 'LIVE',
+    'liveWind.refresh': 'Refresh',
+    'liveWind.load': 'Load live wind',
+    'liveWind.loadHint': 'Stations within 30 km',
+    'liveWind.avalancheServices': 'avalanche warning services',
+    'liveWind.note': '⚠️ Measurements may differ locally',
+    'liveWind.sparkAria': 'Wind over the last {hours} h, gusts up to {max}',
+    'liveWind.trendUp': 'Increasing (+{delta})',
+    'liveWind.trendDown': 'Decreasing (−{delta})',
+    'liveWind.trendSteady': 'Steady',
+    'liveWind.openAt': '{name} – open on {provider}',
+    'liveWind.sources': 'Data: {sources}',
+    'liveWind.unknownStation': 'Unknown station',
+    'liveWind.gusts': 'Gusts:',
+    'liveWind.noStations': 'No stations found within {radius} km',
+    'liveWind.error': '⚠️ Data could not be loaded',
+    'modelCheck.title': '🧪 Model check {time}',
+    'modelCheck.observed': 'Measured',
+    'modelCheck.forecast': 'Model',
+    'modelCheck.deltaTitle': 'Measured mean wind minus forecast at station height',
+    'modelCheck.direction': 'Wind direction differs by {diff}°',
+    'modelCheck.underestimated': '⚠️ The model underestimates the wind (up to +{delta}) - traffic light for {time} at most CAUTION.',
+    'modelCheck.ok': '✓ Forecast matches the measurements.',
+
+    // === Standort und Modell ===
+    'initial.title': 'Choose a location',
+    'initial.text': 'Click on the map or use GPS.',
+    'location.details': '{lat}°N, {lon}°E — {elevation} a.s.l.',
+    'location.takeoff': '🧭 Launch direction: {sectors}',
+    'sector.none': 'No launch direction set',
+    'sector.remove': 'Remove sector',
+    'sector.editorLabel': '🧭 Launch directions (optional)',
+    'sector.compassAria': 'Compass for setting the launch directions',
+    'sector.from': 'Sector from',
+    'sector.to': '° to',
+    'sector.toAria': 'Sector to',
+    'sector.add': 'Add',
+    'sector.hint': 'Drag on the compass or enter degrees (clockwise) to set a wind sector (max. 3).',
+    'location.timezone': '🕐 Times in local time {zone}',
+    'place.noResults': 'No place found',
+    'place.searching': 'Searching...',
+    'place.offline': 'Offline - results from the bundled place list',
+    'place.near': 'near {name}',
+    'heatmap.title': '▦ Where to fly?',
+    'heatmap.sliderAria': 'Time of the overview',
+    'grid.zoomIn': 'Zoom in further to load',
+    'grid.loading': 'Loading {count} grid points...',
+    'grid.error': 'Grid data could not be loaded',
+    'grid.outOfRange': 'Only available for the first {days} days',
+    'heatmap.summary': '{go} GO · {caution} CAUTION · {nogo} NO-GO - tap a cell to load it',
+    'windLayer.title': '🌬️ Wind arrows',
+    'windLayer.levelAria': 'Altitude level',
+    'windLayer.sliderAria': 'Time of the wind arrows',
+    'windLayer.summary': 'max. {max}',
+    'windLayer.noData': 'No wind data for this hour',
+    'tilePack.title': '📥 Offline maps',
+    'tilePack.draw': '▭ Draw area',
+    'tilePack.useView': 'Use current view',
+    'tilePack.drawHint': 'Drag a rectangle on the map',
+    'tilePack.namePlaceholder': 'Region name',
+    'tilePack.zoom': 'Zoom',
+    'tilePack.minZoomAria': 'Lowest zoom level',
+    'tilePack.maxZoomAria': 'Highest zoom level',
+    'tilePack.download': 'Download',
+    'tilePack.estimate': '{count} tiles · approx. {size}',
+    'tilePack.storage': 'Storage used: {used} of {quota}',
+    'tilePack.defaultName': 'Region',
+    'tilePack.started': 'Downloading "{name}"',
+    'tilePack.done': '"{name}" is available offline',
+    'tilePack.partial': '"{name}" incomplete - {failed} tiles missing',
+    'tilePack.errorTooLarge': 'too large (max. {max} tiles)',
+    'tilePack.errorQuota': 'Not enough storage for this map pack',
+    'tilePack.errorFailed': 'Map pack could not be downloaded',
+    'tilePack.noWorker': 'Offline maps need the service worker - reload the page',
+    'tilePack.none': 'No offline maps yet',
+    'tilePack.progress': 'Loading… {done}/{total} tiles',
+    'tilePack.info': 'Zoom {zoom} · {size} · {date}',
+    'tilePack.incomplete': 'incomplete',
+    'tilePack.cancel': 'Cancel',
+    'tilePack.show': 'Show on map',
+    'tilePack.refresh': 'Refresh',
+    'tilePack.resume': 'Resume',
+    'tilePack.delete': 'Delete',
+    'tilePack.confirmDelete': 'Delete?',
+    'landing.defaultName': 'Landing field',
+    'landing.linked': '🪂 {name} ({elevation}, {drop} below launch)',
+    'landing.none': '🪂 No landing field linked',
+    'landing.pick': 'Choose landing',
+    'landing.change': 'Change',
+    'landing.remove': 'Remove landing field',
+    'landing.compareTitle': 'Launch vs. landing',
+    'landing.noHour': 'No landing field values for this hour',
+    'landing.noData': 'Wind at the landing field unavailable',
+    'landing.launch': 'Launch',
+    'landing.surfaceWind': 'Surface wind',
+    'landing.gusts': 'Gusts',
+    'landing.direction': 'Direction',
+    'landing.rating': 'Rating',
+    'landing.valleyWind': 'Wind at the landing field blows from a different direction than at launch (valley wind) - adjust your approach',
+    'landing.reason.wind': 'surface wind {ws}',
+    'landing.reason.gusts': 'gusts {wg}',
+    'landing.reason.gustSpread': 'gusty ({ws}, gusts {wg})',
+    'landing.reason.precip': 'precipitation',
+    'landing.reason.fog': 'fog / poor visibility',
+    'model.outsideEurope': '⚠️ Outside Europe - global model (less accurate for local conditions)',
+    'model.iconEu': 'ℹ️ ICON-EU model (7km resolution)',
+    'model.compareLoading': '⏳ Loading models...',
+    'model.compareUnavailable': '⚠️ Model comparison not available for this location',
+    'model.compareAgreement': 'Agreement {pct} %',
+    'model.spread': 'Range across {count} models',
+    'ensemble.info': '🎲 GO in {go} of runs · CAUTION {caution} · NO-GO {nogo} ({model}, {total} runs)',
+    'ensemble.goShare': 'GO in {pct} % of runs',
+
+    // === Fehler beim Laden ===
+    'error.load.title': 'Loading failed',
+    'error.load.hint': 'Please try again or choose another location.',
+    'error.offline.title': 'No internet connection',
+    'error.offline.detail': 'You are offline.',
+    'error.offline.hint': 'Check your connection and try again.',
+    'error.timeout.title': 'Server not responding',
+    'error.timeout.detail': 'The weather API is currently overloaded.',
+    'error.timeout.hint': 'Wait a moment and try again.',
+    'error.rateLimit.title': 'API limit reached',
+    'error.rateLimit.detail': 'Too many requests in a short time.',
+    'error.rateLimit.hint': 'Please wait a few minutes.',
+    'error.network.title': 'Network error',
+    'error.network.detail': 'Connection to the weather service failed.',
+    'error.network.hint': 'Check your internet connection.',
+
+    // === Risiko-Erklärungen (getRiskExplanation) ===
+    'risk.surfaceHigh.title': 'Strong surface wind',
+    'risk.surfaceHigh.desc': '{ws} on the ground – difficult launch, risk of being dragged',
+    'risk.surfaceHigh.advice': 'Only for experienced pilots with good wing control',
+    'risk.surfaceMedium.title': 'Increased surface wind',
+    'risk.surfaceMedium.desc': '{ws} – active ground handling required',
+    'risk.surfaceMedium.advice': 'Reverse launch recommended, watch out for gusts',
+    'risk.gustsHigh.title': 'Strong gusts',
+    'risk.gustsHigh.desc': 'Gusts {wg} ({diff} above mean wind) – very turbulent',
+    'risk.gustsHigh.advice': 'Increased risk of collapses, high pilot workload',
+    'risk.gustsMedium.title': 'Increased gustiness',
+    'risk.gustsMedium.desc': 'Gusts {wg} ({diff} above mean wind) – rough air',
+    'risk.gustsMedium.advice': 'Active flying needed, keep an eye on the wing',
+    'risk.upperHigh.title': 'Dangerous upper wind',
+    'risk.upperHigh.desc': '{w700} at 3000m – extreme lee turbulence possible',
+    'risk.upperHigh.advice': 'Avoid lee sides at all costs! Foehn risk in the Alps',
+    'risk.upperMedium.title': 'Strong upper wind',
+    'risk.upperMedium.desc': '{w700} at 3000m – lee turbulence possible',
+    'risk.upperMedium.advice': 'Avoid lee areas, keep the speed bar ready',
+    'risk.foehnHigh.title': '{label} breaking through',
+    'risk.foehnHigh.desc': 'Pressure difference {diff} – stormy downslope winds in lee valleys',
+    'risk.foehnHigh.advice': 'Do not fly! Even with calm surface wind a sudden foehn breakthrough is likely',
+    'risk.foehnMedium.title': '{label} possible',
+    'risk.foehnMedium.desc': 'Pressure difference {diff} – foehn situation building up',
+    'risk.foehnMedium.adviceSouth': 'Avoid the northern side of the Alps, watch the wind closely',
+    'risk.foehnMedium.adviceNorth': 'Avoid the southern side of the Alps, watch the wind closely',
+    'risk.leeHigh.title': 'Strong lee',
+    'risk.leeHigh.advice': 'Rotors and strong sink likely - choose a launch on the windward side',
+    'risk.leeMedium.title': 'Lee situation',
+    'risk.leeMedium.advice': 'Lee turbulence possible, keep away from the ridge',
+    'risk.lee.desc': 'Ridge {elevation} (+{height}) {dist} km upwind with {speed} from {dir}',
+    'risk.gradientHigh.title': 'Dangerous wind shear',
+    'risk.gradientHigh.desc': '{grad} difference ground/1500m – strong turbulence',
+    'risk.gradientHigh.advice': 'Watch the wing while climbing, abrupt wing reactions possible',
+    'risk.gradientMedium.title': 'Increased wind gradient',
+    'risk.gradientMedium.desc': '{grad} difference ground/1500m',
+    'risk.gradientMedium.advice': 'Be prepared for wind changes while thermalling',
+    'risk.capeHigh.title': 'Thunderstorm risk',
+    'risk.capeHigh.desc': 'CAPE {cape} J/kg – cumulonimbus (Cb) may develop',
+    'risk.capeHigh.advice': 'Land early! Keep watching the weather development',
+    'risk.capeMedium.title': 'Strong thermals',
+    'risk.capeMedium.desc': 'CAPE {cape} J/kg – rough, strong climbs possible',
+    'risk.capeMedium.advice': 'Only for experienced thermal pilots, watch cloud development',
+    'risk.visibilitySevere.title': 'Critically poor visibility',
+    'risk.visibilitySevere.desc': 'Only {vis} km visibility – below VFR minimum',
+    'risk.visibilitySevere.advice': 'Do not launch! Orientation and landing field recognition impossible',
+    'risk.fogSevere.title': 'High fog risk',
+    'risk.fogSevere.desc': 'Spread only {spread}°C with {ws} wind – classic fog conditions',
+    'risk.fogSevere.advice': 'Air almost saturated, ground fog very likely',
+    'risk.fogLikely.title': 'Fog likely',
+    'risk.fogLikely.desc': 'Spread {spread}°C, visibility {vis} km – humid and hazy',
+    'risk.fogLikely.advice': 'Check webcams! Local conditions may be better (inversion)',
+    'risk.visibilityPossible.title': 'Reduced visibility possible',
+    'risk.visibilityPossible.descHumid': 'High humidity (spread {spread}°C) – haze or low cloud base possible',
+    'risk.visibilityPossible.descVis': 'Visibility {vis} km – reduced long-range view',
+    'risk.visibilityPossible.advice': 'Check the weather on site, orient yourself early',
+    'foehn.south': 'South foehn',
+    'foehn.north': 'North foehn',
+
+    // === Begründung unter der Ampel (updateReasonSummary) ===
+    'hint.allGreen': '✓ <strong>All parameters in the green range.</strong>{filter} Good conditions – still check on site.',
+    'hint.filterActive': '(filter active)',
+    'hint.surfaceHigh': '💨 Surface wind too strong ({ws})',
+    'hint.surfaceMedium': '💨 Surface wind increased ({ws})',
+    'hint.gustsHigh': '💨 Dangerously strong gusts ({wg})',
+    'hint.gustsMedium': '💨 Gusts increased ({wg})',
+    'hint.gustSpreadHigh': '💨 Very gusty – difference {diff}',
+    'hint.gustSpreadMedium': '💨 Gustiness increased – difference {diff}',
+    'hint.windLevelHigh': '🌬️ Wind {level} critical ({speed})',
+    'hint.windLevelMedium': '🌬️ Wind {level} increased ({speed})',
+    'hint.gradientHigh': '📊 Gradient critical ({grad})',
+    'hint.gradientMedium': '📊 Gradient increased ({grad})',
+    'hint.gradient3000High': '📊 Gradient 3000m critical ({grad})',
+    'hint.gradient3000Medium': '📊 Gradient 3000m increased ({grad})',
+    'hint.sectorLevel900': ' at 1000m',
+    'hint.tailwind': '🧭 Tailwind at launch ({wind})',
+    'hint.crosswind': '🧭 Crosswind at launch ({wind})',
+    'hint.foehn': '🌪️ {label} – {diff} hPa {pair}',
+    'hint.lee': '⛰️ Lee behind ridge {elevation} ({dir} {speed})',
+    'hint.landing': '🪂 Landing field {name}: {reason}',
+    'hint.gustFactorHigh': '💨 Gust factor critical ({factor}x)',
+    'hint.gustFactorMedium': '💨 Gust factor increased ({factor}x)',
+    'hint.capeHigh': '⚡ CAPE critical ({cape} J/kg) – thunderstorm risk',
+    'hint.capeMedium': '🌤️ CAPE increased ({cape} J/kg)',
+    'hint.liHigh': '⚡ Lifted index {li} – very unstable',
+    'hint.liMedium': '⚡ Lifted index {li} – unstable',
+    'hint.dryAir': '💧 Very dry air (spread {spread}°C) – weak thermals',
+    'hint.visibilityCritical': '🌫️ Critical visibility ({vis} km)',
+    'hint.fogSevere': '🌫️ High fog risk – spread {spread}°C',
+    'hint.fogLikely': '🌁 Fog likely – spread {spread}°C',
+    'hint.visibilityReduced': '🌫️ Reduced visibility ({vis} km)',
+    'hint.fogPossible': '🌁 Fog possible – spread {spread}°C',
+    'hint.cloudLow': '☁️ Low clouds {pct}%',
+    'hint.cloudTotalHigh': '☁️ Heavy cloud cover {pct}%',
+    'hint.cloudTotalMedium': '☁️ Cloud cover {pct}%',
+    'hint.precipHigh': '🌧️ Precipitation {mm} mm',
+    'hint.precipMedium': '🌧️ Light precipitation possible',
+    'hint.showersHigh': '⛈️ Showers expected ({mm} mm)',
+    'hint.showersMedium': '🌦️ Local showers possible',
+    'hint.precipProb': '🌧️ Rain probability {pct}%',
+    'fog.severe': 'High 🌫️',
+    'fog.likely': 'Likely ⚠️',
+    'fog.possible': 'Possible',
+    'fog.unlikely': 'Low ✓',
+    'beginner.badge': 'Beginner-friendly',
+    'beginner.badgeSub': 'Gentle & safe conditions',
+    'beginner.perfect': 'Perfect for beginners & leisure pilots',
+    'beginner.groundWind': 'Surface wind',
+    'beginner.groundWindReason': 'Surface wind too strong for a relaxed launch',
+    'beginner.gustDiff': 'Gust spread',
+    'beginner.gustDiffReason': 'Strong gusts = turbulent air',
+    'beginner.wind1000': 'Wind 1000m',
+    'beginner.wind1000Reason': 'Wind at 1000m elevated',
+    'beginner.upperWind': 'Upper wind (1500m)',
+    'beginner.upperWindReason': 'Upper wind elevated (lee risk)',
+    'beginner.gradient': 'Wind gradient',
+    'beginner.gradientReason': 'Too much difference surface/altitude',
+    'beginner.wind2000': 'Wind 2000m',
+    'beginner.wind2000Reason': 'Wind at 2000m too strong',
+    'beginner.wind3000': 'Wind 3000m',
+    'beginner.wind3000Reason': 'Wind at 3000m too strong (foehn indicator)',
+    'beginner.cape': 'Thermal energy',
+    'beginner.capeReason': 'Rough, strong thermals possible',
+    'beginner.visibility': 'Visibility',
+    'beginner.visibilityReason': 'Reduced visibility',
+    'beginner.spread': 'Spread',
+    'beginner.spreadReason': 'Fog risk (spread too low)',
+
+    // === Lee-Skizze im Wind-Detail ===
+    'lee.upwind': '{dist} km upwind',
+    'lee.ridge': 'Ridge {elevation} (+{height}) {dist} km {dir}',
+    'lee.danger': '⚠️ In the lee: {ridge} – rotors likely',
+    'lee.caution': '⚠️ In the lee: {ridge} – lee turbulence possible',
+    'lee.weakWind': 'Ridge upwind, but upper wind only {speed}',
+    'lee.noRidge': 'No relevant ridge upwind from {dir}',
+
+    // === Thermik (W*) ===
+    'thermal.na': 'n/a',
+    'thermal.none': 'No usable thermals',
+    'thermal.cloudBase': '~{climb} m/s, cloud base {top}',
+    'thermal.blue': '~{climb} m/s, blue up to {top}',
+    'thermal.tooltip': '{hour}:00: ~{climb} m/s up to {top} ({quality})',
+    'thermal.q0': 'none',
+    'thermal.q1': 'weak',
+    'thermal.q2': 'moderate',
+    'thermal.q3': 'good',
+    'thermal.q4': 'very good',
+
+    // === Favoriten ===
+    'fav.go': 'GO',
+    'fav.caution': 'Caution',
+    'fav.nogo': 'No-Go',
+    'fav.noWindow': '(no window)',
+    'fav.error': 'Error',
+    'fav.loading': 'Loading...',
+    'fav.loadingWeather': 'Loading weather data...',
+    'fav.deleteConfirm': 'Do you really want to delete "{name}"?',
+    'fav.deleteFallback': 'this favorite',
+
+    // === Toasts ===
+    'toast.maxFavorites': 'A maximum of {max} favourites is allowed',
+    'toast.pickLanding': 'Tap the landing field on the map',
+    'toast.landingLinked': 'Landing field linked',
+    'toast.favoriteUpdated': '⭐ Favourite updated',
+    'toast.notifyBlocked': '🔕 Notifications are blocked in the browser',
+    'toast.notifyUnsupported': '🔕 This browser does not support notifications',
+    'toast.notifyNoBackground': '🔔 Background checks only available in the installed app (Chrome/Edge)',
+    'toast.notifyEnabled': '🔔 Notification for GO windows enabled',
+    'toast.offline': '📴 Offline - showing saved data',
+    'toast.online': '🌐 Back online',
+    'toast.gpsUnsupported': 'GPS not supported',
+    'toast.gpsDenied': 'GPS access denied',
+    'toast.gpsUnavailable': 'Position not available',
+    'toast.gpsTimeout': 'Timeout',
+    'toast.gpsError': 'GPS error',
+    'toast.linkCopied': '🔗 Link copied!',
+    'toast.copyFailed': 'Copying failed',
+
+    // === Hintergrund-Benachrichtigungen (Service Worker) ===
+    'notify.goTitle': '🪂 {name}: GO tomorrow',
+    'notify.goBody': 'Green window {start}-{end} h ({hours} h)',
+    'notify.redTitle': '⛔ {name}: tomorrow\'s window is gone',
+    'notify.redBody': '{start}-{end} h now no-go – the forecast has got worse'
+};
@@ -0,0 +1,718 @@
+/**
+ * SkyCheck - Sprachkatalog Französisch
+ * Schlüssel wie in de.js - fehlende Einträge fallen auf Deutsch zurück
+ */
+
+export default {
+    // === Oberfläche (statische Texte, data-i18n) ===
+    'ui.subtitle': 'Voler plus sûr avec le feu météo',
+    'ui.pageTitle': 'SkyCheck | Voler plus sûr avec le feu météo',
+    'ui.language': 'Langue',
+    'ui.speedUnit': 'Unité de vent',
+    'ui.altitudeUnit': 'Unité d\'altitude',
+    'ui.design': 'Thème',
+    'ui.about': 'Infos',
+    'ui.aboutAria': 'À propos de SkyCheck',
+    'ui.themeToggle': 'Basculer clair/sombre',
+    'ui.themeToggleAria': 'Basculer le thème sombre',
+    'ui.highContrast': 'Contraste élevé',
+    'ui.chooseSite': 'Choisir le décollage',
+    'ui.clickMap': '- cliquez sur la carte -',
+    'ui.gps': 'Ma position',
+    'ui.gpsAria': 'Déterminer la position GPS',
+    'ui.share': 'Partager le lien',
+    'ui.shareAria': 'Partager le lien du site',
+    'ui.favorites': '⭐ Mes favoris',
+    'ui.compareFavorites': 'Comparer tous les sites',
+    'ui.prepareTrip': 'Préparer le voyage : enregistrer les prévisions de tous les favoris hors ligne',
+    'ui.addFavorite': '+ Enregistrer ce site comme favori',
+    'ui.loading': 'Récupération des données météo...',
+    'ui.model': 'Modèle :',
+    'ui.sunrise': '☀️ Lever :',
+    'ui.sunset': '🌙 Coucher :',
+    'ui.daylight': '⏱️ Durée du jour :',
+    'ui.freezingLevel': '❄️ Isotherme 0°C :',
+    'ui.stationElevation': '📍 Altitude du site :',
+    'ui.dataFrom': 'Données de :',
+    'ui.dataLabel': 'Données :',
+    'ui.disclaimer': 'SkyCheck ne remplace pas un briefing météo approfondi. Les pilotes sont seuls responsables de leurs décisions de vol.',
+    'ui.motto': '🪂 <em>Dans le doute : ne décolle pas ! La montagne sera encore là demain.</em>',
+    'ui.reload': '↻ Recharger',
+    'ui.reloadTitle': 'Actualiser les données',
+    'ui.pullToRefresh': 'Tirer pour actualiser',
+    'ui.releaseToRefresh': 'Relâcher pour actualiser',
+    'ui.refreshing': 'Actualisation...',
+    'ui.noData': 'Pas de données',
+    'ui.confidence': '📊 Fiabilité de la prévision :',
+    'ui.confidenceTooltip': 'Basée sur les membres d\'ensemble (ICON-EPS/ECMWF-ENS) : part moyenne des membres donnant le même feu dans la fenêtre de vol (jour). À défaut, via la comparaison de modèles (🔀 Modèles) : part des modèles donnant le même feu dans la fenêtre de vol. Sans comparaison : estimation selon l\'échéance (aujourd\'hui élevée, demain moyenne, après-demain faible). Vérifiez à nouveau le jour du vol !',
+    'ui.bestWindow': 'Meilleur créneau :',
+    'ui.forecastChange': '📈 Évolution depuis le dernier chargement :',
+    'ui.chooseDay': '📅 Choisir le jour',
+    'ui.horizon3': '3 jours',
+    'ui.horizon7': '7 jours',
+    'ui.horizon10': '10 jours',
+    'ui.dayNavAria': 'Choix du jour',
+    'ui.horizonAria': 'Échéance de prévision',
+    'ui.horizonTitle': 'Jours après le 3e en tendance (modèle global, blocs de 3 h)',
+    'ui.filterAria': 'Filtre des paramètres',
+    'ui.filterTitle': '🎯 Filtre du feu',
+    'ui.filterHint': 'Choisis les paramètres pris en compte pour l\'évaluation du feu :',
+    'ui.filterWind': 'Vent',
+    'ui.filterThermik': 'Thermique',
+    'ui.filterClouds': 'Visibilité',
+    'ui.filterPrecip': 'Précipitations',
+    'ui.filterReset': 'Tout activer',
+    'ui.filterAll': 'Tous les paramètres',
+    'ui.filterNone': 'Aucun sélectionné',
+    'expert.toggle': '⚙️ Mode expert',
+    'expert.hintOff': 'Définir vos propres seuils pour le feu tricolore',
+    'expert.hintChanged': '✓ {count} paramètres ajustés',
+    'expert.hintAdjust': 'Cliquez sur « Ajuster » pour définir les seuils',
+    'expert.adjust': 'Ajuster',
+    'expert.adjustTitle': 'Ajuster les seuils',
+    'expert.presetBeginner': 'Débutant',
+    'expert.presetBeginnerDesc': 'Seuils prudents pour élèves et pilotes loisir',
+    'expert.presetStandard': 'Standard',
+    'expert.presetStandardDesc': 'Seuils équilibrés pour pilotes loisir expérimentés',
+    'expert.presetPro': 'Pro',
+    'expert.presetProDesc': 'Seuils étendus pour pilotes expérimentés connaissant bien le site',
+    'expert.subtitle': 'Vos propres seuils pour l\'évaluation du feu',
+    'expert.presets': 'Sélection rapide :',
+    'expert.info': 'Ajustez les seuils NO-GO. Les seuils verts sont calculés automatiquement.',
+    'expert.label.surface': 'Vent au sol max',
+    'expert.label.gusts': 'Rafales max',
+    'expert.label.gustSpread': 'Écart des rafales max',
+    'expert.label.gradient': 'Gradient max',
+    'expert.label.wind900': 'Vent 1000m max',
+    'expert.label.wind850': 'Vent 1500m max',
+    'expert.label.wind700': 'Vent 3000m max',
+    'expert.label.cape': 'CAPE max',
+    'expert.label.cloudLow': 'Nuages bas max',
+    'expert.label.visibility': 'Visibilité min',
+    'expert.label.precip': 'Précipitations max',
+    'expert.label.precipProb': 'Probabilité de pluie max',
+    'expert.reset': 'Réinitialiser',
+    'ui.timeline': 'Évolution de la journée',
+    'ui.timelineAria': 'Évolution horaire',
+    'ui.hoursAria': 'Choisir l\'heure',
+    'ui.modelCompare': '🔀 Modèles',
+    'ui.modelCompareTitle': 'Comparer ICON-D2, ICON-EU, ECMWF, GFS et AROME',
+    'ui.assessmentAria': 'Conditions de vol actuelles',
+    'ui.currentWeatherAria': 'Temps actuel',
+    'ui.killerTitle': 'Critères STOP',
+    'ui.killerSubtitle': 'NE PAS voler dans ces conditions :',
+    'ui.windByHeight': 'Vent selon l\'altitude',
+    'ui.ground': 'Sol',
+    'ui.climb': 'Montée',
+    'ui.calm': 'Calme',
+    'ui.placeSearch': '🔍 Chercher un lieu, sommet ou décollage...',
+    'ui.placeSearchAria': 'Chercher un lieu, sommet ou décollage',
+    'ui.heatmap': 'Où voler ? Vue régionale',
+    'ui.heatmapAria': 'Afficher/masquer la vue régionale',
+    'ui.windLayer': 'Flèches de vent sur la carte',
+    'ui.windLayerAria': 'Afficher/masquer les flèches de vent',
+    'ui.tilePacks': 'Cartes hors ligne',
+    'ui.tilePacksAria': 'Gérer les cartes hors ligne',
+    'ui.meteogram': 'Météogramme',
+    'meteogram.tooltip': 'Évolution du jour choisi dans la fenêtre de vol : température (rouge) et point de rosée (bleu), nébulosité haute/moyenne/basse (plus c\'est foncé, plus c\'est dense), précipitations (barres) et CAPE (orange), puis couche limite (couche thermique depuis le sol) et base des nuages calculée. Touchez une heure pour la sélectionner.',
+    'meteogram.hint': 'Touchez une heure pour la sélectionner',
+    'meteogram.noData': 'Aucune valeur horaire pour ce jour',
+    'meteogram.temp': 'Température',
+    'meteogram.dew': 'Point de rosée',
+    'meteogram.precip': 'Précipitations',
+    'meteogram.blh': 'Couche limite',
+    'meteogram.cloudBase': 'Base des nuages',
+    'meteogram.high': 'H',
+    'meteogram.mid': 'M',
+    'meteogram.low': 'B',
+    'meteogram.readoutClouds': 'Nuages B/M/H {low}/{mid}/{high} %',
+    'sounding.noData': 'Pas de profil pour cette heure (seulement les {days} premiers jours)',
+    'sounding.thermalTopLabel': 'Plafond thermique',
+    'sounding.thermalTo': 'Thermique jusqu\'à {alt}',
+    'sounding.thermalAbove': 'Thermique au-dessus de {p} hPa',
+    'sounding.workingCloud': 'Hauteur de travail ~{alt} (base des nuages)',
+    'sounding.workingBlue': 'Hauteur de travail ~{alt} (thermique pure)',
+    'sounding.inversion': 'Inversion {ranges}',
+    'sounding.noInversion': 'pas d\'inversion',
+    'sounding.surface': 'Sol',
+    'sounding.loading': '⏳ Chargement du profil...',
+    'sounding.error': '⚠️ Impossible de charger le profil',
+    'sounding.title': 'Radiosondage virtuel (Skew-T)',
+    'sounding.tooltip': 'Température (rouge) et point de rosée (bleu) de 1000 à 500 hPa. Orange : adiabatique sèche depuis le sol - là où elle croise la courbe de température, la thermique s\'arrête. LCL = niveau de condensation (base des nuages). Bandes grises = inversions. À droite : barbules de vent (demi 5 kt, entière 10 kt, fanion 50 kt).',
+    'sounding.load': 'Charger le radiosondage',
+    'sounding.loadHint': 'Profil de température 1000-500 hPa pour l\'heure choisie',
+    'sounding.chartAria': 'Diagramme Skew-T de l\'heure choisie',
+    'sounding.readoutHint': 'Touchez le diagramme pour les valeurs par niveau de pression',
+    'ui.expandAll': '📂 Tout déplier',
+    'ui.collapseAll': '📁 Tout replier',
+    'param.gridAria': 'Paramètres météo',
+    'param.windAria': 'Paramètres de vent',
+    'param.windTitle': '💨 Vent (détails)',
+    'param.windTip1': 'Valeurs de vent détaillées pour l\'heure choisie. Fort gradient = turbulence. Vent en altitude',
+    'param.windTip2': '= risque de foehn !',
+    'param.height': 'Altitude',
+    'param.speed': 'Vitesse',
+    'param.direction': 'Direction',
+    'dir.points': 'N,NNE,NE,ENE,E,ESE,SE,SSE,S,SSO,SO,OSO,O,ONO,NO,NNO',
+    'param.surface10m': 'Sol (10m)',
+    'param.gusts': 'Rafales',
+    'param.gustiness': 'Rafalosité',
+    'param.gustinessTip': 'Écart entre rafales et vent moyen. De grands écarts = conditions agitées, difficiles à évaluer.',
+    'param.gradient1500': 'Gradient (sol-1500m)',
+    'param.gradient3000': 'Gradient (sol-3000m)',
+    'param.leeTitle': '⛰️ Relief au vent',
+    'param.leeTip': 'Coupe du relief face au vent en altitude (850/700 hPa). Si une crête au vent domine nettement le site, on vole sous le vent - rotors et descendances possibles.',
+    'param.leeAria': 'Profil du relief au vent',
+    'param.windroseShow': 'Afficher la rose des vents',
+    'param.east': 'E',
+    'param.west': 'O',
+    'param.shearWarning': '⚠️ Cisaillement de direction détecté !',
+    'param.thermikAria': 'Paramètres thermiques',
+    'param.thermikTitle': '🌡️ Thermique',
+    'param.thermikTip': 'Le CAPE indique l\'énergie thermique. >1000 J/kg = risque d\'orage ! Lifted index négatif = air instable.',
+    'param.spreadTip': 'Écart température - point de rosée. Indique l\'humidité de l\'air.',
+    'param.cape': 'CAPE',
+    'param.capeTip': 'Énergie de convection (J/kg). >1000 = fort risque d\'orage !',
+    'param.liftedIndex': 'Lifted index',
+    'param.liftedIndexTip': 'Indice de stabilité. Négatif = instable = thermique forte. <-4 = orages !',
+    'param.cloudBase': '☁️ Base des nuages',
+    'param.cloudBaseTip': 'Base estimée des cumulus, calculée par spread × 125m + altitude de la station.',
+    'param.boundaryLayer': '📈 Couche limite',
+    'param.boundaryLayerTip': 'Hauteur de la couche limite - sommet de la masse d\'air proche du sol. Détermine l\'altitude maximale en thermique.',
+    'param.climb': '🌀 Taux de montée',
+    'param.climbTip': 'Force thermique estimée (W*) d\'après le rayonnement solaire et la couche limite, moins le taux de chute. Plafond de travail = couche limite, limitée par la base des nuages.',
+    'param.thermalQuality': '⭐ Qualité thermique',
+    'param.thermalQualityTip': 'Qualité de la thermique pour le cross - indépendamment du feu de sécurité.',
+    'param.cloudsAria': 'Nuages et visibilité',
+    'param.cloudsTitle': '☁️ Nuages & visibilité',
+    'param.cloudsTip': 'Les nuages bas (<2000m) sont critiques - ils freinent la thermique et peuvent boucher le décollage.',
+    'param.cloudTotal': 'Total',
+    'param.cloudLow': 'Bas (<2km)',
+    'param.cloudMid': 'Moyen',
+    'param.cloudHigh': 'Haut',
+    'param.fogRisk': 'Risque de brouillard',
+    'param.fogRiskTip': 'Basé sur le spread (temp - point de rosée), le vent et la visibilité. Avec peu de vent et un spread faible, du brouillard au sol peut se former.',
+    'param.precipTitle': '🌧️ Précipitations',
+    'param.precipTip': 'Toute précipitation pose problème - une voile mouillée vole moins bien !',
+    'param.precipAmount': 'Quantité (totale)',
+    'param.showers': 'Averses (convectives)',
+    'param.showersTip': 'Précipitations convectives de cumulus/orages - souvent locales et violentes !',
+    'param.precipProb': 'Probabilité',
+    'param.thunderRisk': 'Risque d\'orage',
+    'ref.toggle': '📖 Référence des paramètres',
+    'ref.killerTitle': '🚨 Les 5 critères STOP - toujours vérifier !',
+    'ref.killer1': 'Orage / CB',
+    'ref.killer2': 'Foehn / vent en altitude',
+    'ref.killer3': 'Cisaillement',
+    'ref.gradient': 'Gradient',
+    'ref.killer4': 'Brouillard / visibilité',
+    'ref.killer4Text': 'Visibilité <1,5 km ou spread <1°C',
+    'ref.killer5': 'Votre forme',
+    'ref.killer5Text': 'Fatigue, pression, doutes ?',
+    'ref.modelsTitle': '🌐 Modèles météo',
+    'ref.region': 'Région',
+    'ref.model': 'Modèle',
+    'ref.resolution': 'Résolution',
+    'ref.forecast': 'Prévision',
+    'ref.centralEurope': 'Europe centrale (D, A, CH)',
+    'ref.europe': 'Europe',
+    'ref.worldwide': 'Monde',
+    'ref.days5': '5 jours',
+    'ref.days7to16': '7-16 jours',
+    'ref.modelsNote': 'Le meilleur modèle disponible est choisi automatiquement. Résolution plus fine = prévision locale plus précise.',
+    'ref.beginnerTitle': '⭐ Conditions adaptées aux débutants',
+    'ref.beginnerIntro': 'Avec un feu vert ET ces valeurs, le badge « Adapté aux débutants » s\'affiche :',
+    'ref.beginnerNote': '⚠️ <strong>Remarque :</strong> cette évaluation repose uniquement sur les données des modèles. Les influences locales (brises de vallée, effets de sous le vent, déclencheurs thermiques) doivent être évaluées sur place !',
+    'ref.parameter': 'Paramètre',
+    'ref.threshold': 'Seuil',
+    'ref.why': 'Pourquoi ?',
+    'ref.begGroundWind': 'Gonflage détendu',
+    'ref.begGustDiff': 'Air calme et laminaire',
+    'ref.begUpper1500': 'Pas de danger sous le vent',
+    'ref.upperWind2000': 'Vent en altitude (2000m)',
+    'ref.begUpper2000': 'Air calme en altitude',
+    'ref.upperWind3000': 'Vent en altitude (3000m)',
+    'ref.begUpper3000': 'Pas de risque de foehn',
+    'ref.begGradient': 'Transition douce',
+    'ref.begCape': 'Thermique douce',
+    'ref.begVisibility': 'Bonne orientation',
+    'ref.begSpread': 'Pas de risque de brouillard',
+    'ref.dayTitle': '📅 Feu de la sélection du jour',
+    'ref.dayIntro': 'Le feu de la sélection du jour indique les chances de vol de la journée :',
+    'ref.status': 'Statut',
+    'ref.meaning': 'Signification',
+    'ref.dayGo': 'Créneau vert de ≥ 3 heures',
+    'ref.dayCaution': '1-2 heures vertes OU aucune heure rouge',
+    'ref.dayNogo': 'Aucun créneau vert ET des heures rouges',
+    'ref.dayNote': 'Le meilleur jour est encadré en doré (plus long créneau vert).',
+    'ref.thresholdsTitle': '🚦 Seuils du feu',
+    'ref.thresholdsIntro': 'Voici les seuils exacts utilisés pour l\'évaluation du feu.',
+    'ref.lightGreen': 'VERT = Go',
+    'ref.lightYellow': 'JAUNE = Vérifier',
+    'ref.lightRed': 'ROUGE = No-go',
+    'ref.green': 'Vert',
+    'ref.yellow': 'Jaune',
+    'ref.red': 'Rouge',
+    'ref.windTitle': '💨 Vent',
+    'ref.surfaceWind10m': 'Vent au sol (10m)',
+    'ref.gustSpread': 'Rafalosité (écart des rafales)',
+    'ref.gradient1500': 'Gradient sol↔1500m',
+    'ref.gradient3000': 'Gradient sol↔3000m',
+    'ref.thermikTitle': '🌡️ Thermique & stabilité',
+    'ref.to': 'à',
+    'ref.fogTitle': '🌫️ Brouillard & visibilité',
+    'ref.condition': 'Condition',
+    'ref.visibility': 'Visibilité',
+    'ref.spreadLowWind': 'Spread + peu de vent',
+    'ref.fogSmartTitle': 'Détection intelligente du brouillard :',
+    'ref.fogSmart1': 'Le spread seul ne suffit pas – SkyCheck combine spread, vent et visibilité. Avec un vent',
+    'ref.fogSmart2': 'le brouillard au sol se forme rarement. En jaune : vérifiez les webcams !',
+    'ref.cloudsTitle': '☁️ Nuages',
+    'ref.cloudLow': 'Nuages bas (<2km)',
+    'ref.cloudTotal': 'Couverture totale',
+    'ref.precipAmount': 'Quantité de précipitations',
+    'ref.precipProb': 'Probabilité',
+    'ref.notesTitle': '📌 Remarques importantes',
+    'ref.noteHourly': '<strong>Feu horaire :</strong> l\'évaluation reflète toujours la plus mauvaise valeur de tous les paramètres.',
+    'ref.noteBestWindow': '<strong>Meilleur créneau :</strong> plus longue phase verte continue de jour (du lever au coucher du soleil, crépuscule inclus), marquée d\'une ⭐.',
+    'ref.noteTrend': '<strong>Flèches de tendance :</strong> ↑ = valeur en hausse (souvent moins bien), ↓ = valeur en baisse, → = stable.',
+    'ref.noteGustTitle': 'Rafalosité :',
+    'ref.noteGust1': 'Écart entre rafales et vent moyen.',
+    'ref.noteGust2': '= jaune,',
+    'ref.noteGust3': '= rouge (air agité).',
+    'ref.noteConfidence': '<strong>Fiabilité :</strong> aujourd\'hui ⭐⭐⭐ (élevée), demain ⭐⭐ (moyenne), après-demain ⭐ (faible).',
+    'ref.noteLocal': '<strong>Conditions locales :</strong> cette appli ne remplace pas la vérification sur place ! Observez la manche à air, les nuages et votre intuition.',
+    'ui.favoriteSave': '⭐ Enregistrer le favori',
+    'ui.favoriteName': 'Saisir un nom...',
+    'ui.favoriteNameAria': 'Nom du favori',
+    'notifyForm.enable': '🔔 M\'avertir d\'un créneau GO demain',
+    'notifyForm.daysAria': 'Jours de la semaine',
+    'notifyForm.mon': 'Lu',
+    'notifyForm.tue': 'Ma',
+    'notifyForm.wed': 'Me',
+    'notifyForm.thu': 'Je',
+    'notifyForm.fri': 'Ve',
+    'notifyForm.sat': 'Sa',
+    'notifyForm.sun': 'Di',
+    'notifyForm.minHours': 'Créneau d\'au moins',
+    'notifyForm.hoursGreen': 'h en vert',
+    'notifyForm.quiet': 'Heures calmes',
+    'notifyForm.quietToAria': 'Heures calmes jusqu\'à',
+    'notifyForm.oclock': 'h',
+    'notifyForm.hint': 'Prévient aussi quand un créneau annoncé passe au rouge.',
+    'ui.favoriteDelete': '🗑️ Supprimer le favori ?',
+    'ui.cancel': 'Annuler',
+    'ui.save': 'Enregistrer',
+    'ui.delete': 'Supprimer',
+    'ui.compareTitle': '📊 Comparaison des sites',
+    'ui.closeDialog': 'Fermer la fenêtre',
+    'ui.close': 'Fermer',
+    'fav.deleteDefault': 'Voulez-vous vraiment supprimer ce favori ?',
+    'about.tabAbout': 'Qu\'est-ce que SkyCheck ?',
+    'about.tabFeatures': 'Fonctions',
+    'about.tabLimits': 'Limites',
+    'about.intro': '<strong>SkyCheck</strong> analyse automatiquement les principaux paramètres météo pour voler en parapente en sécurité et t\'indique d\'un coup d\'œil si les conditions sont favorables.',
+    'about.trafficLight': 'Le <strong>système de feux</strong> (vert/jaune/rouge) évalue chaque heure selon le vent, la thermique, les nuages et les précipitations.',
+    'about.dataSource': 'Source des données',
+    'about.dataFrom': 'Les données météo proviennent de',
+    'about.dataModels': 'et utilisent selon la région le modèle haute résolution ICON-D2 (2,2km) ou ICON-EU (7km).',
+    'about.refHint': '💡 Les seuils détaillés se trouvent dans la <strong>référence des paramètres</strong> en bas de page.',
+    'about.feature1': '<strong>Feu météo</strong> heure par heure (de jour)',
+    'about.feature2': '<strong>5 critères STOP</strong> - les principaux dangers en un coup d\'œil',
+    'about.feature3': '<strong>Vent par altitude</strong> - du sol à 3000m avec gradient',
+    'about.feature4': '<strong>Rose des vents</strong> - direction du vent à toutes les altitudes',
+    'about.feature5': '<strong>Profil vertical du vent</strong> - évolution de la journée par altitude',
+    'about.feature6': '<strong>Favoris</strong> - enregistre tes décollages',
+    'about.feature7': '<strong>Hors ligne</strong> - installable en PWA',
+    'about.feature8': '<strong>Badge débutant</strong> - signale les conditions idéales',
+    'about.feature9': '<strong>Prévision sur 3 jours</strong> avec feu du jour',
+    'about.feature10': '<strong>Vent en direct</strong> - mesures d\'OpenWindMap + services d\'avalanches (Alpes)',
+    'about.limitsTitle': '⚠️ Remarques importantes',
+    'about.limit1': 'SkyCheck <strong>ne remplace pas un briefing météo approfondi</strong> ni ton propre jugement.',
+    'about.limit2': '<strong>Données de modèle ≠ réalité</strong> - les prévisions peuvent différer des conditions réelles.',
+    'about.limit3': '<strong>Les effets locaux</strong> (brise de vallée, sous le vent, déclencheurs thermiques) ne sont pas pris en compte.',
+    'about.limit4': 'Le jour du vol, <strong>toujours vérifier sur place</strong> : manche à air, nuages, intuition !',
+    'about.limit5': 'Les pilotes sont <strong>seuls responsables</strong> de leurs décisions de vol.',
+    'about.showWelcome': '🎓 Revoir l\'introduction',
+    'about.feedback': '📧 Envoyer un avis',
+    'welcome.title': 'Bienvenue sur SkyCheck !',
+    'welcome.tagline': 'Ton assistant météo pour le parapente',
+    'welcome.step1Title': 'Choisir un site',
+    'welcome.step1Text': 'Clique sur la carte ou utilise le GPS pour choisir ton décollage. Tu peux aussi partager des coordonnées par lien.',
+    'welcome.step2Title': 'Le feu',
+    'welcome.step2Text': 'Vert = volable, jaune = limité, rouge = inadapté. Basé sur le vent, la thermique, la visibilité et les précipitations.',
+    'welcome.step3Title': 'Évolution de la journée',
+    'welcome.step3Text': 'La frise montre heure par heure l\'évolution des conditions. Touche une heure pour les détails.',
+    'welcome.step4Title': 'Favoris',
+    'welcome.step4Text': 'Enregistre tes sites préférés pour y accéder vite et compare la météo de plusieurs sites.',
+    'welcome.step5Title': 'Mode expert',
+    'welcome.step5Text': 'Adapte les seuils du feu à ton niveau et à ton expérience.',
+    'welcome.start': 'C\'est parti !',
+
+    // === Ampel ===
+    'status.go': 'GO',
+    'status.caution': 'PRUDENCE',
+    'status.nogo': 'NO-GO',
+
+    // === Wetter (Open-Meteo weather_code) ===
+    'weather.0': 'Dégagé',
+    'weather.1': 'Plutôt dégagé',
+    'weather.2': 'Partiellement nuageux',
+    'weather.3': 'Couvert',
+    'weather.45': 'Brouillard',
+    'weather.48': 'Brouillard givrant',
+    'weather.51': 'Bruine',
+    'weather.53': 'Bruine',
+    'weather.55': 'Forte bruine',
+    'weather.61': 'Pluie faible',
+    'weather.63': 'Pluie',
+    'weather.65': 'Forte pluie',
+    'weather.71': 'Neige faible',
+    'weather.73': 'Neige',
+    'weather.75': 'Forte neige',
+    'weather.80': 'Averses',
+    'weather.81': 'Averses',
+    'weather.82': 'Fortes averses',
+    'weather.95': 'Orage',
+    'weather.96': 'Orage+grêle',
+    'weather.99': 'Violent orage',
+    'weather.unknown': 'Inconnu',
+
+    // === Tage und Zeiten ===
+    'day.today': 'Aujourd\'hui',
+    'day.tomorrow': 'Demain',
+    'day.trend': 'Tendance',
+    'day.trendTitle': 'Tendance : modèle global ({model}), évaluation par blocs de {hours} h',
+    'day.ensembleTitle': 'Ø {pct} % des membres de l\'ensemble concordent (créneau de vol)',
+    'day.ensembleStars': 'En moy. {pct} % des membres {model} d\'accord (créneau de vol)',
+    'day.modelStars': 'Modèles d\'accord à {pct} % (créneau de vol)',
+    'time.clock': '{time}',
+    'time.trendBlock': '{from}–{to} h (tendance)',
+    'time.range': '({from}–{to} h)',
+    'age.justNow': 'à l\'instant',
+    'age.minutes': 'il y a {min} min',
+    'age.hoursMinutes': 'il y a {hours} h {min} min',
+    'age.hours': 'il y a {hours} h',
+    'dataAge.snapshot': '📡 Prévision hors ligne de {time} ({age})',
+    'dataAge.cache': '📡 Pas de connexion - données enregistrées de {time} ({age})',
+    'dataAge.degraded': 'Obsolète : feu au mieux PRUDENCE.',
+    'trip.offline': 'Hors ligne - impossible de charger les prévisions maintenant',
+    'trip.started': 'Chargement des prévisions pour {count} favoris…',
+    'trip.done': '{count} prévisions enregistrées hors ligne',
+    'trip.partial': 'Seulement {saved} prévisions sur {total} enregistrées',
+    'liveWind.spanAria': 'Période de l\'historique',
+    'liveWind.title': 'Vent en direct (stations)',
+    'liveWind.tooltip': 'Mesures de vent actuelles de vraies stations à proximité. Sources : OpenWindMap/Pioupiou (OWM), services d\'avalanches (LWD Tyrol, Bavière, Salzbourg, Tyrol du Sud), MétéoSuisse (MCH), DWD, GeoSphere Austria (GSA), METAR d\'aérodromes et Holfuy (HF, uniquement avec votre propre accès API). Remarque : les mesures peuvent différer localement des prévisions !',
+    'liveWind.badge': 'DIRECT',
+    'liveWind.refresh': 'Actualiser',
+    'liveWind.load': 'Charger le vent en direct',
+    'liveWind.loadHint': 'Stations dans un rayon de 30 km',
+    'liveWind.avalancheServices': 'services d\'avalanches',
+    'liveWind.note': '⚠️ Les mesures peuvent différer localement',
+    'liveWind.sparkAria': 'Vent des {hours} dernières heures, rafales jusqu\'à {max}',
+    'liveWind.trendUp': 'En hausse (+{delta})',
+    'liveWind.trendDown': 'En baisse (−{delta})',
+    'liveWind.trendSteady': 'Stable',
+    'liveWind.openAt': '{name} – ouvrir sur {provider}',
+    'liveWind.sources': 'Données : {sources}',
+    'liveWind.unknownStation': 'Station inconnue',
+    'liveWind.gusts': 'Rafales :',
+    'liveWind.noStations': 'Aucune station trouvée dans un rayon de {radius} km',
+    'liveWind.error': '⚠️ Impossible de charger les données',
+    'modelCheck.title': '🧪 Contrôle du modèle {time}',
+    'modelCheck.observed': 'Mesuré',
+    'modelCheck.forecast': 'Modèle',
+    'modelCheck.deltaTitle': 'Vent moyen mesuré moins prévision à l\'altitude de la balise',
+    'modelCheck.direction': 'La direction du vent diffère de {diff}°',
+    'modelCheck.underestimated': '⚠️ Le modèle sous-estime le vent (jusqu\'à +{delta}) - feu pour {time} au mieux PRUDENCE.',
+    'modelCheck.ok': '✓ La prévision correspond aux mesures.',
+
+    // === Standort und Modell ===
+    'initial.title': 'Choisis un site',
+    'initial.text': 'Clique sur la carte ou utilise le GPS.',
+    'location.details': '{lat}°N, {lon}°E — {elevation} d\'alt.',
+    'location.takeoff': '🧭 Orientation du décollage : {sectors}',
+    'sector.none': 'Aucune orientation de décollage définie',
+    'sector.remove': 'Supprimer le secteur',
+    'sector.editorLabel': '🧭 Orientations de décollage (facultatif)',
+    'sector.compassAria': 'Boussole pour définir les orientations de décollage',
+    'sector.from': 'Secteur de',
+    'sector.to': '° à',
+    'sector.toAria': 'Secteur jusqu\'à',
+    'sector.add': 'Ajouter',
+    'sector.hint': 'Faites glisser sur la boussole ou saisissez des degrés (sens horaire) pour définir un secteur de vent (3 max.).',
+    'location.timezone': '🕐 Heures locales du site {zone}',
+    'place.noResults': 'Aucun lieu trouvé',
+    'place.searching': 'Recherche...',
+    'place.offline': 'Hors ligne - résultats de la liste de lieux intégrée',
+    'place.near': 'près de {name}',
+    'heatmap.title': '▦ Où voler ?',
+    'heatmap.sliderAria': 'Heure de la vue',
+    'grid.zoomIn': 'Zoomez davantage pour charger',
+    'grid.loading': 'Chargement de {count} points...',
+    'grid.error': 'Impossible de charger les données de la grille',
+    'grid.outOfRange': 'Disponible uniquement pour les {days} premiers jours',
+    'heatmap.summary': '{go} GO · {caution} PRUDENCE · {nogo} NO-GO - touchez une case pour la charger',
+    'windLayer.title': '🌬️ Flèches de vent',
+    'windLayer.levelAria': 'Niveau d\'altitude',
+    'windLayer.sliderAria': 'Heure des flèches de vent',
+    'windLayer.summary': 'max. {max}',
+    'windLayer.noData': 'Pas de données de vent pour cette heure',
+    'tilePack.title': '📥 Cartes hors ligne',
+    'tilePack.draw': '▭ Tracer une zone',
+    'tilePack.useView': 'Utiliser la vue actuelle',
+    'tilePack.drawHint': 'Tracez un rectangle sur la carte',
+    'tilePack.namePlaceholder': 'Nom de la région',
+    'tilePack.zoom': 'Zoom',
+    'tilePack.minZoomAria': 'Niveau de zoom minimal',
+    'tilePack.maxZoomAria': 'Niveau de zoom maximal',
+    'tilePack.download': 'Télécharger',
+    'tilePack.estimate': '{count} tuiles · env. {size}',
+    'tilePack.storage': 'Stockage utilisé : {used} sur {quota}',
+    'tilePack.defaultName': 'Région',
+    'tilePack.started': 'Téléchargement de « {name} » lancé',
+    'tilePack.done': '« {name} » est disponible hors ligne',
+    'tilePack.partial': '« {name} » incomplet - {failed} tuiles manquantes',
+    'tilePack.errorTooLarge': 'trop grand (max. {max} tuiles)',
+    'tilePack.errorQuota': 'Stockage insuffisant pour ce pack de cartes',
+    'tilePack.errorFailed': 'Le pack de cartes n\'a pas pu être téléchargé',
+    'tilePack.noWorker': 'Les cartes hors ligne nécessitent le service worker - rechargez la page',
+    'tilePack.none': 'Aucune carte hors ligne',
+    'tilePack.progress': 'Chargement… {done}/{total} tuiles',
+    'tilePack.info': 'Zoom {zoom} · {size} · {date}',
+    'tilePack.incomplete': 'incomplet',
+    'tilePack.cancel': 'Annuler',
+    'tilePack.show': 'Afficher sur la carte',
+    'tilePack.refresh': 'Actualiser',
+    'tilePack.resume': 'Reprendre',
+    'tilePack.delete': 'Supprimer',
+    'tilePack.confirmDelete': 'Supprimer ?',
+    'landing.defaultName': 'Atterrissage',
+    'landing.linked': '🪂 {name} ({elevation}, {drop} sous le déco)',
+    'landing.none': '🪂 Aucun atterrissage lié',
+    'landing.pick': 'Choisir l\'atterro',
+    'landing.change': 'Modifier',
+    'landing.remove': 'Retirer l\'atterrissage',
+    'landing.compareTitle': 'Déco vs. atterrissage',
+    'landing.noHour': 'Aucune valeur d\'atterrissage pour cette heure',
+    'landing.noData': 'Vent à l\'atterrissage indisponible',
+    'landing.launch': 'Déco',
+    'landing.surfaceWind': 'Vent au sol',
+    'landing.gusts': 'Rafales',
+    'landing.direction': 'Direction',
+    'landing.rating': 'Évaluation',
+    'landing.valleyWind': 'Le vent à l\'atterrissage vient d\'une autre direction qu\'au déco (brise de vallée) - adaptez votre approche',
+    'landing.reason.wind': 'vent au sol {ws}',
+    'landing.reason.gusts': 'rafales {wg}',
+    'landing.reason.gustSpread': 'turbulent ({ws}, rafales {wg})',
+    'landing.reason.precip': 'précipitations',
+    'landing.reason.fog': 'brouillard / mauvaise visibilité',
+    'model.outsideEurope': '⚠️ Hors d\'Europe - modèle global (moins précis pour les conditions locales)',
+    'model.iconEu': 'ℹ️ Modèle ICON-EU (résolution 7 km)',
+    'model.compareLoading': '⏳ Chargement des modèles...',
+    'model.compareUnavailable': '⚠️ Comparaison des modèles indisponible pour ce site',
+    'model.compareAgreement': 'Concordance {pct} %',
+    'model.spread': 'Écart sur {count} modèles',
+    'ensemble.info': '🎲 GO dans {go} des membres · PRUDENCE {caution} · NO-GO {nogo} ({model}, {total} membres)',
+    'ensemble.goShare': 'GO dans {pct} % des membres',
+
+    // === Fehler beim Laden ===
+    'error.load.title': 'Erreur de chargement',
+    'error.load.hint': 'Réessaie ou choisis un autre site.',
+    'error.offline.title': 'Pas de connexion Internet',
+    'error.offline.detail': 'Tu es hors ligne.',
+    'error.offline.hint': 'Vérifie ta connexion et réessaie.',
+    'error.timeout.title': 'Le serveur ne répond pas',
+    'error.timeout.detail': 'L\'API météo est actuellement surchargée.',
+    'error.timeout.hint': 'Patiente un instant et réessaie.',
+    'error.rateLimit.title': 'Limite de l\'API atteinte',
+    'error.rateLimit.detail': 'Trop de requêtes en peu de temps.',
+    'error.rateLimit.hint': 'Patiente quelques minutes.',
+    'error.network.title': 'Erreur réseau',
+    'error.network.detail': 'La connexion au service météo a échoué.',
+    'error.network.hint': 'Vérifie ta connexion Internet.',
+
+    // === Risiko-Erklärungen (getRiskExplanation) ===
+    'risk.surfaceHigh.title': 'Vent au sol fort',
+    'risk.surfaceHigh.desc': '{ws} au sol – décollage difficile, risque de traînage',
+    'risk.surfaceHigh.advice': 'Réservé aux pilotes expérimentés maîtrisant bien leur aile',
+    'risk.surfaceMedium.title': 'Vent au sol soutenu',
+    'risk.surfaceMedium.desc': '{ws} – gonflage actif nécessaire',
+    'risk.surfaceMedium.advice': 'Gonflage face à la voile recommandé, attention aux rafales',
+    'risk.gustsHigh.title': 'Fortes rafales',
+    'risk.gustsHigh.desc': 'Rafales {wg} ({diff} au-dessus du vent moyen) – très turbulent',
+    'risk.gustsHigh.advice': 'Risque de fermetures accru, forte charge de pilotage',
+    'risk.gustsMedium.title': 'Rafales marquées',
+    'risk.gustsMedium.desc': 'Rafales {wg} ({diff} au-dessus du vent moyen) – air agité',
+    'risk.gustsMedium.advice': 'Pilotage actif nécessaire, garder l\'aile à l\'œil',
+    'risk.upperHigh.title': 'Vent en altitude dangereux',
+    'risk.upperHigh.desc': '{w700} à 3000 m – turbulences sous le vent extrêmes possibles',
+    'risk.upperHigh.advice': 'Éviter absolument les faces sous le vent ! Risque de fœhn dans les Alpes',
+    'risk.upperMedium.title': 'Vent en altitude fort',
+    'risk.upperMedium.desc': '{w700} à 3000 m – turbulences sous le vent possibles',
+    'risk.upperMedium.advice': 'Éviter les zones sous le vent, accélérateur prêt',
+    'risk.foehnHigh.title': '{label} en percée',
+    'risk.foehnHigh.desc': 'Écart de pression {diff} – vents descendants violents dans les vallées sous le vent',
+    'risk.foehnHigh.advice': 'Ne pas voler ! Même avec peu de vent au sol, une percée soudaine du fœhn menace',
+    'risk.foehnMedium.title': '{label} possible',
+    'risk.foehnMedium.desc': 'Écart de pression {diff} – situation de fœhn en formation',
+    'risk.foehnMedium.adviceSouth': 'Éviter le versant nord des Alpes, surveiller l\'évolution du vent',
+    'risk.foehnMedium.adviceNorth': 'Éviter le versant sud des Alpes, surveiller l\'évolution du vent',
+    'risk.leeHigh.title': 'Fort effet sous le vent',
+    'risk.leeHigh.advice': 'Rotors et fortes dégueulantes probables - choisir un décollage au vent',
+    'risk.leeMedium.title': 'Site sous le vent',
+    'risk.leeMedium.advice': 'Turbulences sous le vent possibles, garder ses distances avec la crête',
+    'risk.lee.desc': 'Crête {elevation} (+{height}) à {dist} km au vent, {speed} du {dir}',
+    'risk.gradientHigh.title': 'Cisaillement dangereux',
+    'risk.gradientHigh.desc': '{grad} d\'écart sol/1500 m – forte turbulence',
+    'risk.gradientHigh.advice': 'Surveiller l\'aile en montée, réactions brusques possibles',
+    'risk.gradientMedium.title': 'Gradient de vent marqué',
+    'risk.gradientMedium.desc': '{grad} d\'écart sol/1500 m',
+    'risk.gradientMedium.advice': 'En thermique, s\'attendre à des changements de vent',
+    'risk.capeHigh.title': 'Risque d\'orage',
+    'risk.capeHigh.desc': 'CAPE {cape} J/kg – des cumulonimbus (Cb) peuvent se former',
+    'risk.capeHigh.advice': 'Se poser tôt ! Surveiller en permanence l\'évolution',
+    'risk.capeMedium.title': 'Thermiques puissants',
+    'risk.capeMedium.desc': 'CAPE {cape} J/kg – ascendances fortes et agitées possibles',
+    'risk.capeMedium.advice': 'Réservé aux pilotes thermiciens expérimentés, surveiller les nuages',
+    'risk.visibilitySevere.title': 'Visibilité critique',
+    'risk.visibilitySevere.desc': 'Seulement {vis} km de visibilité – sous le minimum VFR',
+    'risk.visibilitySevere.advice': 'Ne pas décoller ! Orientation et repérage de l\'atterrissage impossibles',
+    'risk.fogSevere.title': 'Fort risque de brouillard',
+    'risk.fogSevere.desc': 'Spread de {spread}°C seulement avec {ws} de vent – conditions typiques de brouillard',
+    'risk.fogSevere.advice': 'Air presque saturé, brouillard au sol très probable',
+    'risk.fogLikely.title': 'Brouillard probable',
+    'risk.fogLikely.desc': 'Spread {spread}°C, visibilité {vis} km – humide et brumeux',
+    'risk.fogLikely.advice': 'Vérifier les webcams ! Les conditions locales peuvent être meilleures (inversion)',
+    'risk.visibilityPossible.title': 'Visibilité réduite possible',
+    'risk.visibilityPossible.descHumid': 'Humidité élevée (spread {spread}°C) – brume ou plafond bas possibles',
+    'risk.visibilityPossible.descVis': 'Visibilité {vis} km – vue lointaine réduite',
+    'risk.visibilityPossible.advice': 'Vérifier la météo sur place, s\'orienter tôt',
+    'foehn.south': 'Fœhn du sud',
+    'foehn.north': 'Fœhn du nord',
+
+    // === Begründung unter der Ampel (updateReasonSummary) ===
+    'hint.allGreen': '✓ <strong>Tous les paramètres sont au vert.</strong>{filter} Bonnes conditions – vérifier quand même sur place.',
+    'hint.filterActive': '(filtre actif)',
+    'hint.surfaceHigh': '💨 Vent au sol trop fort ({ws})',
+    'hint.surfaceMedium': '💨 Vent au sol soutenu ({ws})',
+    'hint.gustsHigh': '💨 Rafales dangereuses ({wg})',
+    'hint.gustsMedium': '💨 Rafales marquées ({wg})',
+    'hint.gustSpreadHigh': '💨 Très rafaleux – écart {diff}',
+    'hint.gustSpreadMedium': '💨 Rafales marquées – écart {diff}',
+    'hint.windLevelHigh': '🌬️ Vent {level} critique ({speed})',
+    'hint.windLevelMedium': '🌬️ Vent {level} soutenu ({speed})',
+    'hint.gradientHigh': '📊 Gradient critique ({grad})',
+    'hint.gradientMedium': '📊 Gradient marqué ({grad})',
+    'hint.gradient3000High': '📊 Gradient 3000 m critique ({grad})',
+    'hint.gradient3000Medium': '📊 Gradient 3000 m marqué ({grad})',
+    'hint.sectorLevel900': ' à 1000 m',
+    'hint.tailwind': '🧭 Vent arrière au décollage ({wind})',
+    'hint.crosswind': '🧭 Vent de travers au décollage ({wind})',
+    'hint.foehn': '🌪️ {label} – {diff} hPa {pair}',
+    'hint.lee': '⛰️ Sous le vent d\'une crête de {elevation} ({dir} {speed})',
+    'hint.landing': '🪂 Atterrissage {name} : {reason}',
+    'hint.gustFactorHigh': '💨 Facteur de rafale critique ({factor}x)',
+    'hint.gustFactorMedium': '💨 Facteur de rafale marqué ({factor}x)',
+    'hint.capeHigh': '⚡ CAPE critique ({cape} J/kg) – risque d\'orage',
+    'hint.capeMedium': '🌤️ CAPE élevé ({cape} J/kg)',
+    'hint.liHigh': '⚡ Lifted index {li} – très instable',
+    'hint.liMedium': '⚡ Lifted index {li} – instable',
+    'hint.dryAir': '💧 Air très sec (spread {spread}°C) – thermiques faibles',
+    'hint.visibilityCritical': '🌫️ Visibilité critique ({vis} km)',
+    'hint.fogSevere': '🌫️ Fort risque de brouillard – spread {spread}°C',
+    'hint.fogLikely': '🌁 Brouillard probable – spread {spread}°C',
+    'hint.visibilityReduced': '🌫️ Visibilité réduite ({vis} km)',
+    'hint.fogPossible': '🌁 Brouillard possible – spread {spread}°C',
+    'hint.cloudLow': '☁️ Nuages bas {pct}%',
+    'hint.cloudTotalHigh': '☁️ Forte nébulosité {pct}%',
+    'hint.cloudTotalMedium': '☁️ Nébulosité {pct}%',
+    'hint.precipHigh': '🌧️ Précipitations {mm} mm',
+    'hint.precipMedium': '🌧️ Faibles précipitations possibles',
+    'hint.showersHigh': '⛈️ Averses attendues ({mm} mm)',
+    'hint.showersMedium': '🌦️ Averses locales possibles',
+    'hint.precipProb': '🌧️ Probabilité de pluie {pct}%',
+    'fog.severe': 'Élevé 🌫️',
+    'fog.likely': 'Probable ⚠️',
+    'fog.possible': 'Possible',
+    'fog.unlikely': 'Faible ✓',
+    'beginner.badge': 'Adapté aux débutants',
+    'beginner.badgeSub': 'Conditions douces et sûres',
+    'beginner.perfect': 'Parfait pour débutants et pilotes loisir',
+    'beginner.groundWind': 'Vent au sol',
+    'beginner.groundWindReason': 'Vent au sol trop fort pour un gonflage serein',
+    'beginner.gustDiff': 'Écart de rafales',
+    'beginner.gustDiffReason': 'Fortes rafales = air turbulent',
+    'beginner.wind1000': 'Vent 1000m',
+    'beginner.wind1000Reason': 'Vent à 1000m élevé',
+    'beginner.upperWind': 'Vent en altitude (1500m)',
+    'beginner.upperWindReason': 'Vent en altitude élevé (risque de sous le vent)',
+    'beginner.gradient': 'Gradient de vent',
+    'beginner.gradientReason': 'Trop d\'écart sol/altitude',
+    'beginner.wind2000': 'Vent 2000m',
+    'beginner.wind2000Reason': 'Vent à 2000m trop fort',
+    'beginner.wind3000': 'Vent 3000m',
+    'beginner.wind3000Reason': 'Vent à 3000m trop fort (indicateur de fœhn)',
+    'beginner.cape': 'Énergie thermique',
+    'beginner.capeReason': 'Thermiques fortes et turbulentes possibles',
+    'beginner.visibility': 'Visibilité',
+    'beginner.visibilityReason': 'Visibilité réduite',
+    'beginner.spread': 'Spread',
+    'beginner.spreadReason': 'Risque de brouillard (spread trop faible)',
+
+    // === Lee-Skizze im Wind-Detail ===
+    'lee.upwind': '{dist} km au vent',
+    'lee.ridge': 'Crête {elevation} (+{height}) à {dist} km {dir}',
+    'lee.danger': '⚠️ Sous le vent : {ridge} – rotors probables',
+    'lee.caution': '⚠️ Sous le vent : {ridge} – turbulences possibles',
+    'lee.weakWind': 'Crête au vent, mais vent en altitude de {speed} seulement',
+    'lee.noRidge': 'Pas de crête significative au {dir}',
+
+    // === Thermik (W*) ===
+    'thermal.na': 'n.d.',
+    'thermal.none': 'Pas de thermique exploitable',
+    'thermal.cloudBase': '~{climb} m/s, plafond {top}',
+    'thermal.blue': '~{climb} m/s, bleu jusqu\'à {top}',
+    'thermal.tooltip': '{hour} h : ~{climb} m/s jusqu\'à {top} ({quality})',
+    'thermal.q0': 'aucune',
+    'thermal.q1': 'faible',
+    'thermal.q2': 'modérée',
+    'thermal.q3': 'bonne',
+    'thermal.q4': 'très bonne',
+
+    // === Favoriten ===
+    'fav.go': 'GO',
+    'fav.caution': 'Prudence',
+    'fav.nogo': 'No-Go',
+    'fav.noWindow': '(pas de créneau)',
+    'fav.error': 'Erreur',
+    'fav.loading': 'Chargement...',
+    'fav.loadingWeather': 'Chargement de la météo...',
+    'fav.deleteConfirm': 'Voulez-vous vraiment supprimer « {name} » ?',
+    'fav.deleteFallback': 'ce favori',
+
+    // === Toasts ===
+    'toast.maxFavorites': '{max} favoris au maximum',
+    'toast.pickLanding': 'Touchez l\'atterrissage sur la carte',
+    'toast.landingLinked': 'Atterrissage lié',
+    'toast.favoriteUpdated': '⭐ Favori mis à jour',
+    'toast.notifyBlocked': '🔕 Les notifications sont bloquées dans le navigateur',
+    'toast.notifyUnsupported': '🔕 Ce navigateur ne prend pas en charge les notifications',
+    'toast.notifyNoBackground': '🔔 Vérification en arrière-plan uniquement dans l\'application installée (Chrome/Edge)',
+    'toast.notifyEnabled': '🔔 Notification des créneaux GO activée',
+    'toast.offline': '📴 Hors ligne - affichage des données enregistrées',
+    'toast.online': '🌐 De nouveau en ligne',
+    'toast.gpsUnsupported': 'GPS non pris en charge',
+    'toast.gpsDenied': 'Accès GPS refusé',
+    'toast.gpsUnavailable': 'Position indisponible',
+    'toast.gpsTimeout': 'Délai dépassé',
+    'toast.gpsError': 'Erreur GPS',
+    'toast.linkCopied': '🔗 Lien copié !',
+    'toast.copyFailed': 'Échec de la copie',
+
+    // === Hintergrund-Benachrichtigungen (Service Worker) ===
+    'notify.goTitle': '🪂 {name} : GO demain',
+    'notify.goBody': 'Créneau vert {start}-{end} h ({hours} h)',
+    'notify.redTitle': '⛔ {name} : le créneau de demain tombe',
+    'notify.redBody': '{start}-{end} h désormais no-go – la prévision s\'est dégradée'
+};
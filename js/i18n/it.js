@@ -0,0 +1,718 @@
+/**
+ * SkyCheck - Sprachkatalog Italienisch
+ * Schlüssel wie in de.js - fehlende Einträge fallen auf Deutsch zurück
+ */
+
+export default {
+    // === Oberfläche (statische Texte, data-i18n) ===
+    'ui.subtitle': 'Volare più sicuri con il semaforo meteo',
+    'ui.pageTitle': 'SkyCheck | Volare più sicuri con il semaforo meteo',
+    'ui.language': 'Lingua',
+    'ui.speedUnit': 'Unità del vento',
+    'ui.altitudeUnit': 'Unità di quota',
+    'ui.design': 'Tema',
+    'ui.about': 'Info',
+    'ui.aboutAria': 'Informazioni su SkyCheck',
+    'ui.themeToggle': 'Cambia chiaro/scuro',
+    'ui.themeToggleAria': 'Attiva/disattiva tema scuro',
+    'ui.highContrast': 'Contrasto elevato',
+    'ui.chooseSite': 'Scegli il decollo',
+    'ui.clickMap': '- clicca sulla mappa -',
+    'ui.gps': 'La mia posizione',
+    'ui.gpsAria': 'Rileva posizione GPS',
+    'ui.share': 'Condividi link',
+    'ui.shareAria': 'Condividi il link del sito',
+    'ui.favorites': '⭐ I miei preferiti',
+    'ui.compareFavorites': 'Confronta tutti i siti',
+    'ui.prepareTrip': 'Prepara il viaggio: salva offline le previsioni di tutti i preferiti',
+    'ui.addFavorite': '+ Salva il sito attuale come preferito',
+    'ui.loading': 'Caricamento dati meteo...',
+    'ui.model': 'Modello:',
+    'ui.sunrise': '☀️ Alba:',
+    'ui.sunset': '🌙 Tramonto:',
+    'ui.daylight': '⏱️ Luce diurna:',
+    'ui.freezingLevel': '❄️ Zero termico:',
+    'ui.stationElevation': '📍 Quota del sito:',
+    'ui.dataFrom': 'Dati delle:',
+    'ui.dataLabel': 'Dati:',
+    'ui.disclaimer': 'SkyCheck non sostituisce una consulenza meteo approfondita. I piloti sono responsabili delle proprie decisioni di volo.',
+    'ui.motto': '🪂 <em>Nel dubbio: non decollare! La montagna ci sarà anche domani.</em>',
+    'ui.reload': '↻ Ricarica',
+    'ui.reloadTitle': 'Aggiorna dati',
+    'ui.pullToRefresh': 'Trascina per aggiornare',
+    'ui.releaseToRefresh': 'Rilascia per aggiornare',
+    'ui.refreshing': 'Aggiornamento...',
+    'ui.noData': 'Nessun dato',
+    'ui.confidence': '📊 Affidabilità previsione:',
+    'ui.confidenceTooltip': 'Basata sulle corse dell\'ensemble (ICON-EPS/ECMWF-ENS): quota media di corse con lo stesso semaforo nella finestra di volo (luce diurna). In alternativa con il confronto modelli (🔀 Modelli): quota di modelli con lo stesso semaforo nella finestra di volo. Senza confronto: stima in base all\'orizzonte (oggi alta, domani media, dopodomani bassa). Ricontrollare il giorno del volo!',
+    'ui.bestWindow': 'Finestra migliore:',
+    'ui.forecastChange': '📈 Variazione dall\'ultimo caricamento:',
+    'ui.chooseDay': '📅 Scegli il giorno',
+    'ui.horizon3': '3 giorni',
+    'ui.horizon7': '7 giorni',
+    'ui.horizon10': '10 giorni',
+    'ui.dayNavAria': 'Scelta del giorno',
+    'ui.horizonAria': 'Orizzonte di previsione',
+    'ui.horizonTitle': 'Giorni dopo il terzo come tendenza (modello globale, blocchi di 3 h)',
+    'ui.filterAria': 'Filtro parametri',
+    'ui.filterTitle': '🎯 Filtro semaforo',
+    'ui.filterHint': 'Scegli quali parametri considerare nella valutazione del semaforo:',
+    'ui.filterWind': 'Vento',
+    'ui.filterThermik': 'Termica',
+    'ui.filterClouds': 'Visibilità',
+    'ui.filterPrecip': 'Precipitazioni',
+    'ui.filterReset': 'Attiva tutti',
+    'ui.filterAll': 'Tutti i parametri',
+    'ui.filterNone': 'Nessuno selezionato',
+    'expert.toggle': '⚙️ Modalità esperto',
+    'expert.hintOff': 'Definisci i tuoi limiti per il semaforo',
+    'expert.hintChanged': '✓ {count} parametri modificati',
+    'expert.hintAdjust': 'Clicca "Modifica" per impostare i limiti',
+    'expert.adjust': 'Modifica',
+    'expert.adjustTitle': 'Modifica i limiti',
+    'expert.presetBeginner': 'Principiante',
+    'expert.presetBeginnerDesc': 'Limiti prudenti per allievi e piloti amatoriali',
+    'expert.presetStandard': 'Standard',
+    'expert.presetStandardDesc': 'Limiti equilibrati per piloti amatoriali esperti',
+    'expert.presetPro': 'Pro',
+    'expert.presetProDesc': 'Limiti estesi per piloti esperti con buona conoscenza del luogo',
+    'expert.subtitle': 'Limiti personalizzati per la valutazione del semaforo',
+    'expert.presets': 'Selezione rapida:',
+    'expert.info': 'Regola le soglie NO-GO. Le soglie verdi vengono calcolate automaticamente.',
+    'expert.label.surface': 'Vento al suolo max',
+    'expert.label.gusts': 'Raffiche max',
+    'expert.label.gustSpread': 'Differenza raffiche max',
+    'expert.label.gradient': 'Gradiente max',
+    'expert.label.wind900': 'Vento 1000m max',
+    'expert.label.wind850': 'Vento 1500m max',
+    'expert.label.wind700': 'Vento 3000m max',
+    'expert.label.cape': 'CAPE max',
+    'expert.label.cloudLow': 'Nubi basse max',
+    'expert.label.visibility': 'Visibilità min',
+    'expert.label.precip': 'Precipitazioni max',
+    'expert.label.precipProb': 'Probabilità pioggia max',
+    'expert.reset': 'Ripristina',
+    'ui.timeline': 'Andamento della giornata',
+    'ui.timelineAria': 'Andamento orario',
+    'ui.hoursAria': 'Seleziona l\'ora',
+    'ui.modelCompare': '🔀 Modelli',
+    'ui.modelCompareTitle': 'Confronta ICON-D2, ICON-EU, ECMWF, GFS e AROME',
+    'ui.assessmentAria': 'Condizioni di volo attuali',
+    'ui.currentWeatherAria': 'Meteo attuale',
+    'ui.killerTitle': 'Criteri STOP',
+    'ui.killerSubtitle': 'NON volare con queste condizioni:',
+    'ui.windByHeight': 'Vento per quota',
+    'ui.ground': 'Suolo',
+    'ui.climb': 'Salita',
+    'ui.calm': 'Calma',
+    'ui.placeSearch': '🔍 Cerca luogo, cima o decollo...',
+    'ui.placeSearchAria': 'Cerca luogo, cima o decollo',
+    'ui.heatmap': 'Dove volare? Panoramica regionale',
+    'ui.heatmapAria': 'Mostra/nascondi panoramica regionale',
+    'ui.windLayer': 'Frecce del vento sulla mappa',
+    'ui.windLayerAria': 'Mostra/nascondi frecce del vento',
+    'ui.tilePacks': 'Mappe offline',
+    'ui.tilePacksAria': 'Gestisci mappe offline',
+    'ui.meteogram': 'Meteogramma',
+    'meteogram.tooltip': 'Andamento del giorno scelto nella finestra di volo: temperatura (rosso) e punto di rugiada (blu), nuvolosità alta/media/bassa (più scuro = più denso), precipitazioni (barre) e CAPE (arancione), sotto lo strato limite (strato termico dal suolo) e la base delle nubi calcolata. Tocca un\'ora per selezionarla.',
+    'meteogram.hint': 'Tocca un\'ora per selezionarla',
+    'meteogram.noData': 'Nessun valore orario per questo giorno',
+    'meteogram.temp': 'Temperatura',
+    'meteogram.dew': 'Punto di rugiada',
+    'meteogram.precip': 'Precipitazioni',
+    'meteogram.blh': 'Strato limite',
+    'meteogram.cloudBase': 'Base delle nubi',
+    'meteogram.high': 'A',
+    'meteogram.mid': 'M',
+    'meteogram.low': 'B',
+    'meteogram.readoutClouds': 'Nubi B/M/A {low}/{mid}/{high} %',
+    'sounding.noData': 'Nessun profilo per quest\'ora (solo i primi {days} giorni)',
+    'sounding.thermalTopLabel': 'Tetto termico',
+    'sounding.thermalTo': 'Termica fino a {alt}',
+    'sounding.thermalAbove': 'Termica oltre {p} hPa',
+    'sounding.workingCloud': 'Quota di lavoro ~{alt} (base nubi)',
+    'sounding.workingBlue': 'Quota di lavoro ~{alt} (termica blu)',
+    'sounding.inversion': 'Inversione {ranges}',
+    'sounding.noInversion': 'nessuna inversione',
+    'sounding.surface': 'Suolo',
+    'sounding.loading': '⏳ Caricamento del profilo...',
+    'sounding.error': '⚠️ Impossibile caricare il profilo',
+    'sounding.title': 'Radiosondaggio virtuale (Skew-T)',
+    'sounding.tooltip': 'Temperatura (rosso) e punto di rugiada (blu) da 1000 a 500 hPa. Arancione: adiabatica secca dal suolo - dove incrocia la curva della temperatura finisce la termica. LCL = livello di condensazione (base delle nubi). Bande grigie = inversioni. A destra: barbe del vento (mezza 5 kt, intera 10 kt, bandierina 50 kt).',
+    'sounding.load': 'Carica radiosondaggio',
+    'sounding.loadHint': 'Profilo di temperatura 1000-500 hPa per l\'ora scelta',
+    'sounding.chartAria': 'Diagramma Skew-T dell\'ora scelta',
+    'sounding.readoutHint': 'Tocca il diagramma per i valori per livello di pressione',
+    'ui.expandAll': '📂 Espandi tutto',
+    'ui.collapseAll': '📁 Comprimi tutto',
+    'param.gridAria': 'Parametri meteo',
+    'param.windAria': 'Parametri del vento',
+    'param.windTitle': '💨 Vento (dettagli)',
+    'param.windTip1': 'Valori del vento dettagliati per l\'ora scelta. Gradiente elevato = turbolenza. Vento in quota',
+    'param.windTip2': '= rischio di favonio!',
+    'param.height': 'Quota',
+    'param.speed': 'Velocità',
+    'param.direction': 'Direzione',
+    'dir.points': 'N,NNE,NE,ENE,E,ESE,SE,SSE,S,SSO,SO,OSO,O,ONO,NO,NNO',
+    'param.surface10m': 'Suolo (10m)',
+    'param.gusts': 'Raffiche',
+    'param.gustiness': 'Rafficosità',
+    'param.gustinessTip': 'Differenza tra raffiche e vento medio. Grandi differenze = condizioni turbolente, difficili da valutare.',
+    'param.gradient1500': 'Gradiente (suolo-1500m)',
+    'param.gradient3000': 'Gradiente (suolo-3000m)',
+    'param.leeTitle': '⛰️ Terreno sopravvento',
+    'param.leeTip': 'Sezione del terreno contro il vento in quota (850/700 hPa). Se una cresta sopravvento è nettamente più alta del sito, si vola sottovento - rotori e discendenze possibili.',
+    'param.leeAria': 'Profilo del terreno sopravvento',
+    'param.windroseShow': 'Mostra rosa dei venti',
+    'param.east': 'E',
+    'param.west': 'O',
+    'param.shearWarning': '⚠️ Rilevato cambio di direzione!',
+    'param.thermikAria': 'Parametri termici',
+    'param.thermikTitle': '🌡️ Termica',
+    'param.thermikTip': 'Il CAPE indica l\'energia termica. >1000 J/kg = rischio temporali! Lifted index negativo = aria instabile.',
+    'param.spreadTip': 'Differenza temperatura - punto di rugiada. Indica quanto è umida l\'aria.',
+    'param.cape': 'CAPE',
+    'param.capeTip': 'Energia per la convezione (J/kg). >1000 = alto rischio temporali!',
+    'param.liftedIndex': 'Lifted index',
+    'param.liftedIndexTip': 'Indice di stabilità. Negativo = instabile = termica forte. <-4 = temporali!',
+    'param.cloudBase': '☁️ Base delle nubi',
+    'param.cloudBaseTip': 'Base stimata dei cumuli, calcolata da spread × 125m + quota della stazione.',
+    'param.boundaryLayer': '📈 Strato limite',
+    'param.boundaryLayerTip': 'Altezza dello strato limite - sommità della massa d\'aria vicina al suolo. Rilevante per la quota massima in termica.',
+    'param.climb': '🌀 Salite',
+    'param.climbTip': 'Forza termica stimata (W*) da radiazione solare e altezza dello strato limite, meno il tasso di caduta. Quota di lavoro = strato limite, limitata dalla base delle nubi.',
+    'param.thermalQuality': '⭐ Qualità termica',
+    'param.thermalQualityTip': 'Quanto è buona la termica per il cross - indipendentemente dal semaforo di sicurezza.',
+    'param.cloudsAria': 'Nubi e visibilità',
+    'param.cloudsTitle': '☁️ Nubi & visibilità',
+    'param.cloudsTip': 'Le nubi basse (<2000m) sono critiche - smorzano la termica e possono coprire il decollo.',
+    'param.cloudTotal': 'Totale',
+    'param.cloudLow': 'Basse (<2km)',
+    'param.cloudMid': 'Medie',
+    'param.cloudHigh': 'Alte',
+    'param.fogRisk': 'Rischio nebbia',
+    'param.fogRiskTip': 'Basato su spread (temp - punto di rugiada), vento e visibilità. Con poco vento e spread basso può formarsi nebbia al suolo.',
+    'param.precipTitle': '🌧️ Precipitazioni',
+    'param.precipTip': 'Ogni precipitazione è un problema - una vela bagnata vola peggio!',
+    'param.precipAmount': 'Quantità (totale)',
+    'param.showers': 'Rovesci (convettivi)',
+    'param.showersTip': 'Precipitazioni convettive da cumuli/temporali - spesso locali e intense!',
+    'param.precipProb': 'Probabilità',
+    'param.thunderRisk': 'Rischio temporali',
+    'ref.toggle': '📖 Riferimento parametri',
+    'ref.killerTitle': '🚨 I 5 criteri STOP - controllare sempre!',
+    'ref.killer1': 'Temporale / CB',
+    'ref.killer2': 'Favonio / vento in quota',
+    'ref.killer3': 'Wind shear',
+    'ref.gradient': 'Gradiente',
+    'ref.killer4': 'Nebbia / visibilità',
+    'ref.killer4Text': 'Visibilità <1,5 km o spread <1°C',
+    'ref.killer5': 'La tua condizione',
+    'ref.killer5Text': 'Stanco, sotto pressione, dubbi?',
+    'ref.modelsTitle': '🌐 Modelli meteo',
+    'ref.region': 'Regione',
+    'ref.model': 'Modello',
+    'ref.resolution': 'Risoluzione',
+    'ref.forecast': 'Previsione',
+    'ref.centralEurope': 'Europa centrale (D, A, CH)',
+    'ref.europe': 'Europa',
+    'ref.worldwide': 'Mondo',
+    'ref.days5': '5 giorni',
+    'ref.days7to16': '7-16 giorni',
+    'ref.modelsNote': 'Il miglior modello disponibile viene scelto automaticamente. Risoluzione maggiore = previsione locale più precisa.',
+    'ref.beginnerTitle': '⭐ Condizioni adatte ai principianti',
+    'ref.beginnerIntro': 'Con semaforo verde E questi valori compare il badge "Adatto ai principianti":',
+    'ref.beginnerNote': '⚠️ <strong>Nota:</strong> questa valutazione si basa solo sui dati dei modelli. Gli influssi locali (brezze di valle, effetti sottovento, inneschi termici) vanno valutati sul posto!',
+    'ref.parameter': 'Parametro',
+    'ref.threshold': 'Soglia',
+    'ref.why': 'Perché?',
+    'ref.begGroundWind': 'Gonfiaggio tranquillo',
+    'ref.begGustDiff': 'Aria calma e laminare',
+    'ref.begUpper1500': 'Nessun pericolo sottovento',
+    'ref.upperWind2000': 'Vento in quota (2000m)',
+    'ref.begUpper2000': 'Aria calma in quota',
+    'ref.upperWind3000': 'Vento in quota (3000m)',
+    'ref.begUpper3000': 'Nessun rischio di favonio',
+    'ref.begGradient': 'Transizione dolce',
+    'ref.begCape': 'Termica dolce',
+    'ref.begVisibility': 'Buon orientamento',
+    'ref.begSpread': 'Nessun rischio nebbia',
+    'ref.dayTitle': '📅 Semaforo della scelta del giorno',
+    'ref.dayIntro': 'Il semaforo della scelta del giorno indica le possibilità di volo della giornata:',
+    'ref.status': 'Stato',
+    'ref.meaning': 'Significato',
+    'ref.dayGo': 'Finestra verde di ≥ 3 ore',
+    'ref.dayCaution': '1-2 ore verdi OPPURE nessuna ora rossa',
+    'ref.dayNogo': 'Nessuna finestra verde E presenza di ore rosse',
+    'ref.dayNote': 'Il giorno migliore è evidenziato con una cornice dorata (finestra verde più lunga).',
+    'ref.thresholdsTitle': '🚦 Soglie del semaforo',
+    'ref.thresholdsIntro': 'Qui trovi i valori limite esatti per la valutazione del semaforo.',
+    'ref.lightGreen': 'VERDE = Go',
+    'ref.lightYellow': 'GIALLO = Verificare',
+    'ref.lightRed': 'ROSSO = No-go',
+    'ref.green': 'Verde',
+    'ref.yellow': 'Giallo',
+    'ref.red': 'Rosso',
+    'ref.windTitle': '💨 Vento',
+    'ref.surfaceWind10m': 'Vento al suolo (10m)',
+    'ref.gustSpread': 'Rafficosità (differenza raffiche)',
+    'ref.gradient1500': 'Gradiente suolo↔1500m',
+    'ref.gradient3000': 'Gradiente suolo↔3000m',
+    'ref.thermikTitle': '🌡️ Termica & stabilità',
+    'ref.to': 'a',
+    'ref.fogTitle': '🌫️ Nebbia & visibilità',
+    'ref.condition': 'Condizione',
+    'ref.visibility': 'Visibilità',
+    'ref.spreadLowWind': 'Spread + poco vento',
+    'ref.fogSmartTitle': 'Rilevamento intelligente della nebbia:',
+    'ref.fogSmart1': 'Lo spread da solo non basta – SkyCheck combina spread, vento e visibilità. Con vento',
+    'ref.fogSmart2': 'la nebbia al suolo si forma raramente. Con giallo: controlla le webcam!',
+    'ref.cloudsTitle': '☁️ Nubi',
+    'ref.cloudLow': 'Nubi basse (<2km)',
+    'ref.cloudTotal': 'Copertura totale',
+    'ref.precipAmount': 'Quantità di precipitazioni',
+    'ref.precipProb': 'Probabilità',
+    'ref.notesTitle': '📌 Note importanti',
+    'ref.noteHourly': '<strong>Semaforo orario:</strong> la valutazione mostra sempre il valore peggiore tra tutti i parametri.',
+    'ref.noteBestWindow': '<strong>Finestra migliore:</strong> fase verde continua più lunga con luce diurna (dall\'alba al tramonto, crepuscolo incluso), segnata con ⭐.',
+    'ref.noteTrend': '<strong>Frecce di tendenza:</strong> ↑ = valore in aumento (di solito peggio), ↓ = valore in calo, → = stabile.',
+    'ref.noteGustTitle': 'Rafficosità:',
+    'ref.noteGust1': 'Differenza tra raffiche e vento medio.',
+    'ref.noteGust2': '= giallo,',
+    'ref.noteGust3': '= rosso (aria turbolenta).',
+    'ref.noteConfidence': '<strong>Affidabilità:</strong> oggi ⭐⭐⭐ (alta), domani ⭐⭐ (media), dopodomani ⭐ (bassa).',
+    'ref.noteLocal': '<strong>Condizioni locali:</strong> questa app non sostituisce il controllo sul posto! Osserva la manica a vento, le nubi e il tuo istinto.',
+    'ui.favoriteSave': '⭐ Salva preferito',
+    'ui.favoriteName': 'Inserisci un nome...',
+    'ui.favoriteNameAria': 'Nome del preferito',
+    'notifyForm.enable': '🔔 Avvisami di una finestra GO domani',
+    'notifyForm.daysAria': 'Giorni della settimana',
+    'notifyForm.mon': 'Lu',
+    'notifyForm.tue': 'Ma',
+    'notifyForm.wed': 'Me',
+    'notifyForm.thu': 'Gi',
+    'notifyForm.fri': 'Ve',
+    'notifyForm.sat': 'Sa',
+    'notifyForm.sun': 'Do',
+    'notifyForm.minHours': 'Finestra di almeno',
+    'notifyForm.hoursGreen': 'h verde',
+    'notifyForm.quiet': 'Ore di silenzio',
+    'notifyForm.quietToAria': 'Ore di silenzio fino alle',
+    'notifyForm.oclock': '',
+    'notifyForm.hint': 'Avvisa anche quando una finestra segnalata diventa rossa.',
+    'ui.favoriteDelete': '🗑️ Eliminare il preferito?',
+    'ui.cancel': 'Annulla',
+    'ui.save': 'Salva',
+    'ui.delete': 'Elimina',
+    'ui.compareTitle': '📊 Confronto siti',
+    'ui.closeDialog': 'Chiudi finestra',
+    'ui.close': 'Chiudi',
+    'fav.deleteDefault': 'Vuoi davvero eliminare questo preferito?',
+    'about.tabAbout': 'Cos\'è SkyCheck?',
+    'about.tabFeatures': 'Funzioni',
+    'about.tabLimits': 'Limiti',
+    'about.intro': '<strong>SkyCheck</strong> analizza automaticamente i principali parametri meteo per volare in parapendio in sicurezza e ti mostra a colpo d\'occhio se le condizioni sono adatte al volo.',
+    'about.trafficLight': 'Il <strong>sistema a semaforo</strong> (verde/giallo/rosso) valuta ogni ora in base a vento, termica, nubi e precipitazioni.',
+    'about.dataSource': 'Fonte dei dati',
+    'about.dataFrom': 'I dati meteo provengono da',
+    'about.dataModels': 'e usano, a seconda della regione, il modello ad alta risoluzione ICON-D2 (2,2km) o ICON-EU (7km).',
+    'about.refHint': '💡 Le soglie dettagliate si trovano nel <strong>riferimento parametri</strong> in fondo alla pagina.',
+    'about.feature1': '<strong>Semaforo meteo</strong> con risoluzione oraria (luce diurna)',
+    'about.feature2': '<strong>5 criteri STOP</strong> - i pericoli principali sotto controllo',
+    'about.feature3': '<strong>Vento per quota</strong> - dal suolo a 3000m con gradiente',
+    'about.feature4': '<strong>Rosa dei venti</strong> - direzione del vento a tutte le quote',
+    'about.feature5': '<strong>Profilo verticale del vento</strong> - andamento giornaliero per quota',
+    'about.feature6': '<strong>Preferiti</strong> - salva i tuoi decolli',
+    'about.feature7': '<strong>Offline</strong> - installabile come PWA',
+    'about.feature8': '<strong>Badge principianti</strong> - indica condizioni perfette',
+    'about.feature9': '<strong>Previsione a 3 giorni</strong> con semaforo giornaliero',
+    'about.feature10': '<strong>Vento live</strong> - misure da OpenWindMap + servizi valanghe (Alpi)',
+    'about.limitsTitle': '⚠️ Note importanti',
+    'about.limit1': 'SkyCheck <strong>non sostituisce una consulenza meteo approfondita</strong> né il tuo giudizio.',
+    'about.limit2': '<strong>Dati dei modelli ≠ realtà</strong> - le previsioni possono differire dalle condizioni reali.',
+    'about.limit3': '<strong>Gli effetti locali</strong> (brezza di valle, sottovento, inneschi termici) non sono considerati.',
+    'about.limit4': 'Il giorno del volo <strong>controlla sempre sul posto</strong>: manica a vento, nubi, istinto!',
+    'about.limit5': 'I piloti sono <strong>responsabili</strong> delle proprie decisioni di volo.',
+    'about.showWelcome': '🎓 Mostra di nuovo l\'introduzione',
+    'about.feedback': '📧 Invia feedback',
+    'welcome.title': 'Benvenuto su SkyCheck!',
+    'welcome.tagline': 'Il tuo assistente meteo per il parapendio',
+    'welcome.step1Title': 'Scegli un sito',
+    'welcome.step1Text': 'Clicca sulla mappa o usa il GPS per scegliere il decollo. Puoi anche condividere le coordinate tramite link.',
+    'welcome.step2Title': 'Il semaforo',
+    'welcome.step2Text': 'Verde = volabile, giallo = limitato, rosso = non adatto. Basato su vento, termica, visibilità e precipitazioni.',
+    'welcome.step3Title': 'Andamento giornaliero',
+    'welcome.step3Text': 'La timeline mostra ora per ora come evolvono le condizioni. Tocca un\'ora per i dettagli.',
+    'welcome.step4Title': 'Preferiti',
+    'welcome.step4Text': 'Salva i tuoi siti preferiti per un accesso rapido e confronta il meteo di più siti.',
+    'welcome.step5Title': 'Modalità esperto',
+    'welcome.step5Text': 'Adatta i limiti del semaforo alle tue capacità ed esperienza.',
+    'welcome.start': 'Si parte!',
+
+    // === Ampel ===
+    'status.go': 'GO',
+    'status.caution': 'ATTENZIONE',
+    'status.nogo': 'NO-GO',
+
+    // === Wetter (Open-Meteo weather_code) ===
+    'weather.0': 'Sereno',
+    'weather.1': 'Prevalentemente sereno',
+    'weather.2': 'Parzialmente nuvoloso',
+    'weather.3': 'Coperto',
+    'weather.45': 'Nebbia',
+    'weather.48': 'Nebbia con brina',
+    'weather.51': 'Pioviggine',
+    'weather.53': 'Pioviggine',
+    'weather.55': 'Pioviggine intensa',
+    'weather.61': 'Pioggia debole',
+    'weather.63': 'Pioggia',
+    'weather.65': 'Pioggia forte',
+    'weather.71': 'Neve debole',
+    'weather.73': 'Neve',
+    'weather.75': 'Neve forte',
+    'weather.80': 'Rovesci',
+    'weather.81': 'Rovesci',
+    'weather.82': 'Rovesci forti',
+    'weather.95': 'Temporale',
+    'weather.96': 'Temporale+grandine',
+    'weather.99': 'Temporale forte',
+    'weather.unknown': 'Sconosciuto',
+
+    // === Tage und Zeiten ===
+    'day.today': 'Oggi',
+    'day.tomorrow': 'Domani',
+    'day.trend': 'Tendenza',
+    'day.trendTitle': 'Tendenza: modello globale ({model}), valutazione a blocchi di {hours} h',
+    'day.ensembleTitle': 'Ø {pct} % dei membri dell\'ensemble concordano (finestra di volo)',
+    'day.ensembleStars': 'In media {pct} % dei membri {model} concordi (finestra di volo)',
+    'day.modelStars': 'Modelli concordi al {pct} % (finestra di volo)',
+    'time.clock': '{time}',
+    'time.trendBlock': '{from}–{to} (tendenza)',
+    'time.range': '({from}–{to})',
+    'age.justNow': 'proprio ora',
+    'age.minutes': '{min} min fa',
+    'age.hoursMinutes': '{hours} h {min} min fa',
+    'age.hours': '{hours} h fa',
+    'dataAge.snapshot': '📡 Previsione offline delle {time} ({age})',
+    'dataAge.cache': '📡 Nessuna connessione - dati salvati delle {time} ({age})',
+    'dataAge.degraded': 'Non aggiornata: semaforo al massimo ATTENZIONE.',
+    'trip.offline': 'Offline - al momento le previsioni non possono essere caricate',
+    'trip.started': 'Caricamento previsioni per {count} preferiti…',
+    'trip.done': '{count} previsioni salvate offline',
+    'trip.partial': 'Salvate solo {saved} previsioni su {total}',
+    'liveWind.spanAria': 'Periodo dello storico',
+    'liveWind.title': 'Vento live (stazioni)',
+    'liveWind.tooltip': 'Misure del vento attuali da stazioni reali nei dintorni. Fonti: OpenWindMap/Pioupiou (OWM), servizi valanghe (LWD Tirolo, Baviera, Salisburgo, Alto Adige), MeteoSvizzera (MCH), DWD, GeoSphere Austria (GSA), METAR degli aeroporti e Holfuy (HF, solo con un proprio accesso API). Nota: le misure possono differire localmente dalle previsioni!',
+    'liveWind.badge': 'LIVE',
+    'liveWind.refresh': 'Aggiorna',
+    'liveWind.load': 'Carica vento live',
+    'liveWind.loadHint': 'Stazioni entro 30 km',
+    'liveWind.avalancheServices': 'servizi valanghe',
+    'liveWind.note': '⚠️ Le misure possono differire localmente',
+    'liveWind.sparkAria': 'Vento delle ultime {hours} h, raffiche fino a {max}',
+    'liveWind.trendUp': 'In aumento (+{delta})',
+    'liveWind.trendDown': 'In calo (−{delta})',
+    'liveWind.trendSteady': 'Stabile',
+    'liveWind.openAt': '{name} – apri su {provider}',
+    'liveWind.sources': 'Dati: {sources}',
+    'liveWind.unknownStation': 'Stazione sconosciuta',
+    'liveWind.gusts': 'Raffiche:',
+    'liveWind.noStations': 'Nessuna stazione trovata entro {radius} km',
+    'liveWind.error': '⚠️ Impossibile caricare i dati',
+    'modelCheck.title': '🧪 Verifica del modello {time}',
+    'modelCheck.observed': 'Misurato',
+    'modelCheck.forecast': 'Modello',
+    'modelCheck.deltaTitle': 'Vento medio misurato meno previsione alla quota della stazione',
+    'modelCheck.direction': 'La direzione del vento differisce di {diff}°',
+    'modelCheck.underestimated': '⚠️ Il modello sottostima il vento (fino a +{delta}) - semaforo per le {time} al massimo ATTENZIONE.',
+    'modelCheck.ok': '✓ La previsione corrisponde alle misure.',
+
+    // === Standort und Modell ===
+    'initial.title': 'Scegli un sito',
+    'initial.text': 'Clicca sulla mappa o usa il GPS.',
+    'location.details': '{lat}°N, {lon}°E — {elevation} s.l.m.',
+    'location.takeoff': '🧭 Direzione di decollo: {sectors}',
+    'sector.none': 'Nessuna direzione di decollo impostata',
+    'sector.remove': 'Rimuovi settore',
+    'sector.editorLabel': '🧭 Direzioni di decollo (opzionale)',
+    'sector.compassAria': 'Bussola per impostare le direzioni di decollo',
+    'sector.from': 'Settore da',
+    'sector.to': '° a',
+    'sector.toAria': 'Settore fino a',
+    'sector.add': 'Aggiungi',
+    'sector.hint': 'Trascina sulla bussola o inserisci i gradi (in senso orario) per impostare un settore di vento (max. 3).',
+    'location.timezone': '🕐 Orari in ora locale {zone}',
+    'place.noResults': 'Nessun luogo trovato',
+    'place.searching': 'Ricerca...',
+    'place.offline': 'Offline - risultati dall\'elenco luoghi incluso',
+    'place.near': 'vicino a {name}',
+    'heatmap.title': '▦ Dove volare?',
+    'heatmap.sliderAria': 'Ora della panoramica',
+    'grid.zoomIn': 'Ingrandisci ancora per caricare',
+    'grid.loading': 'Caricamento di {count} punti...',
+    'grid.error': 'Impossibile caricare i dati della griglia',
+    'grid.outOfRange': 'Disponibile solo per i primi {days} giorni',
+    'heatmap.summary': '{go} GO · {caution} ATTENZIONE · {nogo} NO-GO - tocca una cella per caricarla',
+    'windLayer.title': '🌬️ Frecce del vento',
+    'windLayer.levelAria': 'Livello di quota',
+    'windLayer.sliderAria': 'Ora delle frecce del vento',
+    'windLayer.summary': 'max. {max}',
+    'windLayer.noData': 'Nessun dato sul vento per quest\'ora',
+    'tilePack.title': '📥 Mappe offline',
+    'tilePack.draw': '▭ Disegna area',
+    'tilePack.useView': 'Usa vista attuale',
+    'tilePack.drawHint': 'Trascina un rettangolo sulla mappa',
+    'tilePack.namePlaceholder': 'Nome della regione',
+    'tilePack.zoom': 'Zoom',
+    'tilePack.minZoomAria': 'Livello di zoom minimo',
+    'tilePack.maxZoomAria': 'Livello di zoom massimo',
+    'tilePack.download': 'Scarica',
+    'tilePack.estimate': '{count} tile · ca. {size}',
+    'tilePack.storage': 'Memoria usata: {used} di {quota}',
+    'tilePack.defaultName': 'Regione',
+    'tilePack.started': 'Download di «{name}» avviato',
+    'tilePack.done': '«{name}» è disponibile offline',
+    'tilePack.partial': '«{name}» incompleto - mancano {failed} tile',
+    'tilePack.errorTooLarge': 'troppo grande (max. {max} tile)',
+    'tilePack.errorQuota': 'Memoria insufficiente per questo pacchetto di mappe',
+    'tilePack.errorFailed': 'Impossibile scaricare il pacchetto di mappe',
+    'tilePack.noWorker': 'Le mappe offline richiedono il service worker - ricarica la pagina',
+    'tilePack.none': 'Nessuna mappa offline',
+    'tilePack.progress': 'Caricamento… {done}/{total} tile',
+    'tilePack.info': 'Zoom {zoom} · {size} · {date}',
+    'tilePack.incomplete': 'incompleto',
+    'tilePack.cancel': 'Annulla',
+    'tilePack.show': 'Mostra sulla mappa',
+    'tilePack.refresh': 'Aggiorna',
+    'tilePack.resume': 'Riprendi',
+    'tilePack.delete': 'Elimina',
+    'tilePack.confirmDelete': 'Eliminare?',
+    'landing.defaultName': 'Atterraggio',
+    'landing.linked': '🪂 {name} ({elevation}, {drop} sotto il decollo)',
+    'landing.none': '🪂 Nessun atterraggio collegato',
+    'landing.pick': 'Scegli atterraggio',
+    'landing.change': 'Cambia',
+    'landing.remove': 'Rimuovi atterraggio',
+    'landing.compareTitle': 'Decollo vs. atterraggio',
+    'landing.noHour': 'Nessun valore dell\'atterraggio per quest\'ora',
+    'landing.noData': 'Vento all\'atterraggio non disponibile',
+    'landing.launch': 'Decollo',
+    'landing.surfaceWind': 'Vento al suolo',
+    'landing.gusts': 'Raffiche',
+    'landing.direction': 'Direzione',
+    'landing.rating': 'Valutazione',
+    'landing.valleyWind': 'Il vento all\'atterraggio arriva da una direzione diversa rispetto al decollo (brezza di valle) - adatta l\'avvicinamento',
+    'landing.reason.wind': 'vento al suolo {ws}',
+    'landing.reason.gusts': 'raffiche {wg}',
+    'landing.reason.gustSpread': 'turbolento ({ws}, raffiche {wg})',
+    'landing.reason.precip': 'precipitazioni',
+    'landing.reason.fog': 'nebbia / scarsa visibilità',
+    'model.outsideEurope': '⚠️ Fuori dall\'Europa - modello globale (meno preciso per le condizioni locali)',
+    'model.iconEu': 'ℹ️ Modello ICON-EU (risoluzione 7 km)',
+    'model.compareLoading': '⏳ Caricamento modelli...',
+    'model.compareUnavailable': '⚠️ Confronto modelli non disponibile per questo luogo',
+    'model.compareAgreement': 'Concordanza {pct} %',
+    'model.spread': 'Intervallo su {count} modelli',
+    'ensemble.info': '🎲 GO nel {go} dei membri · ATTENZIONE {caution} · NO-GO {nogo} ({model}, {total} membri)',
+    'ensemble.goShare': 'GO nel {pct} % dei membri',
+
+    // === Fehler beim Laden ===
+    'error.load.title': 'Errore di caricamento',
+    'error.load.hint': 'Riprova o scegli un altro sito.',
+    'error.offline.title': 'Nessuna connessione Internet',
+    'error.offline.detail': 'Sei offline.',
+    'error.offline.hint': 'Controlla la connessione e riprova.',
+    'error.timeout.title': 'Il server non risponde',
+    'error.timeout.detail': 'L\'API meteo è momentaneamente sovraccarica.',
+    'error.timeout.hint': 'Attendi un momento e riprova.',
+    'error.rateLimit.title': 'Limite API raggiunto',
+    'error.rateLimit.detail': 'Troppe richieste in poco tempo.',
+    'error.rateLimit.hint': 'Attendi qualche minuto.',
+    'error.network.title': 'Errore di rete',
+    'error.network.detail': 'Connessione al servizio meteo non riuscita.',
+    'error.network.hint': 'Controlla la connessione Internet.',
+
+    // === Risiko-Erklärungen (getRiskExplanation) ===
+    'risk.surfaceHigh.title': 'Vento al suolo forte',
+    'risk.surfaceHigh.desc': '{ws} al suolo – decollo difficile, rischio di trascinamento',
+    'risk.surfaceHigh.advice': 'Solo per piloti esperti con buon controllo della vela',
+    'risk.surfaceMedium.title': 'Vento al suolo sostenuto',
+    'risk.surfaceMedium.desc': '{ws} – gonfiaggio attivo necessario',
+    'risk.surfaceMedium.advice': 'Consigliato il decollo frontale alla vela, attenzione alle raffiche',
+    'risk.gustsHigh.title': 'Raffiche forti',
+    'risk.gustsHigh.desc': 'Raffiche {wg} ({diff} sopra il vento medio) – molto turbolento',
+    'risk.gustsHigh.advice': 'Rischio di chiusure elevato, forte carico di pilotaggio',
+    'risk.gustsMedium.title': 'Raffiche marcate',
+    'risk.gustsMedium.desc': 'Raffiche {wg} ({diff} sopra il vento medio) – aria agitata',
+    'risk.gustsMedium.advice': 'Pilotaggio attivo necessario, tenere d\'occhio la vela',
+    'risk.upperHigh.title': 'Vento in quota pericoloso',
+    'risk.upperHigh.desc': '{w700} a 3000 m – possibili turbolenze sottovento estreme',
+    'risk.upperHigh.advice': 'Evitare assolutamente i versanti sottovento! Rischio di föhn nelle Alpi',
+    'risk.upperMedium.title': 'Vento in quota forte',
+    'risk.upperMedium.desc': '{w700} a 3000 m – possibili turbolenze sottovento',
+    'risk.upperMedium.advice': 'Evitare le zone sottovento, tenere pronto l\'acceleratore',
+    'risk.foehnHigh.title': '{label} in sfondamento',
+    'risk.foehnHigh.desc': 'Differenza di pressione {diff} – venti di caduta tempestosi nelle valli sottovento',
+    'risk.foehnHigh.advice': 'Non volare! Anche con poco vento al suolo può arrivare un improvviso sfondamento del föhn',
+    'risk.foehnMedium.title': '{label} possibile',
+    'risk.foehnMedium.desc': 'Differenza di pressione {diff} – situazione di föhn in formazione',
+    'risk.foehnMedium.adviceSouth': 'Evitare il versante nord delle Alpi, osservare attentamente il vento',
+    'risk.foehnMedium.adviceNorth': 'Evitare il versante sud delle Alpi, osservare attentamente il vento',
+    'risk.leeHigh.title': 'Forte sottovento',
+    'risk.leeHigh.advice': 'Rotori e forti discendenze probabili - scegliere un decollo sopravento',
+    'risk.leeMedium.title': 'Posizione sottovento',
+    'risk.leeMedium.advice': 'Possibili turbolenze sottovento, stare lontani dalla cresta',
+    'risk.lee.desc': 'Cresta {elevation} (+{height}) a {dist} km sopravento con {speed} da {dir}',
+    'risk.gradientHigh.title': 'Wind shear pericoloso',
+    'risk.gradientHigh.desc': '{grad} di differenza suolo/1500 m – forte turbolenza',
+    'risk.gradientHigh.advice': 'Controllare la vela in salita, possibili reazioni brusche',
+    'risk.gradientMedium.title': 'Gradiente di vento marcato',
+    'risk.gradientMedium.desc': '{grad} di differenza suolo/1500 m',
+    'risk.gradientMedium.advice': 'In termica essere pronti a cambi di vento',
+    'risk.capeHigh.title': 'Rischio temporali',
+    'risk.capeHigh.desc': 'CAPE {cape} J/kg – possono formarsi cumulonembi (Cb)',
+    'risk.capeHigh.advice': 'Atterrare presto! Osservare costantemente l\'evoluzione',
+    'risk.capeMedium.title': 'Termiche forti',
+    'risk.capeMedium.desc': 'CAPE {cape} J/kg – possibili ascendenze forti e turbolente',
+    'risk.capeMedium.advice': 'Solo per piloti di termica esperti, osservare lo sviluppo delle nubi',
+    'risk.visibilitySevere.title': 'Visibilità critica',
+    'risk.visibilitySevere.desc': 'Solo {vis} km di visibilità – sotto il minimo VFR',
+    'risk.visibilitySevere.advice': 'Non decollare! Orientamento e individuazione dell\'atterraggio impossibili',
+    'risk.fogSevere.title': 'Alto rischio di nebbia',
+    'risk.fogSevere.desc': 'Spread di soli {spread}°C con {ws} di vento – condizioni tipiche da nebbia',
+    'risk.fogSevere.advice': 'Aria quasi satura, nebbia al suolo molto probabile',
+    'risk.fogLikely.title': 'Nebbia probabile',
+    'risk.fogLikely.desc': 'Spread {spread}°C, visibilità {vis} km – umido e foschia',
+    'risk.fogLikely.advice': 'Controllare le webcam! Le condizioni locali possono essere migliori (inversione)',
+    'risk.visibilityPossible.title': 'Possibile visibilità ridotta',
+    'risk.visibilityPossible.descHumid': 'Umidità elevata (spread {spread}°C) – possibili foschia o base bassa',
+    'risk.visibilityPossible.descVis': 'Visibilità {vis} km – vista a distanza ridotta',
+    'risk.visibilityPossible.advice': 'Controllare il meteo sul posto, orientarsi presto',
+    'foehn.south': 'Föhn da sud',
+    'foehn.north': 'Föhn da nord',
+
+    // === Begründung unter der Ampel (updateReasonSummary) ===
+    'hint.allGreen': '✓ <strong>Tutti i parametri nel verde.</strong>{filter} Buone condizioni – verificare comunque sul posto.',
+    'hint.filterActive': '(filtro attivo)',
+    'hint.surfaceHigh': '💨 Vento al suolo troppo forte ({ws})',
+    'hint.surfaceMedium': '💨 Vento al suolo sostenuto ({ws})',
+    'hint.gustsHigh': '💨 Raffiche pericolose ({wg})',
+    'hint.gustsMedium': '💨 Raffiche marcate ({wg})',
+    'hint.gustSpreadHigh': '💨 Molto rafficato – differenza {diff}',
+    'hint.gustSpreadMedium': '💨 Raffiche marcate – differenza {diff}',
+    'hint.windLevelHigh': '🌬️ Vento {level} critico ({speed})',
+    'hint.windLevelMedium': '🌬️ Vento {level} sostenuto ({speed})',
+    'hint.gradientHigh': '📊 Gradiente critico ({grad})',
+    'hint.gradientMedium': '📊 Gradiente marcato ({grad})',
+    'hint.gradient3000High': '📊 Gradiente 3000 m critico ({grad})',
+    'hint.gradient3000Medium': '📊 Gradiente 3000 m marcato ({grad})',
+    'hint.sectorLevel900': ' a 1000 m',
+    'hint.tailwind': '🧭 Vento in coda al decollo ({wind})',
+    'hint.crosswind': '🧭 Vento laterale al decollo ({wind})',
+    'hint.foehn': '🌪️ {label} – {diff} hPa {pair}',
+    'hint.lee': '⛰️ Sottovento a una cresta di {elevation} ({dir} {speed})',
+    'hint.landing': '🪂 Atterraggio {name}: {reason}',
+    'hint.gustFactorHigh': '💨 Fattore di raffica critico ({factor}x)',
+    'hint.gustFactorMedium': '💨 Fattore di raffica marcato ({factor}x)',
+    'hint.capeHigh': '⚡ CAPE critico ({cape} J/kg) – rischio temporali',
+    'hint.capeMedium': '🌤️ CAPE elevato ({cape} J/kg)',
+    'hint.liHigh': '⚡ Lifted index {li} – molto instabile',
+    'hint.liMedium': '⚡ Lifted index {li} – instabile',
+    'hint.dryAir': '💧 Aria molto secca (spread {spread}°C) – termiche deboli',
+    'hint.visibilityCritical': '🌫️ Visibilità critica ({vis} km)',
+    'hint.fogSevere': '🌫️ Alto rischio di nebbia – spread {spread}°C',
+    'hint.fogLikely': '🌁 Nebbia probabile – spread {spread}°C',
+    'hint.visibilityReduced': '🌫️ Visibilità ridotta ({vis} km)',
+    'hint.fogPossible': '🌁 Nebbia possibile – spread {spread}°C',
+    'hint.cloudLow': '☁️ Nubi basse {pct}%',
+    'hint.cloudTotalHigh': '☁️ Nuvolosità elevata {pct}%',
+    'hint.cloudTotalMedium': '☁️ Nuvolosità {pct}%',
+    'hint.precipHigh': '🌧️ Precipitazioni {mm} mm',
+    'hint.precipMedium': '🌧️ Possibili deboli precipitazioni',
+    'hint.showersHigh': '⛈️ Rovesci previsti ({mm} mm)',
+    'hint.showersMedium': '🌦️ Possibili rovesci locali',
+    'hint.precipProb': '🌧️ Probabilità di pioggia {pct}%',
+    'fog.severe': 'Alto 🌫️',
+    'fog.likely': 'Probabile ⚠️',
+    'fog.possible': 'Possibile',
+    'fog.unlikely': 'Basso ✓',
+    'beginner.badge': 'Adatto ai principianti',
+    'beginner.badgeSub': 'Condizioni dolci e sicure',
+    'beginner.perfect': 'Perfetto per principianti e piloti amatoriali',
+    'beginner.groundWind': 'Vento al suolo',
+    'beginner.groundWindReason': 'Vento al suolo troppo forte per un gonfiaggio tranquillo',
+    'beginner.gustDiff': 'Differenza raffiche',
+    'beginner.gustDiffReason': 'Raffiche forti = aria turbolenta',
+    'beginner.wind1000': 'Vento 1000m',
+    'beginner.wind1000Reason': 'Vento a 1000m elevato',
+    'beginner.upperWind': 'Vento in quota (1500m)',
+    'beginner.upperWindReason': 'Vento in quota elevato (rischio sottovento)',
+    'beginner.gradient': 'Gradiente del vento',
+    'beginner.gradientReason': 'Differenza suolo/quota troppo grande',
+    'beginner.wind2000': 'Vento 2000m',
+    'beginner.wind2000Reason': 'Vento a 2000m troppo forte',
+    'beginner.wind3000': 'Vento 3000m',
+    'beginner.wind3000Reason': 'Vento a 3000m troppo forte (indicatore di föhn)',
+    'beginner.cape': 'Energia termica',
+    'beginner.capeReason': 'Possibili termiche forti e turbolente',
+    'beginner.visibility': 'Visibilità',
+    'beginner.visibilityReason': 'Visibilità ridotta',
+    'beginner.spread': 'Spread',
+    'beginner.spreadReason': 'Rischio nebbia (spread troppo basso)',
+
+    // === Lee-Skizze im Wind-Detail ===
+    'lee.upwind': '{dist} km sopravento',
+    'lee.ridge': 'Cresta {elevation} (+{height}) a {dist} km {dir}',
+    'lee.danger': '⚠️ Sottovento: {ridge} – rotori probabili',
+    'lee.caution': '⚠️ Sottovento: {ridge} – possibili turbolenze',
+    'lee.weakWind': 'Cresta sopravento, ma vento in quota solo {speed}',
+    'lee.noRidge': 'Nessuna cresta rilevante sopravento da {dir}',
+
+    // === Thermik (W*) ===
+    'thermal.na': 'n.d.',
+    'thermal.none': 'Nessuna termica sfruttabile',
+    'thermal.cloudBase': '~{climb} m/s, base {top}',
+    'thermal.blue': '~{climb} m/s, blu fino a {top}',
+    'thermal.tooltip': 'ore {hour}: ~{climb} m/s fino a {top} ({quality})',
+    'thermal.q0': 'nessuna',
+    'thermal.q1': 'debole',
+    'thermal.q2': 'moderata',
+    'thermal.q3': 'buona',
+    'thermal.q4': 'molto buona',
+
+    // === Favoriten ===
+    'fav.go': 'GO',
+    'fav.caution': 'Attenzione',
+    'fav.nogo': 'No-Go',
+    'fav.noWindow': '(nessuna finestra)',
+    'fav.error': 'Errore',
+    'fav.loading': 'Caricamento...',
+    'fav.loadingWeather': 'Caricamento meteo...',
+    'fav.deleteConfirm': 'Vuoi davvero eliminare "{name}"?',
+    'fav.deleteFallback': 'questo preferito',
+
+    // === Toasts ===
+    'toast.maxFavorites': 'Massimo {max} preferiti consentiti',
+    'toast.pickLanding': 'Tocca l\'atterraggio sulla mappa',
+    'toast.landingLinked': 'Atterraggio collegato',
+    'toast.favoriteUpdated': '⭐ Preferito aggiornato',
+    'toast.notifyBlocked': '🔕 Le notifiche sono bloccate nel browser',
+    'toast.notifyUnsupported': '🔕 Questo browser non supporta le notifiche',
+    'toast.notifyNoBackground': '🔔 Controllo in background disponibile solo nell\'app installata (Chrome/Edge)',
+    'toast.notifyEnabled': '🔔 Notifica per le finestre GO attivata',
+    'toast.offline': '📴 Offline - vengono mostrati i dati salvati',
+    'toast.online': '🌐 Di nuovo online',
+    'toast.gpsUnsupported': 'GPS non supportato',
+    'toast.gpsDenied': 'Accesso GPS negato',
+    'toast.gpsUnavailable': 'Posizione non disponibile',
+    'toast.gpsTimeout': 'Tempo scaduto',
+    'toast.gpsError': 'Errore GPS',
+    'toast.linkCopied': '🔗 Link copiato!',
+    'toast.copyFailed': 'Copia non riuscita',
+
+    // === Hintergrund-Benachrichtigungen (Service Worker) ===
+    'notify.goTitle': '🪂 {name}: GO domani',
+    'notify.goBody': 'Finestra verde {start}-{end} ({hours} h)',
+    'notify.redTitle': '⛔ {name}: la finestra di domani salta',
+    'notify.redBody': '{start}-{end} ora no-go – la previsione è peggiorata'
+};
@@ -0,0 +1,54 @@
+/**
+ * SkyCheck - IndexedDB-Helfer
+ * Kleine Promise-Hülle für Datenbanken mit genau einem Object Store (Schlüssel: "key").
+ * Genutzt von den Offline-Vorhersagen (snapshots.js) und dem Stationsverlauf (stationhistory.js).
+ */
+
+// Offene Verbindungen je Datenbankname
+const connections = new Map();
+
+/**
+ * Datenbank öffnen (einmalig, danach wiederverwendet)
+ * @param {Object} config - { dbName, dbVersion, storeName }
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb({ dbName, dbVersion, storeName }) {
+    if (connections.has(dbName)) return connections.get(dbName);
+    const promise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB nicht verfügbar'));
+            return;
+        }
+        const request = indexedDB.open(dbName, dbVersion);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(storeName)) {
+                db.createObjectStore(storeName, { keyPath: 'key' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    connections.set(dbName, promise);
+    // Fehlschlag nicht merken - beim nächsten Aufruf erneut versuchen
+    promise.catch(() => connections.delete(dbName));
+    return promise;
+}
+
+/**
+ * Eine Operation im Object Store ausführen
+ * @param {Object} config - { dbName, dbVersion, storeName }
+ * @param {string} mode - 'readonly' | 'readwrite'
+ * @param {Function} operation - erhält den Store, liefert einen IDBRequest
+ * @returns {Promise<*>} Ergebnis des Requests nach Abschluss der Transaktion
+ */
+export async function withStore(config, mode, operation) {
+    const db = await openDb(config);
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(config.storeName, mode);
+        const request = operation(tx.objectStore(config.storeName));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
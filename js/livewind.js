@@ -0,0 +1,500 @@
+/**
+ * SkyCheck - Live-Wind Stationen
+ * Jeder Anbieter ist ein Adapter mit einheitlicher Schnittstelle:
+ * - fetch(settings, { lat, lon, radius }): Rohdaten laden (ganzer Datensatz oder nur das Gebiet, siehe area)
+ * - parse(raw): Rohdaten -> [{ id, name, lat, lon, elevation, windSpeed, windGust, windMin, windDirection,
+ *   temperature, lastUpdate, operator? }] - Wind in km/h, Distanz/Alter/Runden übernimmt normalizeStation()
+ * - label, badge, attribution, stationUrl?(station), isAvailable?(settings)
+ * Cache-Dauer und Qualitätsrang stehen je Anbieter in LIVE_WIND_CONFIG.providers.
+ * parse() und normalizeStation() sind exportiert für die Tests mit Beispielantworten (tests/livewind.test.mjs).
+ */
+
+import { LIVE_WIND_CONFIG } from './config.js';
+import { haversineDistance, getWindDir } from './utils.js';
+import { t } from './i18n.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const KNOTS_TO_KMH = 1.852;
+const MS_TO_KMH = 3.6;
+
+// Rohdaten je Anbieter (bei Gebiets-Adaptern je gerundeter Position): key -> { raw, timestamp }
+const providerCache = new Map();
+
+// Stationsliste von GeoSphere (ändert sich selten, wird für die Gebietsauswahl gebraucht)
+let geosphereStations = { data: null, timestamp: 0 };
+
+/**
+ * fetch mit Zeitlimit, Fehler bei HTTP-Status != 2xx
+ */
+async function fetchJson(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), LIVE_WIND_CONFIG.timeout);
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return await response.json();
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Zahl aus API-Wert (manche Anbieter liefern Strings oder "-")
+ * @returns {number|null}
+ */
+function toNumber(value) {
+    const n = typeof value === 'string' ? parseFloat(value) : value;
+    return typeof n === 'number' && isFinite(n) ? n : null;
+}
+
+/**
+ * "BREGENZ/FLUGPLATZ" -> "Bregenz/Flugplatz"
+ */
+function toTitleCase(name) {
+    return name.toLowerCase().replace(/(^|[\s/(-])(\S)/g, (m, sep, c) => sep + c.toUpperCase());
+}
+
+/**
+ * Schweizer Landeskoordinaten (LV95) -> WGS84 (Näherungsformel von swisstopo, Genauigkeit ~1 m)
+ * @returns {Object} { lat, lon }
+ */
+function lv95ToWgs84(east, north) {
+    const y = (east - 2600000) / 1000000;
+    const x = (north - 1200000) / 1000000;
+    const lon = 2.6779094 + 4.728982 * y + 0.791484 * y * x + 0.1306 * y * x * x - 0.0436 * y * y * y;
+    const lat = 16.9023892 + 3.238272 * x - 0.270978 * y * y - 0.002528 * x * x - 0.0447 * y * y * x - 0.0140 * x * x * x;
+    return { lat: lat * 100 / 36, lon: lon * 100 / 36 };
+}
+
+/**
+ * Generiert die URL für avalanche.report Wetterstationen
+ * Format: YYYY-MM-DD_HH-00_stations.geojson (stündlich)
+ * @param {Date} date - Zeitpunkt (Standard: jetzt) - auch für den Stationsverlauf
+ * @returns {string} URL zur GeoJSON-Datei dieser Stunde
+ */
+export function getAvalancheReportUrl(date = new Date()) {
+    const now = new Date(date);
+    // Auf volle Stunde abrunden
+    now.setMinutes(0, 0, 0);
+
+    const year = now.getFullYear();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    const hour = String(now.getHours()).padStart(2, '0');
+
+    return `${LIVE_WIND_CONFIG.providers.lwd.url}${year}-${month}-${day}_${hour}-00_stations.geojson`;
+}
+
+/**
+ * Stations-ID einer avalanche.report Station (aus dem Namen, wie im Verlauf gespeichert)
+ * @param {Object} props - GeoJSON Properties
+ * @returns {string} z.B. "lwd-patscherkofel"
+ */
+export function getAvalancheStationId(props) {
+    return `lwd-${props.name?.replace(/\s+/g, '-').toLowerCase() || 'unknown'}`;
+}
+
+// === Adapter ===
+
+// OpenWindMap/Pioupiou: alle Stationen weltweit in einer Antwort
+const openWindMapAdapter = {
+    id: 'openwindmap',
+    label: 'OpenWindMap',
+    badge: { text: 'OWM', css: 'owm' },
+    attribution: { name: 'OpenWindMap', url: 'https://www.openwindmap.org/' },
+    fetch: (settings) => fetchJson(settings.url),
+    parse(raw) {
+        return (Array.isArray(raw?.data) ? raw.data : [])
+            .filter(s => s.location?.latitude && s.location?.longitude && s.measurements?.date)
+            .map(s => {
+                const m = s.measurements;
+                return {
+                    id: `piou-${s.id}`,
+                    name: s.meta?.name || `Station ${s.id}`,
+                    lat: s.location.latitude,
+                    lon: s.location.longitude,
+                    elevation: s.location.altitude,
+                    windSpeed: m.wind_speed_avg,
+                    windGust: m.wind_speed_max,
+                    windMin: m.wind_speed_min,
+                    windDirection: m.wind_heading,
+                    temperature: null,
+                    lastUpdate: new Date(m.date)
+                };
+            });
+    },
+    stationUrl(station) {
+        const id = String(station.id).replace('piou-', '').replace(/[^a-zA-Z0-9_-]/g, '');
+        return `https://www.pioupiou.fr/fr/stations/${id}`;
+    }
+};
+
+// Lawinenwarndienste (avalanche.report): eine GeoJSON-Datei je Stunde für den ganzen Alpenraum
+const avalancheAdapter = {
+    id: 'lwd',
+    label: 'Lawinenwarndienst',
+    badge: { text: 'LWD', css: 'lwd' },
+    attribution: { name: 'Lawinenwarndienste', url: 'https://avalanche.report/' },
+    async fetch() {
+        try {
+            return await fetchJson(getAvalancheReportUrl());
+        } catch (e) {
+            // Datei der aktuellen Stunde evtl. noch nicht veröffentlicht - vorherige Stunde
+            return fetchJson(getAvalancheReportUrl(new Date(Date.now() - HOUR_MS)));
+        }
+    },
+    parse(raw) {
+        return (Array.isArray(raw?.features) ? raw.features : [])
+            .filter(f => f?.properties && f.geometry?.coordinates?.length >= 2)
+            .map(f => {
+                const p = f.properties;
+                const [lon, lat, elevation] = f.geometry.coordinates;
+                return {
+                    id: getAvalancheStationId(p),
+                    name: p.name || t('liveWind.unknownStation'),
+                    lat,
+                    lon,
+                    elevation,
+                    // API liefert bereits km/h
+                    windSpeed: p.WG,
+                    windGust: p.WG_BOE,
+                    windMin: null,
+                    windDirection: p.WR,
+                    temperature: p.LT,
+                    lastUpdate: p.date ? new Date(p.date) : null,
+                    operator: p.operator || 'Lawinenwarndienst'
+                };
+            });
+    }
+};
+
+// Holfuy: alle Stationen des API-Kontos (Zeit in UTC, Position per "loc")
+// Standardmäßig aus - aktiv nur mit enabled und apiKey in LIVE_WIND_CONFIG.providers.holfuy
+const holfuyAdapter = {
+    id: 'holfuy',
+    label: 'Holfuy',
+    badge: { text: 'HF', css: 'holfuy' },
+    attribution: { name: 'Holfuy', url: 'https://holfuy.com/' },
+    isAvailable: (settings) => !!settings.apiKey,
+    fetch(settings) {
+        const params = new URLSearchParams({ s: 'all', pw: settings.apiKey, m: 'JSON', tu: 'C', su: 'km/h', loc: '', utc: '' });
+        return fetchJson(settings.url + '?' + params);
+    },
+    parse(raw) {
+        return (Array.isArray(raw?.measurements) ? raw.measurements : []).map(m => ({
+            id: `holfuy-${m.stationId}`,
+            name: m.stationName || `Holfuy ${m.stationId}`,
+            lat: m.location?.latitude,
+            lon: m.location?.longitude,
+            elevation: m.location?.altitude,
+            windSpeed: m.wind?.speed,
+            windGust: m.wind?.gust,
+            windMin: m.wind?.min,
+            windDirection: m.wind?.direction,
+            temperature: m.temperature,
+            lastUpdate: m.dateTime ? new Date(m.dateTime.replace(' ', 'T') + 'Z') : null
+        }));
+    },
+    stationUrl(station) {
+        return `https://holfuy.com/en/weather/${String(station.id).replace(/[^0-9]/g, '')}`;
+    }
+};
+
+// MeteoSchweiz SwissMetNet: Mittelwind und Böenspitze als getrennte GeoJSON-Dateien (Koordinaten in LV95)
+const meteoSwissAdapter = {
+    id: 'meteoswiss',
+    label: 'MeteoSchweiz',
+    badge: { text: 'MCH', css: 'meteoswiss' },
+    attribution: { name: 'MeteoSchweiz', url: 'https://www.meteoschweiz.admin.ch/' },
+    async fetch(settings) {
+        const [speed, gust] = await Promise.all([
+            fetchJson(settings.speedUrl),
+            fetchJson(settings.gustUrl).catch(() => null)  // Böen sind optional
+        ]);
+        return { speed, gust };
+    },
+    parse(raw) {
+        const gusts = new Map((raw?.gust?.features || []).map(f => [f.id, f.properties?.value]));
+        return (Array.isArray(raw?.speed?.features) ? raw.speed.features : []).map(f => {
+            const p = f.properties || {};
+            const [east, north] = f.geometry?.coordinates || [];
+            const { lat, lon } = lv95ToWgs84(east, north);
+            return {
+                id: `mch-${f.id}`,
+                name: p.station_name || String(f.id),
+                lat,
+                lon,
+                elevation: p.altitude,
+                windSpeed: p.value,
+                windGust: gusts.get(f.id),
+                windMin: null,
+                windDirection: p.wind_direction,
+                temperature: null,
+                lastUpdate: p.reference_ts ? new Date(p.reference_ts) : null
+            };
+        });
+    }
+};
+
+// DWD Open Data über Bright Sky: aktuelle Werte der nächsten Station (Deutschland)
+const dwdAdapter = {
+    id: 'dwd',
+    label: 'DWD',
+    badge: { text: 'DWD', css: 'dwd' },
+    attribution: { name: 'DWD (Bright Sky)', url: 'https://brightsky.dev/' },
+    area: true,
+    fetch(settings, { lat, lon, radius }) {
+        const params = new URLSearchParams({ lat, lon, max_dist: Math.round(radius * 1000) });
+        return fetchJson(settings.url + '?' + params);
+    },
+    parse(raw) {
+        const w = raw?.weather;
+        const source = (raw?.sources || []).find(s => s.id === w?.source_id);
+        if (!w || !source) return [];
+        return [{
+            id: `dwd-${source.dwd_station_id || source.id}`,
+            name: source.station_name || `DWD ${source.dwd_station_id}`,
+            lat: source.lat,
+            lon: source.lon,
+            elevation: source.height,
+            windSpeed: w.wind_speed_10,
+            windGust: w.wind_gust_speed_10,
+            windMin: null,
+            windDirection: w.wind_direction_10,
+            temperature: w.temperature,
+            lastUpdate: w.timestamp ? new Date(w.timestamp) : null
+        }];
+    }
+};
+
+/**
+ * GeoSphere-Stationsliste (einen Tag gemerkt)
+ * @returns {Promise<Array>} [{ id, name, lat, lon, altitude, is_active }]
+ */
+async function fetchGeosphereStations(settings) {
+    if (geosphereStations.data && Date.now() - geosphereStations.timestamp < settings.metadataTTL) {
+        return geosphereStations.data;
+    }
+    const metadata = await fetchJson(settings.url + '/metadata');
+    geosphereStations = { data: Array.isArray(metadata?.stations) ? metadata.stations : [], timestamp: Date.now() };
+    return geosphereStations.data;
+}
+
+// GeoSphere Austria TAWES: Werte nur für ausgewählte Stationen, daher erst Stationsliste, dann Messwerte im Gebiet
+const geosphereAdapter = {
+    id: 'geosphere',
+    label: 'GeoSphere Austria',
+    badge: { text: 'GSA', css: 'geosphere' },
+    attribution: { name: 'GeoSphere Austria', url: 'https://data.hub.geosphere.at/' },
+    area: true,
+    async fetch(settings, { lat, lon, radius }) {
+        const stations = (await fetchGeosphereStations(settings))
+            .filter(s => s.is_active !== false && haversineDistance(lat, lon, s.lat, s.lon) <= radius);
+        if (stations.length === 0) return { stations, current: null };
+        const params = new URLSearchParams({
+            parameters: 'FF,FFX,DD,TL',
+            station_ids: stations.map(s => s.id).join(','),
+            output_format: 'geojson'
+        });
+        return { stations, current: await fetchJson(settings.url + '?' + params) };
+    },
+    parse(raw) {
+        const meta = new Map((raw?.stations || []).map(s => [String(s.id), s]));
+        const timestamps = raw?.current?.timestamps || [];
+        const time = timestamps[timestamps.length - 1];
+        return (Array.isArray(raw?.current?.features) ? raw.current.features : []).map(f => {
+            const p = f.properties || {};
+            const station = meta.get(String(p.station)) || {};
+            // Letzter Wert der Zeitreihe; Wind in m/s
+            const value = (key) => {
+                const data = p.parameters?.[key]?.data;
+                return Array.isArray(data) ? toNumber(data[data.length - 1]) : null;
+            };
+            const ms = (key) => value(key) !== null ? value(key) * MS_TO_KMH : null;
+            const [lon, lat] = f.geometry?.coordinates || [station.lon, station.lat];
+            return {
+                id: `gsa-${p.station}`,
+                name: station.name ? toTitleCase(station.name) : `TAWES ${p.station}`,
+                lat,
+                lon,
+                elevation: station.altitude,
+                windSpeed: ms('FF'),
+                windGust: ms('FFX'),
+                windMin: null,
+                windDirection: value('DD'),
+                temperature: value('TL'),
+                lastUpdate: time ? new Date(time) : null
+            };
+        });
+    }
+};
+
+// METAR der Flugplätze (aviationweather.gov): Abfrage per Bounding-Box, Wind in Knoten, "VRB" ohne Richtung
+const metarAdapter = {
+    id: 'metar',
+    label: 'METAR',
+    badge: { text: 'METAR', css: 'metar' },
+    attribution: { name: 'aviationweather.gov', url: 'https://aviationweather.gov/' },
+    area: true,
+    fetch(settings, { lat, lon, radius }) {
+        const dLat = radius / 111;
+        const dLon = radius / (111 * Math.cos(lat * Math.PI / 180));
+        const bbox = [lat - dLat, lon - dLon, lat + dLat, lon + dLon].map(v => v.toFixed(3)).join(',');
+        return fetchJson(settings.url + '?' + new URLSearchParams({ bbox, format: 'json' }));
+    },
+    parse(raw) {
+        return (Array.isArray(raw) ? raw : []).filter(m => m?.icaoId).map(m => ({
+            id: `metar-${m.icaoId}`,
+            name: `${String(m.name || m.icaoId).split(',')[0]} (${m.icaoId})`,
+            lat: m.lat,
+            lon: m.lon,
+            elevation: m.elev,
+            windSpeed: typeof m.wspd === 'number' ? m.wspd * KNOTS_TO_KMH : null,
+            windGust: typeof m.wgst === 'number' ? m.wgst * KNOTS_TO_KMH : null,
+            windMin: null,
+            windDirection: typeof m.wdir === 'number' ? m.wdir : null,
+            temperature: m.temp,
+            lastUpdate: m.obsTime ? new Date(m.obsTime * 1000) : null,
+            operator: 'METAR ' + m.icaoId
+        }));
+    }
+};
+
+// Reihenfolge = Reihenfolge der Quellenangabe
+export const LIVE_WIND_ADAPTERS = [openWindMapAdapter, avalancheAdapter, holfuyAdapter, meteoSwissAdapter, dwdAdapter, geosphereAdapter, metarAdapter];
+
+/**
+ * Adapter einer Station (für Badge, Link und Quellenangabe)
+ * @param {string} source - station.source
+ * @returns {Object|null}
+ */
+export function getLiveWindProvider(source) {
+    return LIVE_WIND_ADAPTERS.find(a => a.id === source) || null;
+}
+
+/**
+ * Rohdaten eines Anbieters laden (Cache je Anbieter, bei Fehler alte Daten)
+ * @returns {Promise<Object|null>} { raw, timestamp } oder null
+ */
+async function loadProvider(adapter, lat, lon, radius) {
+    const settings = LIVE_WIND_CONFIG.providers[adapter.id];
+    const key = adapter.area ? `${adapter.id}:${lat.toFixed(2)},${lon.toFixed(2)}` : adapter.id;
+    const cached = providerCache.get(key);
+    if (cached && Date.now() - cached.timestamp < settings.cacheTTL) return cached;
+
+    try {
+        const entry = { raw: await adapter.fetch(settings, { lat, lon, radius }), timestamp: Date.now() };
+        providerCache.set(key, entry);
+        return entry;
+    } catch (error) {
+        console.warn(`${adapter.label} Live-Wind nicht verfügbar:`, error);
+        // Bei Fehler: alte Cache-Daten zurückgeben falls vorhanden
+        return cached || null;
+    }
+}
+
+/**
+ * Station eines Adapters ins einheitliche Format bringen
+ * @param {Object} station - Eintrag aus adapter.parse()
+ * @param {Object} adapter - Eintrag aus LIVE_WIND_ADAPTERS
+ * @param {number} targetLat - Standort für die Distanz
+ * @param {number} targetLon
+ * @param {number} now - Bezugszeitpunkt für das Alter (ms)
+ * @returns {Object|null} Station oder null (ohne Position/Wind oder Messung zu alt)
+ */
+export function normalizeStation(station, adapter, targetLat, targetLon, now) {
+    const lat = toNumber(station?.lat), lon = toNumber(station?.lon);
+    const windSpeed = toNumber(station?.windSpeed);
+    if (lat === null || lon === null || windSpeed === null || !station.id) return null;
+
+    const lastUpdate = station.lastUpdate instanceof Date && isFinite(station.lastUpdate.getTime()) ? station.lastUpdate : null;
+    const ageMinutes = lastUpdate ? Math.round((now - lastUpdate.getTime()) / 60000) : null;
+    // Nur aktuelle Messungen
+    if (ageMinutes !== null && ageMinutes > LIVE_WIND_CONFIG.maxAgeMinutes) return null;
+
+    const round = (v) => toNumber(v) !== null ? Math.round(toNumber(v)) : null;
+    const windDirection = toNumber(station.windDirection);
+    const temperature = toNumber(station.temperature);
+    const elevation = toNumber(station.elevation);
+    return {
+        id: station.id,
+        name: station.name,
+        distance: Math.round(haversineDistance(targetLat, targetLon, lat, lon) * 10) / 10,
+        lat,
+        lon,
+        elevation: elevation ? Math.round(elevation) : null,
+        windSpeed: Math.round(windSpeed),
+        windGust: round(station.windGust),
+        windMin: round(station.windMin),
+        windDirection,
+        windDirectionText: getWindDir(windDirection),
+        temperature: temperature !== null ? Math.round(temperature * 10) / 10 : null,
+        lastUpdate,
+        ageMinutes,
+        source: adapter.id,
+        operator: station.operator || adapter.label,
+        quality: LIVE_WIND_CONFIG.providers[adapter.id].quality
+    };
+}
+
+/**
+ * Dubletten entfernen: gleiche ID (neuester Wert) und dieselbe Station über zwei Anbieter (besserer Rang)
+ */
+function removeDuplicates(stations) {
+    const ranked = [...stations].sort((a, b) => a.quality - b.quality || (a.ageMinutes ?? Infinity) - (b.ageMinutes ?? Infinity));
+    const kept = [];
+    ranked.forEach(s => {
+        const duplicate = kept.some(k => k.id === s.id ||
+            (k.source !== s.source && haversineDistance(k.lat, k.lon, s.lat, s.lon) < LIVE_WIND_CONFIG.duplicateKm));
+        if (!duplicate) kept.push(s);
+    });
+    return kept;
+}
+
+/**
+ * Holt Live-Windstationen in der Nähe eines Standorts
+ * Fragt alle aktiven Adapter parallel ab - ein ausgefallener Anbieter blendet nur dessen Stationen aus
+ * @param {number} lat - Breitengrad
+ * @param {number} lon - Längengrad
+ * @param {number} radiusKm - Suchradius in km (default aus Config)
+ * @param {number} maxStations - Max. Anzahl Stationen (default aus Config)
+ * @returns {Promise<Array>} Sortierte Liste der nächsten Stationen
+ */
+export async function fetchNearbyLiveWind(lat, lon, radiusKm = null, maxStations = null) {
+    const radius = radiusKm || LIVE_WIND_CONFIG.radius;
+    const max = maxStations || LIVE_WIND_CONFIG.maxStations;
+
+    const adapters = LIVE_WIND_ADAPTERS.filter(adapter => {
+        const settings = LIVE_WIND_CONFIG.providers[adapter.id];
+        return settings?.enabled && (!adapter.isAvailable || adapter.isAvailable(settings));
+    });
+    const entries = await Promise.all(adapters.map(adapter => loadProvider(adapter, lat, lon, radius)));
+
+    const allNearbyStations = [];
+    adapters.forEach((adapter, i) => {
+        const entry = entries[i];
+        if (!entry) return;
+        let parsed = [];
+        try {
+            parsed = adapter.parse(entry.raw) || [];
+        } catch (error) {
+            console.warn(`${adapter.label} Antwort nicht lesbar:`, error);
+        }
+        const nearby = parsed
+            .map(station => normalizeStation(station, adapter, lat, lon, Date.now()))
+            .filter(station => station !== null && station.distance <= radius);
+        allNearbyStations.push(...nearby);
+    });
+
+    // Nach Distanz sortieren und auf max begrenzen
+    // Bei ähnlicher Distanz: Station mit besserem Qualitätsrang bevorzugen
+    return removeDuplicates(allNearbyStations)
+        .sort((a, b) => {
+            const distDiff = a.distance - b.distance;
+            if (Math.abs(distDiff) < LIVE_WIND_CONFIG.similarDistanceKm && a.quality !== b.quality) {
+                return a.quality - b.quality;
+            }
+            return distDiff;
+        })
+        .slice(0, max);
+}
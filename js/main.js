@@ -5,7 +5,7 @@
  */
 
 import { state } from './state.js';
-import { STORAGE_KEYS, APP_INFO } from './config.js';
+import { STORAGE_KEYS, APP_INFO, STATION_HISTORY_CONFIG, SNAPSHOT_CONFIG } from './config.js';
 import { setupModalClose } from './utils.js';
 
 // Map-Modul
@@ -16,7 +16,10 @@ import {
     shareLocation,
     checkURLParams,
     handleMapClick,
-    flyTo
+    flyTo,
+    setLandingPickCallback,
+    startLandingPick,
+    setPlaceNameResolver
 } from './map.js';
 
 // Favorites-Modul
@@ -24,13 +27,15 @@ import {
     loadFavorites,
     loadFavoriteWeatherCache,
     renderFavorites,
+    renderFavoritesUI,
     openFavoriteModal,
     closeFavoriteModal,
     saveFavorite,
     confirmDelete,
     closeConfirmModal,
     openCompareModal,
-    closeCompareModal
+    closeCompareModal,
+    prepareTrip
 } from './favorites.js';
 
 // Weather-Modul
@@ -38,7 +43,7 @@ import {
     fetchWeatherData,
     refreshData,
     setWeatherCallback,
-    fetchNearbyLiveWind
+    updateLocationDetails
 } from './weather.js';
 
 // UI-Modul
@@ -62,6 +67,7 @@ import {
     toggleExplanation,
     showQuickExplanation,
     loadParamFilter,
+    updateFilterUI,
     handleFilterChange,
     resetParamFilter,
     toggleParamFilter,
@@ -74,6 +80,7 @@ import {
     // Expertenmodus
     loadExpertMode,
     toggleExpertMode,
+    updateExpertModeUI,
     openExpertSettings,
     closeExpertSettings,
     saveExpertSettings,
@@ -85,17 +92,77 @@ import {
     showLiveWindLoading,
     hideLiveWindCard,
     showLiveWindButton,
+    updateTakeoffSectorInfo,
+    renderSiteInfo,
+    updateLandingLinkInfo,
+    renderDataAgeBanner,
+    // Modellvergleich
+    renderModelCompareInfo,
+    updateForecastConfidence,
+    buildDayComparison,
+    // Vorhersagezeitraum
+    loadForecastHorizon,
+    handleHorizonChange,
     // Welcome-Modal
     openWelcomeModal,
     closeWelcomeModal
 } from './ui.js';
 
+// Modellvergleich-Modul
+import {
+    loadModelCompareMode,
+    setModelCompareMode,
+    fetchModelComparison
+} from './models.js';
+
+// Ensemble-Modul
+import { fetchEnsemble } from './ensemble.js';
+
+// Radiosonde-Modul
+import { fetchSoundingData, renderSounding } from './sounding.js';
+
+// Meteogramm
+import { setMeteogramHourCallback, renderMeteogram } from './meteogram.js';
+
+// Fluggebiete (Startplatz-Datenbank)
+import { loadSites, linkLanding, unlinkLanding } from './sites.js';
+
+// Regionale Übersicht (Heatmap)
+import { initHeatmap, setHeatmapCellCallback } from './heatmap.js';
+
+// Windpfeile auf der Karte
+import { initWindLayer, setWindLayerHourCallback } from './windlayer.js';
+import { initTilePacks } from './tilepacks.js';
+import { fetchNearbyLiveWind } from './livewind.js';
+import { loadStationHistory } from './stationhistory.js';
+
+// Ortssuche (Geocoding)
+import { initPlaceSearch, reverseGeocode } from './geocode.js';
+
+// Föhn-Modul
+import { fetchFoehnData } from './foehn.js';
+
+// Gelände-Modul (Lee-Erkennung)
+import { fetchTerrainProfiles } from './terrain.js';
+
+// Benachrichtigungs-Modul
+import { syncNotifyConfig } from './notify.js';
+
+// Mehrsprachigkeit
+import { detectLocale, setLocale, t } from './i18n.js';
+
+// Einheiten
+import { loadUnits, setUnits } from './units.js';
+
 /**
  * App initialisieren
  */
 async function initApp() {
     try {
-        // 1. Theme laden
+        // 1. Sprache (URL-Parameter vor gespeicherter Auswahl) und Theme laden
+        const params = checkURLParams();
+        setLocale(detectLocale(params.lang), false);
+        loadUnits();
         const savedTheme = localStorage.getItem(STORAGE_KEYS.THEME);
         setTheme(savedTheme || getPreferredTheme());
         loadContrastMode();
@@ -108,9 +175,21 @@ async function initApp() {
         loadFavoriteWeatherCache();
         renderFavorites();
 
+        // Fluggebiete vor den URL-Parametern laden (geteilte Links auf Startplätze)
+        await loadSites();
+        initPlaceSearch();
+        initHeatmap();
+        initWindLayer();
+        initTilePacks();
+
         // 4. Callbacks registrieren
         setLocationCallback(fetchWeatherData);
         setWeatherCallback(onWeatherLoaded);
+        setMeteogramHourCallback(selectHour);
+        setLandingPickCallback(linkLanding);
+        setPlaceNameResolver(reverseGeocode);
+        setHeatmapCellCallback(handleMapClick);
+        setWindLayerHourCallback(selectHour);
 
         // 5. Event-Listener registrieren
         registerEventListeners();
@@ -119,6 +198,12 @@ async function initApp() {
         loadWindroseState();
         loadParamFilter();
         loadExpertMode();
+        loadModelCompareMode();
+        renderModelCompareInfo();
+        loadForecastHorizon();
+
+        // Regeln und Grenzwerte für Hintergrund-Benachrichtigungen an den SW übergeben
+        syncNotifyConfig();
 
         // 7. Touch-Tooltips initialisieren
         initTouchTooltips();
@@ -134,8 +219,7 @@ async function initApp() {
             openWelcomeModal();
         }
 
-        // 11. URL-Parameter prüfen
-        const params = checkURLParams();
+        // 11. Standort aus URL-Parametern laden
         if (!isNaN(params.lat) && !isNaN(params.lon)) {
             await handleMapClick(params.lat, params.lon, params.name);
             flyTo(params.lat, params.lon, 11);
@@ -169,8 +253,27 @@ async function initApp() {
  * Callback wenn Wetterdaten geladen wurden
  */
 function onWeatherLoaded() {
+    // Vergleichs- und Ensemble-Daten gehören zum vorherigen Abruf
+    state.modelComparison = null;
+    state.ensemble = null;
+    state.soundingData = null;
+    state.foehn = null;
+    renderDataAgeBanner();
+    scheduleDegradeRefresh();
     setupDays();
     selectDay(0);
+    updateTakeoffSectorInfo();
+    renderSiteInfo();
+    updateLandingLinkInfo();
+    loadEnsemble();
+    loadFoehn();
+    loadTerrain();
+    if (state.modelCompareEnabled) {
+        loadModelComparison();
+    }
+    if (state.soundingEnabled) {
+        loadSounding();
+    }
 
     // Letzte Position speichern
     if (state.currentLocation.lat && state.currentLocation.lon) {
@@ -190,6 +293,186 @@ function onWeatherLoaded() {
     }
 }
 
+// Timer bis gespeicherte Daten die Altersgrenze erreichen (siehe isForecastDegraded)
+let degradeTimer = null;
+
+/**
+ * Gespeicherte Daten veralten während der Sitzung: Banner und Ampel-Ansichten
+ * genau dann neu zeichnen, wenn SNAPSHOT_CONFIG.degradeAfterHours erreicht ist
+ */
+function scheduleDegradeRefresh() {
+    clearTimeout(degradeTimer);
+    const src = state.forecastSource;
+    if (!src || src.source === 'network') return;
+    const delay = src.fetchedAt + SNAPSHOT_CONFIG.degradeAfterHours * 60 * 60 * 1000 - Date.now();
+    if (delay <= 0) return;
+    // +1 s, damit die Grenze beim Auslösen sicher überschritten ist
+    degradeTimer = setTimeout(() => {
+        renderDataAgeBanner();
+        refreshForecastViews();
+    }, delay + 1000);
+}
+
+/**
+ * Vergleichsmodelle für aktuellen Standort laden
+ */
+async function loadModelComparison() {
+    const { lat, lon } = state.currentLocation;
+    if (!lat || !lon) return;
+    renderModelCompareInfo('loading');
+    try {
+        await fetchModelComparison();
+        // Standort inzwischen gewechselt - neuer Abruf läuft bereits
+        if (state.currentLocation.lat !== lat || state.currentLocation.lon !== lon) return;
+        refreshForecastViews();
+    } catch (error) {
+        console.warn('Modellvergleich Fehler:', error);
+        renderModelCompareInfo('error');
+    }
+}
+
+/**
+ * Ensemble-Läufe für aktuellen Standort laden (Prognose-Sicherheit)
+ * Fehler sind unkritisch - dann bleibt die Schätzung nach Vorhersagezeitraum
+ */
+async function loadEnsemble() {
+    const { lat, lon } = state.currentLocation;
+    if (!lat || !lon) return;
+    try {
+        await fetchEnsemble();
+        if (state.currentLocation.lat !== lat || state.currentLocation.lon !== lon) return;
+        refreshForecastViews();
+    } catch (error) {
+        console.warn('Ensemble Fehler:', error);
+    }
+}
+
+/**
+ * Föhn-Druckdifferenz für aktuellen Standort laden (nur Alpenraum)
+ * Fehler sind unkritisch - dann entfällt nur die Föhn-Regel
+ */
+async function loadFoehn() {
+    const { lat, lon } = state.currentLocation;
+    if (!lat || !lon) return;
+    try {
+        const foehn = await fetchFoehnData(state.forecastHorizon);
+        if (!foehn) return;
+        if (state.currentLocation.lat !== lat || state.currentLocation.lon !== lon) return;
+        refreshForecastViews();
+    } catch (error) {
+        console.warn('Föhn-Daten Fehler:', error);
+    }
+}
+
+/**
+ * Geländeprofile für aktuellen Standort laden (Lee-Erkennung)
+ * Bleibt pro Standort erhalten - Fehler sind unkritisch
+ */
+async function loadTerrain() {
+    const { lat, lon } = state.currentLocation;
+    if (!lat || !lon) return;
+    try {
+        const terrain = await fetchTerrainProfiles();
+        if (!terrain) return;
+        if (state.currentLocation.lat !== lat || state.currentLocation.lon !== lon) return;
+        refreshForecastViews();
+    } catch (error) {
+        console.warn('Geländedaten Fehler:', error);
+    }
+}
+
+/**
+ * Radiosonde für aktuellen Standort laden und für die gewählte Stunde zeichnen
+ * Nach dem ersten Laden automatisch bei jedem Standortwechsel
+ */
+async function loadSounding() {
+    const { lat, lon } = state.currentLocation;
+    if (!lat || !lon) return;
+    state.soundingEnabled = true;
+
+    const loadBtn = document.getElementById('soundingLoadBtn');
+    const wrapper = document.getElementById('soundingWrapper');
+    const chart = document.getElementById('soundingChart');
+    const summary = document.getElementById('soundingSummary');
+    if (loadBtn) loadBtn.classList.add('u-hidden');
+    if (wrapper) wrapper.classList.remove('u-hidden');
+    if (chart) chart.innerHTML = '';
+    if (summary) summary.textContent = t('sounding.loading');
+
+    try {
+        await fetchSoundingData();
+        if (state.currentLocation.lat !== lat || state.currentLocation.lon !== lon) return;
+        renderSounding(state.selectedHourIndex);
+    } catch (error) {
+        console.warn('Radiosonde Fehler:', error);
+        if (summary) summary.textContent = t('sounding.error');
+        if (loadBtn) loadBtn.classList.remove('u-hidden');
+    }
+}
+
+/**
+ * Timeline, Parameter-Karten und Prognose-Sicherheit nach Modellvergleich/Ensemble neu zeichnen
+ */
+function refreshForecastViews() {
+    renderModelCompareInfo();
+    if (state.hourlyData && state.selectedHourIndex !== null && state.forecastDays?.length > 0) {
+        updateDisplay(state.selectedHourIndex);
+        if (state.forecastDays[state.selectedDay]) {
+            buildTimeline(state.forecastDays[state.selectedDay].date);
+            buildDayComparison();
+            updateForecastConfidence(state.selectedDay);
+            renderMeteogram(state.forecastDays[state.selectedDay].date);
+        }
+        renderSiteInfo();
+        updateLandingLinkInfo();
+    }
+}
+
+/**
+ * Sprache wechseln und dynamische Texte neu zeichnen
+ * Benachrichtigungen des SW folgen über die übergebene Konfiguration
+ */
+function handleLanguageChange(e) {
+    setLocale(e.target.value);
+    updateLocationDetails();
+    renderFavoritesUI();
+    updateTakeoffSectorInfo();
+    updateFilterUI();
+    updateExpertModeUI();
+    refreshForecastViews();
+    if (state.forecastDays?.[state.selectedDay]) {
+        renderWindDiagram(state.forecastDays[state.selectedDay].date);
+    }
+    if (state.liveWindStations) renderLiveWindStations(state.liveWindStations);
+    syncNotifyConfig();
+}
+
+/**
+ * Einheit wechseln und alle Werte neu zeichnen
+ * Grenzwerte bleiben in km/h bzw. Metern, es ändert sich nur die Anzeige
+ */
+function handleUnitChange(e) {
+    setUnits(e.target.id === 'speedUnitSelect' ? { speed: e.target.value } : { altitude: e.target.value });
+    updateLocationDetails();
+    refreshForecastViews();
+    if (state.forecastDays?.[state.selectedDay]) {
+        renderWindDiagram(state.forecastDays[state.selectedDay].date);
+    }
+    if (state.liveWindStations) renderLiveWindStations(state.liveWindStations);
+}
+
+/**
+ * Modellvergleich ein-/ausschalten
+ */
+function toggleModelCompare() {
+    setModelCompareMode(!state.modelCompareEnabled);
+    if (state.modelCompareEnabled && state.hourlyData) {
+        loadModelComparison();
+    } else {
+        refreshForecastViews();
+    }
+}
+
 /**
  * Live-Windstationen für aktuellen Standort laden
  */
@@ -208,7 +491,13 @@ async function loadLiveWindStations() {
 
     try {
         const stations = await fetchNearbyLiveWind(lat, lon);
+        const wasUnderestimating = !!state.modelCheck?.underestimated;
         renderLiveWindStations(stations);
+        loadLiveWindHistory(stations);
+        // Modell-Check stuft die aktuelle Stunde herab (Gesamtbewertung, Timeline, Tageskarten) - oder hebt das wieder auf
+        if (wasUnderestimating || state.modelCheck?.underestimated) {
+            refreshForecastViews();
+        }
 
         // Bei Erfolg: Badge, Refresh-Button und Footer anzeigen
         if (stations && stations.length > 0) {
@@ -225,11 +514,28 @@ async function loadLiveWindStations() {
         if (loadBtn) loadBtn.style.display = 'flex';
         const container = document.getElementById('liveWindStations');
         if (container) {
-            container.innerHTML = '<div class="live-wind-empty">⚠️ Daten konnten nicht geladen werden</div>';
+            container.innerHTML = '<div class="live-wind-empty">' + t('liveWind.error') + '</div>';
         }
     }
 }
 
+/**
+ * Verlauf der Stationen nachladen und mit Sparkline neu zeichnen
+ * Fehler sind unkritisch - dann bleibt es bei den aktuellen Messwerten
+ */
+async function loadLiveWindHistory(stations) {
+    if (!stations || stations.length === 0) return;
+    try {
+        state.liveWindHistory = await loadStationHistory(stations);
+        // Inzwischen andere Stationen geladen (Standortwechsel)? Dann nicht überschreiben
+        if (state.liveWindStations !== stations) return;
+        renderLiveWindStations(stations);
+        document.getElementById('liveWindSpan')?.classList.remove('u-hidden');
+    } catch (e) {
+        console.warn('Stationsverlauf nicht verfügbar:', e);
+    }
+}
+
 /**
  * Alle Event-Listener registrieren
  */
@@ -323,6 +629,12 @@ function registerEventListeners() {
     }
     setupModalClose('compareModal', closeCompareModal, 'closeCompareModal');
 
+    // Für unterwegs vorbereiten (Offline-Vorhersagen aller Favoriten)
+    const favPrepareBtn = document.getElementById('favPrepareBtn');
+    if (favPrepareBtn) {
+        favPrepareBtn.addEventListener('click', prepareTrip);
+    }
+
     // Windrose-Toggle
     const windroseToggle = document.getElementById('windroseToggle');
     if (windroseToggle) {
@@ -473,6 +785,55 @@ function registerEventListeners() {
         liveWindRefresh.addEventListener('click', loadLiveWindStations);
     }
 
+    // Zeitraum der Stations-Sparklines (2-6 h)
+    const liveWindSpan = document.getElementById('liveWindSpan');
+    if (liveWindSpan) {
+        liveWindSpan.value = String(state.liveWindSpan);
+        liveWindSpan.addEventListener('change', () => {
+            const hours = parseInt(liveWindSpan.value, 10);
+            if (STATION_HISTORY_CONFIG.spanOptions.includes(hours)) state.liveWindSpan = hours;
+            if (state.liveWindStations) renderLiveWindStations(state.liveWindStations);
+        });
+    }
+
+    // Radiosonde Laden Button
+    const soundingLoadBtn = document.getElementById('soundingLoadBtn');
+    if (soundingLoadBtn) {
+        soundingLoadBtn.addEventListener('click', loadSounding);
+    }
+
+    // Landeplatz verknüpfen / entfernen
+    const landingPickBtn = document.getElementById('landingPickBtn');
+    if (landingPickBtn) {
+        landingPickBtn.addEventListener('click', startLandingPick);
+    }
+    const landingClearBtn = document.getElementById('landingClearBtn');
+    if (landingClearBtn) {
+        landingClearBtn.addEventListener('click', unlinkLanding);
+    }
+
+    // Vorhersagezeitraum
+    const forecastHorizon = document.getElementById('forecastHorizon');
+    if (forecastHorizon) {
+        forecastHorizon.addEventListener('change', handleHorizonChange);
+    }
+
+    // Sprache
+    const languageSelect = document.getElementById('languageSelect');
+    if (languageSelect) {
+        languageSelect.addEventListener('change', handleLanguageChange);
+    }
+    ['speedUnitSelect', 'altitudeUnitSelect'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) select.addEventListener('change', handleUnitChange);
+    });
+
+    // Modellvergleich Toggle
+    const modelCompareToggle = document.getElementById('modelCompareToggle');
+    if (modelCompareToggle) {
+        modelCompareToggle.addEventListener('click', toggleModelCompare);
+    }
+
     // === Expertenmodus Event-Listener ===
     const expertModeToggle = document.getElementById('expertModeToggle');
     if (expertModeToggle) {
@@ -531,6 +892,12 @@ function handleKeyboardShortcuts(e) {
         case '1':
         case '2':
         case '3':
+        case '4':
+        case '5':
+        case '6':
+        case '7':
+        case '8':
+        case '9':
             const dayIdx = parseInt(e.key) - 1;
             if (state.forecastDays[dayIdx]) {
                 selectDay(dayIdx);
@@ -553,9 +920,10 @@ function handleKeyboardShortcuts(e) {
 document.addEventListener('DOMContentLoaded', initApp);
 
 // PWA Service Worker Registration
+// Als Modul registriert: der SW nutzt dieselbe Bewertung (sitecheck.js) für Benachrichtigungen
 if ('serviceWorker' in navigator) {
     window.addEventListener('load', () => {
-        navigator.serviceWorker.register('./sw.js')
+        navigator.serviceWorker.register('./sw.js', { type: 'module' })
             .then((reg) => console.log('SW registered:', reg.scope))
             .catch((err) => console.log('SW registration failed:', err));
     });
@@ -563,9 +931,13 @@ if ('serviceWorker' in navigator) {
 
 // Offline/Online Status überwachen
 window.addEventListener('offline', () => {
-    showToast('📴 Offline - gespeicherte Daten werden angezeigt', 'warning', 5000);
+    showToast(t('toast.offline'), 'warning', 5000);
 });
 
 window.addEventListener('online', () => {
-    showToast('🌐 Wieder online', 'success', 3000);
+    showToast(t('toast.online'), 'success', 3000);
+    // Offline-Daten angezeigt: gleich frisch laden
+    if (state.currentLocation.lat && state.forecastSource && state.forecastSource.source !== 'network') {
+        fetchWeatherData();
+    }
 });
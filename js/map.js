@@ -4,12 +4,71 @@
  */
 
 import { state } from './state.js';
-import { API_CONFIG, UI_CONFIG } from './config.js';
+import { API_CONFIG, UI_CONFIG, TILE_PACK_CONFIG } from './config.js';
 import { showToast } from './ui.js';
+import { t, isSupportedLocale } from './i18n.js';
 
 // Callback für Wetter-Laden (wird von main.js gesetzt)
 let onLocationSelected = null;
 
+// Ortsname für Kartenklicks (Reverse-Geocoding, wird von main.js gesetzt)
+let resolvePlaceName = null;
+
+// Marker der mitgelieferten Fluggebiete
+let siteLayer = null;
+
+// Landeplatz-Auswahl: nächster Kartenklick verknüpft einen Landeplatz statt den Standort zu wechseln
+let landingPickActive = false;
+let onLandingPicked = null;
+
+// Zähler der Standortwechsel: eine langsame Höhen-/Namensabfrage eines älteren Klicks
+// darf den inzwischen gewählten Standort nicht mehr überschreiben
+let locationRequest = 0;
+
+/**
+ * Callback für gewählten Landeplatz registrieren
+ * @param {Function} callback - erhält (lat, lon, name|null)
+ */
+export function setLandingPickCallback(callback) {
+    onLandingPicked = callback;
+}
+
+/**
+ * Landeplatz-Auswahl starten: der nächste Kartenklick oder Landeplatz-Marker wird verknüpft
+ */
+export function startLandingPick() {
+    landingPickActive = true;
+    document.getElementById('map')?.classList.add('picking-landing');
+    showToast(t('toast.pickLanding'), '', 4000);
+}
+
+/**
+ * Landeplatz-Auswahl beenden
+ */
+function cancelLandingPick() {
+    landingPickActive = false;
+    document.getElementById('map')?.classList.remove('picking-landing');
+}
+
+/**
+ * Kartenklick bzw. Landeplatz-Marker: im Auswahlmodus Landeplatz verknüpfen, sonst Standort wählen
+ */
+async function handlePointPicked(lat, lon, name = null) {
+    if (landingPickActive) {
+        cancelLandingPick();
+        if (onLandingPicked) await onLandingPicked(lat, lon, name);
+        return;
+    }
+    await handleMapClick(lat, lon, name);
+}
+
+/**
+ * Reverse-Geocoding registrieren: liefert zu (lat, lon) einen Ortsnamen oder null
+ */
+export function setPlaceNameResolver(callback) {
+    resolvePlaceName = callback;
+}
+
 /**
  * Callback registrieren für Standort-Auswahl
  */
@@ -35,26 +94,42 @@ export function initMap() {
     // Zoom-Control unten rechts platzieren (weniger Überlappung auf Mobile)
     L.control.zoom({ position: 'bottomright' }).addTo(state.map);
 
-    L.tileLayer('https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png', {
+    L.tileLayer(TILE_PACK_CONFIG.tileUrl, {
         maxZoom: 17,
         attribution: 'Kartendaten: © <a href="https://openstreetmap.org/copyright" target="_blank" rel="noopener noreferrer">OpenStreetMap</a>-Mitwirkende, <a href="https://viewfinderpanoramas.org" target="_blank" rel="noopener noreferrer">SRTM</a> | Kartendarstellung: © <a href="https://opentopomap.org" target="_blank" rel="noopener noreferrer">OpenTopoMap</a> (<a href="https://creativecommons.org/licenses/by-sa/3.0/" target="_blank" rel="noopener noreferrer">CC-BY-SA</a>)'
     }).addTo(state.map);
-    state.map.on('click', async (e) => await handleMapClick(e.latlng.lat, e.latlng.lng));
+    state.map.on('click', async (e) => await handlePointPicked(e.latlng.lat, e.latlng.lng));
 }
 
 /**
  * Klick auf Karte verarbeiten
  */
 export async function handleMapClick(lat, lon, customName = null) {
+    const request = ++locationRequest;
     updateMarker(lat, lon);
     document.getElementById('coordsDisplay').textContent = lat.toFixed(4) + '°N, ' + lon.toFixed(4) + '°E';
 
-    let elevation = await getElevation(lat, lon);
+    // Gespeicherter Favorit an dieser Stelle? Dann dessen Startrichtungen übernehmen
+    const key = lat.toFixed(4) + ',' + lon.toFixed(4);
+    const favorite = state.favorites.find(f => f.lat.toFixed(4) + ',' + f.lon.toFixed(4) === key);
+    // Startplatz aus der Datenbank (z.B. geteilter Link): Landeplatz und Regeln mitnehmen
+    const site = findSiteAt(lat, lon);
+    // Ohne bekannten Namen den nächsten Ort nachschlagen (parallel zur Höhe)
+    const needsName = !customName && !site && !favorite && resolvePlaceName;
+    const [elevation, placeName] = await Promise.all([
+        getElevation(lat, lon),
+        needsName ? resolvePlaceName(lat, lon) : null
+    ]);
+    // Inzwischen anderer Standort gewählt → Ergebnis verwerfen
+    if (request !== locationRequest) return;
     state.currentLocation = {
         lat,
         lon,
         elevation,
-        name: customName || (lat.toFixed(3) + '°N, ' + lon.toFixed(3) + '°E')
+        name: customName || site?.name || favorite?.name || placeName || (lat.toFixed(3) + '°N, ' + lon.toFixed(3) + '°E'),
+        sectors: favorite?.sectors ?? site?.sectors,
+        landing: favorite?.landing ?? site?.landing ?? undefined,
+        site
     };
 
     updateURL();
@@ -67,14 +142,28 @@ export async function handleMapClick(lat, lon, customName = null) {
 }
 
 /**
- * Standort auswählen (von Favoriten)
+ * Standort auswählen (von Favoriten oder Fluggebieten)
+ * Ein verknüpfter Landeplatz kommt vom Favoriten bzw. Startplatz an dieser Position
+ * @param {Array} [sectors] - Startplatz-Sektoren des Favoriten
  */
-export async function selectLocation(lat, lon, elevation, name) {
+export async function selectLocation(lat, lon, elevation, name, sectors = undefined) {
+    locationRequest++;
     updateMarker(lat, lon);
     state.map.setView([lat, lon], 11);
     document.getElementById('coordsDisplay').textContent = lat.toFixed(4) + '°N, ' + lon.toFixed(4) + '°E';
 
-    state.currentLocation = { lat, lon, elevation, name };
+    const key = lat.toFixed(4) + ',' + lon.toFixed(4);
+    const favorite = state.favorites.find(f => f.lat.toFixed(4) + ',' + f.lon.toFixed(4) === key);
+    const site = findSiteAt(lat, lon);
+    state.currentLocation = {
+        lat,
+        lon,
+        elevation,
+        name,
+        sectors: sectors ?? site?.sectors,
+        landing: favorite?.landing ?? site?.landing ?? undefined,
+        site
+    };
 
     updateURL();
     document.getElementById('shareBtn').disabled = false;
@@ -85,6 +174,49 @@ export async function selectLocation(lat, lon, elevation, name) {
     }
 }
 
+/**
+ * Startplatz aus der Datenbank an exakt dieser Position (4 Nachkommastellen)
+ * @returns {Object|null} Eintrag aus state.sites
+ */
+function findSiteAt(lat, lon) {
+    const key = lat.toFixed(4) + ',' + lon.toFixed(4);
+    return state.sites.find(s => s.lat.toFixed(4) + ',' + s.lon.toFixed(4) === key) || null;
+}
+
+/**
+ * Marker für Startplätze (▲) und Landeplätze (L) mit Verbindungslinie zeichnen
+ * @param {Array} sites - Einträge aus state.sites
+ * @param {Function} onSelect - erhält die Startplatz-ID beim Klick
+ */
+export function renderSiteMarkers(sites, onSelect) {
+    if (!state.map) return;
+    if (siteLayer) siteLayer.remove();
+    siteLayer = L.layerGroup();
+
+    sites.forEach(site => {
+        const takeoff = L.marker([site.lat, site.lon], {
+            icon: L.divIcon({ className: 'site-marker', html: '▲', iconSize: [18, 18], iconAnchor: [9, 9] }),
+            title: site.name
+        });
+        takeoff.bindTooltip(site.name, { direction: 'top', offset: [0, -8] });
+        takeoff.on('click', () => onSelect(site.id));
+        siteLayer.addLayer(takeoff);
+
+        if (site.landing) {
+            const { lat, lon, name } = site.landing;
+            siteLayer.addLayer(L.polyline([[site.lat, site.lon], [lat, lon]], { className: 'site-link', interactive: false }));
+            const landing = L.marker([lat, lon], {
+                icon: L.divIcon({ className: 'landing-marker', html: 'L', iconSize: [14, 14], iconAnchor: [7, 7] }),
+                title: name
+            });
+            landing.bindTooltip(name, { direction: 'top', offset: [0, -6] });
+            landing.on('click', () => handlePointPicked(lat, lon, name));
+            siteLayer.addLayer(landing);
+        }
+    });
+    siteLayer.addTo(state.map);
+}
+
 /**
  * Marker aktualisieren oder erstellen
  */
@@ -137,7 +269,7 @@ export function getGPSLocation() {
     btn.textContent = '⏳';
 
     if (!navigator.geolocation) {
-        showToast('GPS nicht unterstützt');
+        showToast(t('toast.gpsUnsupported'));
         btn.disabled = false;
         btn.textContent = '📍';
         return;
@@ -152,11 +284,11 @@ export function getGPSLocation() {
         },
         (err) => {
             const messages = {
-                1: 'GPS-Zugriff verweigert',
-                2: 'Position nicht verfügbar',
-                3: 'Zeitüberschreitung'
+                1: 'toast.gpsDenied',
+                2: 'toast.gpsUnavailable',
+                3: 'toast.gpsTimeout'
             };
-            showToast(messages[err.code] || 'GPS-Fehler');
+            showToast(t(messages[err.code] || 'toast.gpsError'));
             btn.disabled = false;
             btn.textContent = '📍';
         }
@@ -175,6 +307,9 @@ export function updateURL() {
         if (state.currentLocation.name && !state.currentLocation.name.includes('N,')) {
             params.set('name', state.currentLocation.name);
         }
+        // Sprache aus geteiltem Link beibehalten
+        const lang = new URLSearchParams(window.location.search).get('lang');
+        if (lang) params.set('lang', lang);
         window.history.replaceState({}, '', window.location.pathname + '?' + params.toString());
     }
 }
@@ -184,9 +319,9 @@ export function updateURL() {
  */
 export function shareLocation() {
     navigator.clipboard.writeText(window.location.href).then(() => {
-        showToast('🔗 Link kopiert!', 'success');
+        showToast(t('toast.linkCopied'), 'success');
     }).catch(() => {
-        showToast('Fehler beim Kopieren', 'error');
+        showToast(t('toast.copyFailed'), 'error');
     });
 }
 
@@ -209,12 +344,13 @@ export function checkURLParams() {
     const lon = parseFloat(params.get('lon'));
     const name = params.get('name');
     const theme = params.get('theme');
+    const lang = isSupportedLocale(params.get('lang')) ? params.get('lang') : null;
 
     // Koordinaten validieren
     if (params.has('lat') && params.has('lon') && !isValidCoordinate(lat, lon)) {
         console.warn('Ungültige Koordinaten in URL:', lat, lon);
-        return { lat: NaN, lon: NaN, name: null, theme };
+        return { lat: NaN, lon: NaN, name: null, theme, lang };
     }
 
-    return { lat, lon, name, theme };
+    return { lat, lon, name, theme, lang };
 }
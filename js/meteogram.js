@@ -0,0 +1,267 @@
+/**
+ * SkyCheck - Meteogramm des gewählten Tages
+ * Temperatur/Taupunkt, Wolkenschichten (tief/mittel/hoch), Niederschlag + CAPE,
+ * Grenzschicht und berechnete Wolkenbasis - als SVG ohne Chart-Bibliothek,
+ * stundengenau ausgerichtet wie die Timeline (gleiches Flugfenster)
+ */
+
+import { state } from './state.js';
+import { METEOGRAM_CONFIG } from './config.js';
+import { getFlyingHours, calculateCloudBase } from './weather.js';
+import { getHourOf } from './utils.js';
+import { t, formatNumber } from './i18n.js';
+import { convertAltitude, altitudeLabel, formatAltitude } from './units.js';
+
+// Diagramm-Geometrie (SVG viewBox 0 0 360 304), Panels von oben nach unten
+const VIEW = { width: 360, height: 304, left: 40, right: 326, axisY: 296 };
+const PANELS = {
+    temp: { top: 10, bottom: 88 },
+    clouds: { top: 96, bottom: 132 },
+    precip: { top: 140, bottom: 190 },
+    height: { top: 198, bottom: 280 }
+};
+const CLOUD_LAYERS = [
+    { key: 'cloud_cover_high', label: 'meteogram.high' },
+    { key: 'cloud_cover_mid', label: 'meteogram.mid' },
+    { key: 'cloud_cover_low', label: 'meteogram.low' }
+];
+
+// Zuletzt gezeichnete Stunden (Indizes in state.hourlyData) für die Pointer-Interaktion
+let currentHours = [];
+let chartInitialized = false;
+let onHourSelected = null;
+
+/**
+ * Callback für Klick auf eine Stunde (vermeidet Import-Zyklus mit ui.js)
+ * @param {Function} callback - erhält den Stunden-Index
+ */
+export function setMeteogramHourCallback(callback) {
+    onHourSelected = callback;
+}
+
+/**
+ * Werte einer Stunde für Diagramm und Anzeige sammeln
+ */
+function getHourValues(h, i, elevation) {
+    const temp = h.temperature_2m?.[i] ?? null;
+    const dew = h.dew_point_2m?.[i] ?? null;
+    const blh = h.boundary_layer_height?.[i] ?? null;
+    return {
+        idx: i,
+        hour: getHourOf(h.time[i]),
+        temp,
+        dew,
+        clouds: CLOUD_LAYERS.map(l => h[l.key]?.[i] ?? null),
+        precip: h.precipitation?.[i] ?? null,
+        cape: h.cape?.[i] ?? null,
+        blhTop: blh !== null ? elevation + blh : null,
+        cloudBase: (temp !== null && dew !== null) ? calculateCloudBase(temp, dew, elevation) : null
+    };
+}
+
+/**
+ * Polyline-Segmente (Lücken bei fehlenden Werten unterbrechen die Linie)
+ */
+function linePath(hours, key, x, y) {
+    let d = '';
+    let open = false;
+    hours.forEach((v, k) => {
+        if (v[key] === null) {
+            open = false;
+            return;
+        }
+        d += (open ? 'L' : 'M') + x(k).toFixed(1) + ' ' + y(v[key]).toFixed(1) + ' ';
+        open = true;
+    });
+    return d.trim();
+}
+
+/**
+ * Meteogramm für einen Tag zeichnen
+ * @param {string} dayStr - Datum "YYYY-MM-DD"
+ */
+export function renderMeteogram(dayStr) {
+    const svg = document.getElementById('meteogramChart');
+    if (!svg || !state.hourlyData || !dayStr) return;
+
+    const h = state.hourlyData;
+    const elevation = state.currentLocation.elevation || 0;
+    const flying = getFlyingHours(dayStr);
+    const hours = [];
+    h.time.forEach((ts, i) => {
+        if (!ts.startsWith(dayStr)) return;
+        const hour = getHourOf(ts);
+        if (hour >= flying.start && hour <= flying.end) hours.push(getHourValues(h, i, elevation));
+    });
+    currentHours = hours;
+
+    const readout = document.getElementById('meteogramReadout');
+    if (hours.length === 0) {
+        svg.innerHTML = '';
+        if (readout) readout.textContent = t('meteogram.noData');
+        return;
+    }
+    if (readout) readout.textContent = t('meteogram.hint');
+
+    const f = (v) => v.toFixed(1);
+    const colW = (VIEW.right - VIEW.left) / hours.length;
+    const x = (k) => VIEW.left + (k + 0.5) * colW;
+    const scaleY = (panel, min, max) => (v) => panel.bottom - (v - min) / (max - min) * (panel.bottom - panel.top);
+    const frame = (panel) => `<rect class="meteogram-frame" x="${VIEW.left}" y="${panel.top}" width="${VIEW.right - VIEW.left}" height="${panel.bottom - panel.top}"/>`;
+    const axisText = (xPos, yPos, text, anchor = 'end', cls = '') =>
+        `<text class="meteogram-axis${cls}" x="${f(xPos)}" y="${f(yPos)}" text-anchor="${anchor}">${text}</text>`;
+
+    let out = '';
+
+    // 1) Temperatur und Taupunkt
+    const tp = PANELS.temp;
+    const tempValues = hours.flatMap(v => [v.temp, v.dew]).filter(v => v !== null);
+    let tMin = Math.floor(Math.min(...tempValues) / 5) * 5;
+    let tMax = Math.ceil(Math.max(...tempValues) / 5) * 5;
+    if (tMax - tMin < METEOGRAM_CONFIG.minTempRange) tMax = tMin + METEOGRAM_CONFIG.minTempRange;
+    out += frame(tp);
+    if (tempValues.length > 0) {
+        const yT = scaleY(tp, tMin, tMax);
+        const tStep = tMax - tMin > 20 ? 10 : 5;
+        for (let v = tMin; v <= tMax; v += tStep) {
+            out += `<line class="meteogram-grid${v === 0 ? ' zero' : ''}" x1="${VIEW.left}" y1="${f(yT(v))}" x2="${VIEW.right}" y2="${f(yT(v))}"/>`;
+            out += axisText(VIEW.left - 3, yT(v), v + '°');
+        }
+        out += `<path class="meteogram-dewpoint" d="${linePath(hours, 'dew', x, yT)}"/>`;
+        out += `<path class="meteogram-temp" d="${linePath(hours, 'temp', x, yT)}"/>`;
+    }
+
+    // 2) Wolkenschichten: Deckungsgrad als Deckkraft je Stunde
+    const cp = PANELS.clouds;
+    const rowH = (cp.bottom - cp.top) / CLOUD_LAYERS.length;
+    out += frame(cp);
+    CLOUD_LAYERS.forEach((layer, r) => {
+        const yRow = cp.top + r * rowH;
+        out += axisText(VIEW.left - 3, yRow + rowH / 2, t(layer.label));
+        hours.forEach((v, k) => {
+            const cover = v.clouds[r];
+            if (!cover) return;
+            out += `<rect class="meteogram-cloud" x="${f(VIEW.left + k * colW)}" y="${f(yRow + 1)}" width="${f(colW)}" height="${f(rowH - 2)}" fill-opacity="${(cover / 100).toFixed(2)}"/>`;
+        });
+    });
+
+    // 3) Niederschlag (Balken, linke Skala) und CAPE (Linie, rechte Skala)
+    const pp = PANELS.precip;
+    const precipMax = Math.max(METEOGRAM_CONFIG.minPrecipScale, ...hours.map(v => v.precip || 0));
+    const capeMax = Math.max(METEOGRAM_CONFIG.minCapeScale, ...hours.map(v => v.cape || 0));
+    const yP = scaleY(pp, 0, precipMax);
+    const yC = scaleY(pp, 0, capeMax);
+    out += frame(pp);
+    hours.forEach((v, k) => {
+        if (!v.precip) return;
+        const top = yP(v.precip);
+        out += `<rect class="meteogram-precip" x="${f(VIEW.left + k * colW + colW * 0.2)}" y="${f(top)}" width="${f(colW * 0.6)}" height="${f(pp.bottom - top)}"/>`;
+    });
+    out += `<path class="meteogram-cape" d="${linePath(hours, 'cape', x, yC)}"/>`;
+    out += axisText(VIEW.left - 3, pp.top + 4, formatNumber(precipMax, precipMax < 10 ? 1 : 0));
+    out += axisText(VIEW.left - 3, pp.bottom - 4, 'mm');
+    out += axisText(VIEW.right + 3, pp.top + 4, Math.round(capeMax), 'start', ' cape');
+    out += axisText(VIEW.right + 3, pp.bottom - 4, 'J/kg', 'start', ' cape');
+
+    // 4) Grenzschicht (Fläche ab Boden) und Wolkenbasis (Punkte mit Linie), Höhen ü.M.
+    const hp = PANELS.height;
+    const tops = hours.flatMap(v => [v.blhTop, v.cloudBase]).filter(v => v !== null);
+    const step = METEOGRAM_CONFIG.heightStep;
+    const zMin = Math.floor(elevation / step) * step;
+    let zMax = Math.ceil(Math.max(elevation + step, ...tops) / step) * step;
+    const zStep = step * Math.max(1, Math.ceil((zMax - zMin) / step / 4));
+    zMax = zMin + Math.ceil((zMax - zMin) / zStep) * zStep;
+    const yZ = scaleY(hp, zMin, zMax);
+    out += frame(hp);
+    for (let z = zMin; z <= zMax; z += zStep) {
+        out += `<line class="meteogram-grid" x1="${VIEW.left}" y1="${f(yZ(z))}" x2="${VIEW.right}" y2="${f(yZ(z))}"/>`;
+        out += axisText(VIEW.left - 3, yZ(z), convertAltitude(z));
+    }
+    out += axisText(VIEW.right + 3, hp.top + 4, altitudeLabel(), 'start');
+    hours.forEach((v, k) => {
+        if (v.blhTop === null) return;
+        const top = yZ(v.blhTop);
+        out += `<rect class="meteogram-blh" x="${f(VIEW.left + k * colW)}" y="${f(top)}" width="${f(colW)}" height="${f(yZ(elevation) - top)}"/>`;
+    });
+    out += `<line class="meteogram-ground" x1="${VIEW.left}" y1="${f(yZ(elevation))}" x2="${VIEW.right}" y2="${f(yZ(elevation))}"/>`;
+    out += `<path class="meteogram-cloudbase" d="${linePath(hours, 'cloudBase', x, yZ)}"/>`;
+    hours.forEach((v, k) => {
+        if (v.cloudBase !== null) out += `<circle class="meteogram-cloudbase-dot" cx="${f(x(k))}" cy="${f(yZ(v.cloudBase))}" r="2"/>`;
+    });
+
+    // Zeitachse: jede Stunde bzw. jede zweite/dritte bei langen Tagen
+    const labelEvery = hours.length > 16 ? 3 : hours.length > 10 ? 2 : 1;
+    hours.forEach((v, k) => {
+        if (v.hour % labelEvery === 0) out += axisText(x(k), VIEW.axisY, v.hour, 'middle');
+    });
+
+    // Gewählte Stunde (halbtransparent über alle Panels)
+    const selK = hours.findIndex(v => v.idx === state.selectedHourIndex);
+    if (selK !== -1) {
+        out += `<rect class="meteogram-selected" x="${f(VIEW.left + selK * colW)}" y="${PANELS.temp.top}" width="${f(colW)}" height="${PANELS.height.bottom - PANELS.temp.top}"/>`;
+    }
+
+    // Hover-Spalte (wird per Pointer positioniert)
+    out += `<rect class="meteogram-cursor" x="0" y="${PANELS.temp.top}" width="${f(colW)}" height="${PANELS.height.bottom - PANELS.temp.top}" visibility="hidden"/>`;
+    svg.innerHTML = out;
+    initChartInteraction(svg);
+}
+
+/**
+ * Anzeigetext einer Stunde
+ */
+function formatReadout(v) {
+    const parts = [t('time.clock', { time: v.hour.toString().padStart(2, '0') + ':00' })];
+    if (v.temp !== null) {
+        let text = 'T ' + formatNumber(v.temp, 1) + '°C';
+        if (v.dew !== null) text += ' / Td ' + formatNumber(v.dew, 1) + '°C';
+        parts.push(text);
+    }
+    if (v.clouds.some(c => c !== null)) {
+        const [high, mid, low] = v.clouds.map(c => c === null ? '–' : Math.round(c));
+        parts.push(t('meteogram.readoutClouds', { low, mid, high }));
+    }
+    if (v.precip !== null) parts.push(formatNumber(v.precip, 1) + ' mm');
+    if (v.cape !== null) parts.push('CAPE ' + Math.round(v.cape));
+    if (v.blhTop !== null) parts.push(t('meteogram.blh') + ' ' + formatAltitude(v.blhTop));
+    if (v.cloudBase !== null) parts.push(t('meteogram.cloudBase') + ' ' + formatAltitude(v.cloudBase));
+    return parts.join(' · ');
+}
+
+/**
+ * Pointer-Interaktion: Werte der Stunde anzeigen, Klick wählt die Stunde aus
+ */
+function initChartInteraction(svg) {
+    if (chartInitialized) return;
+    const readout = document.getElementById('meteogramReadout');
+
+    const hourAt = (e) => {
+        if (currentHours.length === 0) return -1;
+        const rect = svg.getBoundingClientRect();
+        const xPos = (e.clientX - rect.left) / rect.width * VIEW.width;
+        const k = Math.floor((xPos - VIEW.left) / (VIEW.right - VIEW.left) * currentHours.length);
+        return Math.min(currentHours.length - 1, Math.max(0, k));
+    };
+
+    svg.addEventListener('pointermove', (e) => {
+        const k = hourAt(e);
+        if (k === -1) return;
+        const cursor = svg.querySelector('.meteogram-cursor');
+        if (cursor) {
+            const colW = (VIEW.right - VIEW.left) / currentHours.length;
+            cursor.setAttribute('x', (VIEW.left + k * colW).toFixed(1));
+            cursor.setAttribute('visibility', 'visible');
+        }
+        if (readout) readout.textContent = formatReadout(currentHours[k]);
+    });
+    svg.addEventListener('pointerleave', () => {
+        svg.querySelector('.meteogram-cursor')?.setAttribute('visibility', 'hidden');
+    });
+    svg.addEventListener('click', (e) => {
+        const k = hourAt(e);
+        if (k === -1 || !onHourSelected) return;
+        onHourSelected(currentHours[k].idx);
+        if (readout) readout.textContent = formatReadout(currentHours[k]);
+    });
+    chartInitialized = true;
+}
@@ -0,0 +1,137 @@
+/**
+ * SkyCheck - Modell-Check
+ * Vergleicht die Vorhersage der aktuellen Stunde mit den nächsten Live-Windstationen.
+ * Die Stationen stehen selten auf Startplatzhöhe: der Modellwind wird deshalb zwischen
+ * 10m-Wind (Standorthöhe) und den Drucklevel-Winden auf die Stationshöhe interpoliert.
+ */
+
+import { state } from './state.js';
+import { MODEL_CHECK_CONFIG, PRESSURE_LEVELS } from './config.js';
+import { getSiteNow } from './utils.js';
+
+/**
+ * Index der aktuellen Stunde (Ortszeit des Standorts) in state.hourlyData
+ * @returns {number} Index oder -1 (Stunde nicht in den Daten)
+ */
+export function getCurrentHourIndex() {
+    const h = state.hourlyData;
+    if (!h?.time) return -1;
+    const now = getSiteNow(state.timezone);
+    return h.time.indexOf(now.date + 'T' + String(now.hour).padStart(2, '0') + ':00');
+}
+
+/**
+ * Windprofil einer Stunde: Boden (Standorthöhe) + Drucklevel darüber, nach Höhe sortiert
+ * @returns {Array} [{ alt, speed, dir }]
+ */
+function getWindProfile(h, i, siteElevation) {
+    const profile = [{ alt: siteElevation, speed: h.wind_speed_10m?.[i], dir: h.wind_direction_10m?.[i] }];
+    Object.values(PRESSURE_LEVELS).forEach(level => {
+        if (level.approxAlt <= siteElevation) return;
+        profile.push({
+            alt: level.approxAlt,
+            speed: h[`wind_speed_${level.hPa}hPa`]?.[i],
+            dir: h[`wind_direction_${level.hPa}hPa`]?.[i]
+        });
+    });
+    return profile.filter(p => typeof p.speed === 'number' && typeof p.dir === 'number')
+        .sort((a, b) => a.alt - b.alt);
+}
+
+/**
+ * Modellwind auf einer Höhe (lineare Interpolation, Richtung über u/v-Komponenten)
+ * Unterhalb des Profils gilt der Bodenwind, oberhalb das höchste Level
+ * @returns {Object|null} { speed, dir }
+ */
+function interpolateWind(profile, alt) {
+    if (profile.length === 0) return null;
+    if (alt <= profile[0].alt) return { speed: profile[0].speed, dir: profile[0].dir };
+    const top = profile[profile.length - 1];
+    if (alt >= top.alt) return { speed: top.speed, dir: top.dir };
+
+    const upper = profile.findIndex(p => p.alt >= alt);
+    const a = profile[upper - 1], b = profile[upper];
+    const f = (alt - a.alt) / (b.alt - a.alt);
+    const rad = Math.PI / 180;
+    const u = (1 - f) * a.speed * Math.sin(a.dir * rad) + f * b.speed * Math.sin(b.dir * rad);
+    const v = (1 - f) * a.speed * Math.cos(a.dir * rad) + f * b.speed * Math.cos(b.dir * rad);
+    return {
+        speed: (1 - f) * a.speed + f * b.speed,
+        dir: (Math.atan2(u, v) / rad + 360) % 360
+    };
+}
+
+/**
+ * Kleinster Winkel zwischen zwei Richtungen (0-180°)
+ */
+function angleDiff(a, b) {
+    const d = Math.abs(a - b) % 360;
+    return d > 180 ? 360 - d : d;
+}
+
+/**
+ * Vorhersage der aktuellen Stunde mit den nächsten Stationen vergleichen
+ * Böen: Böenaufschlag des Bodenwinds (wind_gusts_10m - wind_speed_10m) auf den Wind in Stationshöhe
+ * @param {Array} stations - Ergebnis von fetchNearbyLiveWind()
+ * @returns {Object|null} { hourIndex, hourly, stations, rows: [{ station, forecast, delta, gustDelta, dirDiff, underestimated, directionMismatch }],
+ *                          underestimated, maxDelta } oder null (keine Stunde/Stationen zum Vergleichen)
+ */
+export function compareWithStations(stations) {
+    const h = state.hourlyData;
+    const i = getCurrentHourIndex();
+    if (i === -1 || !Array.isArray(stations)) return null;
+
+    const siteElevation = state.currentLocation.elevation || 0;
+    const profile = getWindProfile(h, i, siteElevation);
+    const ws = h.wind_speed_10m?.[i], wg = h.wind_gusts_10m?.[i];
+    if (profile.length === 0 || typeof ws !== 'number') return null;
+    const gustSpread = typeof wg === 'number' ? Math.max(0, wg - ws) : 0;
+
+    const rows = stations
+        .filter(s => typeof s.windSpeed === 'number' &&
+            s.distance <= MODEL_CHECK_CONFIG.maxDistanceKm &&
+            (s.ageMinutes ?? Infinity) <= MODEL_CHECK_CONFIG.maxAgeMinutes)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, MODEL_CHECK_CONFIG.maxStations)
+        .map(station => {
+            const alt = station.elevation || siteElevation;
+            const wind = interpolateWind(profile, alt);
+            const forecast = { alt, speed: wind.speed, gust: wind.speed + gustSpread, dir: wind.dir };
+            const delta = station.windSpeed - forecast.speed;
+            const gustDelta = typeof station.windGust === 'number' ? station.windGust - forecast.gust : null;
+            const dirDiff = typeof station.windDirection === 'number' ? angleDiff(station.windDirection, forecast.dir) : null;
+            return {
+                station,
+                forecast,
+                delta,
+                gustDelta,
+                dirDiff,
+                underestimated: delta > MODEL_CHECK_CONFIG.underestimateKmh ||
+                    (gustDelta !== null && gustDelta > MODEL_CHECK_CONFIG.gustUnderestimateKmh),
+                directionMismatch: dirDiff !== null && dirDiff > MODEL_CHECK_CONFIG.directionMismatch
+            };
+        });
+    if (rows.length === 0) return null;
+
+    // Mindestens die Hälfte der Stationen - ein einzelner Ausreißer (Düseneffekt, Sensorfehler) unter mehreren kippt die Ampel nicht
+    const flagged = rows.filter(r => r.underestimated).length;
+    return {
+        hourIndex: i,
+        hourly: h,
+        stations,
+        rows,
+        underestimated: flagged >= Math.ceil(rows.length / 2),
+        maxDelta: Math.max(...rows.map(r => Math.max(r.delta, r.gustDelta ?? -Infinity)))
+    };
+}
+
+/**
+ * Soll die Ampel dieser Stunde wegen unterschätztem Wind herabgestuft werden?
+ * Nur solange state.modelCheck zu den angezeigten Vorhersage- und Stationsdaten gehört
+ * @param {number} i - Index in state.hourlyData
+ */
+export function isModelUnderestimating(i) {
+    const check = state.modelCheck;
+    return !!check && check.underestimated && check.hourIndex === i &&
+        check.hourly === state.hourlyData && check.stations === state.liveWindStations;
+}
@@ -0,0 +1,161 @@
+/**
+ * SkyCheck - Multi-Modell-Vergleich
+ * Ruft mehrere Open-Meteo Modelle parallel ab und bewertet jede Stunde pro Modell
+ */
+
+import { state } from './state.js';
+import { API_CONFIG, MODEL_COMPARISON, STORAGE_KEYS, UNIT_CONFIG } from './config.js';
+import { scoreHourFromData, getFlyingHours } from './weather.js';
+
+// Schlüssel des zuletzt angeforderten Standorts (verhindert veraltete Antworten)
+let pendingKey = null;
+
+/**
+ * Lädt den Vergleichsmodus-Zustand aus localStorage
+ */
+export function loadModelCompareMode() {
+    try {
+        state.modelCompareEnabled = localStorage.getItem(STORAGE_KEYS.MODEL_COMPARE) === 'true';
+    } catch (e) {
+        state.modelCompareEnabled = false;
+    }
+}
+
+/**
+ * Vergleichsmodus setzen und speichern
+ * @param {boolean} enabled
+ */
+export function setModelCompareMode(enabled) {
+    state.modelCompareEnabled = enabled;
+    if (!enabled) state.modelComparison = null;
+    try {
+        localStorage.setItem(STORAGE_KEYS.MODEL_COMPARE, enabled.toString());
+    } catch (e) {
+        // localStorage nicht verfügbar
+    }
+}
+
+/**
+ * Alle Vergleichsmodelle für den aktuellen Standort abrufen
+ * Modelle ohne Daten (außerhalb ihres Gebiets) werden verworfen.
+ * @returns {Promise<Object|null>} state.modelComparison oder null
+ */
+export async function fetchModelComparison() {
+    const { lat, lon } = state.currentLocation;
+    if (!lat || !lon) return null;
+    const key = lat.toFixed(4) + ',' + lon.toFixed(4);
+    pendingKey = key;
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.timeout);
+
+    const results = await Promise.allSettled(MODEL_COMPARISON.models.map(async (model) => {
+        const params = new URLSearchParams({
+            latitude: lat,
+            longitude: lon,
+            hourly: MODEL_COMPARISON.hourly,
+            wind_speed_unit: UNIT_CONFIG.apiWindSpeedUnit,
+            timezone: state.timezone,
+            forecast_days: 3,
+            models: model.id
+        });
+        const res = await fetch(API_CONFIG.baseUrl + '?' + params, { signal: controller.signal });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        const data = await res.json();
+        if (data.error || !Array.isArray(data.hourly?.time)) throw new Error(data.reason || 'Ungültige Antwort');
+        return data.hourly;
+    }));
+    clearTimeout(timeoutId);
+
+    // Standort wurde inzwischen gewechselt - Ergebnis verwerfen
+    if (pendingKey !== key) return null;
+
+    const models = [];
+    results.forEach((r, idx) => {
+        if (r.status !== 'fulfilled') {
+            console.warn('Modellvergleich: ' + MODEL_COMPARISON.models[idx].label + ' nicht verfügbar:', r.reason);
+            return;
+        }
+        const hourly = r.value;
+        if (!hourly.wind_speed_10m?.some(v => v !== null)) return;
+        const timeIndex = new Map(hourly.time.map((t, i) => [t, i]));
+        models.push({ ...MODEL_COMPARISON.models[idx], hourly, timeIndex });
+    });
+
+    state.modelComparison = models.length >= MODEL_COMPARISON.minModels ? { key, models } : null;
+    return state.modelComparison;
+}
+
+/**
+ * Modell-Bewertungen für einen Zeitpunkt
+ * @param {string} timeStr - ISO-Zeit wie in hourly.time (z.B. "2026-03-17T14:00")
+ * @returns {Array<{id: string, label: string, score: number}>}
+ */
+export function getModelScoresAt(timeStr) {
+    if (!state.modelComparison) return [];
+    const filter = state.paramFilter || { wind: true, thermik: true, clouds: true, precip: true };
+    const scores = [];
+    state.modelComparison.models.forEach(m => {
+        const idx = m.timeIndex.get(timeStr);
+        // Modell-Horizont überschritten (z.B. ICON-D2 nach 48h)
+        if (idx === undefined || m.hourly.wind_speed_10m[idx] === null) return;
+        scores.push({
+            id: m.id,
+            label: m.label,
+            score: scoreHourFromData(m.hourly, idx, filter, state.currentLocation.sectors)
+        });
+    });
+    return scores;
+}
+
+/**
+ * Modell-Übereinstimmung für einen Zeitpunkt
+ * Anteil der Modelle, die die häufigste Bewertung teilen
+ * @returns {Object|null} { scores, agreement (0-1), majority } oder null bei < 2 Modellen
+ */
+export function getModelAgreementAt(timeStr) {
+    const scores = getModelScoresAt(timeStr);
+    if (scores.length < MODEL_COMPARISON.minModels) return null;
+    const counts = { 1: 0, 2: 0, 3: 0 };
+    scores.forEach(s => counts[s.score]++);
+    // Bei Gleichstand zählt die schlechtere Bewertung (Sicherheit)
+    const majority = [1, 2, 3].reduce((best, sc) => counts[sc] > counts[best] ? sc : best, 1);
+    return { scores, agreement: counts[majority] / scores.length, majority };
+}
+
+/**
+ * Durchschnittliche Modell-Übereinstimmung eines Tages (Flugfenster aus Sonnenauf-/-untergang)
+ * @param {string} dayStr - Datum "YYYY-MM-DD"
+ * @returns {number|null} 0-1 oder null ohne Vergleichsdaten
+ */
+export function getDayModelAgreement(dayStr) {
+    if (!state.modelComparison) return null;
+    let sum = 0, count = 0;
+    const { start, end } = getFlyingHours(dayStr);
+    for (let h = start; h <= end; h++) {
+        const a = getModelAgreementAt(dayStr + 'T' + h.toString().padStart(2, '0') + ':00');
+        if (a) {
+            sum += a.agreement;
+            count++;
+        }
+    }
+    return count > 0 ? sum / count : null;
+}
+
+/**
+ * Min/Max-Spanne eines Parameters über alle Modelle
+ * @param {string} param - Open-Meteo Variable (z.B. 'wind_speed_10m')
+ * @param {string} timeStr - ISO-Zeit
+ * @returns {Object|null} { min, max, count } oder null bei < 2 Werten
+ */
+export function getModelSpread(param, timeStr) {
+    if (!state.modelComparison) return null;
+    const values = [];
+    state.modelComparison.models.forEach(m => {
+        const idx = m.timeIndex.get(timeStr);
+        const v = idx !== undefined ? m.hourly[param]?.[idx] : null;
+        if (v !== null && v !== undefined) values.push(v);
+    });
+    if (values.length < MODEL_COMPARISON.minModels) return null;
+    return { min: Math.min(...values), max: Math.max(...values), count: values.length };
+}
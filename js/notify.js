@@ -0,0 +1,130 @@
+/**
+ * SkyCheck - Benachrichtigungen
+ * Regeln pro Favorit (Modal-Formular), Übergabe an den Service Worker
+ * und Anmeldung von Periodic Background Sync (einziger Hintergrund-Auslöser, kein Web Push)
+ */
+
+import { state } from './state.js';
+import { NOTIFY_CONFIG } from './config.js';
+import { getLocale } from './i18n.js';
+
+let formInitialized = false;
+
+/**
+ * Formular im Favoriten-Modal initialisieren (Optionen ein-/ausblenden)
+ * Mehrfacher Aufruf ist unschädlich
+ */
+export function initNotifyForm() {
+    if (formInitialized) return;
+    const enabled = document.getElementById('notifyEnabled');
+    const options = document.getElementById('notifyOptions');
+    if (!enabled || !options) return;
+
+    enabled.addEventListener('change', () => {
+        options.classList.toggle('u-hidden', !enabled.checked);
+    });
+    formInitialized = true;
+}
+
+/**
+ * Regel in das Formular laden
+ * @param {Object|undefined} rule - Benachrichtigungs-Regel des Favoriten
+ */
+export function setNotifyForm(rule) {
+    const r = { ...NOTIFY_CONFIG.defaultRule, ...rule };
+    const enabled = document.getElementById('notifyEnabled');
+    const options = document.getElementById('notifyOptions');
+    if (!enabled || !options) return;
+
+    enabled.checked = r.enabled;
+    options.classList.toggle('u-hidden', !r.enabled);
+    document.querySelectorAll('#notifyDays input[type="checkbox"]').forEach(cb => {
+        cb.checked = r.days.includes(parseInt(cb.value));
+    });
+    document.getElementById('notifyMinHours').value = r.minHours;
+    document.getElementById('notifyQuietFrom').value = r.quietFrom;
+    document.getElementById('notifyQuietTo').value = r.quietTo;
+}
+
+/**
+ * Regel aus dem Formular lesen (ungültige Eingaben auf Standardwerte begrenzen)
+ * @returns {Object} { enabled, days, minHours, quietFrom, quietTo }
+ */
+export function getNotifyForm() {
+    const def = NOTIFY_CONFIG.defaultRule;
+    const readInt = (id, min, max, fallback) => {
+        const v = parseInt(document.getElementById(id)?.value);
+        return isNaN(v) ? fallback : Math.min(max, Math.max(min, v));
+    };
+    const days = [...document.querySelectorAll('#notifyDays input[type="checkbox"]')]
+        .filter(cb => cb.checked)
+        .map(cb => parseInt(cb.value))
+        .sort((a, b) => a - b);
+
+    return {
+        enabled: !!document.getElementById('notifyEnabled')?.checked,
+        days,
+        minHours: readInt('notifyMinHours', 1, NOTIFY_CONFIG.maxWindowHours, def.minHours),
+        quietFrom: readInt('notifyQuietFrom', 0, 23, def.quietFrom),
+        quietTo: readInt('notifyQuietTo', 0, 23, def.quietTo)
+    };
+}
+
+/**
+ * Berechtigungen für Hintergrund-Benachrichtigungen anfragen (nur nach Nutzeraktion)
+ * @returns {Promise<string>} 'granted' | 'denied' | 'unsupported' | 'no-background'
+ */
+export async function requestNotifyPermission() {
+    if (!('serviceWorker' in navigator) || !('Notification' in window)) return 'unsupported';
+
+    const permission = Notification.permission === 'default'
+        ? await Notification.requestPermission()
+        : Notification.permission;
+    if (permission !== 'granted') return 'denied';
+
+    // Periodic Background Sync gibt es nur in Chromium und nur für installierte PWAs
+    const reg = await navigator.serviceWorker.getRegistration();
+    if (!reg || !('periodicSync' in reg)) return 'no-background';
+    try {
+        const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+        if (status.state !== 'granted') return 'no-background';
+    } catch (e) {
+        return 'no-background';
+    }
+    return 'granted';
+}
+
+/**
+ * Favoriten mit aktiven Regeln an den Service Worker übergeben
+ * Der SW hat keinen Zugriff auf localStorage - daher Ablage im Cache Storage.
+ * Meldet Periodic Background Sync an bzw. ab.
+ */
+export async function syncNotifyConfig() {
+    if (!('caches' in window)) return;
+    const favorites = state.favorites
+        .filter(f => f.notify?.enabled)
+        .map(f => ({ name: f.name, lat: f.lat, lon: f.lon, sectors: f.sectors, notify: f.notify }));
+
+    try {
+        const cache = await caches.open(NOTIFY_CONFIG.cacheName);
+        const body = JSON.stringify({
+            favorites,
+            expertMode: state.expertMode,
+            customLimits: state.customLimits,
+            locale: getLocale()
+        });
+        await cache.put(NOTIFY_CONFIG.configUrl, new Response(body, {
+            headers: { 'Content-Type': 'application/json' }
+        }));
+
+        const reg = await navigator.serviceWorker?.getRegistration();
+        if (!reg || !('periodicSync' in reg)) return;
+        if (favorites.length > 0) {
+            await reg.periodicSync.register(NOTIFY_CONFIG.syncTag, { minInterval: NOTIFY_CONFIG.minInterval });
+        } else {
+            await reg.periodicSync.unregister(NOTIFY_CONFIG.syncTag);
+        }
+    } catch (e) {
+        console.warn('Benachrichtigungen konnten nicht eingerichtet werden:', e);
+    }
+}
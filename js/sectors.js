@@ -0,0 +1,241 @@
+/**
+ * SkyCheck - Startplatz-Sektoren
+ * Kompass-Editor für Startrichtungen im Favoriten-Modal
+ * Ziehen auf dem Kompass oder Gradzahlen eingeben (Tastatur)
+ */
+
+import { TAKEOFF_SECTOR } from './config.js';
+import { formatSector, getWindDir } from './utils.js';
+import { t } from './i18n.js';
+
+// Kompass-Geometrie (SVG viewBox -100..100)
+const COMPASS_RADIUS = 80;
+const SNAP_DEGREES = 5;
+
+// Aktuell bearbeitete Sektoren und Drag-Zustand
+let editorSectors = [];
+let drag = null;
+let editorInitialized = false;
+
+/**
+ * Editor initialisieren (Pointer-Events auf dem Kompass, Zahleneingabe, Entfernen-Buttons)
+ * Mehrfacher Aufruf ist unschädlich
+ */
+export function initSectorEditor() {
+    if (editorInitialized) return;
+    const svg = document.getElementById('sectorCompass');
+    const list = document.getElementById('sectorList');
+    if (!svg || !list) return;
+
+    svg.addEventListener('pointerdown', (e) => {
+        if (editorSectors.length >= TAKEOFF_SECTOR.maxSectors) return;
+        e.preventDefault();
+        svg.setPointerCapture(e.pointerId);
+        const angle = pointerToAngle(svg, e);
+        drag = { start: angle, last: angle, total: 0 };
+        renderSectorEditor();
+    });
+
+    svg.addEventListener('pointermove', (e) => {
+        if (!drag) return;
+        const angle = pointerToAngle(svg, e);
+        // Gedrehten Winkel aufsummieren (Richtung bestimmt Sektor-Orientierung)
+        let delta = angle - drag.last;
+        if (delta > 180) delta -= 360;
+        if (delta < -180) delta += 360;
+        drag.total = Math.max(-355, Math.min(355, drag.total + delta));
+        drag.last = angle;
+        renderSectorEditor();
+    });
+
+    const finishDrag = () => {
+        if (!drag) return;
+        const sector = dragToSector(drag);
+        drag = null;
+        if (sector) editorSectors.push(sector);
+        renderSectorEditor();
+    };
+    svg.addEventListener('pointerup', finishDrag);
+    svg.addEventListener('pointercancel', () => {
+        drag = null;
+        renderSectorEditor();
+    });
+
+    // Zahleneingabe als Alternative zum Ziehen (Tastatur, Screenreader)
+    const fromInput = document.getElementById('sectorFromInput');
+    const toInput = document.getElementById('sectorToInput');
+    const addBtn = document.getElementById('sectorAddBtn');
+    if (fromInput && toInput && addBtn) {
+        addBtn.addEventListener('click', () => addSectorFromInputs(fromInput, toInput));
+        [fromInput, toInput].forEach(input => input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                addSectorFromInputs(fromInput, toInput);
+            }
+        }));
+    }
+
+    // Event-Delegation für Entfernen-Buttons
+    list.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-remove-sector]');
+        if (!btn) return;
+        const idx = parseInt(btn.dataset.removeSector);
+        if (!isNaN(idx)) {
+            editorSectors.splice(idx, 1);
+            renderSectorEditor();
+        }
+    });
+
+    editorInitialized = true;
+}
+
+/**
+ * Sektoren in den Editor laden (Kopie, Original bleibt unverändert)
+ * @param {Array|null|undefined} sectors - Startsektoren [{ from, to }]
+ */
+export function setEditorSectors(sectors) {
+    editorSectors = Array.isArray(sectors) ? sectors.map(s => ({ from: s.from, to: s.to })) : [];
+    drag = null;
+    ['sectorFromInput', 'sectorToInput'].forEach(id => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        input.value = '';
+        input.removeAttribute('aria-invalid');
+    });
+    renderSectorEditor();
+}
+
+/**
+ * Aktuell im Editor festgelegte Sektoren
+ * @returns {Array<{from: number, to: number}>}
+ */
+export function getEditorSectors() {
+    return editorSectors.map(s => ({ from: s.from, to: s.to }));
+}
+
+/**
+ * Gradzahl aus einem Eingabefeld (0-360, 360 = Nord)
+ * @returns {number|null} Winkel 0-359 oder null bei ungültiger Eingabe
+ */
+function parseAngleInput(input) {
+    const value = Number(input.value.trim());
+    if (input.value.trim() === '' || !Number.isInteger(value) || value < 0 || value > 360) return null;
+    return value % 360;
+}
+
+/**
+ * Sektor aus den Eingabefeldern übernehmen (von → bis im Uhrzeigersinn)
+ * Ungültige Felder werden markiert und fokussiert
+ */
+function addSectorFromInputs(fromInput, toInput) {
+    if (editorSectors.length >= TAKEOFF_SECTOR.maxSectors) return;
+    const from = parseAngleInput(fromInput);
+    const to = parseAngleInput(toInput);
+    const fromValid = from !== null;
+    const toValid = to !== null && to !== from;
+    fromInput.setAttribute('aria-invalid', String(!fromValid));
+    toInput.setAttribute('aria-invalid', String(!toValid));
+    if (!fromValid || !toValid) {
+        (fromValid ? toInput : fromInput).focus();
+        return;
+    }
+
+    editorSectors.push({ from, to });
+    fromInput.value = '';
+    toInput.value = '';
+    fromInput.removeAttribute('aria-invalid');
+    toInput.removeAttribute('aria-invalid');
+    renderSectorEditor();
+    if (!fromInput.disabled) fromInput.focus();
+}
+
+/**
+ * Pointer-Position in Kompasswinkel umrechnen (0° = Nord, im Uhrzeigersinn)
+ */
+function pointerToAngle(svg, e) {
+    const rect = svg.getBoundingClientRect();
+    const dx = e.clientX - (rect.left + rect.width / 2);
+    const dy = e.clientY - (rect.top + rect.height / 2);
+    const angle = (Math.atan2(dx, -dy) * 180 / Math.PI + 360) % 360;
+    return (Math.round(angle / SNAP_DEGREES) * SNAP_DEGREES) % 360;
+}
+
+/**
+ * Drag-Geste in Sektor umwandeln (gegen den Uhrzeigersinn gezogen = vertauscht)
+ * @returns {Object|null} Sektor oder null bei zu kleiner Bewegung (Klick)
+ */
+function dragToSector(d) {
+    if (Math.abs(d.total) < SNAP_DEGREES) return null;
+    const end = (d.start + d.total + 360) % 360;
+    return d.total > 0 ? { from: d.start, to: end } : { from: end, to: d.start };
+}
+
+/**
+ * Punkt auf dem Kompass (SVG-Koordinaten)
+ */
+function polar(angle, r) {
+    const rad = angle * Math.PI / 180;
+    return [(r * Math.sin(rad)).toFixed(1), (-r * Math.cos(rad)).toFixed(1)];
+}
+
+/**
+ * SVG-Pfad für einen Sektor-Keil
+ */
+function wedgePath(from, to, r) {
+    const span = (to - from + 360) % 360;
+    const [x1, y1] = polar(from, r);
+    const [x2, y2] = polar(to, r);
+    const largeArc = span > 180 ? 1 : 0;
+    return `M0 0 L${x1} ${y1} A${r} ${r} 0 ${largeArc} 1 ${x2} ${y2} Z`;
+}
+
+/**
+ * Kompass und Sektor-Liste neu zeichnen
+ */
+function renderSectorEditor() {
+    const svg = document.getElementById('sectorCompass');
+    const list = document.getElementById('sectorList');
+    if (!svg || !list) return;
+
+    // Himmelsrichtungen und 30°-Teilstriche
+    let ticks = '';
+    for (let a = 0; a < 360; a += 30) {
+        const [x1, y1] = polar(a, COMPASS_RADIUS);
+        const [x2, y2] = polar(a, COMPASS_RADIUS - (a % 90 === 0 ? 10 : 5));
+        ticks += `<line class="sector-tick" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"/>`;
+    }
+    const labels = [0, 90, 180, 270].map(a => {
+        const [x, y] = polar(a, COMPASS_RADIUS + 11);
+        return `<text class="sector-label" x="${x}" y="${y}">${getWindDir(a)}</text>`;
+    }).join('');
+
+    const wedges = editorSectors
+        .map(s => `<path class="sector-wedge" d="${wedgePath(s.from, s.to, COMPASS_RADIUS)}"/>`)
+        .join('');
+
+    let preview = '';
+    if (drag) {
+        const s = dragToSector(drag);
+        if (s) preview = `<path class="sector-wedge preview" d="${wedgePath(s.from, s.to, COMPASS_RADIUS)}"/>`;
+    }
+
+    svg.innerHTML = `
+        <circle class="sector-ring" r="${COMPASS_RADIUS}"/>
+        ${wedges}${preview}${ticks}${labels}
+        <circle class="sector-center" r="3"/>`;
+
+    if (editorSectors.length === 0) {
+        list.innerHTML = '<span class="sector-empty">' + t('sector.none') + '</span>';
+    } else {
+        list.innerHTML = editorSectors.map((s, idx) => `
+            <span class="sector-chip">${formatSector(s)}
+                <button type="button" class="sector-remove" data-remove-sector="${idx}" aria-label="${t('sector.remove')}">×</button>
+            </span>`).join('');
+    }
+    const full = editorSectors.length >= TAKEOFF_SECTOR.maxSectors;
+    svg.classList.toggle('full', full);
+    ['sectorFromInput', 'sectorToInput', 'sectorAddBtn'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.disabled = full;
+    });
+}
@@ -0,0 +1,137 @@
+/**
+ * SkyCheck - Standort-Schnellbewertung
+ * DOM-freie Tagesbewertung eines Standorts (Flugfenster bei Tageslicht) - genutzt von der
+ * Favoritenleiste und vom Service Worker für Hintergrund-Benachrichtigungen.
+ * Außerdem der Rasterabruf vieler Punkte für die regionale Übersicht (heatmap.js).
+ */
+
+import { API_CONFIG, UNIT_CONFIG } from './config.js';
+import { isInIconEUCoverage, getDaylightWindow } from './utils.js';
+import { scoreHourFromData } from './weather.js';
+
+// Nur Variablen, die scoreHourFromData() für die Schnellbewertung braucht
+const QUICK_HOURLY = [
+    'wind_speed_10m', 'wind_gusts_10m', 'wind_direction_10m', 'wind_direction_900hPa',
+    'wind_speed_900hPa', 'wind_speed_850hPa', 'wind_speed_800hPa', 'wind_speed_700hPa',
+    'temperature_2m', 'dew_point_2m',
+    'cape', 'lifted_index',
+    'cloud_cover', 'cloud_cover_low', 'visibility',
+    'precipitation', 'precipitation_probability', 'showers'
+].join(',');
+
+/**
+ * Stundenwerte für einen Standort abrufen (Ortszeit des Standorts)
+ * @param {number} days - Vorhersagetage (1 = heute)
+ * @returns {Promise<Object>} hourly-Objekt der API, ergänzt um timezone (IANA-Zeitzone des Standorts)
+ *                            und daily (Sonnenzeiten für das Flugfenster)
+ */
+export async function fetchSiteHourly(lat, lon, days = 1) {
+    const params = new URLSearchParams({
+        latitude: lat,
+        longitude: lon,
+        hourly: QUICK_HOURLY,
+        daily: 'sunrise,sunset',
+        wind_speed_unit: UNIT_CONFIG.apiWindSpeedUnit,
+        models: isInIconEUCoverage(lat, lon) ? 'icon_seamless' : 'best_match',
+        forecast_days: days,
+        timezone: 'auto'
+    });
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.timeout);
+    let data;
+    try {
+        const response = await fetch(API_CONFIG.baseUrl + '?' + params, { signal: controller.signal });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        data = await response.json();
+    } catch (e) {
+        if (e.name === 'AbortError') {
+            throw new Error('Zeitüberschreitung - Server antwortet nicht');
+        }
+        throw e;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+
+    const h = data.hourly;
+    if (!h || !Array.isArray(h.time)) throw new Error('Ungültige API-Antwort');
+    h.timezone = data.timezone;
+    h.daily = data.daily;
+    return h;
+}
+
+/**
+ * Stundenwerte für viele Punkte in einer Anfrage abrufen (Open-Meteo Multi-Location)
+ * @param {Array} points - [{ lat, lon }]
+ * @param {number} days - Vorhersagetage
+ * @param {string} timezone - IANA-Zeitzone für alle Punkte oder 'auto' (je Punkt)
+ * @param {AbortSignal} [signal]
+ * @param {string} [hourly] - Variablen (Standard: wie die Schnellbewertung)
+ * @returns {Promise<Array>} hourly-Objekte in der Reihenfolge von points, ergänzt um timezone und daily
+ */
+export async function fetchGridHourly(points, days, timezone, signal = undefined, hourly = QUICK_HOURLY) {
+    const center = points[Math.floor(points.length / 2)];
+    const params = new URLSearchParams({
+        latitude: points.map(p => p.lat.toFixed(3)).join(','),
+        longitude: points.map(p => p.lon.toFixed(3)).join(','),
+        hourly,
+        daily: 'sunrise,sunset',
+        wind_speed_unit: UNIT_CONFIG.apiWindSpeedUnit,
+        models: isInIconEUCoverage(center.lat, center.lon) ? 'icon_seamless' : 'best_match',
+        forecast_days: days,
+        timezone
+    });
+
+    const response = await fetch(API_CONFIG.baseUrl + '?' + params, { signal });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    const data = await response.json();
+    // Ein einzelner Punkt kommt als Objekt statt als Liste zurück
+    const list = Array.isArray(data) ? data : [data];
+    if (list.length !== points.length || list.some(d => !Array.isArray(d?.hourly?.time))) {
+        throw new Error('Ungültige API-Antwort');
+    }
+    return list.map(d => Object.assign(d.hourly, { timezone: d.timezone, daily: d.daily }));
+}
+
+/**
+ * Tag eines Standorts im Flugfenster bewerten (Tageslicht, siehe getDaylightWindow)
+ * @param {Object} h - hourly-Objekt (siehe fetchSiteHourly)
+ * @param {string} dayStr - Datum "YYYY-MM-DD"
+ * @param {Array|null} sectors - Startplatz-Sektoren
+ * @param {Object|null} foehn - Föhn-Daten (null = nicht prüfen)
+ * @returns {Object} { worstScore, bestWindow: { start, end }|null, scores: { [hour]: score } }
+ */
+export function evaluateSiteDay(h, dayStr, sectors = null, foehn = null) {
+    let worstScore = 3, bestWindow = null, currentWindow = null;
+    const scores = {};
+    const isLonger = (a, b) => !b || (a.end - a.start) > (b.end - b.start);
+
+    const { start, end } = getDaylightWindow(h.daily, dayStr);
+    for (let hour = start; hour <= end; hour++) {
+        const ts = dayStr + 'T' + hour.toString().padStart(2, '0') + ':00';
+        const idx = h.time.findIndex(t => t === ts);
+        if (idx === -1) continue;
+
+        // Zentrale Scoring-Funktion nutzen (konsistent mit Hauptampel)
+        const score = scoreHourFromData(h, idx, null, sectors, foehn);
+        scores[hour] = score;
+
+        if (score < worstScore) worstScore = score;
+
+        // Grüne Fenster tracken
+        if (score === 3) {
+            if (!currentWindow) currentWindow = { start: hour, end: hour };
+            else currentWindow.end = hour;
+        } else {
+            if (currentWindow && isLonger(currentWindow, bestWindow)) bestWindow = currentWindow;
+            currentWindow = null;
+        }
+    }
+    if (currentWindow && isLonger(currentWindow, bestWindow)) bestWindow = currentWindow;
+
+    return { worstScore, bestWindow, scores };
+}
@@ -0,0 +1,146 @@
+/**
+ * SkyCheck - Fluggebiete
+ * Mitgelieferte Startplatz-Datenbank (data/sites.geojson, offline über den SW-Cache):
+ * Startplätze mit Sektoren, Landeplatz, Regeln und Kontakt - Karte, Suche und Auswahl.
+ * Die Suche selbst läuft über die Ortssuche (geocode.js), die Fluggebiete dort zuerst zeigt.
+ * Außerdem: Landeplatz mit beliebigem Standort verknüpfen (Start + Landung bewerten)
+ */
+
+import { state } from './state.js';
+import { SITES_CONFIG } from './config.js';
+import { isValidSectorList, normalizeSearchText } from './utils.js';
+import { selectLocation, renderSiteMarkers, getElevation } from './map.js';
+import { fetchWeatherData } from './weather.js';
+import { updateFavoriteLanding } from './favorites.js';
+import { showToast } from './ui.js';
+import { t } from './i18n.js';
+
+/**
+ * Validiert einen Punkt aus der GeoJSON-Datei
+ * @returns {Object|null} { id, name, lat, lon, elevation, props }
+ */
+function parsePoint(feature) {
+    const p = feature?.properties;
+    const coords = feature?.geometry?.type === 'Point' ? feature.geometry.coordinates : null;
+    if (!p || !Array.isArray(coords)) return null;
+    const [lon, lat] = coords;
+    const valid = typeof p.id === 'string' && p.id.length > 0 &&
+        typeof p.name === 'string' && p.name.length > 0 && p.name.length <= 100 &&
+        typeof lat === 'number' && isFinite(lat) && lat >= -90 && lat <= 90 &&
+        typeof lon === 'number' && isFinite(lon) && lon >= -180 && lon <= 180 &&
+        typeof p.elevation === 'number' && isFinite(p.elevation);
+    return valid ? { id: p.id, name: p.name, lat, lon, elevation: p.elevation, props: p } : null;
+}
+
+/**
+ * Fluggebiete laden und als Marker zeichnen
+ * Fehler sind unkritisch - dann bleibt es bei Kartenklick und Favoriten
+ * @returns {Promise<Array>} state.sites
+ */
+export async function loadSites() {
+    try {
+        const res = await fetch(SITES_CONFIG.url);
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        const data = await res.json();
+        const features = Array.isArray(data?.features) ? data.features : [];
+
+        const landings = new Map();
+        features.filter(f => f?.properties?.type === 'landing').forEach(f => {
+            const pt = parsePoint(f);
+            if (pt) landings.set(pt.id, { id: pt.id, name: pt.name, lat: pt.lat, lon: pt.lon, elevation: pt.elevation });
+        });
+
+        state.sites = features.filter(f => f?.properties?.type === 'takeoff').map(f => {
+            const pt = parsePoint(f);
+            if (!pt) {
+                console.warn('Ungültiger Startplatz ignoriert:', f?.properties?.id);
+                return null;
+            }
+            const p = pt.props;
+            return {
+                id: pt.id,
+                name: pt.name,
+                lat: pt.lat,
+                lon: pt.lon,
+                elevation: pt.elevation,
+                region: typeof p.region === 'string' ? p.region : '',
+                country: typeof p.country === 'string' ? p.country : '',
+                sectors: isValidSectorList(p.sectors) && p.sectors.length > 0 ? p.sectors : undefined,
+                landing: landings.get(p.landing) || null,
+                rules: typeof p.rules === 'string' ? p.rules : '',
+                contact: typeof p.contact === 'string' ? p.contact : ''
+            };
+        }).filter(Boolean);
+    } catch (e) {
+        console.warn('Fluggebiete konnten nicht geladen werden:', e);
+        state.sites = [];
+    }
+
+    renderSiteMarkers(state.sites, selectSite);
+    return state.sites;
+}
+
+/**
+ * Startplätze nach Name, Region oder Landeplatz suchen
+ * Treffer am Namensanfang zuerst
+ * @param {string} query
+ * @returns {Array} max. SITES_CONFIG.searchLimit Einträge
+ */
+export function searchSites(query) {
+    const q = normalizeSearchText(query || '');
+    if (q.length < SITES_CONFIG.minQueryLength) return [];
+    return state.sites
+        .map(site => {
+            const name = normalizeSearchText(site.name);
+            const rank = name.startsWith(q) ? 0 : name.includes(q) ? 1 :
+                normalizeSearchText(site.region + ' ' + (site.landing?.name || '')).includes(q) ? 2 : -1;
+            return { site, rank };
+        })
+        .filter(r => r.rank !== -1)
+        .sort((a, b) => a.rank - b.rank || a.site.name.localeCompare(b.site.name))
+        .slice(0, SITES_CONFIG.searchLimit)
+        .map(r => r.site);
+}
+
+/**
+ * Startplatz auswählen (wie einen Favoriten)
+ * @param {string} id - Startplatz-ID
+ */
+export function selectSite(id) {
+    const site = state.sites.find(s => s.id === id);
+    if (!site) return;
+    selectLocation(site.lat, site.lon, site.elevation, site.name, site.sectors);
+}
+
+/**
+ * Landeplatz aus der Datenbank an exakt dieser Position (4 Nachkommastellen)
+ */
+function findLandingAt(lat, lon) {
+    const key = lat.toFixed(4) + ',' + lon.toFixed(4);
+    return state.sites.map(s => s.landing).find(l => l && l.lat.toFixed(4) + ',' + l.lon.toFixed(4) === key) || null;
+}
+
+/**
+ * Landeplatz mit dem aktuellen Standort verknüpfen und beide neu bewerten
+ * Ist der Standort ein Favorit, wird der Landeplatz dort mitgespeichert.
+ * @param {string|null} name - Name (z.B. vom Landeplatz-Marker), sonst aus der Datenbank bzw. Standardname
+ */
+export async function linkLanding(lat, lon, name = null) {
+    if (!state.currentLocation.lat) return;
+    const known = findLandingAt(lat, lon);
+    const elevation = known ? known.elevation : await getElevation(lat, lon);
+    state.currentLocation.landing = { lat, lon, elevation, name: name || known?.name || t('landing.defaultName') };
+    updateFavoriteLanding();
+    showToast(t('toast.landingLinked'), 'success');
+    await fetchWeatherData();
+}
+
+/**
+ * Verknüpften Landeplatz entfernen (nur noch den Start bewerten)
+ */
+export async function unlinkLanding() {
+    if (!state.currentLocation.landing) return;
+    delete state.currentLocation.landing;
+    updateFavoriteLanding();
+    await fetchWeatherData();
+}
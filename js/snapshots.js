@@ -0,0 +1,53 @@
+/**
+ * SkyCheck - Offline-Vorhersagen
+ * Vollständige API-Antworten je Standort in IndexedDB (localStorage wäre dafür zu klein).
+ * Nur Speicher - Abruf und Auswertung bleiben in weather.js, das Vorbereiten in favorites.js.
+ */
+
+import { SNAPSHOT_CONFIG } from './config.js';
+import { withStore } from './idb.js';
+
+/**
+ * Schlüssel eines Standorts (4 Nachkommastellen wie bei den Favoriten)
+ */
+function snapshotKey(lat, lon) {
+    return lat.toFixed(4) + ',' + lon.toFixed(4);
+}
+
+/**
+ * Vorhersage eines Standorts speichern (ersetzt die vorherige)
+ * @param {Object} snapshot - { lat, lon, fetchedAt, main, pressure, trend, landing }
+ */
+export async function saveSnapshot(snapshot) {
+    await withStore(SNAPSHOT_CONFIG, 'readwrite', store => store.put({ ...snapshot, key: snapshotKey(snapshot.lat, snapshot.lon) }));
+}
+
+/**
+ * Gespeicherte Vorhersage eines Standorts
+ * @returns {Promise<Object|null>} Snapshot oder null (fehlt, zu alt, IndexedDB nicht verfügbar)
+ */
+export async function loadSnapshot(lat, lon) {
+    try {
+        const snapshot = await withStore(SNAPSHOT_CONFIG, 'readonly', store => store.get(snapshotKey(lat, lon)));
+        const maxAge = SNAPSHOT_CONFIG.maxAgeDays * 24 * 60 * 60 * 1000;
+        if (!snapshot || Date.now() - snapshot.fetchedAt > maxAge) return null;
+        return snapshot;
+    } catch (e) {
+        console.warn('Offline-Vorhersage konnte nicht gelesen werden:', e);
+        return null;
+    }
+}
+
+/**
+ * Vorhersagen verwerfen, die zu alt sind oder zu keinem der Standorte gehören
+ * @param {Array} locations - [{ lat, lon }] die behalten werden (Favoriten)
+ */
+export async function pruneSnapshots(locations) {
+    const keep = new Set(locations.map(l => snapshotKey(l.lat, l.lon)));
+    const maxAge = SNAPSHOT_CONFIG.maxAgeDays * 24 * 60 * 60 * 1000;
+    const all = await withStore(SNAPSHOT_CONFIG, 'readonly', store => store.getAll());
+    const stale = all.filter(s => !keep.has(s.key) || Date.now() - s.fetchedAt > maxAge);
+    for (const s of stale) {
+        await withStore(SNAPSHOT_CONFIG, 'readwrite', store => store.delete(s.key));
+    }
+}
@@ -0,0 +1,406 @@
+/**
+ * SkyCheck - Virtuelle Radiosonde
+ * Temperatur-/Taupunktprofil 1000-500 hPa als Skew-T mit Trockenadiabate,
+ * Kondensationsniveau (LCL), Thermik-Obergrenze, Inversionen und Windfiedern
+ */
+
+import { state } from './state.js';
+import { API_CONFIG, SOUNDING_CONFIG, FORECAST_HORIZON, UNIT_CONFIG } from './config.js';
+import { getWindDir } from './utils.js';
+import { formatSpeed, formatAltitude, convertAltitude } from './units.js';
+import { t } from './i18n.js';
+
+const KAPPA = 0.2857;  // R/cp trockene Luft (Poisson-Exponent)
+
+// Diagramm-Geometrie (SVG viewBox 0 0 340 360)
+const VIEW = { width: 340, height: 360, left: 36, right: 270, top: 12, bottom: 332, barbX: 305 };
+
+// Zuletzt gezeichnetes Profil für die Hover-Anzeige
+let currentProfile = null;
+let currentScale = null;
+let chartInitialized = false;
+
+/**
+ * Profildaten (alle Druckflächen) für den aktuellen Standort abrufen
+ * Gleiches Modell wie die Hauptdaten, nur hochauflösender Zeitraum
+ * @returns {Promise<Object|null>} state.soundingData oder null
+ */
+export async function fetchSoundingData() {
+    const { lat, lon } = state.currentLocation;
+    if (!lat || !lon) return null;
+
+    const vars = ['surface_pressure', 'temperature_2m', 'dew_point_2m'];
+    SOUNDING_CONFIG.levels.forEach(p => {
+        ['temperature', 'dew_point', 'geopotential_height', 'wind_speed', 'wind_direction']
+            .forEach(v => vars.push(v + '_' + p + 'hPa'));
+    });
+    const params = new URLSearchParams({
+        latitude: lat,
+        longitude: lon,
+        hourly: vars.join(','),
+        wind_speed_unit: UNIT_CONFIG.apiWindSpeedUnit,
+        timezone: state.timezone,
+        forecast_days: FORECAST_HORIZON.highResDays
+    });
+    if (state.weatherModel) params.set('models', state.weatherModel);
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.timeout);
+    let data;
+    try {
+        const res = await fetch(API_CONFIG.baseUrl + '?' + params, { signal: controller.signal });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        data = await res.json();
+    } catch (e) {
+        if (e.name === 'AbortError') {
+            throw new Error('Zeitüberschreitung - Server antwortet nicht');
+        }
+        throw e;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+
+    if (data.error || !Array.isArray(data.hourly?.time)) {
+        throw new Error(data.reason || 'Ungültige API-Antwort: Profildaten fehlen');
+    }
+
+    state.soundingData = {
+        key: lat.toFixed(4) + ',' + lon.toFixed(4),
+        hourly: data.hourly,
+        timeIndex: new Map(data.hourly.time.map((t, i) => [t, i]))
+    };
+    return state.soundingData;
+}
+
+/**
+ * Temperatur auf der Trockenadiabate
+ * @param {number} theta - Potentielle Temperatur in K
+ * @param {number} p - Druck in hPa
+ * @returns {number} Temperatur in °C
+ */
+function dryAdiabatTemp(theta, p) {
+    return theta * Math.pow(p / 1000, KAPPA) - 273.15;
+}
+
+/**
+ * Höhe einer Druckfläche (linear in ln p zwischen den Profilpunkten)
+ * @param {Array} points - Profilpunkte von unten nach oben
+ * @param {number} p - Druck in hPa
+ * @returns {number} Höhe in m ü.M.
+ */
+function heightAtPressure(points, p) {
+    if (p >= points[0].p) return points[0].z;
+    for (let k = 0; k < points.length - 1; k++) {
+        const a = points[k], b = points[k + 1];
+        if (p <= a.p && p >= b.p) {
+            const f = (Math.log(a.p) - Math.log(p)) / (Math.log(a.p) - Math.log(b.p));
+            return a.z + f * (b.z - a.z);
+        }
+    }
+    // Oberhalb des Profils: oberste Schicht extrapolieren
+    const a = points[points.length - 2], b = points[points.length - 1];
+    const f = (Math.log(a.p) - Math.log(p)) / (Math.log(a.p) - Math.log(b.p));
+    return a.z + f * (b.z - a.z);
+}
+
+/**
+ * Kondensationsniveau (LCL) nach Bolton (1980)
+ */
+function computeLCL(surface, points) {
+    const tK = surface.t + 273.15;
+    const tdK = Math.min(surface.td, surface.t) + 273.15;
+    const tLclK = 1 / (1 / (tdK - 56) + Math.log(tK / tdK) / 800) + 56;
+    const p = surface.p * Math.pow(tLclK / tK, 1 / KAPPA);
+    return { p, t: tLclK - 273.15, z: heightAtPressure(points, p) };
+}
+
+/**
+ * Thermik-Obergrenze: Schnitt der Trockenadiabate mit der Zustandskurve
+ * @returns {Object|null} { p, z } oder null wenn über 500 hPa
+ */
+function computeThermalTop(theta, points) {
+    let prev = points[0];
+    let prevDiff = dryAdiabatTemp(theta, prev.p) - prev.t;  // Überhitzung am Boden
+    for (let k = 1; k < points.length; k++) {
+        const pt = points[k];
+        const diff = dryAdiabatTemp(theta, pt.p) - pt.t;
+        if (diff <= 0) {
+            const f = prevDiff - diff !== 0 ? prevDiff / (prevDiff - diff) : 0;
+            const p = Math.exp(Math.log(prev.p) + f * (Math.log(pt.p) - Math.log(prev.p)));
+            return { p, z: heightAtPressure(points, p) };
+        }
+        prev = pt;
+        prevDiff = diff;
+    }
+    return null;
+}
+
+/**
+ * Inversionen: Schichten mit Temperaturzunahme nach oben (benachbarte zusammengefasst)
+ */
+function findInversions(points) {
+    const layers = [];
+    for (let k = 0; k < points.length - 1; k++) {
+        const lower = points[k], upper = points[k + 1];
+        if (upper.t - lower.t < SOUNDING_CONFIG.minInversion) continue;
+        const last = layers[layers.length - 1];
+        if (last && last.pTop === lower.p) {
+            last.pTop = upper.p;
+            last.zTop = upper.z;
+        } else {
+            layers.push({ pBottom: lower.p, pTop: upper.p, zBottom: lower.z, zTop: upper.z });
+        }
+    }
+    return layers;
+}
+
+/**
+ * Profil für einen Zeitpunkt berechnen
+ * @param {string} timeStr - ISO-Zeit wie in hourly.time
+ * @returns {Object|null} { surface, levels, points, theta, lcl, thermalTop, inversions }
+ */
+export function getSoundingProfile(timeStr) {
+    const sd = state.soundingData;
+    if (!sd) return null;
+    const i = sd.timeIndex.get(timeStr);
+    if (i === undefined) return null;
+    const h = sd.hourly;
+
+    const pSfc = h.surface_pressure?.[i];
+    const tSfc = h.temperature_2m?.[i];
+    const tdSfc = h.dew_point_2m?.[i];
+    if (pSfc == null || tSfc == null || tdSfc == null) return null;
+    const surface = { p: pSfc, t: tSfc, td: tdSfc, z: state.currentLocation.elevation || 0, ws: null, wd: null };
+
+    // Nur Druckflächen oberhalb des Geländes
+    const levels = SOUNDING_CONFIG.levels
+        .filter(p => p < pSfc)
+        .map(p => ({
+            p,
+            t: h['temperature_' + p + 'hPa']?.[i],
+            td: h['dew_point_' + p + 'hPa']?.[i],
+            z: h['geopotential_height_' + p + 'hPa']?.[i],
+            ws: h['wind_speed_' + p + 'hPa']?.[i],
+            wd: h['wind_direction_' + p + 'hPa']?.[i]
+        }))
+        .filter(l => l.t != null && l.z != null && l.z > surface.z);
+    if (levels.length < 2) return null;
+
+    const points = [surface, ...levels];
+    // Thermikblase startet leicht überhitzt (Auslösetemperatur)
+    const theta = (tSfc + SOUNDING_CONFIG.thermalExcess + 273.15) * Math.pow(1000 / pSfc, KAPPA);
+    return {
+        surface,
+        levels,
+        points,
+        theta,
+        lcl: computeLCL(surface, points),
+        thermalTop: computeThermalTop(theta, points),
+        inversions: findInversions(points)
+    };
+}
+
+/**
+ * Nutzbare Arbeitshöhe: Thermik-Obergrenze, gedeckelt durch die Wolkenbasis (LCL)
+ * @returns {Object|null} { z, cloudCapped }
+ */
+export function getThermalCeiling(profile) {
+    if (!profile) return null;
+    const top = profile.thermalTop ? profile.thermalTop.z : Infinity;
+    if (profile.lcl.z < top) return { z: profile.lcl.z, cloudCapped: true };
+    return isFinite(top) ? { z: top, cloudCapped: false } : null;
+}
+
+/**
+ * Koordinaten-Transformation für das Skew-T
+ * y: logarithmisch im Druck, x: Temperatur mit nach rechts geneigten Isothermen
+ */
+function createScale(profile) {
+    const pBottom = Math.min(1050, profile.surface.p + 20);
+    const pTop = SOUNDING_CONFIG.pTop;
+    const tLeft = profile.surface.t - SOUNDING_CONFIG.tRangeLeft;
+    const tRange = SOUNDING_CONFIG.tRangeLeft + SOUNDING_CONFIG.tRangeRight;
+    const H = VIEW.bottom - VIEW.top, W = VIEW.right - VIEW.left;
+    const lnRange = Math.log(pBottom) - Math.log(pTop);
+
+    const y = (p) => VIEW.bottom - (Math.log(pBottom) - Math.log(p)) / lnRange * H;
+    const x = (t, p) => VIEW.left + (t - tLeft + SOUNDING_CONFIG.skew * (VIEW.bottom - y(p)) / H) * W / tRange;
+    const pAt = (yPos) => Math.exp(Math.log(pBottom) - (VIEW.bottom - yPos) / H * lnRange);
+    return { x, y, pAt, pBottom, pTop, tLeft, tRange };
+}
+
+/**
+ * Windfieder (Schaft zeigt in die Richtung, aus der der Wind kommt)
+ * Halbe Fieder = 5 kt, ganze Fieder = 10 kt, Wimpel = 50 kt
+ */
+function windBarb(x, y, speedKmh, dir) {
+    const kt = speedKmh / 1.852;
+    if (kt < 2.5) return `<circle class="sounding-barb" cx="${x}" cy="${y}" r="3"/>`;
+
+    const rad = dir * Math.PI / 180;
+    const ux = Math.sin(rad), uy = -Math.cos(rad);   // Schaftrichtung
+    const px = -uy, py = ux;                           // Fiedern im Uhrzeigersinn
+    const L = 24, step = 4, len = 9;
+    const at = (pos, off = 0) => [(x + ux * pos + px * off).toFixed(1), (y + uy * pos + py * off).toFixed(1)];
+
+    let svg = `<line class="sounding-barb" x1="${x}" y1="${y}" x2="${at(L)[0]}" y2="${at(L)[1]}"/>`;
+    let remaining = Math.round(kt / 5) * 5;
+    let pos = L;
+    while (remaining >= 50) {
+        const [ax, ay] = at(pos), [bx, by] = at(pos - 3, len), [cx, cy] = at(pos - 6);
+        svg += `<path class="sounding-barb-flag" d="M${ax} ${ay} L${bx} ${by} L${cx} ${cy} Z"/>`;
+        pos -= 8;
+        remaining -= 50;
+    }
+    while (remaining >= 10) {
+        const [ax, ay] = at(pos), [bx, by] = at(pos + 3, len);
+        svg += `<line class="sounding-barb" x1="${ax}" y1="${ay}" x2="${bx}" y2="${by}"/>`;
+        pos -= step;
+        remaining -= 10;
+    }
+    if (remaining >= 5) {
+        if (pos === L) pos -= step;  // Einzelne halbe Fieder nicht an der Spitze
+        const [ax, ay] = at(pos), [bx, by] = at(pos + 1.5, len / 2);
+        svg += `<line class="sounding-barb" x1="${ax}" y1="${ay}" x2="${bx}" y2="${by}"/>`;
+    }
+    return svg;
+}
+
+/**
+ * Skew-T für eine Stunde zeichnen (ohne geladene Profildaten: keine Aktion)
+ * @param {number} i - Stunden-Index in state.hourlyData
+ */
+export function renderSounding(i) {
+    const svg = document.getElementById('soundingChart');
+    const summary = document.getElementById('soundingSummary');
+    const hint = document.getElementById('soundingTimeHint');
+    if (!svg || !summary || !state.soundingData || i === null || !state.hourlyData) return;
+
+    const timeStr = state.hourlyData.time[i];
+    if (hint && timeStr) hint.textContent = t('time.clock', { time: timeStr.slice(11, 16) });
+
+    const profile = getSoundingProfile(timeStr);
+    currentProfile = profile;
+    if (!profile) {
+        svg.innerHTML = '';
+        summary.textContent = t('sounding.noData', { days: FORECAST_HORIZON.highResDays });
+        return;
+    }
+
+    const sc = createScale(profile);
+    currentScale = sc;
+    const f = (v) => v.toFixed(1);
+    let out = `<defs><clipPath id="soundingClip"><rect x="${VIEW.left}" y="${VIEW.top}" width="${VIEW.right - VIEW.left}" height="${VIEW.bottom - VIEW.top}"/></clipPath></defs>`;
+    out += `<rect class="sounding-frame" x="${VIEW.left}" y="${VIEW.top}" width="${VIEW.right - VIEW.left}" height="${VIEW.bottom - VIEW.top}"/>`;
+
+    let plot = '';
+    // Inversionen (Hintergrund)
+    profile.inversions.forEach(inv => {
+        plot += `<rect class="sounding-inversion" x="${VIEW.left}" y="${f(sc.y(inv.pTop))}" width="${VIEW.right - VIEW.left}" height="${f(sc.y(inv.pBottom) - sc.y(inv.pTop))}"/>`;
+    });
+
+    // Isothermen alle 10°C
+    const tStart = Math.floor((sc.tLeft - SOUNDING_CONFIG.skew) / 10) * 10;
+    for (let t = tStart; t <= sc.tLeft + sc.tRange; t += 10) {
+        plot += `<line class="sounding-isotherm${t === 0 ? ' zero' : ''}" x1="${f(sc.x(t, sc.pBottom))}" y1="${f(sc.y(sc.pBottom))}" x2="${f(sc.x(t, sc.pTop))}" y2="${f(sc.y(sc.pTop))}"/>`;
+    }
+
+    // Trockenadiabate vom Boden (bis LCL durchgezogen, darüber gestrichelt)
+    const adiabat = (from, to) => {
+        const pts = [];
+        for (let p = from; p >= to; p -= 10) pts.push(f(sc.x(dryAdiabatTemp(profile.theta, p), p)) + ',' + f(sc.y(p)));
+        pts.push(f(sc.x(dryAdiabatTemp(profile.theta, to), to)) + ',' + f(sc.y(to)));
+        return pts.join(' ');
+    };
+    const lclP = Math.max(profile.lcl.p, sc.pTop);
+    plot += `<polyline class="sounding-adiabat" points="${adiabat(profile.surface.p, lclP)}"/>`;
+    if (lclP > sc.pTop) plot += `<polyline class="sounding-adiabat above-lcl" points="${adiabat(lclP, sc.pTop)}"/>`;
+
+    // Zustandskurve und Taupunkt
+    const line = (key) => profile.points.filter(pt => pt[key] != null)
+        .map(pt => f(sc.x(pt[key], pt.p)) + ',' + f(sc.y(pt.p))).join(' ');
+    plot += `<polyline class="sounding-dewpoint" points="${line('td')}"/>`;
+    plot += `<polyline class="sounding-temp" points="${line('t')}"/>`;
+    out += `<g clip-path="url(#soundingClip)">${plot}</g>`;
+
+    // Isobaren mit Druck (links) und Höhe (rechts)
+    profile.levels.forEach(l => {
+        const yy = f(sc.y(l.p));
+        out += `<line class="sounding-isobar" x1="${VIEW.left}" y1="${yy}" x2="${VIEW.right}" y2="${yy}"/>`;
+        out += `<text class="sounding-axis" x="${VIEW.left - 3}" y="${yy}" text-anchor="end">${l.p}</text>`;
+        out += `<text class="sounding-axis height" x="${VIEW.right - 2}" y="${f(sc.y(l.p) - 3)}" text-anchor="end">${formatAltitude(l.z)}</text>`;
+        if (l.ws != null && l.wd != null) out += windBarb(VIEW.barbX, sc.y(l.p), l.ws, l.wd);
+    });
+    const ySfc = f(sc.y(profile.surface.p));
+    out += `<line class="sounding-ground" x1="${VIEW.left}" y1="${ySfc}" x2="${VIEW.right}" y2="${ySfc}"/>`;
+
+    // LCL und Thermik-Obergrenze
+    if (profile.lcl.p > sc.pTop) {
+        const yy = sc.y(profile.lcl.p), xx = sc.x(profile.lcl.t, profile.lcl.p);
+        out += `<line class="sounding-lcl" x1="${f(xx - 14)}" y1="${f(yy)}" x2="${f(xx + 14)}" y2="${f(yy)}"/>`;
+        out += `<text class="sounding-label lcl" x="${f(xx + 16)}" y="${f(yy + 3)}">LCL</text>`;
+    }
+    if (profile.thermalTop && profile.thermalTop.p > sc.pTop) {
+        const yy = f(sc.y(profile.thermalTop.p));
+        out += `<line class="sounding-thermal-top" x1="${VIEW.left}" y1="${yy}" x2="${VIEW.right}" y2="${yy}"/>`;
+        out += `<text class="sounding-label thermal" x="${VIEW.left + 3}" y="${f(sc.y(profile.thermalTop.p) - 3)}">${t('sounding.thermalTopLabel')}</text>`;
+    }
+
+    // Hover-Linie (wird per Pointer positioniert)
+    out += `<line class="sounding-cursor" x1="${VIEW.left}" x2="${VIEW.right}" y1="0" y2="0" visibility="hidden"/>`;
+    svg.innerHTML = out;
+    initChartInteraction(svg);
+
+    // Zusammenfassung
+    const parts = ['LCL ' + formatAltitude(profile.lcl.z)];
+    const ceiling = getThermalCeiling(profile);
+    if (profile.thermalTop) parts.push(t('sounding.thermalTo', { alt: formatAltitude(profile.thermalTop.z) }));
+    else parts.push(t('sounding.thermalAbove', { p: SOUNDING_CONFIG.pTop }));
+    if (ceiling) parts.push(t(ceiling.cloudCapped ? 'sounding.workingCloud' : 'sounding.workingBlue', { alt: formatAltitude(ceiling.z) }));
+    if (profile.inversions.length > 0) {
+        parts.push(t('sounding.inversion', {
+            ranges: profile.inversions.map(inv => convertAltitude(inv.zBottom) + '–' + formatAltitude(inv.zTop)).join(', ')
+        }));
+    } else {
+        parts.push(t('sounding.noInversion'));
+    }
+    summary.textContent = parts.join(' · ');
+}
+
+/**
+ * Pointer-Interaktion: nächstgelegene Druckfläche anzeigen
+ */
+function initChartInteraction(svg) {
+    if (chartInitialized) return;
+    const readout = document.getElementById('soundingReadout');
+
+    const handler = (e) => {
+        if (!currentProfile || !currentScale) return;
+        const rect = svg.getBoundingClientRect();
+        const yPos = (e.clientY - rect.top) / rect.height * VIEW.height;
+        const p = currentScale.pAt(yPos);
+        const nearest = currentProfile.points.reduce((a, b) => Math.abs(b.p - p) < Math.abs(a.p - p) ? b : a);
+
+        const cursor = svg.querySelector('.sounding-cursor');
+        if (cursor) {
+            const yy = currentScale.y(nearest.p).toFixed(1);
+            cursor.setAttribute('y1', yy);
+            cursor.setAttribute('y2', yy);
+            cursor.setAttribute('visibility', 'visible');
+        }
+        if (readout) {
+            const isSurface = nearest === currentProfile.surface;
+            let text = (isSurface ? t('sounding.surface') : nearest.p + ' hPa') + ' · ' + formatAltitude(nearest.z) + ' · T ' +
+                nearest.t.toFixed(1) + '°C';
+            if (nearest.td != null) text += ' · Td ' + nearest.td.toFixed(1) + '°C';
+            if (nearest.ws != null && nearest.wd != null) text += ' · ' + getWindDir(nearest.wd) + ' ' + formatSpeed(nearest.ws);
+            readout.textContent = text;
+        }
+    };
+    svg.addEventListener('pointermove', handler);
+    svg.addEventListener('pointerdown', handler);
+    svg.addEventListener('pointerleave', () => {
+        svg.querySelector('.sounding-cursor')?.setAttribute('visibility', 'hidden');
+    });
+    chartInitialized = true;
+}
@@ -25,5 +25,38 @@ export const state = {
     },
     // Expertenmodus: Custom Limits
     expertMode: false,
-    customLimits: null  // Überschreibt LIMITS wenn gesetzt
+    customLimits: null,  // Überschreibt LIMITS wenn gesetzt
+    // Modell und Zeitzone der geladenen Wetterdaten (Open-Meteo Parameter)
+    weatherModel: null,
+    timezone: 'auto',         // nach dem Laden IANA-Name, z.B. 'Europe/Lisbon'
+    timezoneAbbr: null,       // z.B. 'WEST'
+    utcOffsetSeconds: null,   // UTC-Versatz des Standorts
+    // Vorhersagezeitraum in Tagen und erster Index der Trend-Tage (null = keine)
+    forecastHorizon: 3,
+    trendFromIndex: null,
+    // Multi-Modell-Vergleich
+    modelCompareEnabled: false,
+    modelComparison: null,  // { key, models: [{ id, label, hourly, timeIndex }] }
+    // Ensemble-Läufe (auf Zeitachse von hourlyData ausgerichtet)
+    ensemble: null,  // { key, label, members: [hourly] }
+    // Virtuelle Radiosonde (auf Anforderung geladen)
+    soundingEnabled: false,
+    soundingData: null,  // { key, hourly, timeIndex }
+    // Föhn (Druckdifferenz Alpen, nur für Standorte im Alpenraum)
+    foehn: null,  // { key, pair, diffs: Map(time -> hPa) }
+    // Geländeprofile rund um den Standort (Lee-Erkennung)
+    terrain: null,  // { key, elevation, rays: [{ dir, samples: [{ dist, elevation }] }] }
+    // Zuletzt angezeigte Live-Windstationen (null = nicht geladen)
+    liveWindStations: null,
+    // Verlauf je Station (Map id -> [{ t, avg, gust, dir }]) und angezeigte Stunden der Sparkline
+    liveWindHistory: null,
+    liveWindSpan: 2,
+    // Vergleich Vorhersage/Stationen der aktuellen Stunde (modelcheck.js)
+    modelCheck: null,
+    // Fluggebiete aus data/sites.geojson: [{ id, name, lat, lon, elevation, sectors, landing, ... }]
+    sites: [],
+    // Bodenwerte des verknüpften Landeplatzes (currentLocation.landing), gleiche Zeitachse wie hourlyData
+    landingData: null,  // { hourly, timeIndex }
+    // Herkunft der angezeigten Vorhersage: 'network', 'cache' (SW) oder 'snapshot' (IndexedDB)
+    forecastSource: null  // { source, fetchedAt (ms) }
 };
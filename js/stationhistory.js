@@ -0,0 +1,202 @@
+/**
+ * SkyCheck - Verlauf der Live-Windstationen
+ * fetchNearbyLiveWind() liefert nur den letzten Messwert je Station. Für die Sparkline
+ * (Mittel, Böen, Richtung der letzten 2-6 h) und den Trendpfeil kommen hier dazu:
+ * - OpenWindMap/Pioupiou: Archiv-Endpunkt je Station
+ * - Lawinenwarndienste: stündliche avalanche.report-Dateien der Vorstunden (eine Datei für alle Stationen)
+ * - übrige Anbieter: kein Archiv - der Verlauf wächst mit jedem Abruf aus den aktuellen Messwerten
+ * Messwerte liegen rollierend in IndexedDB, so werden nur fehlende Zeiträume nachgeladen.
+ */
+
+import { STATION_HISTORY_CONFIG } from './config.js';
+import { getAvalancheReportUrl, getAvalancheStationId } from './livewind.js';
+import { withStore } from './idb.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Bereits geladene Stundendateien (Stunden-Zeitstempel -> Features) für diese Sitzung
+const avalancheHours = new Map();
+
+/**
+ * fetch mit Zeitlimit
+ */
+async function fetchJson(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), STATION_HISTORY_CONFIG.timeout);
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return await response.json();
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Gespeicherten Verlauf einer Station lesen
+ * @returns {Promise<Object|null>} { key, readings, fetchedAt?, hours? }
+ */
+async function readRecord(id) {
+    try {
+        return await withStore(STATION_HISTORY_CONFIG, 'readonly', store => store.get(id)) || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Verlauf einer Station speichern (Fehler unkritisch - dann wird beim nächsten Mal neu geladen)
+ */
+async function writeRecord(record) {
+    try {
+        await withStore(STATION_HISTORY_CONFIG, 'readwrite', store => store.put(record));
+    } catch (e) {
+        console.warn('Stationsverlauf konnte nicht gespeichert werden:', e);
+    }
+}
+
+/**
+ * Pioupiou-Archiv einer Station ab einem Zeitpunkt
+ * Spalten laut "legend" der Antwort (time, ..., wind_speed_min/avg/max, wind_heading, ...)
+ * @returns {Promise<Array>} [{ t, avg, gust, dir }]
+ */
+async function fetchPioupiouArchive(stationId, since) {
+    const id = String(stationId).replace('piou-', '').replace(/[^a-zA-Z0-9_-]/g, '');
+    const url = STATION_HISTORY_CONFIG.pioupiouArchiveUrl + id +
+        '?start=' + encodeURIComponent(new Date(since).toISOString()) + '&stop=now';
+    const data = await fetchJson(url);
+    const legend = Array.isArray(data?.legend) ? data.legend : [];
+    const col = (name, fallback) => legend.includes(name) ? legend.indexOf(name) : fallback;
+    const iTime = col('time', 0), iAvg = col('wind_speed_avg', 4), iMax = col('wind_speed_max', 5), iDir = col('wind_heading', 6);
+
+    return (Array.isArray(data?.data) ? data.data : [])
+        .map(row => ({ t: new Date(row[iTime]).getTime(), avg: row[iAvg], gust: row[iMax], dir: row[iDir] }))
+        .filter(r => isFinite(r.t) && typeof r.avg === 'number');
+}
+
+/**
+ * Stundendatei von avalanche.report (einmal je Sitzung, fehlende Stunden = leer)
+ * @param {number} hour - Zeitstempel der vollen Stunde
+ * @returns {Promise<Array>} GeoJSON Features
+ */
+async function fetchAvalancheHour(hour) {
+    if (avalancheHours.has(hour)) return avalancheHours.get(hour);
+    let features = [];
+    try {
+        const geojson = await fetchJson(getAvalancheReportUrl(new Date(hour)));
+        features = Array.isArray(geojson?.features) ? geojson.features : [];
+    } catch (e) {
+        console.warn('avalanche.report Verlauf nicht verfügbar:', new Date(hour).toISOString(), e);
+    }
+    avalancheHours.set(hour, features);
+    return features;
+}
+
+/**
+ * Messwert einer Station aus einer Stundendatei
+ * @returns {Object|null} { t, avg, gust, dir }
+ */
+function findAvalancheReading(features, stationId) {
+    const feature = features.find(f => f?.properties && getAvalancheStationId(f.properties) === stationId);
+    const p = feature?.properties;
+    if (!p || typeof p.WG !== 'number' || !p.date) return null;
+    return {
+        t: new Date(p.date).getTime(),
+        avg: Math.round(p.WG),
+        gust: typeof p.WG_BOE === 'number' ? Math.round(p.WG_BOE) : null,
+        dir: typeof p.WR === 'number' ? p.WR : null
+    };
+}
+
+/**
+ * Messwerte zusammenführen: nach Zeit sortiert, doppelte Zeitpunkte einmal, nur im Puffer-Zeitraum
+ */
+function mergeReadings(readings, since) {
+    const byTime = new Map();
+    readings.filter(r => r && isFinite(r.t) && r.t >= since).forEach(r => byTime.set(r.t, r));
+    return [...byTime.values()].sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Verlauf für die angezeigten Stationen laden (gespeichert + fehlende Zeiträume)
+ * Fehler einzelner Quellen sind unkritisch - die Station zeigt dann den vorhandenen Verlauf.
+ * @param {Array} stations - Ergebnis von fetchNearbyLiveWind()
+ * @returns {Promise<Map>} Stations-ID -> [{ t, avg, gust, dir }] (aufsteigend)
+ */
+export async function loadStationHistory(stations) {
+    const now = Date.now();
+    const since = now - STATION_HISTORY_CONFIG.bufferHours * HOUR_MS;
+    const records = await Promise.all(stations.map(s => readRecord(s.id)));
+
+    // Lawinenwarndienst: fehlende Vorstunden einmal für alle Stationen laden
+    const currentHour = Math.floor(now / HOUR_MS) * HOUR_MS;
+    const bufferHours = Array.from({ length: STATION_HISTORY_CONFIG.bufferHours }, (_, i) => currentHour - (i + 1) * HOUR_MS);
+    const missingHours = new Set();
+    stations.forEach((s, i) => {
+        if (s.source !== 'lwd') return;
+        const done = new Set(records[i]?.hours || []);
+        bufferHours.filter(h => !done.has(h)).forEach(h => missingHours.add(h));
+    });
+    const hourFeatures = new Map(await Promise.all(
+        [...missingHours].map(async h => [h, await fetchAvalancheHour(h)])
+    ));
+
+    const history = new Map();
+    await Promise.all(stations.map(async (station, i) => {
+        const record = records[i] || { key: station.id, readings: [] };
+        let readings = record.readings || [];
+
+        if (station.source === 'lwd') {
+            const done = new Set(record.hours || []);
+            bufferHours.filter(h => !done.has(h)).forEach(h => {
+                const features = hourFeatures.get(h) || [];
+                const reading = findAvalancheReading(features, station.id);
+                if (reading) readings.push(reading);
+                // Nur tatsächlich geladene Stunden als erledigt merken
+                if (features.length > 0) done.add(h);
+            });
+            record.hours = [...done].filter(h => h >= since);
+        } else if (station.source === 'openwindmap' &&
+            (!record.fetchedAt || now - record.fetchedAt > STATION_HISTORY_CONFIG.refetchMinutes * 60 * 1000)) {
+            try {
+                const from = record.fetchedAt ? Math.max(record.fetchedAt - 15 * 60 * 1000, since) : since;
+                readings = readings.concat(await fetchPioupiouArchive(station.id, from));
+                record.fetchedAt = now;
+            } catch (e) {
+                console.warn('Pioupiou-Archiv nicht verfügbar:', station.id, e);
+            }
+        }
+
+        // Aktueller Messwert gehört immer dazu
+        if (station.lastUpdate && station.windSpeed !== null) {
+            readings.push({ t: station.lastUpdate.getTime(), avg: station.windSpeed, gust: station.windGust, dir: station.windDirection });
+        }
+
+        record.readings = mergeReadings(readings, since);
+        history.set(station.id, record.readings);
+        await writeRecord(record);
+    }));
+    return history;
+}
+
+/**
+ * Trend des mittleren Winds: letzte trendMinutes gegen ein früheres Fenster gleicher Länge
+ * @param {Array} readings - [{ t, avg }] aufsteigend
+ * @returns {Object|null} { trend: 'up'|'down'|'steady', delta (km/h) } oder null ohne genug Daten
+ */
+export function getWindTrend(readings) {
+    if (!readings || readings.length < 2) return null;
+    const last = readings[readings.length - 1].t;
+    const span = STATION_HISTORY_CONFIG.trendMinutes * 60 * 1000;
+    const lookback = STATION_HISTORY_CONFIG.trendLookbackMinutes * 60 * 1000;
+    const mean = (list) => list.reduce((sum, r) => sum + r.avg, 0) / list.length;
+
+    const recent = readings.filter(r => r.t > last - span);
+    const earlier = readings.filter(r => r.t > last - lookback - span && r.t <= last - lookback);
+    if (recent.length === 0 || earlier.length === 0) return null;
+
+    const delta = mean(recent) - mean(earlier);
+    const trend = delta >= STATION_HISTORY_CONFIG.trendThreshold ? 'up'
+        : delta <= -STATION_HISTORY_CONFIG.trendThreshold ? 'down' : 'steady';
+    return { trend, delta };
+}
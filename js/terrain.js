@@ -0,0 +1,194 @@
+/**
+ * SkyCheck - Lee-Erkennung
+ * Geländeprofile rund um den Standort (Elevation-API) und Abgleich mit der
+ * Anströmrichtung in 850/700 hPa: liegt ein Grat im Luv, fliegt man im Lee
+ */
+
+import { state } from './state.js';
+import { API_CONFIG, LEE_CONFIG } from './config.js';
+import { getWindDir } from './utils.js';
+import { t } from './i18n.js';
+import { formatSpeed, formatAltitude } from './units.js';
+
+// Skizze im Wind-Detail (SVG viewBox 0 0 300 90)
+const VIEW = { width: 300, height: 90, left: 8, right: 278, top: 26, bottom: 82 };
+
+// Schlüssel des zuletzt angeforderten Standorts (verhindert veraltete Antworten)
+let pendingKey = null;
+
+/**
+ * Punkt in Entfernung und Richtung vom Standort (flache Näherung, reicht für < 20 km)
+ * @param {number} bearing - Richtung in Grad (0 = Nord)
+ * @param {number} distKm - Entfernung in km
+ * @returns {Array<number>} [lat, lon]
+ */
+function offsetPoint(lat, lon, bearing, distKm) {
+    const rad = bearing * Math.PI / 180;
+    const dLat = distKm * Math.cos(rad) / 111.32;
+    const dLon = distKm * Math.sin(rad) / (111.32 * Math.cos(lat * Math.PI / 180));
+    return [lat + dLat, lon + dLon];
+}
+
+/**
+ * Geländeprofile in alle Richtungen für den aktuellen Standort abrufen
+ * Ein Abruf für alle Strahlen - das Profil hängt nicht von der Stunde ab.
+ * @returns {Promise<Object|null>} state.terrain oder null
+ */
+export async function fetchTerrainProfiles() {
+    const { lat, lon } = state.currentLocation;
+    if (!lat || !lon) return null;
+    const key = lat.toFixed(4) + ',' + lon.toFixed(4);
+    if (state.terrain?.key === key) return state.terrain;
+    pendingKey = key;
+
+    // Erster Punkt = Standort, danach Strahl für Strahl von innen nach außen
+    const points = [[lat, lon]];
+    const step = 360 / LEE_CONFIG.directions;
+    for (let d = 0; d < LEE_CONFIG.directions; d++) {
+        for (let k = 1; k <= LEE_CONFIG.samples; k++) {
+            points.push(offsetPoint(lat, lon, d * step, k * LEE_CONFIG.distanceKm / LEE_CONFIG.samples));
+        }
+    }
+    const params = new URLSearchParams({
+        latitude: points.map(p => p[0].toFixed(4)).join(','),
+        longitude: points.map(p => p[1].toFixed(4)).join(',')
+    });
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.timeout);
+    let data;
+    try {
+        const res = await fetch(API_CONFIG.elevationUrl + '?' + params, { signal: controller.signal });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        data = await res.json();
+    } catch (e) {
+        if (e.name === 'AbortError') {
+            throw new Error('Zeitüberschreitung - Geländedaten nicht verfügbar');
+        }
+        throw e;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+
+    // Standort wurde inzwischen gewechselt - Ergebnis verwerfen
+    if (pendingKey !== key) return null;
+
+    if (data.error || !Array.isArray(data.elevation) || data.elevation.length !== points.length) {
+        throw new Error(data.reason || 'Ungültige Antwort: Geländedaten fehlen');
+    }
+
+    const rays = [];
+    for (let d = 0; d < LEE_CONFIG.directions; d++) {
+        const samples = [];
+        for (let k = 1; k <= LEE_CONFIG.samples; k++) {
+            samples.push({
+                dist: k * LEE_CONFIG.distanceKm / LEE_CONFIG.samples,
+                elevation: data.elevation[1 + d * LEE_CONFIG.samples + (k - 1)]
+            });
+        }
+        rays.push({ dir: d * step, samples });
+    }
+
+    state.terrain = { key, elevation: data.elevation[0], rays };
+    return state.terrain;
+}
+
+/**
+ * Lee-Lage für eine Stunde
+ * Anströmung = nach Geschwindigkeit gewichtetes Mittel aus 850 und 700 hPa
+ * @param {number} i - Stunden-Index in state.hourlyData
+ * @returns {Object|null} { dir, windSpeed, ray, ridge: { dist, elevation, height }, level: 'none'|'caution'|'danger' }
+ */
+export function getLeeExposure(i) {
+    const h = state.hourlyData;
+    if (!state.terrain || !h || i === null || i === undefined) return null;
+
+    const w850 = h.wind_speed_850hPa?.[i], d850 = h.wind_direction_850hPa?.[i];
+    const w700 = h.wind_speed_700hPa?.[i], d700 = h.wind_direction_700hPa?.[i];
+    if (w850 == null || d850 == null || w700 == null || d700 == null) return null;
+
+    const u = w850 * Math.sin(d850 * Math.PI / 180) + w700 * Math.sin(d700 * Math.PI / 180);
+    const v = w850 * Math.cos(d850 * Math.PI / 180) + w700 * Math.cos(d700 * Math.PI / 180);
+    const dir = (Math.atan2(u, v) * 180 / Math.PI + 360) % 360;
+    const windSpeed = Math.max(w850, w700);
+
+    // Windrichtung = Herkunft, also liegt der Luv-Strahl genau in dieser Richtung
+    const step = 360 / LEE_CONFIG.directions;
+    const ray = state.terrain.rays[Math.round(dir / step) % LEE_CONFIG.directions];
+    const top = ray.samples.reduce((best, s) => s.elevation > best.elevation ? s : best, ray.samples[0]);
+    const ridge = { dist: top.dist, elevation: top.elevation, height: top.elevation - state.terrain.elevation };
+
+    let level = 'none';
+    if (ridge.height >= LEE_CONFIG.minRidgeHeight && windSpeed >= LEE_CONFIG.windCaution) {
+        level = windSpeed >= LEE_CONFIG.windDanger ? 'danger' : 'caution';
+    }
+    return { dir, windSpeed, ray, ridge, level };
+}
+
+/**
+ * Geländeskizze in Anströmrichtung im Wind-Detail zeichnen
+ * Links Luv (Herkunft des Höhenwinds), rechts der Standort
+ * @param {number} i - Stunden-Index in state.hourlyData
+ */
+export function renderLeeProfile(i) {
+    const wrapper = document.getElementById('leeProfileWrapper');
+    const svg = document.getElementById('leeProfile');
+    const summary = document.getElementById('leeSummary');
+    if (!wrapper || !svg || !summary) return;
+
+    const lee = getLeeExposure(i);
+    if (!lee) {
+        wrapper.classList.add('u-hidden');
+        return;
+    }
+    wrapper.classList.remove('u-hidden');
+
+    const site = state.terrain.elevation;
+    const samples = [{ dist: 0, elevation: site }, ...lee.ray.samples];
+    const elevations = samples.map(s => s.elevation);
+    const minEl = Math.min(...elevations) - 50;
+    const maxEl = Math.max(...elevations, site + LEE_CONFIG.minRidgeHeight) + 50;
+    const f = (v) => v.toFixed(1);
+    const x = (dist) => VIEW.right - dist / LEE_CONFIG.distanceKm * (VIEW.right - VIEW.left);
+    const y = (el) => VIEW.bottom - (el - minEl) / (maxEl - minEl) * (VIEW.bottom - VIEW.top);
+
+    const outline = samples.slice().reverse().map(s => f(x(s.dist)) + ',' + f(y(s.elevation)));
+    let out = `<polygon class="lee-terrain ${lee.level}" points="${f(VIEW.left)},${VIEW.bottom} ${outline.join(' ')} ${f(VIEW.right)},${VIEW.bottom}"/>`;
+
+    // Grat-Schwelle (Standorthöhe + minRidgeHeight)
+    const yThreshold = f(y(site + LEE_CONFIG.minRidgeHeight));
+    out += `<line class="lee-threshold" x1="${VIEW.left}" y1="${yThreshold}" x2="${VIEW.right}" y2="${yThreshold}"/>`;
+
+    // Höchster Punkt im Luv
+    const rx = f(x(lee.ridge.dist)), ry = f(y(lee.ridge.elevation));
+    out += `<circle class="lee-ridge" cx="${rx}" cy="${ry}" r="2.5"/>`;
+    out += `<text class="lee-label" x="${rx}" y="${f(y(lee.ridge.elevation) - 5)}" text-anchor="middle">${formatAltitude(lee.ridge.elevation)}</text>`;
+
+    // Standort
+    const sx = f(x(0)), sy = f(y(site));
+    out += `<path class="lee-site" d="M${sx} ${sy} l-4 -8 h8 z"/>`;
+
+    // Höhenwind-Pfeil (von links = Luv nach rechts = Standort)
+    out += `<line class="lee-wind" x1="${VIEW.left + 4}" y1="10" x2="${VIEW.left + 44}" y2="10"/>`;
+    out += `<path class="lee-wind-head" d="M${VIEW.left + 44} 6 l7 4 l-7 4 z"/>`;
+    out += `<text class="lee-label wind" x="${VIEW.left + 56}" y="13">${getWindDir(lee.dir)} ${formatSpeed(lee.windSpeed)}</text>`;
+    out += `<text class="lee-label" x="${VIEW.right}" y="13" text-anchor="end">${t('lee.upwind', { dist: LEE_CONFIG.distanceKm })}</text>`;
+    svg.innerHTML = out;
+
+    const ridgeText = t('lee.ridge', {
+        elevation: formatAltitude(lee.ridge.elevation),
+        height: formatAltitude(lee.ridge.height),
+        dist: Math.round(lee.ridge.dist),
+        dir: getWindDir(lee.dir)
+    });
+    summary.className = 'lee-summary ' + lee.level;
+    if (lee.level === 'danger') {
+        summary.textContent = t('lee.danger', { ridge: ridgeText });
+    } else if (lee.level === 'caution') {
+        summary.textContent = t('lee.caution', { ridge: ridgeText });
+    } else if (lee.ridge.height >= LEE_CONFIG.minRidgeHeight) {
+        summary.textContent = t('lee.weakWind', { speed: formatSpeed(lee.windSpeed) });
+    } else {
+        summary.textContent = t('lee.noRidge', { dir: getWindDir(lee.dir) });
+    }
+}
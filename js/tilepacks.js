@@ -0,0 +1,463 @@
+/**
+ * SkyCheck - Offline-Kartenpakete
+ * Region auf der Karte aufziehen (oder den Ausschnitt übernehmen), Zoomstufen wählen und
+ * die OpenTopoMap-Tiles vom Service Worker in einen eigenen Cache laden lassen.
+ * Der SW führt die Paketliste (TILE_PACK_CONFIG.indexUrl) und meldet den Fortschritt per
+ * postMessage - hier nur Bedienung, Schätzung und Anzeige.
+ */
+
+import { state } from './state.js';
+import { TILE_PACK_CONFIG } from './config.js';
+import { countTiles, escapeHtml } from './utils.js';
+import { showToast } from './ui.js';
+import { t, formatNumber, formatShortDate } from './i18n.js';
+
+const ERROR_KEYS = {
+    tooLarge: 'tilePack.errorTooLarge',
+    quota: 'tilePack.errorQuota',
+    invalid: 'tilePack.errorFailed',
+    failed: 'tilePack.errorFailed'
+};
+
+let active = false;
+let outlineLayer = null;
+let draftRect = null;
+let draftBounds = null;
+
+// Aufziehen mit Maus/Finger (Pointer-Events, damit es auch auf Touch funktioniert)
+let drawing = false;
+let drawStart = null;
+
+// Laufende Downloads: id -> { done, total }
+const progress = new Map();
+let packs = [];
+
+/**
+ * Panel ein-/ausschalten
+ */
+export function toggleTilePacks() {
+    active = !active;
+    const btn = document.getElementById('tilePackBtn');
+    const panel = document.getElementById('tilePackPanel');
+    if (btn) {
+        btn.classList.toggle('active', active);
+        btn.setAttribute('aria-pressed', String(active));
+    }
+    if (panel) panel.classList.toggle('u-hidden', !active);
+
+    if (active) {
+        refreshPackList();
+    } else {
+        stopDrawing();
+        clearDraft();
+        if (outlineLayer) outlineLayer.clearLayers();
+    }
+}
+
+/**
+ * Größe in KB/MB (aktive Sprache)
+ */
+function formatBytes(bytes) {
+    const mb = bytes / (1024 * 1024);
+    return mb >= 1 ? formatNumber(mb, mb < 10 ? 1 : 0) + ' MB' : formatNumber(Math.ceil(bytes / 1024)) + ' KB';
+}
+
+/**
+ * Statuszeile (Speicherbelegung, Hinweise)
+ */
+function setStatus(text) {
+    const el = document.getElementById('tilePackStatus');
+    if (el) el.textContent = text;
+}
+
+/**
+ * Speicherbelegung anzeigen (soweit der Browser sie verrät)
+ */
+async function showStorageUsage() {
+    if (!navigator.storage?.estimate) {
+        setStatus('');
+        return;
+    }
+    try {
+        const { usage, quota } = await navigator.storage.estimate();
+        setStatus(t('tilePack.storage', { used: formatBytes(usage || 0), quota: formatBytes(quota || 0) }));
+    } catch (e) {
+        setStatus('');
+    }
+}
+
+// === Bereich wählen ===
+
+/**
+ * Bereich aufziehen: Karte festhalten, nächste Zieh-Geste wird zum Rechteck
+ */
+function startDrawing() {
+    if (!state.map || drawing) return;
+    drawing = true;
+    const container = state.map.getContainer();
+    state.map.dragging.disable();
+    state.map.touchZoom.disable();
+    container.classList.add('drawing-region');
+    container.addEventListener('pointerdown', onDrawStart);
+    setStatus(t('tilePack.drawHint'));
+}
+
+/**
+ * Aufziehen beenden und Karte wieder freigeben
+ */
+function stopDrawing() {
+    if (!drawing) return;
+    drawing = false;
+    drawStart = null;
+    const container = state.map.getContainer();
+    container.removeEventListener('pointerdown', onDrawStart);
+    container.removeEventListener('pointermove', onDrawMove);
+    container.removeEventListener('pointerup', onDrawEnd);
+    container.removeEventListener('pointercancel', onDrawEnd);
+    container.classList.remove('drawing-region');
+    state.map.dragging.enable();
+    state.map.touchZoom.enable();
+}
+
+/**
+ * Zieh-Geste beginnt: Startecke merken
+ */
+function onDrawStart(e) {
+    if (e.target.closest('.leaflet-control')) return;
+    const container = state.map.getContainer();
+    drawStart = state.map.mouseEventToLatLng(e);
+    container.setPointerCapture?.(e.pointerId);
+    container.addEventListener('pointermove', onDrawMove);
+    container.addEventListener('pointerup', onDrawEnd);
+    container.addEventListener('pointercancel', onDrawEnd);
+}
+
+/**
+ * Rechteck während des Ziehens mitführen
+ */
+function onDrawMove(e) {
+    if (!drawStart) return;
+    setDraft(L.latLngBounds(drawStart, state.map.mouseEventToLatLng(e)));
+}
+
+/**
+ * Zieh-Geste beendet: Bereich übernehmen und schätzen
+ */
+function onDrawEnd(e) {
+    if (!drawStart) return;
+    const end = state.map.mouseEventToLatLng(e);
+    const start = drawStart;
+    stopDrawing();
+
+    // Der anschließende Klick soll keinen Standort laden
+    const container = state.map.getContainer();
+    const swallow = (ev) => ev.stopPropagation();
+    container.addEventListener('click', swallow, { capture: true, once: true });
+    setTimeout(() => container.removeEventListener('click', swallow, { capture: true }), 400);
+
+    const startPt = state.map.latLngToContainerPoint(start);
+    const endPt = state.map.latLngToContainerPoint(end);
+    if (startPt.distanceTo(endPt) < 10) {
+        // Nur getippt: kein Bereich
+        clearDraft();
+        showStorageUsage();
+        return;
+    }
+    setDraft(L.latLngBounds(start, end));
+    updateDraft();
+}
+
+/**
+ * Sichtbaren Kartenausschnitt als Bereich übernehmen
+ */
+function useViewport() {
+    if (!state.map) return;
+    stopDrawing();
+    setDraft(state.map.getBounds());
+    updateDraft();
+}
+
+/**
+ * Entwurfs-Rechteck setzen bzw. verschieben
+ */
+function setDraft(bounds) {
+    draftBounds = bounds;
+    if (!draftRect) {
+        draftRect = L.rectangle(bounds, { className: 'tile-pack-area', weight: 2, fillOpacity: 0.1, interactive: false }).addTo(state.map);
+    } else {
+        draftRect.setBounds(bounds);
+    }
+}
+
+/**
+ * Entwurf verwerfen
+ */
+function clearDraft() {
+    draftBounds = null;
+    if (draftRect) {
+        draftRect.remove();
+        draftRect = null;
+    }
+    document.getElementById('tilePackDraft')?.classList.add('u-hidden');
+}
+
+/**
+ * Gewählte Zoomstufen (min <= max)
+ */
+function getZooms() {
+    const minSel = document.getElementById('tilePackMinZoom');
+    const maxSel = document.getElementById('tilePackMaxZoom');
+    let min = parseInt(minSel?.value, 10) || TILE_PACK_CONFIG.defaultZooms.min;
+    let max = parseInt(maxSel?.value, 10) || TILE_PACK_CONFIG.defaultZooms.max;
+    if (min > max) [min, max] = [max, min];
+    return { min, max };
+}
+
+/**
+ * Leaflet-Bounds als { south, west, north, east } (wie buildGridCells)
+ */
+function toBoundsObject(bounds) {
+    return { south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast() };
+}
+
+/**
+ * Anzahl Tiles und geschätzte Größe des Entwurfs anzeigen
+ */
+function updateDraft() {
+    const draft = document.getElementById('tilePackDraft');
+    const estimate = document.getElementById('tilePackEstimate');
+    const downloadBtn = document.getElementById('tilePackDownloadBtn');
+    if (!draftBounds) return;
+    if (draft) draft.classList.remove('u-hidden');
+
+    const { min, max } = getZooms();
+    const count = countTiles(toBoundsObject(draftBounds), min, max);
+    const tooLarge = count > TILE_PACK_CONFIG.maxTilesPerPack;
+    if (estimate) {
+        estimate.textContent = t('tilePack.estimate', {
+            count: formatNumber(count),
+            size: formatBytes(count * TILE_PACK_CONFIG.avgTileBytes)
+        }) + (tooLarge ? ' · ' + t('tilePack.errorTooLarge', { max: formatNumber(TILE_PACK_CONFIG.maxTilesPerPack) }) : '');
+        estimate.classList.toggle('too-large', tooLarge);
+    }
+    if (downloadBtn) downloadBtn.disabled = tooLarge;
+    showStorageUsage();
+}
+
+// === Kommunikation mit dem Service Worker ===
+
+/**
+ * Auftrag an den Service Worker schicken
+ * @returns {boolean} false ohne aktiven SW (z.B. erster Aufruf, file://)
+ */
+function postToWorker(message) {
+    const sw = navigator.serviceWorker?.controller;
+    if (!sw) {
+        showToast(t('tilePack.noWorker'), 'error');
+        return false;
+    }
+    sw.postMessage(message);
+    return true;
+}
+
+/**
+ * Entwurf als Paket herunterladen
+ */
+function downloadDraft() {
+    if (!draftBounds) return;
+    const { min, max } = getZooms();
+    const bounds = toBoundsObject(draftBounds);
+    if (countTiles(bounds, min, max) > TILE_PACK_CONFIG.maxTilesPerPack) return;
+
+    const nameInput = document.getElementById('tilePackName');
+    const name = (nameInput?.value || '').trim().slice(0, 60) ||
+        state.currentLocation.name || t('tilePack.defaultName');
+    const pack = { id: 'pack-' + Date.now().toString(36), name, bounds, minZoom: min, maxZoom: max };
+
+    if (!postToWorker({ type: 'tilePack:download', pack })) return;
+    // Dauerhaften Speicher erbitten, damit der Browser die Tiles nicht bei Platzmangel verwirft
+    navigator.storage?.persist?.().catch(() => {});
+    progress.set(pack.id, { done: 0, total: countTiles(bounds, min, max) });
+    if (nameInput) nameInput.value = '';
+    clearDraft();
+    showToast(t('tilePack.started', { name }), '', 3000);
+}
+
+/**
+ * Nachrichten des Service Workers (Fortschritt, Abschluss, Fehler)
+ */
+function handleWorkerMessage(event) {
+    const msg = event.data;
+    if (!msg || typeof msg.type !== 'string' || !msg.type.startsWith('tilePack:')) return;
+
+    switch (msg.type) {
+        case 'tilePack:progress':
+            progress.set(msg.id, { done: msg.done, total: msg.total });
+            break;
+        case 'tilePack:done':
+            progress.delete(msg.id);
+            showToast(msg.complete
+                ? t('tilePack.done', { name: msg.name })
+                : t('tilePack.partial', { name: msg.name, failed: formatNumber(msg.failed) }),
+                msg.complete ? 'success' : '', 4000);
+            break;
+        case 'tilePack:error':
+            progress.delete(msg.id);
+            showToast(t(ERROR_KEYS[msg.code] || ERROR_KEYS.failed, { max: formatNumber(TILE_PACK_CONFIG.maxTilesPerPack) }), 'error', 4000);
+            break;
+        case 'tilePack:deleted':
+            progress.delete(msg.id);
+            break;
+    }
+    refreshPackList();
+}
+
+// === Paketliste ===
+
+/**
+ * Paketliste aus dem Tile-Cache lesen (schreibt der SW)
+ */
+async function readPacks() {
+    if (!('caches' in window)) return [];
+    try {
+        const cache = await caches.open(TILE_PACK_CONFIG.cacheName);
+        const response = await cache.match(TILE_PACK_CONFIG.indexUrl);
+        const data = response ? await response.json() : [];
+        return Array.isArray(data) ? data : [];
+    } catch (e) {
+        console.warn('Kartenpakete konnten nicht gelesen werden:', e);
+        return [];
+    }
+}
+
+/**
+ * Paketliste neu lesen und anzeigen
+ */
+async function refreshPackList() {
+    if (!active) return;
+    packs = await readPacks();
+    renderPackList();
+    drawOutlines();
+}
+
+/**
+ * Umrisse der gespeicherten Pakete auf der Karte
+ */
+function drawOutlines() {
+    if (!state.map) return;
+    if (!outlineLayer) outlineLayer = L.layerGroup().addTo(state.map);
+    outlineLayer.clearLayers();
+    packs.forEach(p => {
+        const b = p.bounds;
+        outlineLayer.addLayer(L.rectangle([[b.south, b.west], [b.north, b.east]], {
+            className: 'tile-pack-outline', weight: 1, fill: false, interactive: false
+        }));
+    });
+}
+
+/**
+ * Paketliste mit Größe, Zoomstufen, Stand und Aktionen
+ */
+function renderPackList() {
+    const list = document.getElementById('tilePackList');
+    if (!list) return;
+
+    if (packs.length === 0) {
+        list.innerHTML = `<li class="tile-pack-empty">${escapeHtml(t('tilePack.none'))}</li>`;
+        return;
+    }
+
+    list.innerHTML = packs.map(p => {
+        const running = progress.get(p.id);
+        const info = running
+            ? t('tilePack.progress', { done: formatNumber(running.done), total: formatNumber(running.total) })
+            : t('tilePack.info', {
+                zoom: p.minZoom + '-' + p.maxZoom,
+                size: formatBytes(p.bytes || 0),
+                date: formatShortDate(new Date(p.updatedAt))
+            }) + (p.complete ? '' : ' · ' + t('tilePack.incomplete'));
+        const id = escapeHtml(p.id);
+        // Unvollständige Pakete lädt der SW weiter statt von vorn
+        const refreshLabel = t(p.complete ? 'tilePack.refresh' : 'tilePack.resume');
+        return `<li class="tile-pack-item${running ? ' running' : ''}">
+            <span class="tile-pack-name">${escapeHtml(p.name)}</span>
+            <span class="tile-pack-info">${escapeHtml(info)}</span>
+            <span class="tile-pack-actions">
+                ${running
+                    ? `<button class="tile-pack-action" data-action="cancel" data-id="${id}">${escapeHtml(t('tilePack.cancel'))}</button>`
+                    : `<button class="tile-pack-action" data-action="show" data-id="${id}" title="${escapeHtml(t('tilePack.show'))}" aria-label="${escapeHtml(t('tilePack.show'))}">🔍</button>
+                       <button class="tile-pack-action" data-action="refresh" data-id="${id}" title="${escapeHtml(refreshLabel)}" aria-label="${escapeHtml(refreshLabel)}">${p.complete ? '↻' : '⏵'}</button>
+                       <button class="tile-pack-action" data-action="delete" data-id="${id}" title="${escapeHtml(t('tilePack.delete'))}" aria-label="${escapeHtml(t('tilePack.delete'))}">✕</button>`}
+            </span>
+        </li>`;
+    }).join('');
+}
+
+/**
+ * Aktion aus der Paketliste
+ */
+function handleListClick(e) {
+    const btn = e.target.closest('.tile-pack-action');
+    if (!btn) return;
+    const pack = packs.find(p => p.id === btn.dataset.id);
+    if (!pack) return;
+
+    switch (btn.dataset.action) {
+        case 'show': {
+            const b = pack.bounds;
+            state.map.fitBounds([[b.south, b.west], [b.north, b.east]]);
+            break;
+        }
+        case 'refresh':
+            if (postToWorker({ type: 'tilePack:refresh', id: pack.id })) {
+                progress.set(pack.id, { done: 0, total: pack.tiles });
+                renderPackList();
+            }
+            break;
+        case 'delete':
+            // Zweiter Klick bestätigt (kein confirm() - wie beim Favoriten-Löschen)
+            if (btn.classList.contains('confirm')) {
+                postToWorker({ type: 'tilePack:delete', id: pack.id });
+            } else {
+                btn.classList.add('confirm');
+                btn.textContent = t('tilePack.confirmDelete');
+                setTimeout(renderPackList, 3000);
+            }
+            break;
+        case 'cancel':
+            postToWorker({ type: 'tilePack:cancel', id: pack.id });
+            break;
+    }
+}
+
+/**
+ * Bedienelemente einrichten (Button über der Karte, Panel, SW-Nachrichten)
+ */
+export function initTilePacks() {
+    const btn = document.getElementById('tilePackBtn');
+    const drawBtn = document.getElementById('tilePackDrawBtn');
+    const viewBtn = document.getElementById('tilePackViewBtn');
+    const downloadBtn = document.getElementById('tilePackDownloadBtn');
+    const minSel = document.getElementById('tilePackMinZoom');
+    const maxSel = document.getElementById('tilePackMaxZoom');
+    const list = document.getElementById('tilePackList');
+
+    if (btn) btn.addEventListener('click', toggleTilePacks);
+    if (drawBtn) drawBtn.addEventListener('click', startDrawing);
+    if (viewBtn) viewBtn.addEventListener('click', useViewport);
+    if (downloadBtn) downloadBtn.addEventListener('click', downloadDraft);
+    if (list) list.addEventListener('click', handleListClick);
+
+    [minSel, maxSel].forEach((sel, i) => {
+        if (!sel) return;
+        for (let z = TILE_PACK_CONFIG.minZoom; z <= TILE_PACK_CONFIG.maxZoom; z++) {
+            sel.add(new Option(String(z), String(z)));
+        }
+        sel.value = String(i === 0 ? TILE_PACK_CONFIG.defaultZooms.min : TILE_PACK_CONFIG.defaultZooms.max);
+        sel.addEventListener('change', updateDraft);
+    });
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+    }
+}
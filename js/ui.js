@@ -5,19 +5,34 @@
  */
 
 import { state } from './state.js';
-import { LIMITS, STORAGE_KEYS, UI_CONFIG, METEO_CONSTANTS, APP_INFO } from './config.js';
+import { LIMITS, STORAGE_KEYS, UI_CONFIG, METEO_CONSTANTS, APP_INFO, MODEL_COMPARISON, ENSEMBLE_CONFIG, FORECAST_HORIZON, FOEHN_CONFIG, TAKEOFF_SECTOR, SNAPSHOT_CONFIG, PARAM_FILTER_CONFIG, LIVE_WIND_CONFIG } from './config.js';
 import {
     getWindDir, getColorClass, getColorClassRev, getSpreadColor,
     scoreToColor, getTrend, getGustFactor, getWeatherInfo, isInAlpineRegion,
-    escapeHtml, validateCustomLimits, formatAge
+    escapeHtml, validateCustomLimits, formatAge, formatSector, getHourOf, parseDay, getSiteNow
 } from './utils.js';
 import {
-    getHourScore, findBestWindow, updateSunTimes, calculateCloudBase, validateValue,
+    getHourScore, findBestWindow, getFlyingHours, updateSunTimes, calculateCloudBase, validateValue,
     calculateBeginnerSafety, getRiskExplanation, getFogRisk, extractWindData,
-    getEffectiveLimits,
+    getEffectiveLimits, isTrendIndex, getTrendBlockIndices, fetchWeatherData, calculateThermalStrength, getLandingEvaluation,
+    getWindArrowColor, isForecastDegraded, capHourScore, getLeeScore,
     // Zentralisierte Bewertungsfunktionen (Single Source of Truth)
-    evaluateWind, evaluateThermik, evaluateClouds, evaluatePrecip
+    evaluateWind, evaluateThermik, evaluateClouds, evaluatePrecip, evaluateTakeoffSector
 } from './weather.js';
+import { getModelAgreementAt, getDayModelAgreement, getModelSpread } from './models.js';
+import { getEnsembleProbability, getDayEnsembleConfidence } from './ensemble.js';
+import { renderSounding } from './sounding.js';
+import { renderMeteogram } from './meteogram.js';
+import { syncHeatmapTime } from './heatmap.js';
+import { syncWindLayerTime } from './windlayer.js';
+import { getWindTrend } from './stationhistory.js';
+import { compareWithStations } from './modelcheck.js';
+import { syncNotifyConfig } from './notify.js';
+import { getLiveWindProvider } from './livewind.js';
+import { getFoehnAt } from './foehn.js';
+import { getLeeExposure, renderLeeProfile } from './terrain.js';
+import { t, formatNumber, formatWeekday, formatShortDate, formatTime } from './i18n.js';
+import { formatSpeed, formatSpeedValue, formatAltitude, convertSpeed, toKmh, speedLabel, getUnits } from './units.js';
 
 // DOM-Cache für Performance (vermeidet wiederholte getElementById-Aufrufe)
 let domCache = null;
@@ -70,6 +85,8 @@ function getDomCache() {
             // Höhen-Info (verteilt auf Thermik-Box und Location-Card)
             cloudBase: document.getElementById('cloudBase'),
             boundaryLayer: document.getElementById('boundaryLayer'),
+            thermalClimb: document.getElementById('thermalClimb'),
+            thermalQuality: document.getElementById('thermalQuality'),
             freezingLevel: document.getElementById('freezingLevel'),
             stationElevation: document.getElementById('stationElevation'),
             // Sonstiges
@@ -111,7 +128,7 @@ export function formatValue(value, unit = '', decimals = 0) {
 export function setupDays() {
     state.forecastDays = [];
     const times = state.hourlyData.time;
-    const uniqueDays = [...new Set(times.map(t => t.split('T')[0]))].slice(0, 3);
+    const uniqueDays = [...new Set(times.map(t => t.split('T')[0]))].slice(0, state.forecastHorizon);
 
     uniqueDays.forEach((dayStr) => {
         const indices = [];
@@ -120,16 +137,21 @@ export function setupDays() {
         let worst = 3, windScore = 3, thermikScore = 3, cloudScore = 3, precipScore = 3;
         const h = state.hourlyData;
 
+        const flying = getFlyingHours(dayStr);
         indices.forEach(i => {
-            const hour = new Date(times[i]).getHours();
-            if (hour >= 8 && hour <= 18) {
+            const hour = getHourOf(times[i]);
+            if (hour >= flying.start && hour <= flying.end) {
                 const s = getHourScore(i);
                 if (s < worst) worst = s;
 
                 // Kategorie-Scores berechnen (schlechtester Wert zählt)
                 const wind = extractWindData(h, i);
-                const { ws, wg, w900, w850, w800, w700, grad, grad3000 } = wind;
-                const wScore = evaluateWind(ws, wg, w900, w850, w800, w700, grad, grad3000);
+                const { ws, wg, w900, w850, w800, w700, wd10m, wd900, grad, grad3000 } = wind;
+                const wScore = Math.min(
+                    evaluateWind(ws, wg, w900, w850, w800, w700, grad, grad3000),
+                    evaluateTakeoffSector(ws, wd10m, w900, wd900, state.currentLocation.sectors).score,
+                    getLeeScore(i)
+                );
                 if (wScore < windScore) windScore = wScore;
 
                 const temp = h.temperature_2m?.[i];
@@ -158,6 +180,7 @@ export function setupDays() {
         state.forecastDays.push({
             date: dayStr,
             indices,
+            isTrend: indices.length > 0 && isTrendIndex(indices[0]),
             worstScore: worst,
             windScore,
             thermikScore,
@@ -179,9 +202,10 @@ function getDayTrafficLight(dayStr) {
     const bestWin = findBestWindow(dayStr);
     const greenDuration = bestWin ? (bestWin.end - bestWin.start + 1) : 0;
 
-    // Prüfe ob es rote Stunden gibt (6-20 Uhr)
+    // Prüfe ob es rote Stunden im Flugfenster gibt
     let hasRedHour = false;
-    for (let h = 6; h <= 20; h++) {
+    const { start, end } = getFlyingHours(dayStr);
+    for (let h = start; h <= end; h++) {
         const ts = dayStr + 'T' + h.toString().padStart(2, '0') + ':00';
         const idx = state.hourlyData.time.findIndex(t => t === ts);
         if (idx !== -1 && getHourScore(idx) === 1) {
@@ -191,11 +215,11 @@ function getDayTrafficLight(dayStr) {
     }
 
     if (greenDuration >= 3) {
-        return { status: 'go', label: 'GO' };
+        return { status: 'go', label: t('status.go') };
     } else if (greenDuration >= 1 || !hasRedHour) {
-        return { status: 'caution', label: 'VORSICHT' };
+        return { status: 'caution', label: t('status.caution') };
     } else {
-        return { status: 'nogo', label: 'NO-GO' };
+        return { status: 'nogo', label: t('status.nogo') };
     }
 }
 
@@ -205,6 +229,8 @@ function getDayTrafficLight(dayStr) {
 export function buildDayComparison() {
     const grid = document.getElementById('dayComparisonGrid');
     grid.innerHTML = '';
+    // Mehr als 3 Tage: horizontal scrollbare Reihe
+    grid.classList.toggle('extended', state.forecastDays.length > 3);
 
     // Besten Tag ermitteln (Tag mit längstem grünen Fenster)
     let bestDayIdx = -1;
@@ -221,26 +247,66 @@ export function buildDayComparison() {
     });
 
     state.forecastDays.forEach((day, i) => {
-        const d = new Date(day.date);
-        const names = ['So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa'];
-        const name = i === 0 ? 'Heute' : i === 1 ? 'Morgen' : names[d.getDay()];
+        const d = parseDay(day.date);
+        const name = i === 0 ? t('day.today') : i === 1 ? t('day.tomorrow') : formatWeekday(d);
         const bestWin = findBestWindow(day.date);
         const hasGreenWindow = bestWin !== null;
         const winText = bestWin ? (bestWin.start + '-' + bestWin.end + 'h') : '—';
         const isBest = i === bestDayIdx && hasGreenWindow;
         const trafficLight = getDayTrafficLight(day.date);
 
+        // Ensemble-Sicherheit des Tages (nur wenn Läufe geladen)
+        const ensConfidence = getDayEnsembleConfidence(day.date);
+        let confidenceHtml = '';
+        if (ensConfidence !== null) {
+            const level = getConfidenceLevel(ensConfidence, ENSEMBLE_CONFIG.confidenceHigh, ENSEMBLE_CONFIG.confidenceMedium);
+            confidenceHtml = `<div class="day-comparison-confidence ${level.class}" title="${t('day.ensembleTitle', { pct: Math.round(ensConfidence * 100) })}">${level.stars}</div>`;
+        }
+
         const card = document.createElement('div');
-        card.className = 'day-comparison-card' + (i === state.selectedDay ? ' active' : '') + (isBest ? ' best' : '');
+        card.className = 'day-comparison-card' + (i === state.selectedDay ? ' active' : '') + (isBest ? ' best' : '') + (day.isTrend ? ' trend' : '');
         card.dataset.dayIdx = i;
+        if (day.isTrend) card.title = t('day.trendTitle', { model: FORECAST_HORIZON.trendModel.label, hours: FORECAST_HORIZON.trendBlockHours });
         card.innerHTML = `
-            <div class="day-comparison-date">${name} ${d.getDate()}.${d.getMonth() + 1}.</div>
+            ${day.isTrend ? '<span class="day-comparison-trend">' + t('day.trend') + '</span>' : ''}
+            <div class="day-comparison-date">${name} ${formatShortDate(d)}</div>
             <span class="day-comparison-status ${trafficLight.status}">${trafficLight.label}</span>
-            <div class="day-comparison-window ${hasGreenWindow ? 'go' : ''}">${winText}</div>`;
+            <div class="day-comparison-window ${hasGreenWindow ? 'go' : ''}">${winText}</div>${confidenceHtml}`;
         grid.appendChild(card);
     });
 }
 
+/**
+ * Vorhersagezeitraum aus localStorage laden
+ */
+export function loadForecastHorizon() {
+    let days = FORECAST_HORIZON.default;
+    try {
+        const saved = parseInt(localStorage.getItem(STORAGE_KEYS.FORECAST_HORIZON));
+        if (FORECAST_HORIZON.options.includes(saved)) days = saved;
+    } catch (e) {
+        // localStorage nicht verfügbar
+    }
+    state.forecastHorizon = days;
+    const select = document.getElementById('forecastHorizon');
+    if (select) select.value = days.toString();
+}
+
+/**
+ * Vorhersagezeitraum ändern und Daten neu laden
+ */
+export function handleHorizonChange(e) {
+    const days = parseInt(e.target.value);
+    if (!FORECAST_HORIZON.options.includes(days)) return;
+    state.forecastHorizon = days;
+    try {
+        localStorage.setItem(STORAGE_KEYS.FORECAST_HORIZON, days.toString());
+    } catch (err) {
+        // localStorage voll oder nicht verfügbar
+    }
+    if (state.currentLocation.lat) fetchWeatherData();
+}
+
 /**
  * Tag auswählen
  */
@@ -249,32 +315,61 @@ export function selectDay(idx) {
     document.querySelectorAll('.day-comparison-card').forEach((c, i) => c.classList.toggle('active', i === idx));
     updateSunTimes(idx);
     updateForecastConfidence(idx);
+    if (state.modelComparison) renderModelCompareInfo();
     buildTimeline(state.forecastDays[idx].date);
 
     // Wind-Profil immer aktualisieren (ist jetzt immer sichtbar)
     renderWindDiagram(state.forecastDays[idx].date);
 
-    const now = new Date(), ch = now.getHours();
-    let def = state.forecastDays[idx].indices.find(i => new Date(state.hourlyData.time[i]).getHours() === (idx === 0 ? ch : 12));
-    if (!def) def = state.forecastDays[idx].indices.find(i => new Date(state.hourlyData.time[i]).getHours() === 12) || state.forecastDays[idx].indices[Math.floor(state.forecastDays[idx].indices.length / 2)];
+    // Heute: aktuelle Stunde am Standort, sonst Mittag
+    const siteNow = getSiteNow(state.timezone);
+    const targetHour = state.forecastDays[idx].date === siteNow.date ? siteNow.hour : 12;
+    let def = state.forecastDays[idx].indices.find(i => getHourOf(state.hourlyData.time[i]) === targetHour);
+    if (!def) def = state.forecastDays[idx].indices.find(i => getHourOf(state.hourlyData.time[i]) === 12) || state.forecastDays[idx].indices[Math.floor(state.forecastDays[idx].indices.length / 2)];
     selectHour(def);
 }
 
+const CONFIDENCE_LEVELS = [
+    { stars: '⭐⭐⭐', class: 'high', label: 'hoch' },
+    { stars: '⭐⭐☆', class: 'medium', label: 'mittel' },
+    { stars: '⭐☆☆', class: 'low', label: 'gering' }
+];
+
+/**
+ * Übereinstimmungs-Anteil (0-1) in Sterne-Stufe umrechnen
+ */
+function getConfidenceLevel(value, high, medium) {
+    return value >= high ? CONFIDENCE_LEVELS[0] : value >= medium ? CONFIDENCE_LEVELS[1] : CONFIDENCE_LEVELS[2];
+}
+
 /**
  * PHASE 3 Aufgabe 3: Prognose-Sicherheit
+ * Priorität: Ensemble-Läufe > Modellvergleich > Schätzung nach Vorhersagezeitraum
  */
 export function updateForecastConfidence(dayIdx) {
     const starsEl = document.getElementById('confidenceStars');
-    const configs = [
-        { stars: '⭐⭐⭐', class: 'high', label: 'hoch' },
-        { stars: '⭐⭐☆', class: 'medium', label: 'mittel' },
-        { stars: '⭐☆☆', class: 'low', label: 'gering' }
-    ];
-    const config = configs[Math.min(dayIdx, 2)];
+    const day = state.forecastDays[dayIdx];
+    const ensConfidence = day ? getDayEnsembleConfidence(day.date) : null;
+    const agreement = day ? getDayModelAgreement(day.date) : null;
+
+    let config;
+    if (ensConfidence !== null) {
+        config = getConfidenceLevel(ensConfidence, ENSEMBLE_CONFIG.confidenceHigh, ENSEMBLE_CONFIG.confidenceMedium);
+        starsEl.title = t('day.ensembleStars', { pct: Math.round(ensConfidence * 100), model: state.ensemble.label });
+    } else if (agreement !== null) {
+        config = getConfidenceLevel(agreement, MODEL_COMPARISON.agreementHigh, MODEL_COMPARISON.agreementMedium);
+        starsEl.title = t('day.modelStars', { pct: Math.round(agreement * 100) });
+    } else {
+        config = CONFIDENCE_LEVELS[Math.min(dayIdx, 2)];
+        starsEl.title = '';
+    }
     starsEl.textContent = config.stars;
     starsEl.className = 'stars ' + config.class;
 }
 
+// Ampel-Bezeichnungen (Katalog-Schlüssel)
+const SCORE_LABELS = { 3: 'status.go', 2: 'status.caution', 1: 'status.nogo' };
+
 /**
  * v8 NEU: Timeline mit Wetter-Symbolen
  * PHASE 1 SAFETY: Konditioniertes Zeitfenster
@@ -288,21 +383,35 @@ export function buildTimeline(dayStr) {
     const bwEl = document.getElementById('bestWindow');
     if (bwEl) bwEl.classList.remove('visible', 'yellow');
 
-    const now = new Date();
-    const todayStr = now.toISOString().split('T')[0];
-    const currentHour = now.getHours();
-    const isToday = dayStr === todayStr;
+    // "Jetzt" in Ortszeit des Standorts (Zeitstempel der Daten sind Ortszeit)
+    const siteNow = getSiteNow(state.timezone);
+    const currentHour = siteNow.hour;
+    const isToday = dayStr === siteNow.date;
+
+    // Trend-Tage: ein Slot je 3h-Block statt je Stunde
+    const isTrendDay = state.forecastDays.find(d => d.date === dayStr)?.isTrend || false;
+    const step = isTrendDay ? FORECAST_HORIZON.trendBlockHours : 1;
 
-    for (let h = 6; h <= 20; h++) {
+    // Flugfenster nach Tageslicht; Trend-Blöcke bleiben ab 6 Uhr ausgerichtet (siehe getTrendBlockIndices)
+    const flying = getFlyingHours(dayStr);
+    const first = isTrendDay ? flying.start - ((flying.start - 6) % step + step) % step : flying.start;
+    const hoursEl = document.getElementById('timelineHours');
+    if (hoursEl) hoursEl.textContent = t('time.range', { from: flying.start, to: flying.end });
+
+    for (let h = first; h <= flying.end; h += step) {
         const ts = dayStr + 'T' + h.toString().padStart(2, '0') + ':00';
-        const idx = state.hourlyData.time.findIndex(t => t === ts);
+        let idx = state.hourlyData.time.findIndex(t => t === ts);
         if (idx === -1) continue;
 
+        // Block: mittlere Stunde repräsentiert den Block in der Detailansicht
+        const block = isTrendDay ? getTrendBlockIndices(idx) : [idx];
+        idx = block[Math.floor(block.length / 2)];
+
         const sc = getHourScore(idx);
         const slot = document.createElement('div');
-        slot.className = 'timeline-slot ' + scoreToColor(sc);
+        slot.className = 'timeline-slot ' + scoreToColor(sc) + (isTrendDay ? ' trend' : '');
         slot.dataset.hourIdx = idx;
-        if (idx === state.selectedHourIndex) slot.classList.add('active');
+        if (block.includes(state.selectedHourIndex)) slot.classList.add('active');
         // Bestes Fenster markieren (grüne Stunden)
         if (bestWin && h >= bestWin.start && h <= bestWin.end && sc === 3) {
             slot.classList.add('best');
@@ -315,12 +424,67 @@ export function buildTimeline(dayStr) {
         const weatherCode = state.hourlyData.weather_code?.[idx] || 0;
         const weatherInfo = getWeatherInfo(weatherCode);
         const isMobile = window.innerWidth < UI_CONFIG.mobileBreakpoint;
-        const timeText = isMobile ? h : h + ':00';
-        slot.innerHTML = `<div class="slot-time">${timeText}</div><div class="slot-weather">${weatherInfo.icon}</div>`;
+        const timeText = isTrendDay ? h + '–' + (h + block.length - 1) : isMobile ? h : h + ':00';
+
+        // Modellvergleich: ein Balken je Modell unter der Stunde
+        let modelStrip = '';
+        const titleLines = [];
+        const agreement = getModelAgreementAt(ts);
+        if (agreement) {
+            modelStrip = '<div class="slot-models">' +
+                agreement.scores.map(m => `<span class="slot-model ${scoreToColor(m.score)}"></span>`).join('') +
+                '</div>';
+            agreement.scores.forEach(m => titleLines.push(m.label + ': ' + t(SCORE_LABELS[m.score])));
+            if (agreement.agreement < MODEL_COMPARISON.agreementMedium) slot.classList.add('models-disagree');
+        }
+
+        // Ensemble: Wahrscheinlichkeits-Balken (GO / VORSICHT / NO-GO)
+        let ensembleBar = '';
+        const ens = getEnsembleProbability(idx);
+        if (ens) {
+            ensembleBar = `<div class="slot-ensemble">` +
+                `<span class="go" style="width:${Math.round(ens.go * 100)}%"></span>` +
+                `<span class="caution" style="width:${Math.round(ens.caution * 100)}%"></span>` +
+                `<span class="nogo" style="width:${Math.round(ens.nogo * 100)}%"></span></div>`;
+            titleLines.unshift(t('ensemble.goShare', { pct: Math.round(ens.go * 100) }));
+        }
+        if (titleLines.length > 0) slot.title = titleLines.join('\n');
+        slot.innerHTML = `<div class="slot-time">${timeText}</div><div class="slot-weather">${weatherInfo.icon}</div>${ensembleBar}${modelStrip}`;
         tl.appendChild(slot);
     }
 }
 
+/**
+ * Modellvergleich: Status und Legende unter der Timeline
+ * @param {'loading'|'error'|null} status - Ladezustand (null = Ergebnis anzeigen)
+ */
+export function renderModelCompareInfo(status = null) {
+    const toggle = document.getElementById('modelCompareToggle');
+    const info = document.getElementById('modelCompareInfo');
+    if (toggle) {
+        toggle.classList.toggle('active', state.modelCompareEnabled);
+        toggle.setAttribute('aria-pressed', state.modelCompareEnabled.toString());
+    }
+    if (!info) return;
+
+    if (!state.modelCompareEnabled) {
+        info.classList.add('u-hidden');
+        return;
+    }
+    info.classList.remove('u-hidden');
+    if (status === 'loading') {
+        info.textContent = t('model.compareLoading');
+    } else if (status === 'error' || !state.modelComparison) {
+        info.textContent = t('model.compareUnavailable');
+    } else {
+        const day = state.forecastDays[state.selectedDay];
+        const agreement = day ? getDayModelAgreement(day.date) : null;
+        const labels = state.modelComparison.models.map(m => m.label).join(' · ');
+        info.textContent = '🔀 ' + labels +
+            (agreement !== null ? ' — ' + t('model.compareAgreement', { pct: Math.round(agreement * 100) }) : '');
+    }
+}
+
 /**
  * Stunde auswählen
  */
@@ -331,6 +495,17 @@ export function selectHour(idx) {
 
     // Wind-Profil aktualisieren (um ausgewählte Stunde zu markieren)
     renderWindDiagram(state.forecastDays[state.selectedDay].date);
+
+    // Radiosonde der gewählten Stunde (nur wenn geladen)
+    renderSounding(idx);
+
+    // Meteogramm mit markierter Stunde
+    renderMeteogram(state.forecastDays[state.selectedDay].date);
+
+    // Regionale Übersicht und Windpfeile folgen der gewählten Stunde
+    syncHeatmapTime(state.forecastDays[state.selectedDay].date, getHourOf(state.hourlyData.time[idx]));
+    syncWindLayerTime(state.forecastDays[state.selectedDay].date, getHourOf(state.hourlyData.time[idx]));
+
 }
 
 /**
@@ -358,7 +533,11 @@ export function updateDisplay(i) {
     const showers = validateValue(h.showers?.[i], 0), weatherCode = validateValue(h.weather_code?.[i], 0);
     const cloudBase = (temp !== null && dew !== null) ? calculateCloudBase(temp, dew, state.currentLocation.elevation) : null;
 
-    const windSc = evaluateWind(ws, wg, w900, w850, w800, w700, grad, grad3000);
+    // Startplatz-Ausrichtung fließt in die Wind-Bewertung ein
+    const sectorCheck = evaluateTakeoffSector(ws, wdSurface, w900, wd900, state.currentLocation.sectors);
+    const foehn = getFoehnAt(h.time[i]);
+    const lee = getLeeExposure(i);
+    const windSc = Math.min(evaluateWind(ws, wg, w900, w850, w800, w700, grad, grad3000), sectorCheck.score, foehn?.score ?? 3, getLeeScore(i));
     const thermSc = evaluateThermik(spread, cape, li);
     const cloudSc = evaluateClouds(ct, cl, vis, spread, ws);  // Mit intelligenter Nebel-Erkennung
     const precSc = evaluatePrecip(prec, pp, cape, showers);
@@ -370,13 +549,19 @@ export function updateDisplay(i) {
     if (filter.thermik) scores.push(thermSc);
     if (filter.clouds) scores.push(cloudSc);
     if (filter.precip) scores.push(precSc);
-    const worst = scores.length > 0 ? Math.min(...scores) : 3;
+    const launchWorst = scores.length > 0 ? Math.min(...scores) : 3;
+    // Verknüpfter Landeplatz: die schlechtere Bewertung zählt (wie getHourScore)
+    const landing = getLandingEvaluation(i);
+    const worst = landing ? Math.min(launchWorst, landing.score) : launchWorst;
+    renderLandingCompare(i, launchWorst, landing);
 
-    updateOverallAssessment(worst);
+    // Veraltete Offline-Daten oder vom Modell unterschätzter Wind (Modell-Check): Ampel höchstens VORSICHT
+    const shown = capHourScore(i, worst);
+    updateOverallAssessment(shown);
 
     // PHASE 2: Beginner-Badge und Risk-Explanation
-    // Beginner-Badge NUR anzeigen wenn Gesamtstatus GO ist (worst === 3)
-    const beginnerAssessment = worst === 3 ? calculateBeginnerSafety(i) : { isBeginner: false };
+    // Beginner-Badge NUR anzeigen wenn Gesamtstatus GO ist (shown === 3)
+    const beginnerAssessment = shown === 3 ? calculateBeginnerSafety(i) : { isBeginner: false };
     renderBeginnerBadge(beginnerAssessment);
 
     // KISS: Risk-Explanation komplett ausblenden - Reason-Summary zeigt bereits Hauptgrund + weitere Hinweise
@@ -384,15 +569,17 @@ export function updateDisplay(i) {
 
     // KISS: Killers-Section ausblenden - Reason-Summary zeigt bereits die kritischen Werte
     document.getElementById('killerWarnings')?.classList.remove('visible');
-    updateReasonSummary(worst, ws, wg, w900, w850, w800, w700, grad, grad3000, cape, vis, spread, cl, ct, li, prec, pp, showers);
+    updateReasonSummary(worst, ws, wg, w900, w850, w800, w700, grad, grad3000, cape, vis, spread, cl, ct, li, prec, pp, showers, sectorCheck, foehn, lee, landing);
     updateWindrose(wdSurface, wd900, wd850, wd700, ws, w900, w850, w700);
 
     // Höhen-Info (nutzt DOM-Cache) - verteilt auf Thermik-Box und Location-Card
     const dom = getDomCache();
-    dom.cloudBase.textContent = cloudBase !== null ? cloudBase + ' m' : 'N/A';
-    dom.boundaryLayer.textContent = boundaryLayer > 0 ? Math.round(boundaryLayer) + ' m' : 'n.v.';
-    dom.freezingLevel.textContent = Math.round(freezing) + ' m';
-    dom.stationElevation.textContent = Math.round(state.currentLocation.elevation) + ' m';
+    dom.cloudBase.textContent = cloudBase !== null ? formatAltitude(cloudBase) : 'N/A';
+    dom.boundaryLayer.textContent = boundaryLayer > 0 ? formatAltitude(boundaryLayer) : 'n.v.';
+    renderThermalStrength(calculateThermalStrength(h, i, state.currentLocation.elevation));
+    renderLeeProfile(i);
+    dom.freezingLevel.textContent = formatAltitude(freezing);
+    dom.stationElevation.textContent = formatAltitude(state.currentLocation.elevation);
     const weatherInfo = getWeatherInfo(weatherCode);
     dom.weatherDesc.textContent = weatherInfo.icon + ' ' + weatherInfo.text;
     dom.currentTemp.textContent = temp !== null ? Math.round(temp) + '°C' : '-';
@@ -407,33 +594,33 @@ export function updateDisplay(i) {
     const ct2 = getTrend(cape, pi !== null ? h.cape?.[pi] : null);
 
     // Wind-Werte
-    document.getElementById('windSurface').innerHTML = Math.round(ws) + ' km/h <span class="trend ' + wt.cls + '">' + wt.symbol + '</span>';
+    document.getElementById('windSurface').innerHTML = formatSpeed(ws) + ' <span class="trend ' + wt.cls + '">' + wt.symbol + '</span>';
     document.getElementById('windSurface').className = 'param-value ' + getColorClass(ws, LIMITS.wind.surface);
     document.getElementById('windDirSurface').textContent = Math.round(wdSurface) + '° ' + getWindDir(wdSurface);
-    document.getElementById('windGusts').innerHTML = Math.round(wg) + ' km/h <span class="trend ' + gt.cls + '">' + gt.symbol + '</span>';
+    document.getElementById('windGusts').innerHTML = formatSpeed(wg) + ' <span class="trend ' + gt.cls + '">' + gt.symbol + '</span>';
     document.getElementById('windGusts').className = 'param-value ' + getColorClass(wg, LIMITS.wind.gusts);
 
     // gustSpread (Böigkeit - Differenz zwischen Böen und Grundwind)
     const gustSpread = wg - ws;
-    document.getElementById('gustSpread').textContent = Math.round(gustSpread) + ' km/h';
+    document.getElementById('gustSpread').textContent = formatSpeed(gustSpread);
     document.getElementById('gustSpread').className = 'param-value ' + getColorClass(gustSpread, LIMITS.wind.gustSpread);
     // 900hPa (~1000m) - typische Flughöhe Hügel/Mittelgebirge
-    document.getElementById('wind900').innerHTML = Math.round(w900) + ' km/h <span class="trend ' + t900.cls + '">' + t900.symbol + '</span>';
+    document.getElementById('wind900').innerHTML = formatSpeed(w900) + ' <span class="trend ' + t900.cls + '">' + t900.symbol + '</span>';
     document.getElementById('wind900').className = 'param-value ' + getColorClass(w900, LIMITS.wind.w900);
     document.getElementById('windDir900').textContent = Math.round(wd900) + '° ' + getWindDir(wd900);
-    document.getElementById('wind850').innerHTML = Math.round(w850) + ' km/h <span class="trend ' + t850.cls + '">' + t850.symbol + '</span>';
+    document.getElementById('wind850').innerHTML = formatSpeed(w850) + ' <span class="trend ' + t850.cls + '">' + t850.symbol + '</span>';
     document.getElementById('wind850').className = 'param-value ' + getColorClass(w850, LIMITS.wind.w850);
     document.getElementById('windDir850').textContent = Math.round(wd850) + '° ' + getWindDir(wd850);
-    document.getElementById('wind800').innerHTML = Math.round(w800) + ' km/h <span class="trend ' + t800.cls + '">' + t800.symbol + '</span>';
+    document.getElementById('wind800').innerHTML = formatSpeed(w800) + ' <span class="trend ' + t800.cls + '">' + t800.symbol + '</span>';
     document.getElementById('wind800').className = 'param-value ' + getColorClass(w800, LIMITS.wind.w800);
     document.getElementById('windDir800').textContent = Math.round(wd800) + '° ' + getWindDir(wd800);
     // 750hPa entfernt - nicht zuverlässig verfügbar
-    document.getElementById('wind700').innerHTML = Math.round(w700) + ' km/h <span class="trend ' + t700.cls + '">' + t700.symbol + '</span>';
+    document.getElementById('wind700').innerHTML = formatSpeed(w700) + ' <span class="trend ' + t700.cls + '">' + t700.symbol + '</span>';
     document.getElementById('wind700').className = 'param-value ' + getColorClass(w700, LIMITS.wind.w700);
     document.getElementById('windDir700').textContent = Math.round(wd700) + '° ' + getWindDir(wd700);
-    document.getElementById('windGradient').textContent = Math.round(grad) + ' km/h';
+    document.getElementById('windGradient').textContent = formatSpeed(grad);
     document.getElementById('windGradient').className = 'param-value ' + getColorClass(grad, LIMITS.wind.gradient);
-    document.getElementById('windGradient3000').textContent = Math.round(grad3000) + ' km/h';
+    document.getElementById('windGradient3000').textContent = formatSpeed(grad3000);
     document.getElementById('windGradient3000').className = 'param-value ' + getColorClass(grad3000, LIMITS.wind.gradient3000);
     document.getElementById('windStatus').className = 'param-status ' + scoreToColor(windSc);
 
@@ -464,10 +651,10 @@ export function updateDisplay(i) {
     const fogRiskEl = document.getElementById('fogRisk');
     if (fogRiskEl) {
         const fogLabels = {
-            'severe': { text: 'Hoch 🌫️', class: 'red' },
-            'likely': { text: 'Wahrscheinlich ⚠️', class: 'yellow' },
-            'possible': { text: 'Möglich', class: 'yellow' },
-            'unlikely': { text: 'Gering ✓', class: 'green' }
+            'severe': { text: t('fog.severe'), class: 'red' },
+            'likely': { text: t('fog.likely'), class: 'yellow' },
+            'possible': { text: t('fog.possible'), class: 'yellow' },
+            'unlikely': { text: t('fog.unlikely'), class: 'green' }
         };
         const fog = fogLabels[fogRiskLevel] || fogLabels.unlikely;
         fogRiskEl.textContent = fog.text;
@@ -490,14 +677,20 @@ export function updateDisplay(i) {
 
     // Zeit-Hinweis in Param-Boxen (Tag + Uhrzeit)
     const timeStr = state.hourlyData.time[i]; // z.B. "2026-03-17T14:00"
+    renderModelSpreads(timeStr);
+    renderEnsembleInfo(i);
     if (timeStr) {
-        const dateObj = new Date(timeStr);
-        const dayNames = ['So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa'];
-        const dayName = dayNames[dateObj.getDay()];
-        const day = dateObj.getDate();
-        const month = dateObj.getMonth() + 1;
-        const hour = dateObj.getHours().toString().padStart(2, '0');
-        const timeLabel = `${dayName} ${day}.${month}. · ${hour}:00`;
+        const dateObj = parseDay(timeStr);
+        const dateLabel = formatWeekday(dateObj) + ' ' + formatShortDate(dateObj);
+        const hour = timeStr.slice(11, 13);
+        let timeLabel = `${dateLabel} · ${hour}:00`;
+        if (isTrendIndex(i)) {
+            // Trend-Tage: Block statt exakter Stunde
+            const block = getTrendBlockIndices(i);
+            const from = getHourOf(state.hourlyData.time[block[0]]);
+            const to = getHourOf(state.hourlyData.time[block[block.length - 1]]);
+            timeLabel = dateLabel + ' · ' + t('time.trendBlock', { from, to });
+        }
         ['windTimeHint', 'thermikTimeHint', 'cloudTimeHint', 'precipTimeHint'].forEach(id => {
             const el = document.getElementById(id);
             if (el) el.textContent = timeLabel;
@@ -507,6 +700,160 @@ export function updateDisplay(i) {
 
 // Bewertungsfunktionen werden jetzt aus weather.js importiert (Single Source of Truth)
 
+// Parameter mit Modell-Spanne (Element-ID → Open-Meteo Variable)
+const MODEL_SPREAD_PARAMS = [
+    { id: 'windSurface', param: 'wind_speed_10m', speed: true },
+    { id: 'windGusts', param: 'wind_gusts_10m', speed: true },
+    { id: 'wind900', param: 'wind_speed_900hPa', speed: true },
+    { id: 'wind850', param: 'wind_speed_850hPa', speed: true },
+    { id: 'wind800', param: 'wind_speed_800hPa', speed: true },
+    { id: 'wind700', param: 'wind_speed_700hPa', speed: true },
+    { id: 'temp2m', param: 'temperature_2m' },
+    { id: 'cape', param: 'cape' },
+    { id: 'cloudTotal', param: 'cloud_cover' },
+    { id: 'cloudLow', param: 'cloud_cover_low' },
+    { id: 'precip', param: 'precipitation', decimals: 1 }
+];
+
+/**
+ * Min/Max-Spanne der Vergleichsmodelle in den Parameter-Karten anzeigen
+ * Muss nach dem Setzen der Werte aufgerufen werden (hängt an den Wert an)
+ */
+function renderModelSpreads(timeStr) {
+    if (!timeStr) return;
+    MODEL_SPREAD_PARAMS.forEach(p => {
+        const el = document.getElementById(p.id);
+        const spread = getModelSpread(p.param, timeStr);
+        if (!el || !spread) return;
+        const d = p.decimals || 0;
+        const fmt = p.speed ? formatSpeedValue : (v) => v.toFixed(d);
+        const span = document.createElement('span');
+        span.className = 'model-spread';
+        span.textContent = '↕ ' + fmt(spread.min) + '–' + fmt(spread.max);
+        span.title = t('model.spread', { count: spread.count });
+        el.appendChild(span);
+    });
+}
+
+/**
+ * Ensemble-Wahrscheinlichkeit der gewählten Stunde unter der Timeline
+ */
+function renderEnsembleInfo(i) {
+    const el = document.getElementById('ensembleInfo');
+    if (!el) return;
+    const ens = getEnsembleProbability(i);
+    if (!ens) {
+        el.classList.add('u-hidden');
+        return;
+    }
+    const pct = (v) => Math.round(v * 100) + ' %';
+    el.textContent = t('ensemble.info', {
+        go: pct(ens.go), caution: pct(ens.caution), nogo: pct(ens.nogo),
+        model: state.ensemble.label, total: ens.total
+    });
+    el.classList.remove('u-hidden');
+}
+
+/**
+ * Zeigt die Startrichtung(en) des aktuellen Standorts in der Location-Card
+ */
+export function updateTakeoffSectorInfo() {
+    const el = document.getElementById('takeoffSectors');
+    if (!el) return;
+    const sectors = state.currentLocation.sectors;
+    if (Array.isArray(sectors) && sectors.length > 0) {
+        el.textContent = t('location.takeoff', { sectors: sectors.map(formatSector).join(', ') });
+        el.classList.remove('u-hidden');
+    } else {
+        el.textContent = '';
+        el.classList.add('u-hidden');
+    }
+}
+
+/**
+ * Startplatz aus der Datenbank: Regeln und Kontakt in der Location-Card
+ */
+export function renderSiteInfo() {
+    const el = document.getElementById('siteInfo');
+    if (!el) return;
+    const site = state.currentLocation.site;
+    const rows = [];
+    if (site?.rules) rows.push(`<div class="site-info-row">📋 ${escapeHtml(site.rules)}</div>`);
+    if (site?.contact) rows.push(`<div class="site-info-row">☎️ ${escapeHtml(site.contact)}</div>`);
+    el.innerHTML = rows.join('');
+    el.classList.toggle('u-hidden', rows.length === 0);
+}
+
+/**
+ * Verknüpften Landeplatz in der Location-Card anzeigen (Name, Höhe, Höhenunterschied)
+ */
+export function updateLandingLinkInfo() {
+    const text = document.getElementById('landingLinkText');
+    const pickBtn = document.getElementById('landingPickBtn');
+    const clearBtn = document.getElementById('landingClearBtn');
+    const landing = state.currentLocation.landing;
+    if (text) {
+        text.textContent = landing
+            ? t('landing.linked', {
+                name: landing.name,
+                elevation: formatAltitude(landing.elevation),
+                drop: formatAltitude(state.currentLocation.elevation - landing.elevation)
+            })
+            : t('landing.none');
+    }
+    if (pickBtn) pickBtn.textContent = t(landing ? 'landing.change' : 'landing.pick');
+    if (clearBtn) clearBtn.classList.toggle('u-hidden', !landing);
+}
+
+/**
+ * Start und Landeplatz nebeneinander in der Wind-Karte (Bodenwind, Böen, Richtung, Ampel)
+ * @param {number} i - Stunden-Index in state.hourlyData
+ * @param {number} launchScore - Bewertung des Starts (ohne Landeplatz)
+ * @param {Object|null} landing - Ergebnis von getLandingEvaluation
+ */
+function renderLandingCompare(i, launchScore, landing) {
+    const el = document.getElementById('landingCompare');
+    if (!el) return;
+    const point = state.currentLocation.landing;
+    if (!point) {
+        el.innerHTML = '';
+        el.classList.add('u-hidden');
+        return;
+    }
+    el.classList.remove('u-hidden');
+    const h = state.hourlyData;
+    const ws = validateValue(h.wind_speed_10m[i], 0), wg = validateValue(h.wind_gusts_10m[i], 0);
+    const wd = validateValue(h.wind_direction_10m[i], 0);
+
+    let html = `<div class="landing-compare-title">🪂 ${escapeHtml(t('landing.compareTitle'))}</div>`;
+    if (!landing) {
+        el.innerHTML = html + `<div class="landing-compare-empty">${escapeHtml(t(state.landingData ? 'landing.noHour' : 'landing.noData'))}</div>`;
+        return;
+    }
+    const status = (sc) => `<span class="landing-compare-status ${scoreToColor(sc)}">${escapeHtml(t(SCORE_LABELS[sc]))}</span>`;
+    const row = (label, a, b, cls = '') => `<div class="wind-table-row landing-compare-row${cls}"><span class="wind-height">${label}</span><span>${a}</span><span>${b}</span></div>`;
+    html += '<div class="wind-table landing-compare-table">';
+    html += row('', escapeHtml(t('landing.launch')) + ' · ' + formatAltitude(state.currentLocation.elevation),
+        escapeHtml(point.name) + ' · ' + formatAltitude(point.elevation), ' landing-compare-head');
+    html += row(escapeHtml(t('landing.surfaceWind')),
+        `<span class="param-value ${getColorClass(ws, LIMITS.wind.surface)}">${formatSpeed(ws)}</span>`,
+        `<span class="param-value ${getColorClass(landing.ws, LIMITS.wind.surface)}">${formatSpeed(landing.ws)}</span>`);
+    html += row(escapeHtml(t('landing.gusts')),
+        `<span class="param-value ${getColorClass(wg, LIMITS.wind.gusts)}">${formatSpeed(wg)}</span>`,
+        `<span class="param-value ${getColorClass(landing.wg, LIMITS.wind.gusts)}">${formatSpeed(landing.wg)}</span>`);
+    html += row(escapeHtml(t('landing.direction')),
+        Math.round(wd) + '° ' + getWindDir(wd), Math.round(landing.wd) + '° ' + getWindDir(landing.wd));
+    html += row(escapeHtml(t('landing.rating')), status(launchScore), status(landing.score));
+    html += '</div>';
+
+    // Talwind: am Landeplatz deutlich andere Richtung als am Start
+    const diff = Math.abs(((landing.wd - wd) % 360 + 540) % 360 - 180);
+    if (diff > 90 && landing.ws > TAKEOFF_SECTOR.calmWind && ws > TAKEOFF_SECTOR.calmWind) {
+        html += `<div class="landing-compare-warn">⚠️ ${escapeHtml(t('landing.valleyWind'))}</div>`;
+    }
+    el.innerHTML = html;
+}
+
 let lastAssessmentScore = null;
 
 function updateOverallAssessment(sc) {
@@ -522,6 +869,7 @@ function updateOverallAssessment(sc) {
     lastAssessmentScore = sc;
 
     el.className = 'assessment-status';
+    el.classList.toggle('degraded', isForecastDegraded());
 
     // Alle Ampel-Lichter zurücksetzen
     lightRed.classList.remove('active');
@@ -531,17 +879,17 @@ function updateOverallAssessment(sc) {
     if (sc === 3) {
         el.classList.add('go');
         ic.textContent = '✓';
-        tx.textContent = 'GO';
+        tx.textContent = t('status.go');
         lightGreen.classList.add('active');
     } else if (sc === 2) {
         el.classList.add('caution');
         ic.textContent = '⚠';
-        tx.textContent = 'VORSICHT';
+        tx.textContent = t('status.caution');
         lightYellow.classList.add('active');
     } else {
         el.classList.add('nogo');
         ic.textContent = '✗';
-        tx.textContent = 'NO-GO';
+        tx.textContent = t('status.nogo');
         lightRed.classList.add('active');
     }
 
@@ -552,8 +900,32 @@ function updateOverallAssessment(sc) {
     }
 }
 
+/**
+ * Hinweis über den Ergebnissen, wenn die Daten nicht frisch aus dem Netz kommen
+ * z.B. "Offline-Vorhersage von 06:00 (vor 9h)" - ab degradeAfterHours mit herabgestufter Ampel
+ */
+export function renderDataAgeBanner() {
+    const el = document.getElementById('dataAgeBanner');
+    if (!el) return;
+    const src = state.forecastSource;
+    if (!src || src.source === 'network') {
+        el.classList.add('u-hidden');
+        return;
+    }
+
+    const fetched = new Date(src.fetchedAt);
+    const ageMin = Math.max(0, Math.round((Date.now() - src.fetchedAt) / 60000));
+    const time = (fetched.toDateString() === new Date().toDateString() ? '' : formatShortDate(fetched) + ' ') + formatTime(fetched);
+    const degraded = isForecastDegraded();
+    const level = degraded ? 'degraded' : ageMin > SNAPSHOT_CONFIG.staleAfterHours * 60 ? 'stale' : 'recent';
+
+    el.textContent = t(src.source === 'snapshot' ? 'dataAge.snapshot' : 'dataAge.cache', { time, age: formatAge(ageMin) }) +
+        (degraded ? ' ' + t('dataAge.degraded') : '');
+    el.className = 'data-age-banner ' + level;
+}
+
 // PHASE 1 SAFETY: Alle Hinweise in einer Liste (sortiert nach Schweregrad und Grenzwert-Abweichung)
-function updateReasonSummary(score, ws, wg, w900, w850, w800, w700, grad, grad3000, cape, vis, spread, cloudLow, cloudTotal, li, precip, precipProb, showers) {
+function updateReasonSummary(score, ws, wg, w900, w850, w800, w700, grad, grad3000, cape, vis, spread, cloudLow, cloudTotal, li, precip, precipProb, showers, sectorCheck = null, foehn = null, lee = null, landing = null) {
     const el = document.getElementById('reasonSummary'), textEl = document.getElementById('reasonText');
     el.className = 'reason-summary';
     const gustSpread = wg - ws;
@@ -564,8 +936,8 @@ function updateReasonSummary(score, ws, wg, w900, w850, w800, w700, grad, grad30
 
     if (score === 3) {
         el.classList.add('go');
-        const filterHint = filterActive ? ' <span class="filter-hint">(Filter aktiv)</span>' : '';
-        textEl.innerHTML = '✓ <strong>Alle Parameter im grünen Bereich.</strong>' + filterHint + ' Gute Bedingungen – dennoch vor Ort prüfen.';
+        const filterHint = filterActive ? ' <span class="filter-hint">' + t('hint.filterActive') + '</span>' : '';
+        textEl.innerHTML = t('hint.allGreen', { filter: filterHint });
         return;
     }
 
@@ -582,140 +954,163 @@ function updateReasonSummary(score, ws, wg, w900, w850, w800, w700, grad, grad30
     // Wind-Parameter
     if (filter.wind) {
         if (ws > LIMITS.wind.surface.yellow) {
-            hints.push({ level: 'red', text: '💨 Bodenwind zu stark (' + Math.round(ws) + ' km/h)', deviation: calcDeviation(ws, LIMITS.wind.surface.green, LIMITS.wind.surface.yellow) });
+            hints.push({ level: 'red', text: t('hint.surfaceHigh', { ws: formatSpeed(ws) }), deviation: calcDeviation(ws, LIMITS.wind.surface.green, LIMITS.wind.surface.yellow) });
         } else if (ws > LIMITS.wind.surface.green) {
-            hints.push({ level: 'yellow', text: '💨 Bodenwind erhöht (' + Math.round(ws) + ' km/h)', deviation: calcDeviation(ws, LIMITS.wind.surface.green, LIMITS.wind.surface.yellow) });
+            hints.push({ level: 'yellow', text: t('hint.surfaceMedium', { ws: formatSpeed(ws) }), deviation: calcDeviation(ws, LIMITS.wind.surface.green, LIMITS.wind.surface.yellow) });
         }
 
         if (wg > LIMITS.wind.gusts.yellow) {
-            hints.push({ level: 'red', text: '💨 Böen gefährlich stark (' + Math.round(wg) + ' km/h)', deviation: calcDeviation(wg, LIMITS.wind.gusts.green, LIMITS.wind.gusts.yellow) });
+            hints.push({ level: 'red', text: t('hint.gustsHigh', { wg: formatSpeed(wg) }), deviation: calcDeviation(wg, LIMITS.wind.gusts.green, LIMITS.wind.gusts.yellow) });
         } else if (wg > LIMITS.wind.gusts.green) {
-            hints.push({ level: 'yellow', text: '💨 Böen erhöht (' + Math.round(wg) + ' km/h)', deviation: calcDeviation(wg, LIMITS.wind.gusts.green, LIMITS.wind.gusts.yellow) });
+            hints.push({ level: 'yellow', text: t('hint.gustsMedium', { wg: formatSpeed(wg) }), deviation: calcDeviation(wg, LIMITS.wind.gusts.green, LIMITS.wind.gusts.yellow) });
         }
 
         if (gustSpread > LIMITS.wind.gustSpread.yellow) {
-            hints.push({ level: 'red', text: '💨 Stark böig – Differenz ' + Math.round(gustSpread) + ' km/h', deviation: calcDeviation(gustSpread, LIMITS.wind.gustSpread.green, LIMITS.wind.gustSpread.yellow) });
+            hints.push({ level: 'red', text: t('hint.gustSpreadHigh', { diff: formatSpeed(gustSpread) }), deviation: calcDeviation(gustSpread, LIMITS.wind.gustSpread.green, LIMITS.wind.gustSpread.yellow) });
         } else if (gustSpread > LIMITS.wind.gustSpread.green) {
-            hints.push({ level: 'yellow', text: '💨 Böigkeit erhöht – Differenz ' + Math.round(gustSpread) + ' km/h', deviation: calcDeviation(gustSpread, LIMITS.wind.gustSpread.green, LIMITS.wind.gustSpread.yellow) });
+            hints.push({ level: 'yellow', text: t('hint.gustSpreadMedium', { diff: formatSpeed(gustSpread) }), deviation: calcDeviation(gustSpread, LIMITS.wind.gustSpread.green, LIMITS.wind.gustSpread.yellow) });
         }
 
         // Höhenwinde auf verschiedenen Leveln
-        if (w900 > LIMITS.wind.w900.yellow) {
-            hints.push({ level: 'red', text: '🌬️ Wind 1000m kritisch (' + Math.round(w900) + ' km/h)', deviation: calcDeviation(w900, LIMITS.wind.w900.green, LIMITS.wind.w900.yellow) });
-        } else if (w900 > LIMITS.wind.w900.green) {
-            hints.push({ level: 'yellow', text: '🌬️ Wind 1000m erhöht (' + Math.round(w900) + ' km/h)', deviation: calcDeviation(w900, LIMITS.wind.w900.green, LIMITS.wind.w900.yellow) });
-        }
+        [
+            { speed: w900, limits: LIMITS.wind.w900, level: '1000m' },
+            { speed: w850, limits: LIMITS.wind.w850, level: '1500m' },
+            { speed: w800, limits: LIMITS.wind.w800, level: '2000m' },
+            { speed: w700, limits: LIMITS.wind.w700, level: '3000m' }
+        ].forEach(({ speed, limits, level }) => {
+            const params = { level, speed: formatSpeed(speed) };
+            if (speed > limits.yellow) {
+                hints.push({ level: 'red', text: t('hint.windLevelHigh', params), deviation: calcDeviation(speed, limits.green, limits.yellow) });
+            } else if (speed > limits.green) {
+                hints.push({ level: 'yellow', text: t('hint.windLevelMedium', params), deviation: calcDeviation(speed, limits.green, limits.yellow) });
+            }
+        });
 
-        if (w850 > LIMITS.wind.w850.yellow) {
-            hints.push({ level: 'red', text: '🌬️ Wind 1500m kritisch (' + Math.round(w850) + ' km/h)', deviation: calcDeviation(w850, LIMITS.wind.w850.green, LIMITS.wind.w850.yellow) });
-        } else if (w850 > LIMITS.wind.w850.green) {
-            hints.push({ level: 'yellow', text: '🌬️ Wind 1500m erhöht (' + Math.round(w850) + ' km/h)', deviation: calcDeviation(w850, LIMITS.wind.w850.green, LIMITS.wind.w850.yellow) });
+        if (grad > LIMITS.wind.gradient.yellow) {
+            hints.push({ level: 'red', text: t('hint.gradientHigh', { grad: formatSpeed(grad) }), deviation: calcDeviation(grad, LIMITS.wind.gradient.green, LIMITS.wind.gradient.yellow) });
+        } else if (grad > LIMITS.wind.gradient.green) {
+            hints.push({ level: 'yellow', text: t('hint.gradientMedium', { grad: formatSpeed(grad) }), deviation: calcDeviation(grad, LIMITS.wind.gradient.green, LIMITS.wind.gradient.yellow) });
         }
 
-        if (w800 > LIMITS.wind.w800.yellow) {
-            hints.push({ level: 'red', text: '🌬️ Wind 2000m kritisch (' + Math.round(w800) + ' km/h)', deviation: calcDeviation(w800, LIMITS.wind.w800.green, LIMITS.wind.w800.yellow) });
-        } else if (w800 > LIMITS.wind.w800.green) {
-            hints.push({ level: 'yellow', text: '🌬️ Wind 2000m erhöht (' + Math.round(w800) + ' km/h)', deviation: calcDeviation(w800, LIMITS.wind.w800.green, LIMITS.wind.w800.yellow) });
+        if (grad3000 > LIMITS.wind.gradient3000.yellow) {
+            hints.push({ level: 'red', text: t('hint.gradient3000High', { grad: formatSpeed(grad3000) }), deviation: calcDeviation(grad3000, LIMITS.wind.gradient3000.green, LIMITS.wind.gradient3000.yellow) });
+        } else if (grad3000 > LIMITS.wind.gradient3000.green) {
+            hints.push({ level: 'yellow', text: t('hint.gradient3000Medium', { grad: formatSpeed(grad3000) }), deviation: calcDeviation(grad3000, LIMITS.wind.gradient3000.green, LIMITS.wind.gradient3000.yellow) });
         }
 
-        if (w700 > LIMITS.wind.w700.yellow) {
-            hints.push({ level: 'red', text: '🌬️ Wind 3000m kritisch (' + Math.round(w700) + ' km/h)', deviation: calcDeviation(w700, LIMITS.wind.w700.green, LIMITS.wind.w700.yellow) });
-        } else if (w700 > LIMITS.wind.w700.green) {
-            hints.push({ level: 'yellow', text: '🌬️ Wind 3000m erhöht (' + Math.round(w700) + ' km/h)', deviation: calcDeviation(w700, LIMITS.wind.w700.green, LIMITS.wind.w700.yellow) });
+        // Startplatz-Ausrichtung (Wind von außerhalb der Startsektoren)
+        if (sectorCheck && (sectorCheck.type === 'tail' || sectorCheck.type === 'cross')) {
+            const levelText = sectorCheck.level === '900' ? t('hint.sectorLevel900') : '';
+            const windText = getWindDir(sectorCheck.dir) + ' ' + formatSpeed(sectorCheck.speed) + levelText;
+            if (sectorCheck.type === 'tail') {
+                hints.push({ level: 'red', text: t('hint.tailwind', { wind: windText }), deviation: 100 + sectorCheck.deviation });
+            } else {
+                hints.push({ level: 'yellow', text: t('hint.crosswind', { wind: windText }), deviation: sectorCheck.deviation });
+            }
         }
 
-        if (grad > LIMITS.wind.gradient.yellow) {
-            hints.push({ level: 'red', text: '📊 Gradient kritisch (' + Math.round(grad) + ' km/h)', deviation: calcDeviation(grad, LIMITS.wind.gradient.green, LIMITS.wind.gradient.yellow) });
-        } else if (grad > LIMITS.wind.gradient.green) {
-            hints.push({ level: 'yellow', text: '📊 Gradient erhöht (' + Math.round(grad) + ' km/h)', deviation: calcDeviation(grad, LIMITS.wind.gradient.green, LIMITS.wind.gradient.yellow) });
+        // Föhn (Druckdifferenz über den Alpenhauptkamm)
+        if (foehn && foehn.score < 3) {
+            const foehnText = t('hint.foehn', { label: foehn.label, diff: formatNumber(Math.abs(foehn.diff), 1), pair: foehn.pair });
+            const foehnDeviation = calcDeviation(Math.abs(foehn.diff), FOEHN_CONFIG.caution, FOEHN_CONFIG.nogo);
+            hints.push({ level: foehn.score === 1 ? 'red' : 'yellow', text: foehnText, deviation: foehnDeviation });
         }
 
-        if (grad3000 > LIMITS.wind.gradient3000.yellow) {
-            hints.push({ level: 'red', text: '📊 Gradient 3000m kritisch (' + Math.round(grad3000) + ' km/h)', deviation: calcDeviation(grad3000, LIMITS.wind.gradient3000.green, LIMITS.wind.gradient3000.yellow) });
-        } else if (grad3000 > LIMITS.wind.gradient3000.green) {
-            hints.push({ level: 'yellow', text: '📊 Gradient 3000m erhöht (' + Math.round(grad3000) + ' km/h)', deviation: calcDeviation(grad3000, LIMITS.wind.gradient3000.green, LIMITS.wind.gradient3000.yellow) });
+        // Lee-Lage (Grat im Luv des Höhenwinds)
+        if (lee && lee.level !== 'none') {
+            const leeText = t('hint.lee', { elevation: formatAltitude(lee.ridge.elevation), dir: getWindDir(lee.dir), speed: formatSpeed(lee.windSpeed) });
+            hints.push({ level: lee.level === 'danger' ? 'red' : 'yellow', text: leeText, deviation: lee.level === 'danger' ? 110 : 50 });
         }
 
         // Böenfaktor (nur wenn Böen stark genug)
         if (gustFactor > LIMITS.wind.gustFactor.yellow && wg > LIMITS.wind.gustFactorMinWind.yellow) {
-            hints.push({ level: 'red', text: '💨 Böenfaktor kritisch (' + gustFactor.toFixed(1) + 'x)', deviation: 120 });
+            hints.push({ level: 'red', text: t('hint.gustFactorHigh', { factor: formatNumber(gustFactor, 1) }), deviation: 120 });
         } else if (gustFactor > LIMITS.wind.gustFactor.green && wg > LIMITS.wind.gustFactorMinWind.green) {
-            hints.push({ level: 'yellow', text: '💨 Böenfaktor erhöht (' + gustFactor.toFixed(1) + 'x)', deviation: 60 });
+            hints.push({ level: 'yellow', text: t('hint.gustFactorMedium', { factor: formatNumber(gustFactor, 1) }), deviation: 60 });
         }
     }
 
     // Thermik-Parameter
     if (filter.thermik) {
         if (cape > LIMITS.cape.yellow) {
-            hints.push({ level: 'red', text: '⚡ CAPE kritisch (' + Math.round(cape) + ' J/kg) – Gewittergefahr', deviation: calcDeviation(cape, LIMITS.cape.green, LIMITS.cape.yellow) });
+            hints.push({ level: 'red', text: t('hint.capeHigh', { cape: Math.round(cape) }), deviation: calcDeviation(cape, LIMITS.cape.green, LIMITS.cape.yellow) });
         } else if (cape > LIMITS.cape.green) {
-            hints.push({ level: 'yellow', text: '🌤️ CAPE erhöht (' + Math.round(cape) + ' J/kg)', deviation: calcDeviation(cape, LIMITS.cape.green, LIMITS.cape.yellow) });
+            hints.push({ level: 'yellow', text: t('hint.capeMedium', { cape: Math.round(cape) }), deviation: calcDeviation(cape, LIMITS.cape.green, LIMITS.cape.yellow) });
         }
 
         if (li !== undefined && li !== null) {
             if (li < LIMITS.liftedIndex.yellow) {
-                hints.push({ level: 'red', text: '⚡ Lifted Index ' + li.toFixed(1) + ' – stark labil', deviation: Math.abs(li - LIMITS.liftedIndex.yellow) * 20 + 100 });
+                hints.push({ level: 'red', text: t('hint.liHigh', { li: formatNumber(li, 1) }), deviation: Math.abs(li - LIMITS.liftedIndex.yellow) * 20 + 100 });
             } else if (li < LIMITS.liftedIndex.green) {
-                hints.push({ level: 'yellow', text: '⚡ Lifted Index ' + li.toFixed(1) + ' – labil', deviation: Math.abs(li - LIMITS.liftedIndex.green) * 20 });
+                hints.push({ level: 'yellow', text: t('hint.liMedium', { li: formatNumber(li, 1) }), deviation: Math.abs(li - LIMITS.liftedIndex.green) * 20 });
             }
         }
 
         // Spread für Thermik-Qualität (zu trocken = schlechte Thermik)
         if (spread !== null && spread > LIMITS.spread.max) {
-            hints.push({ level: 'yellow', text: '💧 Sehr trockene Luft (Spread ' + spread.toFixed(1) + '°C) – schwache Thermik', deviation: 30 });
+            hints.push({ level: 'yellow', text: t('hint.dryAir', { spread: formatNumber(spread, 1) }), deviation: 30 });
         }
     }
 
     // Wolken/Sicht-Parameter
     if (filter.clouds) {
+        const spreadText = spread != null ? formatNumber(spread, 1) : '?';
+        const visText = formatNumber(vis / 1000, 1);
         if (fogRisk === 'severe') {
             if (vis < LIMITS.fog.visibilitySevere) {
-                hints.push({ level: 'red', text: '🌫️ Kritische Sicht (' + (vis/1000).toFixed(1) + ' km)', deviation: 200 });
+                hints.push({ level: 'red', text: t('hint.visibilityCritical', { vis: visText }), deviation: 200 });
             } else {
-                hints.push({ level: 'red', text: '🌫️ Hohe Nebelgefahr – Spread ' + (spread?.toFixed(1) || '?') + '°C', deviation: 150 });
+                hints.push({ level: 'red', text: t('hint.fogSevere', { spread: spreadText }), deviation: 150 });
             }
         } else if (fogRisk === 'likely') {
-            hints.push({ level: 'yellow', text: '🌁 Nebel wahrscheinlich – Spread ' + (spread?.toFixed(1) || '?') + '°C', deviation: 80 });
+            hints.push({ level: 'yellow', text: t('hint.fogLikely', { spread: spreadText }), deviation: 80 });
         } else if (fogRisk === 'possible') {
             if (vis < LIMITS.fog.visibilityWarning) {
-                hints.push({ level: 'yellow', text: '🌫️ Sicht eingeschränkt (' + (vis/1000).toFixed(1) + ' km)', deviation: 50 });
+                hints.push({ level: 'yellow', text: t('hint.visibilityReduced', { vis: visText }), deviation: 50 });
             } else {
-                hints.push({ level: 'yellow', text: '🌁 Nebelrisiko möglich – Spread ' + (spread?.toFixed(1) || '?') + '°C', deviation: 40 });
+                hints.push({ level: 'yellow', text: t('hint.fogPossible', { spread: spreadText }), deviation: 40 });
             }
         }
 
         if (cloudLow > LIMITS.clouds.low.yellow) {
-            hints.push({ level: 'red', text: '☁️ Tiefe Bewölkung ' + cloudLow + '%', deviation: calcDeviation(cloudLow, LIMITS.clouds.low.green, LIMITS.clouds.low.yellow) });
+            hints.push({ level: 'red', text: t('hint.cloudLow', { pct: cloudLow }), deviation: calcDeviation(cloudLow, LIMITS.clouds.low.green, LIMITS.clouds.low.yellow) });
         } else if (cloudLow > LIMITS.clouds.low.green) {
-            hints.push({ level: 'yellow', text: '☁️ Tiefe Bewölkung ' + cloudLow + '%', deviation: calcDeviation(cloudLow, LIMITS.clouds.low.green, LIMITS.clouds.low.yellow) });
+            hints.push({ level: 'yellow', text: t('hint.cloudLow', { pct: cloudLow }), deviation: calcDeviation(cloudLow, LIMITS.clouds.low.green, LIMITS.clouds.low.yellow) });
         }
 
         if (cloudTotal > LIMITS.clouds.total.yellow) {
-            hints.push({ level: 'red', text: '☁️ Starke Bewölkung ' + cloudTotal + '%', deviation: calcDeviation(cloudTotal, LIMITS.clouds.total.green, LIMITS.clouds.total.yellow) });
+            hints.push({ level: 'red', text: t('hint.cloudTotalHigh', { pct: cloudTotal }), deviation: calcDeviation(cloudTotal, LIMITS.clouds.total.green, LIMITS.clouds.total.yellow) });
         } else if (cloudTotal > LIMITS.clouds.total.green) {
-            hints.push({ level: 'yellow', text: '☁️ Bewölkung ' + cloudTotal + '%', deviation: calcDeviation(cloudTotal, LIMITS.clouds.total.green, LIMITS.clouds.total.yellow) });
+            hints.push({ level: 'yellow', text: t('hint.cloudTotalMedium', { pct: cloudTotal }), deviation: calcDeviation(cloudTotal, LIMITS.clouds.total.green, LIMITS.clouds.total.yellow) });
         }
     }
 
     // Niederschlag
     if (filter.precip) {
         if (precip > LIMITS.precip.yellow) {
-            hints.push({ level: 'red', text: '🌧️ Niederschlag ' + precip.toFixed(1) + ' mm', deviation: calcDeviation(precip, LIMITS.precip.green, LIMITS.precip.yellow) });
+            hints.push({ level: 'red', text: t('hint.precipHigh', { mm: formatNumber(precip, 1) }), deviation: calcDeviation(precip, LIMITS.precip.green, LIMITS.precip.yellow) });
         } else if (precip > LIMITS.precip.green) {
-            hints.push({ level: 'yellow', text: '🌧️ Leichter Niederschlag möglich', deviation: calcDeviation(precip, LIMITS.precip.green, LIMITS.precip.yellow) });
+            hints.push({ level: 'yellow', text: t('hint.precipMedium'), deviation: calcDeviation(precip, LIMITS.precip.green, LIMITS.precip.yellow) });
         }
 
         if (showers > LIMITS.showers.yellow) {
-            hints.push({ level: 'red', text: '⛈️ Schauer erwartet (' + showers.toFixed(1) + ' mm)', deviation: calcDeviation(showers, LIMITS.showers.green, LIMITS.showers.yellow) });
+            hints.push({ level: 'red', text: t('hint.showersHigh', { mm: formatNumber(showers, 1) }), deviation: calcDeviation(showers, LIMITS.showers.green, LIMITS.showers.yellow) });
         } else if (showers > LIMITS.showers.green) {
-            hints.push({ level: 'yellow', text: '🌦️ Lokale Schauer möglich', deviation: calcDeviation(showers, LIMITS.showers.green, LIMITS.showers.yellow) });
+            hints.push({ level: 'yellow', text: t('hint.showersMedium'), deviation: calcDeviation(showers, LIMITS.showers.green, LIMITS.showers.yellow) });
         }
 
         if (precipProb > LIMITS.precipProb.yellow) {
-            hints.push({ level: 'yellow', text: '🌧️ Regenwahrscheinlichkeit ' + Math.round(precipProb) + '%', deviation: precipProb - LIMITS.precipProb.yellow });
+            hints.push({ level: 'yellow', text: t('hint.precipProb', { pct: Math.round(precipProb) }), deviation: precipProb - LIMITS.precipProb.yellow });
         }
     }
 
+    // Verknüpfter Landeplatz (bereits nach Parameter-Filter bewertet)
+    if (landing && landing.score < 3) {
+        const reason = t('landing.reason.' + landing.reason, { ws: formatSpeed(landing.ws), wg: formatSpeed(landing.wg) });
+        const name = escapeHtml(state.currentLocation.landing?.name || '');
+        hints.push({ level: landing.score === 1 ? 'red' : 'yellow', text: t('hint.landing', { name, reason }), deviation: landing.score === 1 ? 100 : 40 });
+    }
+
     // Sortieren: erst rot (level), dann nach deviation absteigend
     hints.sort((a, b) => {
         if (a.level === 'red' && b.level !== 'red') return -1;
@@ -727,7 +1122,7 @@ function updateReasonSummary(score, ws, wg, w900, w850, w800, w700, grad, grad30
     el.classList.add(score === 1 ? 'nogo' : 'caution');
 
     // HTML generieren
-    const filterHint = filterActive ? '<div class="filter-hint" style="margin-top: 0.5rem; font-size: 0.8rem;">(Filter aktiv)</div>' : '';
+    const filterHint = filterActive ? '<div class="filter-hint" style="margin-top: 0.5rem; font-size: 0.8rem;">' + t('hint.filterActive') + '</div>' : '';
     textEl.innerHTML = '<div class="hints-list">' +
         hints.map(h => '<div class="hint-item ' + h.level + '">' + h.text + '</div>').join('') +
         '</div>' + filterHint;
@@ -742,10 +1137,10 @@ function updateWindrose(wdSurface, wd900, wd850, wd700, wsSurface, ws900, ws850,
     dom.windArrow900.style.transform = 'translate(-50%, -100%) rotate(' + wd900 + 'deg)';
     dom.windArrow850.style.transform = 'translate(-50%, -100%) rotate(' + wd850 + 'deg)';
     dom.windArrow700.style.transform = 'translate(-50%, -100%) rotate(' + wd700 + 'deg)';
-    dom.windroseSurface.textContent = Math.round(wsSurface) + ' km/h ' + getWindDir(wdSurface);
-    dom.windrose900.textContent = Math.round(ws900) + ' km/h ' + getWindDir(wd900);
-    dom.windrose850.textContent = Math.round(ws850) + ' km/h ' + getWindDir(wd850);
-    dom.windrose700.textContent = Math.round(ws700) + ' km/h ' + getWindDir(wd700);
+    dom.windroseSurface.textContent = formatSpeed(wsSurface) + ' ' + getWindDir(wdSurface);
+    dom.windrose900.textContent = formatSpeed(ws900) + ' ' + getWindDir(wd900);
+    dom.windrose850.textContent = formatSpeed(ws850) + ' ' + getWindDir(wd850);
+    dom.windrose700.textContent = formatSpeed(ws700) + ' ' + getWindDir(wd700);
 
     // Windscherung prüfen (inkl. 900hPa)
     const diff900 = Math.abs(wdSurface - wd900), norm900 = diff900 > 180 ? 360 - diff900 : diff900;
@@ -895,8 +1290,8 @@ export function renderBeginnerBadge(assessment) {
                       fill="currentColor" stroke="currentColor" stroke-width="2"/>
             </svg>
             <div class="badge-text">
-                <strong>Anfänger-freundlich</strong>
-                <small>Sanfte & sichere Bedingungen</small>
+                <strong>${t('beginner.badge')}</strong>
+                <small>${t('beginner.badgeSub')}</small>
             </div>
         </div>
     `;
@@ -998,7 +1393,7 @@ function saveParamFilter() {
 /**
  * Aktualisiert die Filter-UI basierend auf dem State
  */
-function updateFilterUI() {
+export function updateFilterUI() {
     const filterWind = document.getElementById('filterWind');
     const filterThermik = document.getElementById('filterThermik');
     const filterClouds = document.getElementById('filterClouds');
@@ -1012,21 +1407,19 @@ function updateFilterUI() {
     if (filterPrecip) filterPrecip.checked = state.paramFilter.precip;
 
     // Summary aktualisieren
-    const activeFilters = [];
-    if (state.paramFilter.wind) activeFilters.push('Wind');
-    if (state.paramFilter.thermik) activeFilters.push('Thermik');
-    if (state.paramFilter.clouds) activeFilters.push('Sicht');
-    if (state.paramFilter.precip) activeFilters.push('Niederschlag');
+    const activeFilters = Object.entries(PARAM_FILTER_CONFIG)
+        .filter(([key]) => state.paramFilter[key])
+        .map(([, filter]) => t(filter.labelKey));
 
-    const allActive = activeFilters.length === 4;
+    const allActive = activeFilters.length === Object.keys(PARAM_FILTER_CONFIG).length;
     const noneActive = activeFilters.length === 0;
 
     if (summary) {
         if (allActive) {
-            summary.textContent = 'Alle Parameter';
+            summary.textContent = t('ui.filterAll');
             summary.classList.remove('filtered');
         } else if (noneActive) {
-            summary.textContent = 'Keine ausgewählt';
+            summary.textContent = t('ui.filterNone');
             summary.classList.add('filtered');
         } else {
             summary.textContent = activeFilters.join(', ');
@@ -1147,6 +1540,8 @@ export function toggleExpertMode() {
     state.expertMode = !state.expertMode;
     saveExpertMode();
     updateExpertModeUI();
+    // Hintergrund-Prüfung der Favoriten bewertet mit denselben Grenzwerten
+    syncNotifyConfig();
 
     // Anzeige aktualisieren wenn Daten vorhanden
     if (state.hourlyData && state.selectedHourIndex !== null && state.forecastDays?.length > 0) {
@@ -1161,7 +1556,7 @@ export function toggleExpertMode() {
 /**
  * UI für Expertenmodus aktualisieren
  */
-function updateExpertModeUI() {
+export function updateExpertModeUI() {
     const toggle = document.getElementById('expertModeToggle');
     const settingsBtn = document.getElementById('expertSettingsBtn');
     const section = document.querySelector('.expert-mode-section');
@@ -1173,15 +1568,15 @@ function updateExpertModeUI() {
 
     if (hint) {
         if (!state.expertMode) {
-            hint.textContent = 'Eigene Grenzwerte für die Ampel-Bewertung definieren';
+            hint.textContent = t('expert.hintOff');
             hint.classList.remove('active');
         } else if (state.customLimits) {
             // Zähle geänderte Parameter
             const changes = countCustomChanges();
-            hint.innerHTML = `<strong>✓ ${changes} Parameter angepasst</strong>`;
+            hint.innerHTML = `<strong>${t('expert.hintChanged', { count: changes })}</strong>`;
             hint.classList.add('active');
         } else {
-            hint.textContent = 'Klicke "Anpassen" um Grenzwerte zu setzen';
+            hint.textContent = t('expert.hintAdjust');
             hint.classList.remove('active');
         }
     }
@@ -1241,11 +1636,36 @@ export function closeExpertSettings() {
     }
 }
 
+// Windfelder im Expertenmodus: Eingabe in der gewählten Einheit, gespeichert in km/h
+const EXPERT_SPEED_INPUTS = [
+    'expertWindSurface', 'expertWindGusts', 'expertGustSpread', 'expertGradient',
+    'expertWind900', 'expertWind850', 'expertWind700'
+];
+
+/**
+ * Grenzen (min/max/step) und Einheit der Windfelder an die gewählte Einheit anpassen
+ * Die HTML-Attribute sind in km/h und werden beim ersten Aufruf gemerkt.
+ */
+function updateExpertSpeedInputs() {
+    const { speed } = getUnits();
+    EXPERT_SPEED_INPUTS.forEach(id => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        ['min', 'max'].forEach(attr => {
+            const key = attr + 'Kmh';
+            if (input.dataset[key] === undefined) input.dataset[key] = input.getAttribute(attr);
+            input.setAttribute(attr, Math.round(convertSpeed(parseFloat(input.dataset[key]))));
+        });
+        input.setAttribute('step', speed === 'ms' ? '0.5' : '1');
+    });
+}
+
 /**
  * Füllt das Expertenmodus-Formular mit aktuellen Werten
  */
 function populateExpertForm() {
     const currentLimits = state.customLimits || LIMITS;
+    updateExpertSpeedInputs();
 
     // Wind
     setInputValue('expertWindSurface', currentLimits.wind?.surface?.yellow, LIMITS.wind.surface.yellow);
@@ -1270,10 +1690,26 @@ function populateExpertForm() {
 
 function setInputValue(id, value, fallback) {
     const input = document.getElementById(id);
-    if (input) {
-        input.value = value ?? fallback;
-        input.placeholder = fallback;
+    if (!input) return;
+    if (EXPERT_SPEED_INPUTS.includes(id)) {
+        // Anzeige umgerechnet, Originalwert merken damit unveränderte Felder nicht durch Rundung driften
+        const kmh = value ?? fallback;
+        input.value = formatSpeedInput(kmh);
+        input.dataset.kmh = kmh;
+        input.dataset.shown = input.value;
+        input.placeholder = formatSpeedInput(fallback);
+        return;
     }
+    input.value = value ?? fallback;
+    input.placeholder = fallback;
+}
+
+/**
+ * km/h als Eingabewert in der gewählten Einheit (Punkt als Dezimaltrenner für input[type=number])
+ */
+function formatSpeedInput(kmh) {
+    const value = convertSpeed(kmh);
+    return String(getUnits().speed === 'ms' ? Math.round(value * 10) / 10 : Math.round(value));
 }
 
 /**
@@ -1362,6 +1798,7 @@ export function saveExpertSettings() {
     saveExpertMode();
     updateExpertModeUI();
     closeExpertSettings();
+    syncNotifyConfig();
 
     // Anzeige aktualisieren
     if (state.hourlyData && state.selectedHourIndex !== null && state.forecastDays?.length > 0) {
@@ -1377,7 +1814,12 @@ function getInputNumber(id, fallback) {
     const input = document.getElementById(id);
     if (!input) return fallback;
     const val = parseFloat(input.value);
-    return isNaN(val) ? fallback : val;
+    if (isNaN(val)) return fallback;
+    if (EXPERT_SPEED_INPUTS.includes(id)) {
+        if (input.value === input.dataset.shown) return parseFloat(input.dataset.kmh);
+        return Math.round(toKmh(val) * 10) / 10;
+    }
+    return val;
 }
 
 /**
@@ -1389,15 +1831,15 @@ export function resetExpertSettings() {
     populateExpertForm();
     updateExpertModeUI();
     updatePresetButtons('standard');
+    syncNotifyConfig();
 }
 
 /**
  * Preset-Profile für Expertenmodus
+ * Beschriftung der Preset-Buttons über data-i18n in index.html (expert.preset*)
  */
 const EXPERT_PRESETS = {
     beginner: {
-        label: 'Anfänger',
-        description: 'Konservative Limits für Flugschüler und Genussflieger',
         values: {
             windSurface: 12,
             windGusts: 18,
@@ -1414,8 +1856,6 @@ const EXPERT_PRESETS = {
         }
     },
     standard: {
-        label: 'Standard',
-        description: 'Ausgewogene Limits für erfahrene Freizeitpiloten',
         values: {
             windSurface: LIMITS.wind.surface.yellow,
             windGusts: LIMITS.wind.gusts.yellow,
@@ -1432,8 +1872,6 @@ const EXPERT_PRESETS = {
         }
     },
     pro: {
-        label: 'Profi',
-        description: 'Erweiterte Limits für erfahrene Piloten mit guter Ortskenntnis',
         values: {
             windSurface: 22,
             windGusts: 32,
@@ -1647,7 +2085,7 @@ export function initPullToRefresh(onRefresh) {
 
     const indicator = document.createElement('div');
     indicator.className = 'pull-refresh-indicator';
-    indicator.innerHTML = '<span class="pull-refresh-icon">↓</span><span class="pull-refresh-text">Ziehen zum Aktualisieren</span>';
+    indicator.innerHTML = '<span class="pull-refresh-icon">↓</span><span class="pull-refresh-text">' + t('ui.pullToRefresh') + '</span>';
     container.insertBefore(indicator, container.firstChild);
 
     container.addEventListener('touchstart', (e) => {
@@ -1667,10 +2105,10 @@ export function initPullToRefresh(onRefresh) {
 
             if (pullDistance > 80) {
                 indicator.classList.add('ready');
-                indicator.querySelector('.pull-refresh-text').textContent = 'Loslassen zum Aktualisieren';
+                indicator.querySelector('.pull-refresh-text').textContent = t('ui.releaseToRefresh');
             } else {
                 indicator.classList.remove('ready');
-                indicator.querySelector('.pull-refresh-text').textContent = 'Ziehen zum Aktualisieren';
+                indicator.querySelector('.pull-refresh-text').textContent = t('ui.pullToRefresh');
             }
         }
     }, { passive: true });
@@ -1681,7 +2119,7 @@ export function initPullToRefresh(onRefresh) {
 
         if (indicator.classList.contains('ready') && pullRefreshCallback) {
             indicator.classList.add('refreshing');
-            indicator.querySelector('.pull-refresh-text').textContent = 'Aktualisiere...';
+            indicator.querySelector('.pull-refresh-text').textContent = t('ui.refreshing');
             // Promise.resolve() für den Fall, dass Callback kein Promise zurückgibt
             Promise.resolve(pullRefreshCallback())
                 .catch(err => console.error('Refresh-Fehler:', err))
@@ -1700,31 +2138,6 @@ export function initPullToRefresh(onRefresh) {
 
 // === Phase 7: Wind-Höhenprofil Diagramm ===
 
-/**
- * Gibt die Farbklasse basierend auf Windgeschwindigkeit zurück
- * @param {number} speed - Windgeschwindigkeit in km/h
- * @param {string} level - Höhenlevel ('ground', '850', '800', '700')
- * @returns {string} CSS-Klasse ('green', 'yellow', 'red', 'calm')
- */
-function getWindArrowColor(speed, level) {
-    if (speed < 3) return 'calm';
-
-    // Limits aus Expert-Mode oder Default (konsistent mit Ampel-Bewertung)
-    const L = getEffectiveLimits();
-    const limits = {
-        ground: { green: L.wind.surface.green, yellow: L.wind.surface.yellow },
-        '900': { green: L.wind.w900.green, yellow: L.wind.w900.yellow },
-        '850': { green: L.wind.w850.green, yellow: L.wind.w850.yellow },
-        '800': { green: L.wind.w800.green, yellow: L.wind.w800.yellow },
-        '700': { green: L.wind.w700.green, yellow: L.wind.w700.yellow }
-    };
-
-    const l = limits[level] || limits.ground;
-    if (speed <= l.green) return 'green';
-    if (speed <= l.yellow) return 'yellow';
-    return 'red';
-}
-
 /**
  * Rendert das Wind-Höhenprofil für einen Tag
  * @param {string} dayStr - Datum im Format 'YYYY-MM-DD'
@@ -1737,14 +2150,11 @@ export function renderWindDiagram(dayStr) {
     // Tag-Hinweis im Diagramm-Header
     const diagramDayHint = document.getElementById('windDiagramDayHint');
     if (diagramDayHint) {
-        const d = new Date(dayStr);
-        const dayNames = ['So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa'];
-        const today = new Date().toISOString().split('T')[0];
-        const tomorrow = new Date(Date.now() + 86400000).toISOString().split('T')[0];
+        const d = parseDay(dayStr);
         let label;
-        if (dayStr === today) label = 'Heute';
-        else if (dayStr === tomorrow) label = 'Morgen';
-        else label = dayNames[d.getDay()] + ' ' + d.getDate() + '.' + (d.getMonth() + 1) + '.';
+        if (dayStr === getSiteNow(state.timezone).date) label = t('day.today');
+        else if (dayStr === getSiteNow(state.timezone, 1).date) label = t('day.tomorrow');
+        else label = formatWeekday(d) + ' ' + formatShortDate(d);
         diagramDayHint.textContent = label;
     }
 
@@ -1763,24 +2173,26 @@ export function renderWindDiagram(dayStr) {
         { key: 'ground', speedKey: 'wind_speed_10m', dirKey: 'wind_direction_10m', label: 'Boden' }
     ];
 
-    // Stunden von 6-20 Uhr (15 Stunden)
+    // Stunden des Flugfensters (Tageslicht, je nach Jahreszeit ~9-17 Spalten)
+    const { start, end } = getFlyingHours(dayStr);
     const hours = [];
-    for (let hour = 6; hour <= 20; hour++) {
+    for (let hour = start; hour <= end; hour++) {
         const ts = dayStr + 'T' + hour.toString().padStart(2, '0') + ':00';
         const idx = times.findIndex(t => t === ts);
         hours.push({ hour, idx });
     }
+    grid.style.setProperty('--hours', hours.length);
 
-    // Grid aufbauen (4 Zeilen × 15 Spalten)
-    levels.forEach(level => {
+    // Grid aufbauen (5 Zeilen × Stunden)
+    levels.forEach((level, levelIdx) => {
         hours.forEach(({ hour, idx }) => {
             const cell = document.createElement('div');
-            cell.className = 'wind-cell';
+            cell.className = 'wind-cell' + (levelIdx % 2 === 1 ? ' alt-row' : '');
 
             if (idx === -1) {
                 // Keine Daten für diese Stunde (Zeitpunkt nicht im Datensatz)
                 cell.innerHTML = '<span class="wind-no-data">—</span>';
-                cell.setAttribute('data-tooltip', 'Keine Daten');
+                cell.setAttribute('data-tooltip', t('ui.noData'));
                 grid.appendChild(cell);
                 return;
             }
@@ -1805,7 +2217,7 @@ export function renderWindDiagram(dayStr) {
             const dirText = getWindDir(dir);
 
             // Tooltip mit Details
-            cell.setAttribute('data-tooltip', `${Math.round(speed)} km/h ${dirText}`);
+            cell.setAttribute('data-tooltip', `${formatSpeed(speed)} ${dirText}`);
 
             // Markiere ausgewählte Stunde
             if (idx === state.selectedHourIndex) {
@@ -1838,6 +2250,8 @@ export function renderWindDiagram(dayStr) {
         });
     });
 
+    renderThermalProfile(hours);
+
     // X-Achsen-Labels
     hours.forEach(({ hour }) => {
         const label = document.createElement('span');
@@ -1847,6 +2261,65 @@ export function renderWindDiagram(dayStr) {
     });
 }
 
+/**
+ * Steigwert-Zeile unter dem Wind-Höhenprofil (gleiche Stundenspalten)
+ * @param {Array<{hour: number, idx: number}>} hours - Stunden des Diagramms
+ */
+function renderThermalProfile(hours) {
+    const grid = document.getElementById('thermalProfileGrid');
+    if (!grid) return;
+    grid.innerHTML = '';
+    grid.style.setProperty('--hours', hours.length);
+
+    hours.forEach(({ hour, idx }) => {
+        const cell = document.createElement('div');
+        cell.className = 'thermal-cell';
+        const thermal = idx !== -1 ? calculateThermalStrength(state.hourlyData, idx, state.currentLocation.elevation) : null;
+
+        if (!thermal) {
+            cell.innerHTML = '<span class="wind-no-data">—</span>';
+            cell.setAttribute('data-tooltip', t('ui.noData'));
+            cell.classList.add('no-data');
+            grid.appendChild(cell);
+            return;
+        }
+
+        cell.classList.add('thermal-q' + thermal.quality.level);
+        cell.textContent = thermal.climb >= 0.1 ? thermal.climb.toFixed(1) : '·';
+        cell.setAttribute('data-tooltip', t('thermal.tooltip', { hour, climb: formatNumber(thermal.climb, 1), top: formatAltitude(thermal.top), quality: thermal.quality.label }));
+        if (idx === state.selectedHourIndex) cell.classList.add('selected');
+        cell.style.cursor = 'pointer';
+        cell.addEventListener('click', () => selectHour(idx));
+        grid.appendChild(cell);
+    });
+}
+
+/**
+ * Steigwerte und Thermik-Qualität in der Thermik-Box anzeigen
+ * @param {Object|null} thermal - Ergebnis von calculateThermalStrength()
+ */
+function renderThermalStrength(thermal) {
+    const dom = getDomCache();
+    if (!dom.thermalClimb || !dom.thermalQuality) return;
+    dom.thermalQuality.className = 'param-value';
+
+    if (!thermal) {
+        dom.thermalClimb.textContent = t('thermal.na');
+        dom.thermalQuality.textContent = t('thermal.na');
+        return;
+    }
+
+    if (thermal.quality.level === 0) {
+        dom.thermalClimb.textContent = t('thermal.none');
+    } else {
+        const params = { climb: formatNumber(thermal.climb, 1), top: formatAltitude(thermal.top) };
+        dom.thermalClimb.textContent = t(thermal.cloudCapped ? 'thermal.cloudBase' : 'thermal.blue', params);
+    }
+    const stars = '★'.repeat(thermal.quality.level) + '☆'.repeat(4 - thermal.quality.level);
+    dom.thermalQuality.textContent = stars + ' ' + thermal.quality.label;
+    dom.thermalQuality.classList.add('thermal-q' + thermal.quality.level);
+}
+
 
 /**
  * Live-Wind-Stationen rendern
@@ -1859,13 +2332,16 @@ export function renderLiveWindStations(stations) {
     const loadBtn = document.getElementById('liveWindLoadBtn');
 
     if (!card || !container) return;
+    // Für erneutes Rendern (z.B. nach Einheitenwechsel) merken
+    state.liveWindStations = stations;
 
     // Laden-Button verstecken
     if (loadBtn) loadBtn.style.display = 'none';
 
     // Keine Stationen gefunden
     if (!stations || stations.length === 0) {
-        container.innerHTML = '<div class="live-wind-empty">Keine Stationen im Umkreis von 30 km gefunden</div>';
+        container.innerHTML = `<div class="live-wind-empty">${t('liveWind.noStations', { radius: LIVE_WIND_CONFIG.radius })}</div>`;
+        renderModelCheck(stations);
         return;
     }
 
@@ -1884,28 +2360,22 @@ export function renderLiveWindStations(stations) {
 
         // Böen-Anzeige
         const gustHtml = station.windGust && station.windGust > station.windSpeed ?
-            `<span class="station-gust">Böen: <span class="gust-value">${station.windGust}</span></span>` : '';
-
-        // Stations-Link und -Badge je nach Quelle
-        let stationLink, sourceBadge, sourceClass;
-        if (station.source === 'lwd') {
-            // Lawinenwarndienst - kein direkter Link, aber Operator anzeigen
-            stationLink = `<span class="station-name">${escapeHtml(station.name)}</span>`;
-            sourceBadge = `<span class="station-source lwd" title="${escapeHtml(station.operator)}">LWD</span>`;
-            sourceClass = 'source-lwd';
-        } else {
-            // OpenWindMap/Pioupiou - Link zur Station
-            const stationId = String(station.id).replace('piou-', '').replace(/[^a-zA-Z0-9_-]/g, '');
-            const stationUrl = `https://www.pioupiou.fr/fr/stations/${stationId}`;
-            stationLink = `<a href="${stationUrl}" target="_blank" rel="noopener noreferrer" class="station-name" title="${escapeHtml(station.name)} – auf OpenWindMap öffnen">${escapeHtml(station.name)} ↗</a>`;
-            sourceBadge = `<span class="station-source owm" title="OpenWindMap">OWM</span>`;
-            sourceClass = 'source-owm';
-        }
+            `<span class="station-gust">${t('liveWind.gusts')} <span class="gust-value">${formatSpeedValue(station.windGust)}</span></span>` : '';
+
+        // Stations-Link und -Badge je nach Anbieter (Link nur wo es eine Stationsseite gibt)
+        const provider = getLiveWindProvider(station.source);
+        const badge = provider?.badge || { text: station.source, css: 'other' };
+        const stationUrl = provider?.stationUrl ? provider.stationUrl(station) : null;
+        const stationLink = stationUrl
+            ? `<a href="${escapeHtml(stationUrl)}" target="_blank" rel="noopener noreferrer" class="station-name" title="${escapeHtml(t('liveWind.openAt', { name: station.name, provider: provider.label }))}">${escapeHtml(station.name)} ↗</a>`
+            : `<span class="station-name">${escapeHtml(station.name)}</span>`;
+        const sourceBadge = `<span class="station-source ${badge.css}" title="${escapeHtml(station.operator)}">${escapeHtml(badge.text)}</span>`;
+        const sourceClass = 'source-' + badge.css;
 
         // Zusätzliche Infos (Höhe, Temperatur)
         let extraInfo = '';
         if (station.elevation) {
-            extraInfo += `<span class="station-elevation">⛰️ ${station.elevation}m</span>`;
+            extraInfo += `<span class="station-elevation">⛰️ ${formatAltitude(station.elevation)}</span>`;
         }
         if (station.temperature !== null && station.temperature !== undefined) {
             extraInfo += `<span class="station-temp">🌡️ ${station.temperature}°C</span>`;
@@ -1925,17 +2395,138 @@ export function renderLiveWindStations(stations) {
                     </div>
                 </div>
                 <div class="station-wind" data-dir="${escapeHtml(station.windDirectionText || '')}">
-                    <span class="station-wind-value ${windClass}">${station.windSpeed !== null ? station.windSpeed : '-'}</span>
-                    <span class="station-wind-unit">km/h</span>
+                    <span class="station-wind-value ${windClass}">${station.windSpeed !== null ? formatSpeedValue(station.windSpeed) : '-'}</span>
+                    <span class="station-wind-unit">${speedLabel()}</span>
                     ${gustHtml}
                 </div>
                 <div class="station-direction">
                     <div class="station-dir-arrow" style="${arrowRotation}">↑</div>
                     <span class="station-dir-text">${escapeHtml(station.windDirectionText || '-')}</span>
                 </div>
+                ${renderStationHistory(station.id)}
             </div>
         `;
     }).join('');
+    renderLiveWindAttribution(stations);
+    renderModelCheck(stations);
+}
+
+/**
+ * Quellenangabe im Footer: nur die Anbieter der angezeigten Stationen
+ * @param {Array} stations - Ergebnis von fetchNearbyLiveWind()
+ */
+function renderLiveWindAttribution(stations) {
+    const el = document.getElementById('liveWindSource');
+    if (!el) return;
+    const links = [...new Set(stations.map(s => s.source))]
+        .map(source => getLiveWindProvider(source)?.attribution)
+        .filter(Boolean)
+        .map(a => `<a href="${escapeHtml(a.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(a.name)}</a>`);
+    el.innerHTML = t('liveWind.sources', { sources: links.join(' + ') });
+}
+
+/**
+ * Modell-Check: Vorhersage der aktuellen Stunde (auf Stationshöhe) gegen die nächsten Stationen
+ * Ergebnis landet in state.modelCheck - getHourScore() und updateDisplay() stufen damit die aktuelle Stunde herab
+ * @param {Array} stations - Ergebnis von fetchNearbyLiveWind()
+ */
+function renderModelCheck(stations) {
+    const el = document.getElementById('modelCheck');
+    const check = compareWithStations(stations);
+    state.modelCheck = check;
+    if (!el) return;
+    if (!check) {
+        el.classList.add('u-hidden');
+        return;
+    }
+
+    const wind = (speed, gust, dir) => formatSpeedValue(speed) +
+        (typeof gust === 'number' ? ' / ' + formatSpeedValue(gust) : '') + ' ' + speedLabel() +
+        (typeof dir === 'number' ? ' ' + getWindDir(dir) : '');
+    const rows = check.rows.map(r => {
+        const s = r.station;
+        const deltaText = (r.delta >= 0 ? '+' : '−') + formatSpeedValue(Math.abs(r.delta));
+        const dirHtml = r.directionMismatch
+            ? ` <span class="model-check-dir" title="${escapeHtml(t('modelCheck.direction', { diff: Math.round(r.dirDiff) }))}">↻</span>`
+            : '';
+        return `
+            <div class="model-check-row${r.underestimated ? ' under' : ''}">
+                <span class="model-check-station">${escapeHtml(s.name)} <span class="model-check-meta">⛰️ ${formatAltitude(r.forecast.alt)} · ${s.distance} km</span></span>
+                <span class="model-check-values">
+                    <span>${escapeHtml(t('modelCheck.observed'))}: ${wind(s.windSpeed, s.windGust, s.windDirection)}</span>
+                    <span>${escapeHtml(t('modelCheck.forecast'))}: ${wind(r.forecast.speed, r.forecast.gust, r.forecast.dir)}${dirHtml}</span>
+                </span>
+                <span class="model-check-delta" title="${escapeHtml(t('modelCheck.deltaTitle'))}">${deltaText}</span>
+            </div>
+        `;
+    }).join('');
+
+    const hour = state.hourlyData.time[check.hourIndex].slice(11, 16);
+    const verdict = check.underestimated
+        ? `<div class="model-check-verdict under">${escapeHtml(t('modelCheck.underestimated', { delta: formatSpeed(check.maxDelta), time: hour }))}</div>`
+        : `<div class="model-check-verdict">${escapeHtml(t('modelCheck.ok'))}</div>`;
+    el.innerHTML = `
+        <div class="model-check-title">${escapeHtml(t('modelCheck.title', { time: hour }))}</div>
+        ${rows}
+        ${verdict}
+    `;
+    el.classList.remove('u-hidden');
+}
+
+// Trendpfeil der Live-Windstationen
+const STATION_TRENDS = {
+    up: { arrow: '↗', key: 'liveWind.trendUp' },
+    down: { arrow: '↘', key: 'liveWind.trendDown' },
+    steady: { arrow: '→', key: 'liveWind.trendSteady' }
+};
+
+/**
+ * Sparkline einer Live-Windstation: Mittel (Linie), Böen (gestrichelt), Richtung (Pfeile) und Trend
+ * Zeitraum: die letzten state.liveWindSpan Stunden bis zum neuesten Messwert
+ * @param {string} id - Stations-ID
+ * @returns {string} HTML (leer ohne Verlauf)
+ */
+function renderStationHistory(id) {
+    const all = state.liveWindHistory?.get(id);
+    if (!all || all.length < 2) return '';
+    const end = all[all.length - 1].t;
+    const start = end - state.liveWindSpan * 60 * 60 * 1000;
+    const readings = all.filter(r => r.t >= start);
+    if (readings.length < 2) return '';
+
+    const W = 120, H = 32;
+    const max = Math.max(10, ...readings.map(r => Math.max(r.avg, r.gust ?? 0)));
+    const x = (r) => ((r.t - start) / (end - start) * W).toFixed(1);
+    const y = (v) => (H - 1 - v / max * (H - 2)).toFixed(1);
+    const line = (key) => readings.filter(r => typeof r[key] === 'number')
+        .map((r, i) => (i === 0 ? 'M' : 'L') + x(r) + ',' + y(r[key])).join(' ');
+
+    // Richtung: höchstens 6 Pfeile gleichmäßig über den Zeitraum (Pfeil zeigt wohin der Wind weht)
+    const withDir = readings.filter(r => typeof r.dir === 'number');
+    const step = Math.max(1, Math.ceil(withDir.length / 6));
+    const arrows = withDir.filter((r, i) => i % step === 0).map(r =>
+        `<span class="station-spark-dir" style="transform: rotate(${Math.round((r.dir + 180) % 360)}deg)" title="${escapeHtml(getWindDir(r.dir))}">↑</span>`
+    ).join('');
+
+    const trend = getWindTrend(all);
+    const trendInfo = trend ? STATION_TRENDS[trend.trend] : null;
+    const trendHtml = trendInfo
+        ? `<span class="station-trend ${trend.trend}" title="${escapeHtml(t(trendInfo.key, { delta: formatSpeed(Math.abs(trend.delta)) }))}">${trendInfo.arrow}</span>`
+        : '';
+    const maxGust = Math.max(...readings.map(r => r.gust ?? r.avg));
+
+    return `
+        <div class="station-history">
+            <svg class="station-spark" viewBox="0 0 ${W} ${H}" preserveAspectRatio="none" role="img"
+                 aria-label="${escapeHtml(t('liveWind.sparkAria', { hours: state.liveWindSpan, max: formatSpeed(maxGust) }))}">
+                <path class="station-spark-gust" d="${line('gust')}"/>
+                <path class="station-spark-avg" d="${line('avg')}"/>
+            </svg>
+            <span class="station-spark-dirs">${arrows}</span>
+            <span class="station-spark-span">${state.liveWindSpan} h</span>
+            ${trendHtml}
+        </div>
+    `;
 }
 
 /**
@@ -1960,6 +2551,7 @@ export function showLiveWindLoading() {
  * Versteckt die Live-Wind-Karte
  */
 export function hideLiveWindCard() {
+    state.liveWindStations = null;
     const card = document.getElementById('liveWindCard');
     if (card) {
         card.style.display = 'none';
@@ -1970,6 +2562,9 @@ export function hideLiveWindCard() {
  * Zeigt den Button zum Laden der Live-Wind-Daten
  */
 export function showLiveWindButton() {
+    state.liveWindStations = null;
+    state.modelCheck = null;
+    document.getElementById('modelCheck')?.classList.add('u-hidden');
     const card = document.getElementById('liveWindCard');
     const container = document.getElementById('liveWindStations');
     const loadBtn = document.getElementById('liveWindLoadBtn');
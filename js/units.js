@@ -0,0 +1,135 @@
+/**
+ * SkyCheck - Einheiten
+ * Umrechnung und Formatierung von Windgeschwindigkeiten und Höhen.
+ * Werte kommen immer in km/h bzw. Metern an (siehe UNIT_CONFIG),
+ * Grenzwerte bleiben unabhängig von der gewählten Einheit kanonisch.
+ */
+
+import { UNIT_CONFIG, STORAGE_KEYS } from './config.js';
+import { formatNumber } from './i18n.js';
+
+let speedUnit = UNIT_CONFIG.defaultSpeed;
+let altitudeUnit = UNIT_CONFIG.defaultAltitude;
+
+/**
+ * Gespeicherte Einheiten laden
+ */
+export function loadUnits() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.UNITS) || 'null');
+        if (saved && UNIT_CONFIG.speed[saved.speed]) speedUnit = saved.speed;
+        if (saved && UNIT_CONFIG.altitude[saved.altitude]) altitudeUnit = saved.altitude;
+    } catch (e) {
+        // localStorage nicht verfügbar oder Eintrag beschädigt
+    }
+    syncUnitSelects();
+    applyUnitLabels();
+}
+
+/**
+ * Einheiten wechseln und speichern
+ * @param {Object} units - { speed?: 'kmh'|'ms'|'kn'|'mph', altitude?: 'm'|'ft' }
+ */
+export function setUnits({ speed, altitude } = {}) {
+    if (UNIT_CONFIG.speed[speed]) speedUnit = speed;
+    if (UNIT_CONFIG.altitude[altitude]) altitudeUnit = altitude;
+    try {
+        localStorage.setItem(STORAGE_KEYS.UNITS, JSON.stringify({ speed: speedUnit, altitude: altitudeUnit }));
+    } catch (e) {
+        // localStorage voll oder nicht verfügbar
+    }
+    syncUnitSelects();
+    applyUnitLabels();
+}
+
+/**
+ * Aktive Einheiten
+ * @returns {{speed: string, altitude: string}}
+ */
+export function getUnits() {
+    return { speed: speedUnit, altitude: altitudeUnit };
+}
+
+function syncUnitSelects() {
+    const speedSelect = document.getElementById('speedUnitSelect');
+    if (speedSelect) speedSelect.value = speedUnit;
+    const altitudeSelect = document.getElementById('altitudeUnitSelect');
+    if (altitudeSelect) altitudeSelect.value = altitudeUnit;
+}
+
+/**
+ * Statische Einheiten im HTML aktualisieren
+ * data-unit="speed|altitude" → Einheitenzeichen, data-speed="<km/h>" → umgerechneter Wert
+ */
+export function applyUnitLabels(root = document) {
+    root.querySelectorAll('[data-unit="speed"]').forEach(el => {
+        el.textContent = speedLabel();
+    });
+    root.querySelectorAll('[data-unit="altitude"]').forEach(el => {
+        el.textContent = altitudeLabel();
+    });
+    root.querySelectorAll('[data-speed]').forEach(el => {
+        el.textContent = formatSpeedValue(parseFloat(el.dataset.speed));
+    });
+}
+
+/**
+ * Einheitenzeichen der Windgeschwindigkeit (z.B. "kn")
+ */
+export function speedLabel() {
+    return UNIT_CONFIG.speed[speedUnit].label;
+}
+
+/**
+ * Einheitenzeichen der Höhe (z.B. "ft")
+ */
+export function altitudeLabel() {
+    return UNIT_CONFIG.altitude[altitudeUnit].label;
+}
+
+/**
+ * km/h in die gewählte Einheit umrechnen (ungerundet)
+ */
+export function convertSpeed(kmh) {
+    return kmh * UNIT_CONFIG.speed[speedUnit].factor;
+}
+
+/**
+ * Wert in der gewählten Einheit zurück nach km/h (z.B. Eingaben im Expertenmodus)
+ */
+export function toKmh(value) {
+    return value / UNIT_CONFIG.speed[speedUnit].factor;
+}
+
+/**
+ * Windgeschwindigkeit gerundet ohne Einheit (z.B. "14" oder "3,9")
+ * @param {number} kmh
+ */
+export function formatSpeedValue(kmh) {
+    const digits = UNIT_CONFIG.speed[speedUnit].digits;
+    const value = convertSpeed(kmh);
+    return digits > 0 ? formatNumber(value, digits) : String(Math.round(value));
+}
+
+/**
+ * Windgeschwindigkeit mit Einheit (z.B. "25 km/h", "13 kn")
+ * @param {number} kmh
+ */
+export function formatSpeed(kmh) {
+    return formatSpeedValue(kmh) + ' ' + speedLabel();
+}
+
+/**
+ * Meter in die gewählte Höheneinheit umrechnen (gerundet)
+ */
+export function convertAltitude(m) {
+    return Math.round(m * UNIT_CONFIG.altitude[altitudeUnit].factor);
+}
+
+/**
+ * Höhe mit Einheit (z.B. "1850 m", "6070 ft")
+ * @param {number} m
+ */
+export function formatAltitude(m) {
+    return convertAltitude(m) + ' ' + altitudeLabel();
+}
@@ -3,17 +3,84 @@
  * Utility-Funktionen für Berechnungen und Formatierungen
  */
 
-import { WEATHER_CODES, LIMITS } from './config.js';
+import { WEATHER_CODES, LIMITS, TAKEOFF_SECTOR, NOTIFY_CONFIG, DAYLIGHT_CONFIG } from './config.js';
+import { t } from './i18n.js';
 
 /**
- * Windrichtung in Textform (N, NO, O, etc.)
+ * Windrichtung in Textform (N, NO, O, etc.) - Kürzel der aktiven Sprache
  */
 export function getWindDir(d) {
     if (d === null || d === undefined) return '-';
-    const dirs = ['N', 'NNO', 'NO', 'ONO', 'O', 'OSO', 'SO', 'SSO', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+    const dirs = t('dir.points').split(',');
     return dirs[Math.round(d / 22.5) % 16];
 }
 
+/**
+ * Winkelabstand einer Windrichtung zum nächsten Startplatz-Sektor
+ * Sektoren laufen im Uhrzeigersinn von `from` nach `to` (z.B. 240° → 300°)
+ * @param {number} dir - Windrichtung in Grad (woher der Wind kommt)
+ * @param {Array<{from: number, to: number}>} sectors - Startsektoren
+ * @returns {number|null} 0 wenn im Sektor, sonst Abweichung in Grad; null ohne Sektoren
+ */
+export function getSectorDeviation(dir, sectors) {
+    if (dir === null || dir === undefined || !Array.isArray(sectors) || sectors.length === 0) return null;
+    let minDeviation = 180;
+    for (const s of sectors) {
+        const span = (s.to - s.from + 360) % 360 || 360;  // from === to = Vollkreis
+        const offset = (dir - s.from + 360) % 360;
+        if (offset <= span) return 0;
+        // Abstand zur End- bzw. Startkante des Sektors
+        minDeviation = Math.min(minDeviation, offset - span, 360 - offset);
+    }
+    return minDeviation;
+}
+
+/**
+ * Startplatz-Sektor in Textform (z.B. "240°–300° (WSW–WNW)")
+ */
+export function formatSector(s) {
+    return `${Math.round(s.from)}°–${Math.round(s.to)}° (${getWindDir(s.from)}–${getWindDir(s.to)})`;
+}
+
+/**
+ * Validiert eine Liste von Startplatz-Sektoren (z.B. aus localStorage)
+ * @param {*} sectors - Zu prüfende Sektoren
+ * @returns {boolean} true wenn gültig (leere Liste ist gültig)
+ */
+export function isValidSectorList(sectors) {
+    const isAngle = (v) => typeof v === 'number' && isFinite(v) && v >= 0 && v < 360;
+    return Array.isArray(sectors) && sectors.length <= TAKEOFF_SECTOR.maxSectors &&
+           sectors.every(s => s && typeof s === 'object' && isAngle(s.from) && isAngle(s.to));
+}
+
+/**
+ * Validiert einen verknüpften Landeplatz (z.B. aus localStorage)
+ * @param {*} point - { lat, lon, elevation, name }
+ * @returns {boolean} true wenn gültig
+ */
+export function isValidLandingPoint(point) {
+    return !!point && typeof point === 'object' &&
+           typeof point.lat === 'number' && isFinite(point.lat) && point.lat >= -90 && point.lat <= 90 &&
+           typeof point.lon === 'number' && isFinite(point.lon) && point.lon >= -180 && point.lon <= 180 &&
+           typeof point.elevation === 'number' && isFinite(point.elevation) &&
+           typeof point.name === 'string' && point.name.length > 0 && point.name.length <= 100;
+}
+
+/**
+ * Validiert eine Benachrichtigungs-Regel eines Favoriten (z.B. aus localStorage)
+ * @param {*} rule - { enabled, days, minHours, quietFrom, quietTo }
+ * @returns {boolean} true wenn gültig
+ */
+export function isValidNotifyRule(rule) {
+    const isHour = (v) => Number.isInteger(v) && v >= 0 && v <= 23;
+    return !!rule && typeof rule === 'object' &&
+           typeof rule.enabled === 'boolean' &&
+           Array.isArray(rule.days) && rule.days.length <= 7 &&
+           rule.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6) &&
+           Number.isInteger(rule.minHours) && rule.minHours >= 1 && rule.minHours <= NOTIFY_CONFIG.maxWindowHours &&
+           isHour(rule.quietFrom) && isHour(rule.quietTo);
+}
+
 /**
  * Haversine-Distanzberechnung zwischen zwei Koordinaten
  * @returns {number} Distanz in km
@@ -29,17 +96,77 @@ export function haversineDistance(lat1, lon1, lat2, lon2) {
     return R * c;
 }
 
+/**
+ * Raster über einem Kartenausschnitt (Raster-Overlays, siehe gridoverlay.js)
+ * Zeilen nach Seitenverhältnis in km, damit die Zellen ungefähr quadratisch sind.
+ * @param {Object} bounds - { south, west, north, east }
+ * @param {number} columns - Spalten
+ * @param {number} maxPoints - Obergrenze für Spalten x Zeilen
+ * @returns {Array} Zellen { south, west, north, east, lat, lon } (lat/lon = Zellmitte)
+ */
+export function buildGridCells({ south, west, north, east }, columns, maxPoints) {
+    const midLat = (south + north) / 2 * Math.PI / 180;
+    const aspect = (north - south) / Math.max((east - west) * Math.cos(midLat), 1e-6);
+    let rows = Math.max(1, Math.round(columns * aspect));
+    if (columns * rows > maxPoints) {
+        rows = Math.max(1, Math.floor(maxPoints / columns));
+    }
+    const dLat = (north - south) / rows, dLon = (east - west) / columns;
+
+    const cells = [];
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < columns; c++) {
+            const s = south + r * dLat, w = west + c * dLon;
+            cells.push({ south: s, west: w, north: s + dLat, east: w + dLon, lat: s + dLat / 2, lon: w + dLon / 2 });
+        }
+    }
+    return cells;
+}
+
+/**
+ * Tile-Bereich (Web-Mercator, XYZ-Schema) eines Kartenausschnitts für eine Zoomstufe
+ * @param {Object} bounds - { south, west, north, east }
+ * @param {number} zoom
+ * @returns {Object} { minX, maxX, minY, maxY } (inklusive)
+ */
+export function getTileRange({ south, west, north, east }, zoom) {
+    const n = 2 ** zoom;
+    const clamp = (v) => Math.min(Math.max(v, 0), n - 1);
+    const tileX = (lon) => clamp(Math.floor((lon + 180) / 360 * n));
+    const tileY = (lat) => {
+        const rad = Math.max(Math.min(lat, 85.0511), -85.0511) * Math.PI / 180;
+        return clamp(Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * n));
+    };
+    return { minX: tileX(west), maxX: tileX(east), minY: tileY(north), maxY: tileY(south) };
+}
+
+/**
+ * Anzahl Tiles eines Kartenausschnitts über mehrere Zoomstufen
+ * @param {Object} bounds - { south, west, north, east }
+ * @param {number} minZoom
+ * @param {number} maxZoom
+ * @returns {number}
+ */
+export function countTiles(bounds, minZoom, maxZoom) {
+    let count = 0;
+    for (let z = minZoom; z <= maxZoom; z++) {
+        const r = getTileRange(bounds, z);
+        count += (r.maxX - r.minX + 1) * (r.maxY - r.minY + 1);
+    }
+    return count;
+}
+
 /**
  * Formatiert das Alter einer Messung in lesbaren Text
  * @param {number} minutes - Alter in Minuten
- * @returns {string} z.B. "gerade eben", "vor 5 min", "vor 2h 15min"
+ * @returns {string} z.B. "gerade eben", "vor 5 min", "vor 2h 15min" (aktive Sprache)
  */
 export function formatAge(minutes) {
-    if (minutes < 1) return 'gerade eben';
-    if (minutes < 60) return `vor ${minutes} min`;
+    if (minutes < 1) return t('age.justNow');
+    if (minutes < 60) return t('age.minutes', { min: minutes });
     const hours = Math.floor(minutes / 60);
     const mins = minutes % 60;
-    return mins > 0 ? `vor ${hours}h ${mins}min` : `vor ${hours}h`;
+    return mins > 0 ? t('age.hoursMinutes', { hours, min: mins }) : t('age.hours', { hours });
 }
 
 /**
@@ -95,7 +222,9 @@ export function getGustFactor(ws, wg) {
  * v8 NEU: Wetter-Codes für Symbole
  */
 export function getWeatherInfo(code) {
-    return WEATHER_CODES[code] || { icon: '❓', text: 'Unbekannt' };
+    const info = WEATHER_CODES[code];
+    if (!info) return { icon: '❓', text: t('weather.unknown') };
+    return { icon: info.icon, text: t('weather.' + code) };
 }
 
 /**
@@ -130,6 +259,75 @@ export function isInAlpineRegion(lat, lon) {
     return haversineDistance(lat, lon, 47.0, 11.5) < 200;
 }
 
+/**
+ * Stunde aus einem Open-Meteo-Zeitstempel (Ortszeit des Standorts, z.B. "2026-03-17T14:00" → 14)
+ * Direkt aus dem String - new Date() würde in der Zeitzone des Geräts interpretieren
+ */
+export function getHourOf(timeStr) {
+    return parseInt(timeStr.slice(11, 13), 10);
+}
+
+/**
+ * Kalendertag "YYYY-MM-DD" als Date für Wochentag/Datum-Anzeige
+ * Mittags statt Mitternacht, damit keine Zeitzone den Tag verschiebt
+ */
+export function parseDay(dayStr) {
+    return new Date(dayStr.slice(0, 10) + 'T12:00');
+}
+
+/**
+ * Datum und Stunde "jetzt" in der Zeitzone des Standorts
+ * @param {string} timeZone - IANA-Zeitzone (z.B. 'Europe/Lisbon'); unbekannt oder 'auto' = Gerätezeit
+ * @param {number} offsetDays - Tage ab heute (1 = morgen)
+ * @returns {{date: string, hour: number}} z.B. { date: '2026-03-17', hour: 14 }
+ */
+export function getSiteNow(timeZone, offsetDays = 0) {
+    const now = new Date(Date.now() + offsetDays * 86400000);
+    try {
+        const parts = {};
+        new Intl.DateTimeFormat('en-CA', {
+            timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', hourCycle: 'h23'
+        }).formatToParts(now).forEach(p => { parts[p.type] = p.value; });
+        return { date: parts.year + '-' + parts.month + '-' + parts.day, hour: parseInt(parts.hour, 10) };
+    } catch (e) {
+        // Zeitzone noch nicht bekannt (vor dem ersten Laden) - Gerätezeit
+        const date = now.getFullYear() + '-' +
+            (now.getMonth() + 1).toString().padStart(2, '0') + '-' +
+            now.getDate().toString().padStart(2, '0');
+        return { date, hour: now.getHours() };
+    }
+}
+
+/**
+ * Flugfenster eines Tages (erste/letzte volle Stunde) aus Sonnenauf- und -untergang
+ * Bewertet werden die Stunden von Sonnenaufgang − beforeSunrise bis Sonnenuntergang + afterSunset.
+ * @param {Object} daily - daily-Objekt der API (time, sunrise, sunset)
+ * @param {string} dayStr - Datum "YYYY-MM-DD"
+ * @returns {{start: number, end: number}} z.B. { start: 7, end: 17 } im Dezember
+ */
+export function getDaylightWindow(daily, dayStr) {
+    const di = daily?.time ? daily.time.indexOf(dayStr) : -1;
+    const sunrise = daily?.sunrise?.[di], sunset = daily?.sunset?.[di];
+    if (di === -1 || !sunrise || !sunset) return { ...DAYLIGHT_CONFIG.fallback };
+
+    const minutes = (s) => parseInt(s.slice(11, 13), 10) * 60 + parseInt(s.slice(14, 16), 10);
+    const start = Math.ceil((minutes(sunrise) - DAYLIGHT_CONFIG.beforeSunrise) / 60);
+    const end = Math.floor((minutes(sunset) + DAYLIGHT_CONFIG.afterSunset) / 60);
+    // Sonnenuntergang nach Mitternacht o.ä. (hohe Breiten) - Standardfenster
+    if (sunset.slice(0, 10) !== dayStr || end <= start) return { ...DAYLIGHT_CONFIG.fallback };
+    return { start: Math.max(0, start), end: Math.min(23, end) };
+}
+
+/**
+ * UTC-Versatz in Textform (z.B. 3600 → "UTC+1", 19800 → "UTC+5:30")
+ */
+export function formatUtcOffset(seconds) {
+    const sign = seconds < 0 ? '−' : '+';
+    const abs = Math.abs(seconds);
+    const h = Math.floor(abs / 3600), m = Math.round((abs % 3600) / 60);
+    return 'UTC' + sign + h + (m ? ':' + m.toString().padStart(2, '0') : '');
+}
+
 /**
  * Formatiere Zeit (HH:MM)
  */
@@ -138,6 +336,13 @@ export function formatTime(dateStr) {
     return d.getHours().toString().padStart(2, '0') + ':' + d.getMinutes().toString().padStart(2, '0');
 }
 
+/**
+ * Suchtext vereinfachen (Groß-/Kleinschreibung und Akzente ignorieren)
+ */
+export function normalizeSearchText(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
 /**
  * XSS-Schutz: Escaped HTML-Sonderzeichen in Strings
  */
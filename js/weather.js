@@ -5,8 +5,14 @@
  */
 
 import { state } from './state.js';
-import { LIMITS, BEGINNER_LIMITS, API_CONFIG, UI_CONFIG, METEO_CONSTANTS } from './config.js';
-import { isInIconD2Coverage, isInIconEUCoverage, getGustFactor, isInAlpineRegion, escapeHtml, haversineDistance, getWindDir, formatAge } from './utils.js';
+import { LIMITS, BEGINNER_LIMITS, API_CONFIG, UI_CONFIG, METEO_CONSTANTS, TAKEOFF_SECTOR, FORECAST_HORIZON, THERMAL_CONFIG, UNIT_CONFIG, SNAPSHOT_CONFIG } from './config.js';
+import { isInIconD2Coverage, isInIconEUCoverage, getGustFactor, isInAlpineRegion, escapeHtml, getWindDir, formatAge, getSectorDeviation, formatUtcOffset, getDaylightWindow } from './utils.js';
+import { getFoehnAt } from './foehn.js';
+import { getLeeExposure } from './terrain.js';
+import { isModelUnderestimating } from './modelcheck.js';
+import { t, formatNumber, formatTime } from './i18n.js';
+import { formatSpeed, formatAltitude } from './units.js';
+import { saveSnapshot, loadSnapshot } from './snapshots.js';
 
 /**
  * Gibt die effektiven Limits zurück (Custom wenn gesetzt, sonst Default)
@@ -20,6 +26,32 @@ export function getEffectiveLimits() {
     return deepMerge(LIMITS, state.customLimits);
 }
 
+/**
+ * Gibt die Farbklasse basierend auf Windgeschwindigkeit zurück
+ * Genutzt vom Wind-Höhenprofil und von den Windpfeilen auf der Karte
+ * @param {number} speed - Windgeschwindigkeit in km/h
+ * @param {string} level - Höhenlevel ('ground', '900', '850', '800', '700')
+ * @returns {string} CSS-Klasse ('green', 'yellow', 'red', 'calm')
+ */
+export function getWindArrowColor(speed, level) {
+    if (speed < 3) return 'calm';
+
+    // Limits aus Expert-Mode oder Default (konsistent mit Ampel-Bewertung)
+    const L = getEffectiveLimits();
+    const limits = {
+        ground: { green: L.wind.surface.green, yellow: L.wind.surface.yellow },
+        '900': { green: L.wind.w900.green, yellow: L.wind.w900.yellow },
+        '850': { green: L.wind.w850.green, yellow: L.wind.w850.yellow },
+        '800': { green: L.wind.w800.green, yellow: L.wind.w800.yellow },
+        '700': { green: L.wind.w700.green, yellow: L.wind.w700.yellow }
+    };
+
+    const l = limits[level] || limits.ground;
+    if (speed <= l.green) return 'green';
+    if (speed <= l.yellow) return 'yellow';
+    return 'red';
+}
+
 /**
  * Deep-Merge für verschachtelte Objekte
  */
@@ -83,107 +115,209 @@ export function extractWindData(h, i) {
 // Callback für UI-Updates (wird von main.js gesetzt)
 let onWeatherLoaded = null;
 
+// Stündliche Variablen (Hauptdaten und Höhenwinde) - gleich für Haupt- und Trend-Abruf
+const HOURLY_VARS = 'temperature_2m,dew_point_2m,precipitation,precipitation_probability,showers,cloud_cover,cloud_cover_low,cloud_cover_mid,cloud_cover_high,visibility,wind_speed_10m,wind_direction_10m,wind_gusts_10m,cape,lifted_index,freezing_level_height,weather_code,shortwave_radiation';
+const PRESSURE_VARS = 'wind_speed_900hPa,wind_speed_850hPa,wind_speed_800hPa,wind_speed_700hPa,wind_direction_900hPa,wind_direction_850hPa,wind_direction_800hPa,wind_direction_700hPa,boundary_layer_height';
+// Landeplatz: nur bodennahe Werte (Höhenwind, Thermik und Wolken gelten für Start und Landung gemeinsam)
+const LANDING_VARS = 'temperature_2m,dew_point_2m,precipitation,showers,visibility,wind_speed_10m,wind_direction_10m,wind_gusts_10m';
+
 export function setWeatherCallback(callback) {
     onWeatherLoaded = callback;
 }
 
 /**
- * Haupt-Funktion: Wetterdaten abrufen
+ * Wettermodell für einen Standort
+ * icon_seamless nutzt automatisch ICON-D2 > ICON-EU > ICON-Global
+ * @returns {Object} { modelChoice, modelDisplayName, inD2, inEU }
  */
-export async function fetchWeatherData() {
-    const { lat, lon } = state.currentLocation;
-    document.getElementById('initialState').style.display = 'none';
-    document.getElementById('loading').classList.add('visible');
-    document.getElementById('resultsContainer').style.display = 'none';
-
-    // Modell-Priorität: icon_seamless nutzt automatisch ICON-D2 > ICON-EU > ICON-Global
+function chooseModel(lat, lon) {
     const inD2 = isInIconD2Coverage(lat, lon);
     const inEU = isInIconEUCoverage(lat, lon);
 
-    let modelChoice, modelDisplayName;
     if (inEU) {
         // Europa: icon_seamless wählt automatisch das beste ICON-Modell
         // (ICON-D2 für Mitteleuropa, ICON-EU für Rest-Europa)
-        modelChoice = 'icon_seamless';
-        modelDisplayName = inD2 ? 'ICON-D2' : 'ICON-EU';
-    } else {
-        // Global: best_match wählt das beste verfügbare Modell
-        modelChoice = 'best_match';
-        modelDisplayName = 'ECMWF/GFS';
+        return { modelChoice: 'icon_seamless', modelDisplayName: inD2 ? 'ICON-D2' : 'ICON-EU', inD2, inEU };
     }
-    const timezone = inEU ? 'Europe/Berlin' : 'auto';
+    // Global: best_match wählt das beste verfügbare Modell
+    return { modelChoice: 'best_match', modelDisplayName: 'ECMWF/GFS', inD2, inEU };
+}
 
+/**
+ * Vollständige Vorhersage eines Standorts abrufen (Hauptdaten, Höhenwinde, Landeplatz, Trend)
+ * Rohantworten ohne Zusammenführung - so lassen sie sich unverändert als Offline-Vorhersage speichern.
+ * Antworten aus dem SW-Cache tragen den Header sw-cached-at; dann gilt dessen Zeitpunkt als Abrufzeit.
+ * @param {Object} location - { lat, lon, landing? }
+ * @param {string} modelChoice - Open-Meteo Modell
+ * @returns {Promise<Object>} { lat, lon, fetchedAt, fromCache, main, pressure, trend, landing: { lat, lon, data } | null }
+ */
+async function fetchForecastBundle({ lat, lon, landing }, modelChoice) {
+    // Zeitzone des Standorts - Open-Meteo liefert Zeitstempel dann in dessen Ortszeit
+    const timezone = 'auto';
+
+    // Haupt-Wetterdaten (Wind, Thermik-Indikatoren, Wolken, Niederschlag)
+    const params = new URLSearchParams({
+        latitude: lat,
+        longitude: lon,
+        hourly: HOURLY_VARS,
+        daily: 'sunrise,sunset',
+        wind_speed_unit: UNIT_CONFIG.apiWindSpeedUnit,
+        timezone: timezone,
+        forecast_days: FORECAST_HORIZON.highResDays,
+        models: modelChoice
+    });
+
+    // Höhenwinde auf verschiedenen Druckniveaus
+    const pressureParams = new URLSearchParams({
+        latitude: lat,
+        longitude: lon,
+        hourly: PRESSURE_VARS,
+        wind_speed_unit: UNIT_CONFIG.apiWindSpeedUnit,
+        timezone: timezone,
+        forecast_days: FORECAST_HORIZON.highResDays,
+        models: modelChoice
+    });
+
+    // Verknüpfter Landeplatz (gleiches Modell, gleicher Zeitraum) - optional
+    const landingParams = landing ? new URLSearchParams({
+        latitude: landing.lat,
+        longitude: landing.lon,
+        hourly: LANDING_VARS,
+        wind_speed_unit: UNIT_CONFIG.apiWindSpeedUnit,
+        timezone: timezone,
+        forecast_days: FORECAST_HORIZON.highResDays,
+        models: modelChoice
+    }) : null;
+
+    // Trend-Tage (globales Modell) parallel laden - optional
+    const trendPromise = state.forecastHorizon > FORECAST_HORIZON.highResDays
+        ? fetchTrendData(lat, lon, timezone)
+        : Promise.resolve(null);
+
+    // API-Timeout (konfigurierbar via API_CONFIG)
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.timeout);
+
+    let d1, d2 = null, d3 = null, cachedAt = NaN;
     try {
-        // Haupt-Wetterdaten (Wind, Thermik-Indikatoren, Wolken, Niederschlag)
-        const params = new URLSearchParams({
-            latitude: lat,
-            longitude: lon,
-            hourly: 'temperature_2m,dew_point_2m,precipitation,precipitation_probability,showers,cloud_cover,cloud_cover_low,cloud_cover_mid,cloud_cover_high,visibility,wind_speed_10m,wind_direction_10m,wind_gusts_10m,cape,lifted_index,freezing_level_height,weather_code',
-            daily: 'sunrise,sunset',
-            wind_speed_unit: 'kmh',
-            timezone: timezone,
-            forecast_days: 3,
-            models: modelChoice
-        });
+        // Promise.allSettled für graceful degradation:
+        // Hauptdaten sind kritisch, Höhenwinde und Landeplatz sind optional
+        const [mainResult, pressureResult, landingResult] = await Promise.allSettled([
+            fetch(API_CONFIG.baseUrl + '?' + params, { signal: controller.signal }),
+            fetch(API_CONFIG.baseUrl + '?' + pressureParams, { signal: controller.signal }),
+            landingParams ? fetch(API_CONFIG.baseUrl + '?' + landingParams, { signal: controller.signal }) : Promise.resolve(null)
+        ]);
+        clearTimeout(timeoutId);
+
+        // Hauptdaten MÜSSEN erfolgreich sein
+        if (mainResult.status === 'rejected') {
+            throw mainResult.reason;
+        }
+        cachedAt = parseInt(mainResult.value.headers?.get('sw-cached-at'), 10);
+        d1 = await mainResult.value.json();
+
+        // Höhenwinde sind optional - App funktioniert auch ohne
+        if (pressureResult.status === 'fulfilled') {
+            try {
+                d2 = await pressureResult.value.json();
+            } catch (e) {
+                console.warn('Höhenwinde-Daten konnten nicht geparst werden:', e);
+            }
+        } else {
+            console.warn('Höhenwinde-Fetch fehlgeschlagen:', pressureResult.reason);
+        }
 
-        // Höhenwinde auf verschiedenen Druckniveaus
-        const pressureParams = new URLSearchParams({
-            latitude: lat,
-            longitude: lon,
-            hourly: 'wind_speed_900hPa,wind_speed_850hPa,wind_speed_800hPa,wind_speed_700hPa,wind_direction_900hPa,wind_direction_850hPa,wind_direction_800hPa,wind_direction_700hPa,boundary_layer_height',
-            wind_speed_unit: 'kmh',
-            timezone: timezone,
-            forecast_days: 3,
-            models: modelChoice
-        });
+        // Landeplatz ist optional - ohne Daten wird nur der Start bewertet
+        if (landingResult.status === 'fulfilled' && landingResult.value) {
+            try {
+                d3 = await landingResult.value.json();
+            } catch (e) {
+                console.warn('Landeplatz-Daten konnten nicht geparst werden:', e);
+            }
+        } else if (landingResult.status === 'rejected') {
+            console.warn('Landeplatz-Fetch fehlgeschlagen:', landingResult.reason);
+        }
+    } catch (fetchError) {
+        clearTimeout(timeoutId);
+        if (fetchError.name === 'AbortError') {
+            throw new Error('Zeitüberschreitung - Server antwortet nicht');
+        }
+        throw fetchError;
+    }
 
-        // API-Timeout (konfigurierbar via API_CONFIG)
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.timeout);
+    // Prüfe auf API-Fehler (nur Hauptdaten kritisch)
+    if (d1.error) {
+        throw new Error(d1.reason || 'API-Fehler');
+    }
 
-        let d1, d2 = null;
+    // Strukturelle Validierung der API-Response
+    if (!d1.hourly || !Array.isArray(d1.hourly.time) || d1.hourly.time.length === 0) {
+        throw new Error('Ungültige API-Antwort: Stündliche Daten fehlen');
+    }
+
+    return {
+        lat,
+        lon,
+        fetchedAt: cachedAt || Date.now(),
+        fromCache: Boolean(cachedAt),
+        main: d1,
+        pressure: d2,
+        trend: await trendPromise,
+        landing: landing && d3 ? { lat: landing.lat, lon: landing.lon, data: d3 } : null
+    };
+}
+
+/**
+ * Vorhersage eines Standorts für die Offline-Nutzung abrufen und speichern
+ * @param {Object} location - { lat, lon, landing? } (z.B. ein Favorit)
+ * @returns {Promise<Object>} gespeicherter Snapshot
+ */
+export async function prefetchForecast(location) {
+    const { modelChoice } = chooseModel(location.lat, location.lon);
+    const bundle = await fetchForecastBundle(location, modelChoice);
+    await saveSnapshot(bundle);
+    return bundle;
+}
+
+/**
+ * Haupt-Funktion: Wetterdaten abrufen
+ * Ohne Netz (und ohne passende SW-Antwort) wird die gespeicherte Offline-Vorhersage genutzt.
+ */
+export async function fetchWeatherData() {
+    const { lat, lon } = state.currentLocation;
+    document.getElementById('initialState').style.display = 'none';
+    document.getElementById('loading').classList.add('visible');
+    document.getElementById('resultsContainer').style.display = 'none';
+
+    const model = chooseModel(lat, lon);
+    const { modelChoice, inD2, inEU } = model;
+    let modelDisplayName = model.modelDisplayName;
+    state.weatherModel = modelChoice;
+
+    try {
+        let bundle, source;
         try {
-            // Promise.allSettled für graceful degradation:
-            // Hauptdaten sind kritisch, Höhenwinde sind optional
-            const [mainResult, pressureResult] = await Promise.allSettled([
-                fetch(API_CONFIG.baseUrl + '?' + params, { signal: controller.signal }),
-                fetch(API_CONFIG.baseUrl + '?' + pressureParams, { signal: controller.signal })
-            ]);
-            clearTimeout(timeoutId);
-
-            // Hauptdaten MÜSSEN erfolgreich sein
-            if (mainResult.status === 'rejected') {
-                throw mainResult.reason;
-            }
-            d1 = await mainResult.value.json();
-
-            // Höhenwinde sind optional - App funktioniert auch ohne
-            if (pressureResult.status === 'fulfilled') {
-                try {
-                    d2 = await pressureResult.value.json();
-                } catch (e) {
-                    console.warn('Höhenwinde-Daten konnten nicht geparst werden:', e);
-                }
-            } else {
-                console.warn('Höhenwinde-Fetch fehlgeschlagen:', pressureResult.reason);
-            }
+            bundle = await fetchForecastBundle(state.currentLocation, modelChoice);
+            source = bundle.fromCache ? 'cache' : 'network';
         } catch (fetchError) {
-            clearTimeout(timeoutId);
-            if (fetchError.name === 'AbortError') {
-                throw new Error('Zeitüberschreitung - Server antwortet nicht');
-            }
-            throw fetchError;
+            bundle = await loadSnapshot(lat, lon);
+            if (!bundle) throw fetchError;
+            console.warn('Offline-Vorhersage statt Live-Daten:', fetchError);
+            source = 'snapshot';
         }
 
-        // Prüfe auf API-Fehler (nur Hauptdaten kritisch)
-        if (d1.error) {
-            throw new Error(d1.reason || 'API-Fehler');
+        // Favoriten: frische Daten gleich als Offline-Vorhersage aufheben
+        // (Kopie - die Rohdaten werden unten zusammengeführt)
+        const key = lat.toFixed(4) + ',' + lon.toFixed(4);
+        if (source === 'network' && state.favorites.some(f => f.lat.toFixed(4) + ',' + f.lon.toFixed(4) === key)) {
+            saveSnapshot(structuredClone(bundle)).catch(e => console.warn('Offline-Vorhersage nicht gespeichert:', e));
         }
 
-        // Strukturelle Validierung der API-Response
-        if (!d1.hourly || !Array.isArray(d1.hourly.time) || d1.hourly.time.length === 0) {
-            throw new Error('Ungültige API-Antwort: Stündliche Daten fehlen');
-        }
+        const d1 = bundle.main, d2 = bundle.pressure;
+        // Landeplatz-Daten nur, wenn sie zum aktuell verknüpften Landeplatz gehören
+        const landing = state.currentLocation.landing;
+        const d3 = landing && bundle.landing?.lat === landing.lat && bundle.landing?.lon === landing.lon
+            ? bundle.landing.data : null;
 
         // Daten zusammenführen (nur wenn Höhenwinde verfügbar)
         if (d2?.hourly && !d2.error) {
@@ -201,13 +335,28 @@ export async function fetchWeatherData() {
             console.warn('⚠️ Höhenwinde nicht verfügbar - Gradient-Bewertung eingeschränkt');
         }
 
+        // Trend-Tage anhängen (nur wenn verfügbar)
+        const trend = bundle.trend;
+        state.trendFromIndex = trend ? appendTrendData(d1, trend) : null;
+        if (state.trendFromIndex !== null) {
+            modelDisplayName += ' + ' + FORECAST_HORIZON.trendModel.label + ' (Trend)';
+        }
+
         state.hourlyData = d1.hourly;
         state.dailyData = d1.daily;
-        state.lastUpdate = new Date();
+        state.landingData = (d3?.hourly?.time && !d3.error)
+            ? { hourly: d3.hourly, timeIndex: new Map(d3.hourly.time.map((t, i) => [t, i])) }
+            : null;
+        // Aufgelöste Zeitzone für Folgeabfragen (Ensemble, Modelle, Föhn ...) und "heute/jetzt"
+        state.timezone = d1.timezone || 'auto';
+        state.timezoneAbbr = d1.timezone_abbreviation || null;
+        state.utcOffsetSeconds = d1.utc_offset_seconds ?? null;
+        // Abrufzeit der Daten (bei Cache/Offline-Vorhersage älter als jetzt)
+        state.forecastSource = { source, fetchedAt: bundle.fetchedAt };
+        state.lastUpdate = new Date(bundle.fetchedAt);
 
         // Update UI
-        document.getElementById('updateTime').textContent =
-            state.lastUpdate.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' }) + ' Uhr';
+        document.getElementById('updateTime').textContent = t('time.clock', { time: formatTime(state.lastUpdate) });
 
         // Modell-Anzeige dynamisch aktualisieren
         const modelNameEl = document.getElementById('modelName');
@@ -216,15 +365,17 @@ export async function fetchWeatherData() {
 
         // Warnung/Info je nach Region
         if (!inEU) {
-            // Außerhalb Europa: Warnung
-            modelWarningEl.textContent = '⚠️ Außerhalb Europa - globales Modell (weniger genau für lokale Bedingungen)';
+            // Außerhalb Europa: Warnung (data-i18n, damit ein Sprachwechsel den Text mitnimmt)
+            modelWarningEl.dataset.i18n = 'model.outsideEurope';
+            modelWarningEl.textContent = t('model.outsideEurope');
             modelWarningEl.style.display = 'block';
             modelWarningEl.style.borderColor = '';
             modelWarningEl.style.background = '';
             modelWarningEl.style.color = '';
         } else if (!inD2) {
             // Europa aber nicht Mitteleuropa: Info
-            modelWarningEl.textContent = 'ℹ️ ICON-EU Modell (7km Auflösung)';
+            modelWarningEl.dataset.i18n = 'model.iconEu';
+            modelWarningEl.textContent = t('model.iconEu');
             modelWarningEl.style.display = 'block';
             modelWarningEl.style.borderColor = 'var(--accent)';
             modelWarningEl.style.background = 'var(--accent-glow)';
@@ -244,10 +395,7 @@ export async function fetchWeatherData() {
         document.getElementById('resultsContainer').style.flexDirection = 'column';
         document.getElementById('resultsContainer').style.gap = '1rem';
         document.getElementById('locationName').textContent = state.currentLocation.name;
-        document.getElementById('locationDetails').textContent =
-            state.currentLocation.lat.toFixed(4) + '°N, ' + state.currentLocation.lon.toFixed(4) + '°E — ' +
-            Math.round(state.currentLocation.elevation) + 'm ü.M.';
-        document.getElementById('stationElevation').textContent = Math.round(state.currentLocation.elevation) + ' m';
+        updateLocationDetails();
 
         // FIX: Leaflet-Karte nach Layout-Änderung aktualisieren (verhindert graue Flächen)
         if (state.map) {
@@ -260,30 +408,31 @@ export async function fetchWeatherData() {
 
         // Differenzierte Fehlermeldungen
         let errorIcon = '⚠️';
-        let errorTitle = 'Fehler beim Laden';
+        // Interne Fehlertexte bleiben deutsch (Erkennung per includes) - angezeigt wird der Katalogtext
+        let errorTitle = t('error.load.title');
         let errorDetail = escapeHtml(e.message);
-        let errorHint = 'Bitte erneut versuchen oder anderen Standort wählen.';
+        let errorHint = t('error.load.hint');
 
         if (!navigator.onLine) {
             errorIcon = '📡';
-            errorTitle = 'Keine Internetverbindung';
-            errorDetail = 'Du bist offline.';
-            errorHint = 'Prüfe deine Verbindung und versuche es erneut.';
+            errorTitle = t('error.offline.title');
+            errorDetail = t('error.offline.detail');
+            errorHint = t('error.offline.hint');
         } else if (e.message.includes('Zeitüberschreitung') || e.name === 'AbortError') {
             errorIcon = '⏱️';
-            errorTitle = 'Server antwortet nicht';
-            errorDetail = 'Die Wetter-API ist momentan überlastet.';
-            errorHint = 'Warte kurz und versuche es erneut.';
+            errorTitle = t('error.timeout.title');
+            errorDetail = t('error.timeout.detail');
+            errorHint = t('error.timeout.hint');
         } else if (e.message.includes('429') || e.message.includes('rate limit')) {
             errorIcon = '🚦';
-            errorTitle = 'API-Limit erreicht';
-            errorDetail = 'Zu viele Anfragen in kurzer Zeit.';
-            errorHint = 'Bitte warte einige Minuten.';
+            errorTitle = t('error.rateLimit.title');
+            errorDetail = t('error.rateLimit.detail');
+            errorHint = t('error.rateLimit.hint');
         } else if (e.message.includes('Failed to fetch') || e.message.includes('NetworkError')) {
             errorIcon = '🌐';
-            errorTitle = 'Netzwerkfehler';
-            errorDetail = 'Verbindung zum Wetterdienst fehlgeschlagen.';
-            errorHint = 'Prüfe deine Internetverbindung.';
+            errorTitle = t('error.network.title');
+            errorDetail = t('error.network.detail');
+            errorHint = t('error.network.hint');
         }
 
         const initialState = document.getElementById('initialState');
@@ -298,13 +447,89 @@ export async function fetchWeatherData() {
         setTimeout(() => {
             initialState.innerHTML = `
                 <div class="initial-state-icon">🗺️</div>
-                <h3>Wähle einen Standort</h3>
-                <p>Klicke auf die Karte oder nutze GPS.</p>
+                <h3 data-i18n="initial.title">${t('initial.title')}</h3>
+                <p data-i18n="initial.text">${t('initial.text')}</p>
             `;
         }, UI_CONFIG.errorResetDelay);
     }
 }
 
+/**
+ * Trend-Daten (globales Modell) für den gesamten Vorhersagezeitraum abrufen
+ * Fehler werden nur protokolliert - die App funktioniert ohne Trend-Tage
+ * @returns {Promise<Object|null>} { hourly, daily } oder null
+ */
+async function fetchTrendData(lat, lon, timezone) {
+    const base = {
+        latitude: lat,
+        longitude: lon,
+        wind_speed_unit: UNIT_CONFIG.apiWindSpeedUnit,
+        timezone: timezone,
+        forecast_days: state.forecastHorizon,
+        models: FORECAST_HORIZON.trendModel.id
+    };
+    const params = new URLSearchParams({ ...base, hourly: HOURLY_VARS, daily: 'sunrise,sunset' });
+    const pressureParams = new URLSearchParams({ ...base, hourly: PRESSURE_VARS });
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.timeout);
+    const fetchJson = query => fetch(API_CONFIG.baseUrl + '?' + query, { signal: controller.signal }).then(r => {
+        if (!r.ok) throw new Error('HTTP ' + r.status);
+        return r.json();
+    });
+    try {
+        const [main, pressure] = await Promise.all([
+            fetchJson(params),
+            // Drucklevel sind optional - ohne sie bleibt es beim Bodenwind
+            fetchJson(pressureParams).catch(e => {
+                if (e.name === 'AbortError') throw e;
+                return { error: true };
+            })
+        ]);
+        if (main.error || !main.hourly?.time) throw new Error(main.reason || 'Ungültige Trend-Antwort');
+        if (pressure.hourly && !pressure.error) {
+            PRESSURE_VARS.split(',').forEach(v => { main.hourly[v] = pressure.hourly[v]; });
+        }
+        return { hourly: main.hourly, daily: main.daily };
+    } catch (e) {
+        console.warn('Trend-Daten nicht verfügbar:', e);
+        return null;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Trend-Tage an die hochauflösenden Daten anhängen (in-place)
+ * Übernommen werden nur Tage nach dem letzten Tag der Hauptdaten.
+ * @param {Object} d1 - API-Antwort der Hauptdaten (hourly, daily)
+ * @param {Object} trend - { hourly, daily } aus fetchTrendData()
+ * @returns {number|null} Index der ersten Trend-Stunde oder null
+ */
+function appendTrendData(d1, trend) {
+    const lastDay = d1.hourly.time[d1.hourly.time.length - 1].split('T')[0];
+    const start = trend.hourly.time.findIndex(t => t.split('T')[0] > lastDay);
+    if (start === -1) return null;
+
+    const trendFromIndex = d1.hourly.time.length;
+    const count = trend.hourly.time.length - start;
+    Object.keys(d1.hourly).forEach(key => {
+        if (!Array.isArray(d1.hourly[key])) return;
+        const src = trend.hourly[key];
+        d1.hourly[key] = d1.hourly[key].concat(src ? src.slice(start) : new Array(count).fill(null));
+    });
+
+    if (d1.daily?.time && trend.daily?.time) {
+        const dailyStart = trend.daily.time.findIndex(t => t > lastDay);
+        if (dailyStart !== -1) {
+            ['time', 'sunrise', 'sunset'].forEach(key => {
+                d1.daily[key] = d1.daily[key].concat(trend.daily[key].slice(dailyStart));
+            });
+        }
+    }
+    return trendFromIndex;
+}
+
 /**
  * Daten neu laden
  */
@@ -343,16 +568,152 @@ export function getFogRisk(spread, windSpeed, visibility) {
     return 'unlikely';
 }
 
+/**
+ * Sind die angezeigten Daten (Cache oder Offline-Vorhersage) zu alt für eine GO-Ampel?
+ */
+export function isForecastDegraded() {
+    const src = state.forecastSource;
+    return !!src && src.source !== 'network' &&
+        Date.now() - src.fetchedAt > SNAPSHOT_CONFIG.degradeAfterHours * 60 * 60 * 1000;
+}
+
+/**
+ * Obergrenze einer Stunden-Bewertung: veraltete Offline-Daten oder vom Modell unterschätzter
+ * Wind (Modell-Check) erlauben höchstens VORSICHT
+ * @param {number} i - Index in state.hourlyData
+ * @param {1|2|3} score - Bewertung ohne Obergrenze
+ * @returns {1|2|3}
+ */
+export function capHourScore(i, score) {
+    return isForecastDegraded() || isModelUnderestimating(i) ? Math.min(score, 2) : score;
+}
+
 /**
  * Gesamt-Score für eine Stunde berechnen
  * Kombiniert Wind, Thermik, Wolken und Niederschlag
+ * Veraltete Daten oder ein unterschätzter Wind (Modell-Check) begrenzen auf VORSICHT
+ * (wie in der Gesamtbewertung - Timeline und Tageskarte zeigen dasselbe)
  * @param {number} i - Index in state.hourlyData
  * @returns {1|2|3} Score: 1=nogo (rot), 2=caution (gelb), 3=go (grün)
  */
 export function getHourScore(i) {
     if (!state.hourlyData) return 1;
+    const launch = getLaunchScore(i);
+    // Verknüpfter Landeplatz: die schlechtere Bewertung zählt
+    const landing = getLandingEvaluation(i);
+    return capHourScore(i, landing ? Math.min(launch, landing.score) : launch);
+}
+
+/**
+ * Score nur für den Startplatz (ohne Landeplatz)
+ * @param {number} i - Index in state.hourlyData
+ * @returns {1|2|3}
+ */
+function getLaunchScore(i) {
     const filter = state.paramFilter || { wind: true, thermik: true, clouds: true, precip: true };
-    return scoreHourFromData(state.hourlyData, i, filter);
+    const sectors = state.currentLocation?.sectors;
+    // Lee-Lage gehört zur Wind-Bewertung (Geländeprofil gibt es nur für den aktuellen Standort)
+    const score = j => {
+        const s = scoreHourFromData(state.hourlyData, j, filter, sectors);
+        return filter.wind ? Math.min(s, getLeeScore(j)) : s;
+    };
+    // Trend-Tage: grobe Bewertung im 3h-Block (schlechteste Stunde zählt)
+    if (isTrendIndex(i)) {
+        return Math.min(...getTrendBlockIndices(i).map(score));
+    }
+    return score(i);
+}
+
+/**
+ * Lee-Lage als Wind-Score (Grat im Luv des Höhenwinds, siehe terrain.js)
+ * @param {number} i - Index in state.hourlyData
+ * @returns {1|2|3} 3 auch ohne geladenes Geländeprofil
+ */
+export function getLeeScore(i) {
+    const lee = getLeeExposure(i);
+    if (!lee || lee.level === 'none') return 3;
+    return lee.level === 'danger' ? 1 : 2;
+}
+
+/**
+ * Landeplatz für eine Stunde bewerten (nur bodennahe Werte)
+ * Höhenwind, Thermik und Wolken gelten für Start und Landeplatz gemeinsam und werden
+ * beim Start bewertet - hier zählen Bodenwind, Böen, Niederschlag und Sicht/Nebel.
+ * @param {Object} h - hourly-Daten des Landeplatzes
+ * @param {number} i - Stunden-Index in h
+ * @param {Object} [filter] - Parameter-Filter (default: alle aktiv)
+ * @returns {Object} { score, reason: 'wind'|'gusts'|'gustSpread'|'precip'|'fog'|null, ws, wg, wd }
+ */
+export function evaluateLanding(h, i, filter) {
+    if (!filter) filter = { wind: true, thermik: true, clouds: true, precip: true };
+    const L = getEffectiveLimits();
+    const grade = (v, limits) => v > limits.yellow ? 1 : v > limits.green ? 2 : 3;
+
+    const ws = h.wind_speed_10m?.[i] || 0;
+    const wg = h.wind_gusts_10m?.[i] || 0;
+    const wd = h.wind_direction_10m?.[i] || 0;
+    const temp = h.temperature_2m?.[i];
+    const dew = h.dew_point_2m?.[i];
+    const spread = (temp != null && dew != null) ? temp - dew : 10;
+    const vis = h.visibility?.[i] || 50000;
+    const precip = h.precipitation?.[i] || 0;
+    const showers = h.showers?.[i] || 0;
+
+    const checks = [];
+    if (filter.wind) {
+        checks.push({ reason: 'wind', score: grade(ws, L.wind.surface) });
+        checks.push({ reason: 'gusts', score: grade(wg, L.wind.gusts) });
+        checks.push({ reason: 'gustSpread', score: grade(wg - ws, L.wind.gustSpread) });
+    }
+    if (filter.precip) {
+        checks.push({ reason: 'precip', score: Math.min(grade(precip, L.precip), grade(showers, L.showers)) });
+    }
+    if (filter.clouds) {
+        const fogRisk = getFogRisk(spread, ws, vis);
+        const fogScore = fogRisk === 'severe' ? 1 : (fogRisk !== 'unlikely' || vis < L.visibility.green) ? 2 : 3;
+        checks.push({ reason: 'fog', score: fogScore });
+    }
+
+    // Schlechtestes Kriterium bestimmt Score und Begründung
+    const worst = checks.reduce((a, b) => b.score < a.score ? b : a, { reason: null, score: 3 });
+    return { score: worst.score, reason: worst.reason, ws, wg, wd };
+}
+
+/**
+ * Bewertung des verknüpften Landeplatzes zur Stunde der Hauptdaten
+ * @param {number} i - Index in state.hourlyData
+ * @returns {Object|null} siehe evaluateLanding, null ohne Landeplatz-Daten (z.B. Trend-Tage)
+ */
+export function getLandingEvaluation(i) {
+    const ld = state.landingData;
+    if (!ld || !state.hourlyData) return null;
+    const li = ld.timeIndex.get(state.hourlyData.time[i]);
+    if (li === undefined) return null;
+    return evaluateLanding(ld.hourly, li, state.paramFilter);
+}
+
+/**
+ * Gehört der Stunden-Index zu einem Trend-Tag (globales Modell)?
+ */
+export function isTrendIndex(i) {
+    return state.trendFromIndex !== null && i >= state.trendFromIndex;
+}
+
+/**
+ * Alle Stunden-Indizes des 3h-Blocks einer Trend-Stunde
+ * Blöcke beginnen um 6 Uhr (6-8, 9-11, 12-14, 15-17, 18-20)
+ * @param {number} i - Stunden-Index in state.hourlyData
+ * @returns {number[]} Indizes des Blocks (aufsteigend)
+ */
+export function getTrendBlockIndices(i) {
+    const block = FORECAST_HORIZON.trendBlockHours;
+    const hour = parseInt(state.hourlyData.time[i].slice(11, 13));
+    const offset = ((hour - 6) % block + block) % block;
+    const indices = [];
+    for (let j = i - offset; j < i - offset + block; j++) {
+        if (j >= state.trendFromIndex && j < state.hourlyData.time.length) indices.push(j);
+    }
+    return indices;
 }
 
 /**
@@ -361,9 +722,11 @@ export function getHourScore(i) {
  * @param {Object} h - Hourly-Daten-Objekt von der API
  * @param {number} i - Stunden-Index
  * @param {Object} [filter] - Parameter-Filter (default: alle aktiv)
+ * @param {Array} [sectors] - Startplatz-Sektoren (optional, siehe evaluateTakeoffSector)
+ * @param {Object|null} [foehn] - Föhn-Daten (Standard: aktueller Standort, null = nicht prüfen)
  * @returns {number} Score: 3=GO, 2=VORSICHT, 1=NO-GO
  */
-export function scoreHourFromData(h, i, filter) {
+export function scoreHourFromData(h, i, filter, sectors = null, foehn = state.foehn) {
     if (!h) return 1;
     if (!filter) filter = { wind: true, thermik: true, clouds: true, precip: true };
 
@@ -371,7 +734,9 @@ export function scoreHourFromData(h, i, filter) {
 
     // Wind-Parameter (zentrale Extraktion)
     const wind = extractWindData(h, i);
-    const { ws, wg, w900, w850, w800, w700, grad, grad3000, gustSpread } = wind;
+    const { ws, wg, w900, w850, w800, w700, wd10m, wd900, grad, grad3000, gustSpread } = wind;
+    const sectorScore = evaluateTakeoffSector(ws, wd10m, w900, wd900, sectors).score;
+    const foehnScore = getFoehnAt(h.time?.[i], foehn)?.score ?? 3;
 
     // Thermik-Parameter
     const temp = h.temperature_2m?.[i];
@@ -401,6 +766,7 @@ export function scoreHourFromData(h, i, filter) {
             w900 > L.wind.w900.yellow || w850 > L.wind.w850.yellow ||
             w800 > L.wind.w800.yellow || w700 > L.wind.w700.yellow ||
             grad > L.wind.gradient.yellow || grad3000 > L.wind.gradient3000.yellow) return 1;
+        if (sectorScore === 1 || foehnScore === 1) return 1;
     }
     // Thermik (nur wenn Filter aktiv) - CAPE und Lifted Index, NICHT Nebel
     if (filter.thermik) {
@@ -423,6 +789,7 @@ export function scoreHourFromData(h, i, filter) {
             w900 > L.wind.w900.green || w850 > L.wind.w850.green ||
             w800 > L.wind.w800.green || w700 > L.wind.w700.green ||
             grad > L.wind.gradient.green || grad3000 > L.wind.gradient3000.green) return 2;
+        if (sectorScore === 2 || foehnScore === 2) return 2;
     }
     // Thermik (nur wenn Filter aktiv) - CAPE, Lifted Index, sehr trockene Luft
     if (filter.thermik) {
@@ -455,14 +822,72 @@ export function calculateCloudBase(temp, dewpoint, elevation) {
     return Math.round(spread * METEO_CONSTANTS.cloudBaseMultiplier + elevation);
 }
 
+/**
+ * Thermikstärke abschätzen (konvektive Geschwindigkeit W* nach Deardorff)
+ * W* = (g/T · H · zi / (ρ · cp))^(1/3), H = fühlbarer Wärmestrom aus Globalstrahlung geschätzt
+ * Arbeitshöhe = Grenzschicht-Obergrenze, gedeckelt durch die Wolkenbasis
+ * @param {Object} h - Hourly-Daten
+ * @param {number} i - Stunden-Index
+ * @param {number} elevation - Stationshöhe in m
+ * @returns {Object|null} { wStar, climb, top, topAgl, cloudCapped, quality } oder null ohne Daten
+ */
+export function calculateThermalStrength(h, i, elevation) {
+    const blh = h.boundary_layer_height?.[i];
+    const radiation = h.shortwave_radiation?.[i];
+    const temp = h.temperature_2m?.[i];
+    if (blh == null || radiation == null || temp == null) return null;
+
+    const heatFlux = Math.max(0, radiation * THERMAL_CONFIG.heatFluxFactor);
+    const wStar = Math.cbrt(9.81 / (temp + 273.15) * heatFlux * Math.max(0, blh) /
+        (THERMAL_CONFIG.airDensity * THERMAL_CONFIG.cp));
+
+    const dew = h.dew_point_2m?.[i];
+    const blTop = elevation + blh;
+    const cloudBase = dew != null ? calculateCloudBase(temp, dew, elevation) : null;
+    const cloudCapped = cloudBase !== null && cloudBase < blTop;
+    const top = cloudCapped ? cloudBase : blTop;
+    const topAgl = Math.max(0, top - elevation);
+
+    return {
+        wStar,
+        climb: Math.max(0, wStar - THERMAL_CONFIG.gliderSink),
+        top,
+        topAgl,
+        cloudCapped,
+        quality: getThermalQuality(wStar, topAgl)
+    };
+}
+
+/**
+ * Thermik-Qualität (0-4) aus W* und Arbeitshöhe über Grund
+ * @returns {Object} { level, label }
+ */
+export function getThermalQuality(wStar, topAgl) {
+    let level = 0;
+    THERMAL_CONFIG.quality.forEach((q, idx) => {
+        if (wStar >= q.minWStar && topAgl >= q.minHeight) level = idx;
+    });
+    return { level, label: t('thermal.q' + level) };
+}
+
+/**
+ * Bewertete Stunden eines Tages (Tageslicht inkl. Dämmerung, siehe DAYLIGHT_CONFIG)
+ * @param {string} dayStr - Datum "YYYY-MM-DD"
+ * @returns {{start: number, end: number}} erste und letzte Stunde
+ */
+export function getFlyingHours(dayStr) {
+    return getDaylightWindow(state.dailyData, dayStr);
+}
+
 /**
  * Bestes Zeitfenster finden
  */
 export function findBestWindow(dayStr) {
     const windows = [];
     let currentWindow = null;
+    const { start, end } = getFlyingHours(dayStr);
 
-    for (let h = 6; h <= 20; h++) {
+    for (let h = start; h <= end; h++) {
         const ts = dayStr + 'T' + h.toString().padStart(2, '0') + ':00';
         const idx = state.hourlyData.time.findIndex(t => t === ts);
         if (idx === -1) continue;
@@ -492,7 +917,8 @@ export function findBestWindow(dayStr) {
  * PHASE 1 SAFETY: Prüfe ob ein Tag Killer-Bedingungen hat
  */
 export function dayHasKillers(dayStr) {
-    for (let h = 6; h <= 20; h++) {
+    const { start, end } = getFlyingHours(dayStr);
+    for (let h = start; h <= end; h++) {
         const ts = dayStr + 'T' + h.toString().padStart(2, '0') + ':00';
         const idx = state.hourlyData.time.findIndex(t => t === ts);
         if (idx === -1) continue;
@@ -512,6 +938,40 @@ export function dayHasKillers(dayStr) {
     return false;
 }
 
+/**
+ * Koordinaten und Höhe des Standorts in der Location-Card
+ * Auch nach einem Einheitenwechsel aufrufen
+ */
+export function updateLocationDetails() {
+    const loc = state.currentLocation;
+    if (loc.lat === null || loc.lat === undefined) return;
+    const details = document.getElementById('locationDetails');
+    if (details) {
+        details.textContent = t('location.details', {
+            lat: loc.lat.toFixed(4),
+            lon: loc.lon.toFixed(4),
+            elevation: formatAltitude(loc.elevation)
+        });
+    }
+    const stationElevation = document.getElementById('stationElevation');
+    if (stationElevation) stationElevation.textContent = formatAltitude(loc.elevation);
+
+    // Zeitzone nur anzeigen, wenn sie von der des Geräts abweicht
+    const tzEl = document.getElementById('siteTimezone');
+    if (tzEl) {
+        const deviceOffset = -new Date().getTimezoneOffset() * 60;
+        const differs = state.utcOffsetSeconds !== null && state.utcOffsetSeconds !== deviceOffset;
+        if (differs) {
+            const offset = formatUtcOffset(state.utcOffsetSeconds);
+            const abbr = state.timezoneAbbr;
+            const zone = abbr && /^[A-Z]{2,5}$/.test(abbr) ? abbr + ' (' + offset + ')' : offset;
+            tzEl.textContent = t('location.timezone', { zone });
+            tzEl.title = state.timezone;
+        }
+        tzEl.classList.toggle('u-hidden', !differs);
+    }
+}
+
 /**
  * Sonnenzeiten aktualisieren
  */
@@ -524,8 +984,8 @@ export function updateSunTimes(di) {
     const h = Math.floor(ms / 3600000);
     const m = Math.floor((ms % 3600000) / 60000);
 
-    document.getElementById('sunrise').textContent = sr.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
-    document.getElementById('sunset').textContent = ss.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
+    document.getElementById('sunrise').textContent = formatTime(sr);
+    document.getElementById('sunset').textContent = formatTime(ss);
     document.getElementById('daylight').textContent = h + 'h ' + m + 'm';
 }
 
@@ -565,71 +1025,71 @@ export function calculateBeginnerSafety(i) {
             pass: ws < BEGINNER_LIMITS.groundWind,
             value: ws,
             threshold: BEGINNER_LIMITS.groundWind,
-            label: 'Bodenwind',
-            reason: ws >= BEGINNER_LIMITS.groundWind ? 'Bodenwind zu stark für entspanntes Aufziehen' : null
+            label: t('beginner.groundWind'),
+            reason: ws >= BEGINNER_LIMITS.groundWind ? t('beginner.groundWindReason') : null
         },
         gustDiff: {
             pass: gustDiff < BEGINNER_LIMITS.gustDiff,
             value: gustDiff,
             threshold: BEGINNER_LIMITS.gustDiff,
-            label: 'Böendifferenz',
-            reason: gustDiff >= BEGINNER_LIMITS.gustDiff ? 'Starke Böen = turbulente Luft' : null
+            label: t('beginner.gustDiff'),
+            reason: gustDiff >= BEGINNER_LIMITS.gustDiff ? t('beginner.gustDiffReason') : null
         },
         wind1000: {
             pass: w900 === null || w900 < BEGINNER_LIMITS.w900,
             value: w900 || 0,
             threshold: BEGINNER_LIMITS.w900,
-            label: 'Wind 1000m',
-            reason: w900 >= BEGINNER_LIMITS.w900 ? 'Höhenwind 1000m erhöht' : null
+            label: t('beginner.wind1000'),
+            reason: w900 >= BEGINNER_LIMITS.w900 ? t('beginner.wind1000Reason') : null
         },
         upperWind: {
             pass: w850 < BEGINNER_LIMITS.w850,
             value: w850,
             threshold: BEGINNER_LIMITS.w850,
-            label: 'Höhenwind (1500m)',
-            reason: w850 >= BEGINNER_LIMITS.w850 ? 'Höhenwind erhöht (Lee-Gefahr)' : null
+            label: t('beginner.upperWind'),
+            reason: w850 >= BEGINNER_LIMITS.w850 ? t('beginner.upperWindReason') : null
         },
         gradient: {
             pass: grad < BEGINNER_LIMITS.gradient,
             value: grad,
             threshold: BEGINNER_LIMITS.gradient,
-            label: 'Windgradient',
-            reason: grad >= BEGINNER_LIMITS.gradient ? 'Zu großer Unterschied Boden/Höhe' : null
+            label: t('beginner.gradient'),
+            reason: grad >= BEGINNER_LIMITS.gradient ? t('beginner.gradientReason') : null
         },
         wind2000: {
             pass: w800 === null || w800 < BEGINNER_LIMITS.w800,
             value: w800 || 0,
             threshold: BEGINNER_LIMITS.w800,
-            label: 'Wind 2000m',
-            reason: w800 >= BEGINNER_LIMITS.w800 ? 'Höhenwind 2000m zu stark' : null
+            label: t('beginner.wind2000'),
+            reason: w800 >= BEGINNER_LIMITS.w800 ? t('beginner.wind2000Reason') : null
         },
         wind3000: {
             pass: w700 === null || w700 < BEGINNER_LIMITS.w700,
             value: w700 || 0,
             threshold: BEGINNER_LIMITS.w700,
-            label: 'Wind 3000m',
-            reason: w700 >= BEGINNER_LIMITS.w700 ? 'Höhenwind 3000m zu stark (Föhn-Indikator)' : null
+            label: t('beginner.wind3000'),
+            reason: w700 >= BEGINNER_LIMITS.w700 ? t('beginner.wind3000Reason') : null
         },
         cape: {
             pass: cape === null || cape < BEGINNER_LIMITS.cape,
             value: cape || 0,
             threshold: BEGINNER_LIMITS.cape,
-            label: 'Thermik-Energie',
-            reason: cape >= BEGINNER_LIMITS.cape ? 'Unruhige, starke Thermik möglich' : null
+            label: t('beginner.cape'),
+            reason: cape >= BEGINNER_LIMITS.cape ? t('beginner.capeReason') : null
         },
         visibility: {
             pass: vis === null || vis > BEGINNER_LIMITS.visibility,
             value: vis ? vis / 1000 : 10,
             threshold: BEGINNER_LIMITS.visibility / 1000,
-            label: 'Sicht',
-            reason: vis <= BEGINNER_LIMITS.visibility ? 'Eingeschränkte Sicht' : null
+            label: t('beginner.visibility'),
+            reason: vis <= BEGINNER_LIMITS.visibility ? t('beginner.visibilityReason') : null
         },
         spread: {
             pass: spread === null || spread >= BEGINNER_LIMITS.spread,
             value: spread || 0,
             threshold: BEGINNER_LIMITS.spread,
-            label: 'Spread',
-            reason: spread !== null && spread < BEGINNER_LIMITS.spread ? 'Nebelgefahr (Spread zu niedrig)' : null
+            label: t('beginner.spread'),
+            reason: spread !== null && spread < BEGINNER_LIMITS.spread ? t('beginner.spreadReason') : null
         }
     };
 
@@ -648,7 +1108,7 @@ export function calculateBeginnerSafety(i) {
         isBeginner: allPassed,
         checks: checks,
         missingData: false,
-        label: allPassed ? 'Perfekt für Einsteiger & Genussflieger' : null,
+        label: allPassed ? t('beginner.perfect') : null,
         failedChecks: failedChecks
     };
 }
@@ -692,6 +1152,46 @@ export function evaluateWind(ws, wg, w900, w850, w800, w700, grad, grad3000) {
     return 3;
 }
 
+/**
+ * Startplatz-Ausrichtung bewerten (Score 1-3)
+ * Prüft Bodenwind und Wind 1000m gegen die Startsektoren des Standorts.
+ * Schwacher Wind wird ignoriert, die schlechtere Höhe zählt.
+ * @param {number} ws - Bodenwind in km/h
+ * @param {number} wd - Windrichtung Boden in Grad
+ * @param {number} w900 - Wind auf 900hPa (~1000m) in km/h
+ * @param {number} wd900 - Windrichtung 900hPa in Grad
+ * @param {Array|null} sectors - Startsektoren [{ from, to }] oder null
+ * @returns {Object} { score, type: 'none'|'ok'|'cross'|'tail', level, speed, dir, deviation }
+ */
+export function evaluateTakeoffSector(ws, wd, w900, wd900, sectors) {
+    const result = { score: 3, type: 'none', level: null, speed: 0, dir: null, deviation: null };
+    if (!Array.isArray(sectors) || sectors.length === 0) return result;
+    result.type = 'ok';
+
+    const checks = [
+        { level: 'ground', speed: ws, dir: wd, calm: TAKEOFF_SECTOR.calmWind },
+        { level: '900', speed: w900, dir: wd900, calm: TAKEOFF_SECTOR.calmWind900 }
+    ];
+    for (const c of checks) {
+        if (!c.speed || c.speed < c.calm) continue;
+        const deviation = getSectorDeviation(c.dir, sectors);
+        if (!deviation) continue;
+        const score = deviation > TAKEOFF_SECTOR.crossWind ? 1 : 2;
+        // Schlechtere Bewertung gewinnt (bei Gleichstand: Boden)
+        if (score < result.score) {
+            Object.assign(result, {
+                score,
+                type: score === 1 ? 'tail' : 'cross',
+                level: c.level,
+                speed: c.speed,
+                dir: c.dir,
+                deviation
+            });
+        }
+    }
+    return result;
+}
+
 /**
  * Thermik/Stabilität bewerten (Score 1-3)
  * Hinweis: Spread-Bewertung nur für Thermik-Qualität, Nebel über getFogRisk()
@@ -780,18 +1280,18 @@ export function getRiskExplanation(i, score) {
             severity: 'high',
             category: 'wind',
             icon: '💨',
-            title: 'Starker Bodenwind',
-            description: `${Math.round(ws)} km/h am Boden – Schwieriger Start, Sturzgefahr`,
-            advice: 'Nur für erfahrene Piloten mit guter Schirmkontrolle'
+            title: t('risk.surfaceHigh.title'),
+            description: t('risk.surfaceHigh.desc', { ws: formatSpeed(ws) }),
+            advice: t('risk.surfaceHigh.advice')
         });
     } else if (ws > LIMITS.wind.surface.green) {
         risks.push({
             severity: 'medium',
             category: 'wind',
             icon: '🌬️',
-            title: 'Erhöhter Bodenwind',
-            description: `${Math.round(ws)} km/h – Aktiver Startaufbau erforderlich`,
-            advice: 'Rückwärtsstart empfohlen, auf Böen achten'
+            title: t('risk.surfaceMedium.title'),
+            description: t('risk.surfaceMedium.desc', { ws: formatSpeed(ws) }),
+            advice: t('risk.surfaceMedium.advice')
         });
     }
 
@@ -801,18 +1301,18 @@ export function getRiskExplanation(i, score) {
             severity: 'high',
             category: 'gusts',
             icon: '⚡',
-            title: 'Starke Böen',
-            description: `Böen ${Math.round(wg)} km/h (${Math.round(gustDiff)} über Grundwind) – Sehr turbulent`,
-            advice: 'Erhöhte Einklappergefahr, hohe Pilotenbelastung'
+            title: t('risk.gustsHigh.title'),
+            description: t('risk.gustsHigh.desc', { wg: formatSpeed(wg), diff: formatSpeed(gustDiff) }),
+            advice: t('risk.gustsHigh.advice')
         });
     } else if (gustDiff > 10) {
         risks.push({
             severity: 'medium',
             category: 'gusts',
             icon: '💨',
-            title: 'Erhöhte Böigkeit',
-            description: `Böen ${Math.round(wg)} km/h (${Math.round(gustDiff)} über Grundwind) – Unruhige Luft`,
-            advice: 'Aktives Fliegen nötig, Schirm im Blick behalten'
+            title: t('risk.gustsMedium.title'),
+            description: t('risk.gustsMedium.desc', { wg: formatSpeed(wg), diff: formatSpeed(gustDiff) }),
+            advice: t('risk.gustsMedium.advice')
         });
     }
 
@@ -822,18 +1322,54 @@ export function getRiskExplanation(i, score) {
             severity: 'high',
             category: 'upperwind',
             icon: '🏔️',
-            title: 'Gefährlicher Höhenwind',
-            description: `${Math.round(w700)} km/h in 3000m – Extreme Lee-Turbulenzen möglich`,
-            advice: 'Lee-Seiten absolut meiden! Föhngefahr in den Alpen'
+            title: t('risk.upperHigh.title'),
+            description: t('risk.upperHigh.desc', { w700: formatSpeed(w700) }),
+            advice: t('risk.upperHigh.advice')
         });
     } else if (w700 > LIMITS.wind.w700.green) {
         risks.push({
             severity: 'medium',
             category: 'upperwind',
             icon: '⛰️',
-            title: 'Starker Höhenwind',
-            description: `${Math.round(w700)} km/h in 3000m – Lee-Turbulenzen möglich`,
-            advice: 'Lee-Bereiche meiden, Beschleuniger bereithalten'
+            title: t('risk.upperMedium.title'),
+            description: t('risk.upperMedium.desc', { w700: formatSpeed(w700) }),
+            advice: t('risk.upperMedium.advice')
+        });
+    }
+
+    // Föhn-Risiken (Druckdifferenz über den Alpenhauptkamm)
+    const foehn = getFoehnAt(h.time[i]);
+    if (foehn && foehn.score < 3) {
+        const diffText = `${formatNumber(Math.abs(foehn.diff), 1)} hPa ${foehn.pair}`;
+        const level = foehn.score === 1 ? 'foehnHigh' : 'foehnMedium';
+        risks.push({
+            severity: foehn.score === 1 ? 'high' : 'medium',
+            category: 'foehn',
+            icon: '🌪️',
+            title: t('risk.' + level + '.title', { label: foehn.label }),
+            description: t('risk.' + level + '.desc', { diff: diffText }),
+            advice: foehn.score === 1
+                ? t('risk.foehnHigh.advice')
+                : t(foehn.direction === 'south' ? 'risk.foehnMedium.adviceSouth' : 'risk.foehnMedium.adviceNorth')
+        });
+    }
+
+    // Lee-Risiken (Grat im Luv des Höhenwinds)
+    const lee = getLeeExposure(i);
+    if (lee && lee.level !== 'none') {
+        risks.push({
+            severity: lee.level === 'danger' ? 'high' : 'medium',
+            category: 'lee',
+            icon: '⛰️',
+            title: t(lee.level === 'danger' ? 'risk.leeHigh.title' : 'risk.leeMedium.title'),
+            description: t('risk.lee.desc', {
+                elevation: formatAltitude(lee.ridge.elevation),
+                height: formatAltitude(lee.ridge.height),
+                dist: Math.round(lee.ridge.dist),
+                speed: formatSpeed(lee.windSpeed),
+                dir: getWindDir(lee.dir)
+            }),
+            advice: t(lee.level === 'danger' ? 'risk.leeHigh.advice' : 'risk.leeMedium.advice')
         });
     }
 
@@ -843,18 +1379,18 @@ export function getRiskExplanation(i, score) {
             severity: 'high',
             category: 'gradient',
             icon: '📊',
-            title: 'Gefährliche Windscherung',
-            description: `${Math.round(grad)} km/h Unterschied Boden/1500m – Starke Turbulenz`,
-            advice: 'Beim Aufsteigen auf Schirm achten, abrupte Schirmreaktionen möglich'
+            title: t('risk.gradientHigh.title'),
+            description: t('risk.gradientHigh.desc', { grad: formatSpeed(grad) }),
+            advice: t('risk.gradientHigh.advice')
         });
     } else if (grad > LIMITS.wind.gradient.green) {
         risks.push({
             severity: 'medium',
             category: 'gradient',
             icon: '📈',
-            title: 'Erhöhter Windgradient',
-            description: `${Math.round(grad)} km/h Unterschied Boden/1500m`,
-            advice: 'Beim Thermikflug auf Windwechsel vorbereitet sein'
+            title: t('risk.gradientMedium.title'),
+            description: t('risk.gradientMedium.desc', { grad: formatSpeed(grad) }),
+            advice: t('risk.gradientMedium.advice')
         });
     }
 
@@ -864,18 +1400,18 @@ export function getRiskExplanation(i, score) {
             severity: 'high',
             category: 'thermal',
             icon: '⛈️',
-            title: 'Gewittergefahr',
-            description: `CAPE ${Math.round(cape)} J/kg – Gewitterwolken (Cb) können entstehen`,
-            advice: 'Früh landen! Wetterentwicklung ständig beobachten'
+            title: t('risk.capeHigh.title'),
+            description: t('risk.capeHigh.desc', { cape: Math.round(cape) }),
+            advice: t('risk.capeHigh.advice')
         });
     } else if (cape > LIMITS.cape.green) {
         risks.push({
             severity: 'medium',
             category: 'thermal',
             icon: '🔥',
-            title: 'Kräftige Thermik',
-            description: `CAPE ${Math.round(cape)} J/kg – Unruhige, starke Aufwinde möglich`,
-            advice: 'Nur für erfahrene Thermikflieger, Wolkenentwicklung beobachten'
+            title: t('risk.capeMedium.title'),
+            description: t('risk.capeMedium.desc', { cape: Math.round(cape) }),
+            advice: t('risk.capeMedium.advice')
         });
     }
 
@@ -887,18 +1423,18 @@ export function getRiskExplanation(i, score) {
                 severity: 'high',
                 category: 'visibility',
                 icon: '🌫️',
-                title: 'Kritisch schlechte Sicht',
-                description: `Nur ${(vis/1000).toFixed(1)} km Sicht – VFR-Minimum unterschritten`,
-                advice: 'Nicht starten! Orientierung und Landeplatzerkennung unmöglich'
+                title: t('risk.visibilitySevere.title'),
+                description: t('risk.visibilitySevere.desc', { vis: formatNumber(vis / 1000, 1) }),
+                advice: t('risk.visibilitySevere.advice')
             });
         } else {
             risks.push({
                 severity: 'high',
                 category: 'fog',
                 icon: '🌫️',
-                title: 'Hohe Nebelgefahr',
-                description: `Spread nur ${spread.toFixed(1)}°C bei ${Math.round(ws)} km/h Wind – Klassische Nebelbedingungen`,
-                advice: 'Luft nahezu gesättigt, Bodennebel sehr wahrscheinlich'
+                title: t('risk.fogSevere.title'),
+                description: t('risk.fogSevere.desc', { spread: formatNumber(spread, 1), ws: formatSpeed(ws) }),
+                advice: t('risk.fogSevere.advice')
             });
         }
     } else if (fogRisk === 'likely') {
@@ -906,285 +1442,22 @@ export function getRiskExplanation(i, score) {
             severity: 'medium',
             category: 'fog',
             icon: '🌁',
-            title: 'Nebel wahrscheinlich',
-            description: `Spread ${spread.toFixed(1)}°C, Sicht ${(vis/1000).toFixed(1)} km – Feucht und dunstig`,
-            advice: 'Webcams prüfen! Lokale Verhältnisse können besser sein (Inversion)'
+            title: t('risk.fogLikely.title'),
+            description: t('risk.fogLikely.desc', { spread: formatNumber(spread, 1), vis: formatNumber(vis / 1000, 1) }),
+            advice: t('risk.fogLikely.advice')
         });
     } else if (fogRisk === 'possible') {
         risks.push({
             severity: 'medium',
             category: 'visibility',
             icon: '🌥️',
-            title: 'Sichteinschränkung möglich',
+            title: t('risk.visibilityPossible.title'),
             description: spread < LIMITS.fog.spreadWarning
-                ? `Hohe Luftfeuchtigkeit (Spread ${spread.toFixed(1)}°C) – Dunst oder tiefe Basis möglich`
-                : `Sicht ${(vis/1000).toFixed(1)} km – Reduzierte Fernsicht`,
-            advice: 'Wetter vor Ort checken, früh orientieren'
+                ? t('risk.visibilityPossible.descHumid', { spread: formatNumber(spread, 1) })
+                : t('risk.visibilityPossible.descVis', { vis: formatNumber(vis / 1000, 1) }),
+            advice: t('risk.visibilityPossible.advice')
         });
     }
 
     return risks;
 }
-
-// === Live-Wind Integration ===
-// Quellen: OpenWindMap/Pioupiou + Lawinenwarndienste (avalanche.report)
-
-// Cache für Live-Wind-Daten
-let liveWindCache = {
-    pioupiou: { data: null, timestamp: 0 },
-    avalanche: { data: null, timestamp: 0 }
-};
-
-
-/**
- * Holt alle Pioupiou/OpenWindMap Stationen (mit Cache)
- * @returns {Promise<Array>} Array aller Stationen
- */
-async function fetchAllPioupiouStations() {
-    const now = Date.now();
-    const cache = liveWindCache.pioupiou;
-
-    // Cache prüfen (60 Sekunden TTL wegen API Rate Limit)
-    if (cache.data && (now - cache.timestamp) < API_CONFIG.liveWindCacheTTL) {
-        return cache.data;
-    }
-
-    try {
-        const response = await fetch(API_CONFIG.pioupiouUrl);
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
-        const result = await response.json();
-
-        // Cache aktualisieren
-        cache.data = result.data || [];
-        cache.timestamp = now;
-
-        return cache.data;
-    } catch (error) {
-        console.warn('OpenWindMap API Fehler:', error);
-        // Bei Fehler: alte Cache-Daten zurückgeben falls vorhanden
-        return cache.data || [];
-    }
-}
-
-/**
- * Generiert die URL für avalanche.report Wetterstationen
- * Format: YYYY-MM-DD_HH-00_stations.geojson (stündlich)
- * @returns {string} URL zur aktuellen GeoJSON-Datei
- */
-function getAvalancheReportUrl() {
-    const now = new Date();
-    // Auf volle Stunde abrunden
-    now.setMinutes(0, 0, 0);
-
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
-    const hour = String(now.getHours()).padStart(2, '0');
-
-    return `${API_CONFIG.avalancheReportUrl}${year}-${month}-${day}_${hour}-00_stations.geojson`;
-}
-
-/**
- * Holt alle Lawinenwarndienst-Stationen (mit Cache)
- * Quellen: LWD Tirol, Bayern, Salzburg, Südtirol, GeoSphere Austria
- * @returns {Promise<Array>} Array aller Stationen im einheitlichen Format
- */
-async function fetchAllAvalancheStations() {
-    if (!API_CONFIG.avalancheReportEnabled) {
-        return [];
-    }
-
-    const now = Date.now();
-    const cache = liveWindCache.avalanche;
-
-    // Cache prüfen
-    if (cache.data && (now - cache.timestamp) < API_CONFIG.liveWindCacheTTL) {
-        return cache.data;
-    }
-
-    try {
-        const url = getAvalancheReportUrl();
-        const response = await fetch(url);
-
-        if (!response.ok) {
-            // Fallback: Versuche vorherige Stunde
-            const fallbackUrl = url.replace(/_\d{2}-00_/, (match) => {
-                const hour = parseInt(match.slice(1, 3));
-                const prevHour = hour > 0 ? hour - 1 : 23;
-                return `_${String(prevHour).padStart(2, '0')}-00_`;
-            });
-            const fallbackResponse = await fetch(fallbackUrl);
-            if (!fallbackResponse.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
-            const geojson = await fallbackResponse.json();
-            cache.data = geojson.features || [];
-            cache.timestamp = now;
-            return cache.data;
-        }
-
-        const geojson = await response.json();
-
-        // Cache aktualisieren
-        cache.data = geojson.features || [];
-        cache.timestamp = now;
-
-        return cache.data;
-    } catch (error) {
-        console.warn('Avalanche.report API Fehler:', error);
-        // Bei Fehler: alte Cache-Daten zurückgeben falls vorhanden
-        return cache.data || [];
-    }
-}
-
-/**
- * Konvertiert avalanche.report Station ins einheitliche Format
- * @param {Object} feature - GeoJSON Feature
- * @param {number} targetLat - Ziel-Breitengrad für Distanzberechnung
- * @param {number} targetLon - Ziel-Längengrad für Distanzberechnung
- * @returns {Object|null} Station im einheitlichen Format oder null wenn ungültig
- */
-function parseAvalancheStation(feature, targetLat, targetLon) {
-    const props = feature.properties;
-    const coords = feature.geometry?.coordinates;
-
-    // Mindestens Position und Windgeschwindigkeit erforderlich
-    if (!coords || coords.length < 2 || props.WG === undefined) {
-        return null;
-    }
-
-    const [lon, lat, elevation] = coords;
-    const distance = haversineDistance(targetLat, targetLon, lat, lon);
-
-    // Wind - API liefert bereits km/h
-    const windSpeed = props.WG !== null ? Math.round(props.WG) : null;
-    const windGust = props.WG_BOE !== null ? Math.round(props.WG_BOE) : null;
-
-    // Alter der Messung berechnen
-    const measurementDate = props.date ? new Date(props.date) : null;
-    const ageMinutes = measurementDate
-        ? Math.round((Date.now() - measurementDate.getTime()) / 60000)
-        : null;
-
-    // Nur aktuelle Messungen (max 2 Stunden alt)
-    if (ageMinutes !== null && ageMinutes > 120) {
-        return null;
-    }
-
-    return {
-        id: `lwd-${props.name?.replace(/\s+/g, '-').toLowerCase() || 'unknown'}`,
-        name: props.name || 'Unbekannte Station',
-        distance: Math.round(distance * 10) / 10,
-        lat: lat,
-        lon: lon,
-        elevation: elevation ? Math.round(elevation) : null,
-        windSpeed: windSpeed,
-        windGust: windGust,
-        windMin: null,  // Nicht verfügbar
-        windDirection: props.WR,
-        windDirectionText: getWindDir(props.WR),
-        temperature: props.LT !== undefined ? Math.round(props.LT * 10) / 10 : null,
-        lastUpdate: measurementDate,
-        ageMinutes: ageMinutes,
-        source: 'lwd',
-        operator: props.operator || 'Lawinenwarndienst'
-    };
-}
-
-
-/**
- * Holt Live-Windstationen in der Nähe eines Standorts
- * Kombiniert Daten von OpenWindMap/Pioupiou und Lawinenwarndiensten
- * @param {number} lat - Breitengrad
- * @param {number} lon - Längengrad
- * @param {number} radiusKm - Suchradius in km (default aus Config)
- * @param {number} maxStations - Max. Anzahl Stationen (default aus Config)
- * @returns {Promise<Array>} Sortierte Liste der nächsten Stationen
- */
-export async function fetchNearbyLiveWind(lat, lon, radiusKm = null, maxStations = null) {
-    const radius = radiusKm || API_CONFIG.liveWindRadius;
-    const max = maxStations || API_CONFIG.liveWindMaxStations;
-
-    // Beide Quellen parallel abrufen
-    const [pioupiouStations, avalancheFeatures] = await Promise.all([
-        fetchAllPioupiouStations(),
-        fetchAllAvalancheStations()
-    ]);
-
-    const allNearbyStations = [];
-
-    // === Pioupiou/OpenWindMap Stationen verarbeiten ===
-    if (pioupiouStations && pioupiouStations.length > 0) {
-        const pioupiouNearby = pioupiouStations
-            .filter(station => {
-                // Nur Stationen mit gültiger Position und aktuellen Messwerten
-                if (!station.location?.latitude || !station.location?.longitude) return false;
-                if (!station.measurements?.date) return false;
-
-                // Messung nicht älter als 2 Stunden
-                const measurementAge = Date.now() - new Date(station.measurements.date).getTime();
-                if (measurementAge > 2 * 60 * 60 * 1000) return false;
-
-                return true;
-            })
-            .map(station => {
-                const distance = haversineDistance(
-                    lat, lon,
-                    station.location.latitude,
-                    station.location.longitude
-                );
-
-                const m = station.measurements;
-                return {
-                    id: `piou-${station.id}`,
-                    name: station.meta?.name || `Station ${station.id}`,
-                    distance: Math.round(distance * 10) / 10,
-                    lat: station.location.latitude,
-                    lon: station.location.longitude,
-                    elevation: station.location.altitude ? Math.round(station.location.altitude) : null,
-                    windSpeed: m.wind_speed_avg !== null ? Math.round(m.wind_speed_avg) : null,
-                    windGust: m.wind_speed_max !== null ? Math.round(m.wind_speed_max) : null,
-                    windMin: m.wind_speed_min !== null ? Math.round(m.wind_speed_min) : null,
-                    windDirection: m.wind_heading,
-                    windDirectionText: getWindDir(m.wind_heading),
-                    temperature: null,
-                    lastUpdate: new Date(m.date),
-                    ageMinutes: Math.round((Date.now() - new Date(m.date).getTime()) / 60000),
-                    source: 'openwindmap',
-                    operator: 'OpenWindMap'
-                };
-            })
-            .filter(station => station.distance <= radius);
-
-        allNearbyStations.push(...pioupiouNearby);
-    }
-
-    // === Lawinenwarndienst Stationen verarbeiten ===
-    if (avalancheFeatures && avalancheFeatures.length > 0) {
-        const avalancheNearby = avalancheFeatures
-            .map(feature => parseAvalancheStation(feature, lat, lon))
-            .filter(station => station !== null && station.distance <= radius);
-
-        allNearbyStations.push(...avalancheNearby);
-    }
-
-    // Nach Distanz sortieren und auf max begrenzen
-    // Bei gleicher Distanz: LWD-Stationen bevorzugen (höhere Qualität)
-    const sortedStations = allNearbyStations
-        .sort((a, b) => {
-            const distDiff = a.distance - b.distance;
-            if (Math.abs(distDiff) < 1) {
-                // Bei ähnlicher Distanz: LWD bevorzugen
-                if (a.source === 'lwd' && b.source !== 'lwd') return -1;
-                if (b.source === 'lwd' && a.source !== 'lwd') return 1;
-            }
-            return distDiff;
-        })
-        .slice(0, max);
-
-    return sortedStations;
-}
-
-
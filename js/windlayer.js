@@ -0,0 +1,132 @@
+/**
+ * SkyCheck - Windpfeile auf der Karte
+ * Raster über dem sichtbaren Kartenausschnitt mit Windpfeilen für Boden, 900, 850, 800
+ * und 700 hPa - Farben wie im Wind-Höhenprofil (getWindArrowColor). So werden
+ * Konvergenzlinien und Föhnschneisen auf einen Blick sichtbar.
+ * Der Zeitregler ist mit der gewählten Stunde der Hauptansicht gekoppelt.
+ * Abruf, Zeitregler und Statuszeile: gridoverlay.js
+ */
+
+import { state } from './state.js';
+import { WIND_LAYER_CONFIG } from './config.js';
+import { getWindDir, getHourOf } from './utils.js';
+import { getWindArrowColor } from './weather.js';
+import { createGridOverlay } from './gridoverlay.js';
+import { t } from './i18n.js';
+import { formatSpeed, formatSpeedValue } from './units.js';
+
+// Höhenlevel: Schlüssel wie im Wind-Höhenprofil
+const LEVELS = {
+    ground: { speedKey: 'wind_speed_10m', dirKey: 'wind_direction_10m' },
+    '900': { speedKey: 'wind_speed_900hPa', dirKey: 'wind_direction_900hPa' },
+    '850': { speedKey: 'wind_speed_850hPa', dirKey: 'wind_direction_850hPa' },
+    '800': { speedKey: 'wind_speed_800hPa', dirKey: 'wind_direction_800hPa' },
+    '700': { speedKey: 'wind_speed_700hPa', dirKey: 'wind_direction_700hPa' }
+};
+const WIND_HOURLY = Object.values(LEVELS).flatMap(l => [l.speedKey, l.dirKey]).join(',');
+
+let onHourSelected = null;
+let level = '850';
+
+// Alle Höhenlevel in einem Abruf, Zeitregler mit den Sonnenzeiten des gewählten Standorts
+const overlay = createGridOverlay({
+    prefix: 'windLayer',
+    config: WIND_LAYER_CONFIG,
+    draw: drawArrows,
+    hourly: WIND_HOURLY,
+    errorLog: 'Windraster konnte nicht geladen werden:',
+    onActivate: syncFromSelection,
+    siteDaylight: true
+});
+
+/**
+ * Callback registrieren für Stundenwahl über den Zeitregler
+ * @param {Function} callback - erhält den Index in state.hourlyData
+ */
+export function setWindLayerHourCallback(callback) {
+    onHourSelected = callback;
+}
+
+/**
+ * Windpfeile ein-/ausschalten
+ */
+export function toggleWindLayer() {
+    overlay.toggle();
+}
+
+/**
+ * Gewählte Stunde der Hauptansicht übernehmen
+ */
+function syncFromSelection() {
+    const i = state.selectedHourIndex;
+    const day = state.forecastDays?.[state.selectedDay]?.date;
+    if (state.hourlyData && i !== null && day) {
+        overlay.syncTime(day, getHourOf(state.hourlyData.time[i]));
+    }
+}
+
+/**
+ * Zeitpunkt der Hauptansicht übernehmen (Tag- bzw. Stundenwahl)
+ * @param {string} dayStr - "YYYY-MM-DD"
+ * @param {number} hour - Stunde 0-23
+ */
+export function syncWindLayerTime(dayStr, hour) {
+    overlay.syncTime(dayStr, hour);
+}
+
+/**
+ * Windpfeile des gewählten Höhenlevels für den angezeigten Zeitpunkt zeichnen
+ * @returns {string} Statuszeile
+ */
+function drawArrows(layer, cells, ts) {
+    const { speedKey, dirKey } = LEVELS[level];
+    let shown = 0, maxSpeed = 0;
+    cells.forEach(cell => {
+        const idx = cell.h.time.indexOf(ts);
+        const speed = cell.h[speedKey]?.[idx];
+        const dir = cell.h[dirKey]?.[idx];
+        if (idx === -1 || typeof speed !== 'number' || typeof dir !== 'number') return;
+
+        const color = getWindArrowColor(speed, level);
+        // Pfeil zeigt wohin der Wind weht (wie im Wind-Höhenprofil)
+        const html = color === 'calm'
+            ? '<div class="map-wind-calm">○</div>'
+            : `<div class="map-wind-arrow ${color}" style="transform: rotate(${Math.round((dir + 180) % 360)}deg)"></div>` +
+              `<span class="map-wind-speed">${formatSpeedValue(speed)}</span>`;
+        layer.addLayer(L.marker([cell.lat, cell.lon], {
+            icon: L.divIcon({ className: 'map-wind-icon', html, iconSize: [36, 36], iconAnchor: [18, 18] }),
+            title: formatSpeed(speed) + ' ' + getWindDir(dir),
+            interactive: false,
+            keyboard: false
+        }));
+        shown++;
+        maxSpeed = Math.max(maxSpeed, speed);
+    });
+    return shown > 0 ? t('windLayer.summary', { max: formatSpeed(maxSpeed) }) : t('windLayer.noData');
+}
+
+/**
+ * Bedienelemente einrichten (Button über der Karte, Höhenlevel, Zeitregler)
+ */
+export function initWindLayer() {
+    const btn = document.getElementById('windLayerBtn');
+    const levelSelect = document.getElementById('windLayerLevel');
+    const slider = document.getElementById('windLayerSlider');
+    if (btn) btn.addEventListener('click', toggleWindLayer);
+    if (levelSelect) {
+        levelSelect.value = level;
+        levelSelect.addEventListener('change', () => {
+            if (LEVELS[levelSelect.value]) level = levelSelect.value;
+            overlay.render();
+        });
+    }
+    if (slider) {
+        slider.addEventListener('input', () => {
+            overlay.setHour(parseInt(slider.value, 10));
+            // Mit geladenem Standort die Stunde der Hauptansicht mitwählen (synchronisiert zurück)
+            const idx = state.hourlyData ? state.hourlyData.time.indexOf(overlay.getTime()) : -1;
+            if (idx !== -1 && onHourSelected) onHourSelected(idx);
+            else overlay.render();
+        });
+    }
+}
@@ -5,11 +5,21 @@
  * Cache-Version: Unabhängig von APP_INFO.version (config.js)
  * - Wird bei JEDER Änderung an gecachten Dateien erhöht
  * - Erzwingt Cache-Invalidierung bei wiederkehrenden Nutzern
+ *
+ * Wird als Modul registriert (main.js), damit die Hintergrund-Benachrichtigungen
+ * dieselbe Bewertung wie die Favoritenleiste nutzen.
  */
 
-const CACHE_NAME = 'skycheck-v18';
-const STATIC_CACHE_NAME = 'skycheck-static-v18';
-const API_CACHE_NAME = 'skycheck-api-v18';
+import { NOTIFY_CONFIG, TILE_PACK_CONFIG } from './js/config.js';
+import { state } from './js/state.js';
+import { fetchSiteHourly, evaluateSiteDay } from './js/sitecheck.js';
+import { fetchFoehnForSite } from './js/foehn.js';
+import { getSiteNow, getTileRange, countTiles } from './js/utils.js';
+import { t, useLocale } from './js/i18n.js';
+
+const CACHE_NAME = 'skycheck-v62';
+const STATIC_CACHE_NAME = 'skycheck-static-v62';
+const API_CACHE_NAME = 'skycheck-api-v62';
 
 // Statische Assets die gecacht werden sollen
 const STATIC_ASSETS = [
@@ -24,6 +34,34 @@ const STATIC_ASSETS = [
     './js/favorites.js',
     './js/ui.js',
     './js/utils.js',
+    './js/sectors.js',
+    './js/models.js',
+    './js/ensemble.js',
+    './js/sounding.js',
+    './js/meteogram.js',
+    './js/foehn.js',
+    './js/terrain.js',
+    './js/sitecheck.js',
+    './js/i18n.js',
+    './js/units.js',
+    './js/i18n/de.js',
+    './js/i18n/en.js',
+    './js/i18n/fr.js',
+    './js/i18n/it.js',
+    './js/notify.js',
+    './js/sites.js',
+    './js/geocode.js',
+    './js/heatmap.js',
+    './js/windlayer.js',
+    './js/gridoverlay.js',
+    './js/tilepacks.js',
+    './js/snapshots.js',
+    './js/idb.js',
+    './js/stationhistory.js',
+    './js/modelcheck.js',
+    './js/livewind.js',
+    './data/sites.geojson',
+    './data/places.json',
     './img/logo.svg',
     './manifest.json'
 ];
@@ -36,7 +74,7 @@ const EXTERNAL_ASSETS = [
 
 // API-Patterns die gecacht werden können (mit kurzer TTL)
 const API_PATTERNS = [
-    'api.open-meteo.com'
+    'api.open-meteo.com'   // inkl. ensemble-api und geocoding-api
 ];
 
 // Max-Alter für gecachte API-Responses (6 Stunden)
@@ -83,7 +121,10 @@ self.addEventListener('activate', (event) => {
                             // Lösche alte Cache-Versionen
                             return name.startsWith('skycheck-') &&
                                    name !== STATIC_CACHE_NAME &&
-                                   name !== API_CACHE_NAME;
+                                   name !== API_CACHE_NAME &&
+                                   name !== NOTIFY_CONFIG.cacheName &&
+                                   name !== TILE_PACK_CONFIG.cacheName &&
+                                   name !== TILE_PACK_CONFIG.recentCacheName;
                         })
                         .map((name) => {
                             console.log('[SW] Deleting old cache:', name);
@@ -107,18 +148,19 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
-    // Karten-Tiles: Cache-First (ändern sich selten)
+    // Karten-Tiles: erst Offline-Pakete, dann Cache-First (ändern sich selten)
     if (url.hostname.includes('tile.opentopomap.org') ||
         url.hostname.includes('tile.openstreetmap.org')) {
-        event.respondWith(cacheFirstWithNetwork(event.request, STATIC_CACHE_NAME));
+        event.respondWith(serveTile(event.request));
         return;
     }
 
-    // HTML, JS, CSS: Network-First (Updates sofort sichtbar)
+    // HTML, JS, CSS und Fluggebiete: Network-First (Updates sofort sichtbar)
     if (event.request.method === 'GET' && url.origin === self.location.origin) {
         const isAppShell = url.pathname.endsWith('.html') ||
                           url.pathname.endsWith('.js') ||
                           url.pathname.endsWith('.css') ||
+                          url.pathname.endsWith('.geojson') ||
                           url.pathname === '/' ||
                           url.pathname.endsWith('/');
 
@@ -232,6 +274,10 @@ self.addEventListener('message', (event) => {
         self.skipWaiting();
     }
 
+    if (typeof event.data?.type === 'string' && event.data.type.startsWith('tilePack:')) {
+        event.waitUntil(handleTilePackMessage(event.data));
+    }
+
     if (event.data === 'clearCache') {
         caches.keys().then((names) => {
             names.forEach((name) => {
@@ -242,3 +288,424 @@ self.addEventListener('message', (event) => {
         });
     }
 });
+
+// === Offline-Kartenpakete ===
+
+// Laufende Downloads: id -> { cancelled }
+const tilePackJobs = new Map();
+
+// Paketliste nur nacheinander ändern (mehrere Downloads gleichzeitig möglich)
+let tilePackIndexQueue = Promise.resolve();
+
+// Zähler für das gelegentliche Aufräumen des Tile-Caches ohne Paket
+let recentTilePuts = 0;
+
+/**
+ * Karten-Tile ausliefern: aus einem Offline-Paket, sonst Cache-First
+ * Tiles ohne Paket landen in einem eigenen, auf maxRecentTiles begrenzten Cache.
+ */
+async function serveTile(request) {
+    const packCache = await caches.open(TILE_PACK_CONFIG.cacheName);
+    const packed = await packCache.match(tileCacheKey(request.url));
+    if (packed) return packed;
+
+    const response = await cacheFirstWithNetwork(request, TILE_PACK_CONFIG.recentCacheName);
+    if (++recentTilePuts % 100 === 0) trimRecentTiles();
+    return response;
+}
+
+/**
+ * Älteste Tiles ohne Paket verwerfen (Cache-Keys sind in Einfügereihenfolge)
+ */
+async function trimRecentTiles() {
+    const cache = await caches.open(TILE_PACK_CONFIG.recentCacheName);
+    const keys = await cache.keys();
+    const excess = keys.length - TILE_PACK_CONFIG.maxRecentTiles;
+    if (excess > 0) {
+        await Promise.all(keys.slice(0, excess).map(key => cache.delete(key)));
+    }
+}
+
+/**
+ * Einheitlicher Cache-Key für ein Tile (Leaflet verteilt auf die Subdomains a/b/c)
+ */
+function tileCacheKey(url) {
+    return url.replace(/\/\/[a-c]\.tile\.opentopomap\.org\//, '//a.tile.opentopomap.org/');
+}
+
+/**
+ * Download-URL eines Tiles (Subdomain wie Leaflet reihum)
+ */
+function tileUrl(z, x, y) {
+    const subdomains = TILE_PACK_CONFIG.subdomains;
+    return TILE_PACK_CONFIG.tileUrl
+        .replace('{s}', subdomains[(x + y) % subdomains.length])
+        .replace('{z}', z).replace('{x}', x).replace('{y}', y);
+}
+
+/**
+ * Alle Tiles eines Pakets als { z, x, y }
+ */
+function* packTiles(pack) {
+    for (let z = pack.minZoom; z <= pack.maxZoom; z++) {
+        const r = getTileRange(pack.bounds, z);
+        for (let x = r.minX; x <= r.maxX; x++) {
+            for (let y = r.minY; y <= r.maxY; y++) {
+                yield { z, x, y };
+            }
+        }
+    }
+}
+
+/**
+ * Gehört das Tile zu diesem Paket?
+ */
+function packHasTile(pack, { z, x, y }) {
+    if (z < pack.minZoom || z > pack.maxZoom) return false;
+    const r = getTileRange(pack.bounds, z);
+    return x >= r.minX && x <= r.maxX && y >= r.minY && y <= r.maxY;
+}
+
+/**
+ * Paket aus der Nachricht prüfen (Bereich, Zoomstufen, Name)
+ * @returns {Object|null} bereinigtes Paket
+ */
+function validateTilePack(pack) {
+    const b = pack?.bounds;
+    const isLat = (v) => typeof v === 'number' && isFinite(v) && v >= -90 && v <= 90;
+    const isLon = (v) => typeof v === 'number' && isFinite(v) && v >= -180 && v <= 180;
+    const isZoom = (v) => Number.isInteger(v) && v >= TILE_PACK_CONFIG.minZoom && v <= TILE_PACK_CONFIG.maxZoom;
+    const valid = typeof pack?.id === 'string' && pack.id.length > 0 && pack.id.length <= 40 &&
+        b && isLat(b.south) && isLat(b.north) && isLon(b.west) && isLon(b.east) &&
+        b.south < b.north && b.west < b.east &&
+        isZoom(pack.minZoom) && isZoom(pack.maxZoom) && pack.minZoom <= pack.maxZoom;
+    if (!valid) return null;
+    return {
+        id: pack.id,
+        name: typeof pack.name === 'string' && pack.name.trim() ? pack.name.trim().slice(0, 60) : pack.id,
+        bounds: { south: b.south, west: b.west, north: b.north, east: b.east },
+        minZoom: pack.minZoom,
+        maxZoom: pack.maxZoom
+    };
+}
+
+/**
+ * Paketliste lesen
+ */
+async function readTilePacks() {
+    const cache = await caches.open(TILE_PACK_CONFIG.cacheName);
+    const response = await cache.match(TILE_PACK_CONFIG.indexUrl);
+    if (!response) return [];
+    try {
+        const data = await response.json();
+        return Array.isArray(data) ? data : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Paketliste ändern und speichern
+ * @param {Function} change - erhält die Liste, liefert die neue Liste
+ */
+function updateTilePacks(change) {
+    const run = tilePackIndexQueue.then(async () => {
+        const packs = change(await readTilePacks());
+        const cache = await caches.open(TILE_PACK_CONFIG.cacheName);
+        await cache.put(TILE_PACK_CONFIG.indexUrl, new Response(JSON.stringify(packs), {
+            headers: { 'Content-Type': 'application/json' }
+        }));
+        return packs;
+    });
+    tilePackIndexQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Nachricht an alle offenen App-Fenster
+ */
+async function postToClients(message) {
+    const windows = await self.clients.matchAll({ type: 'window' });
+    windows.forEach(client => client.postMessage(message));
+}
+
+/**
+ * Auftrag aus der App (tilepacks.js) ausführen
+ */
+async function handleTilePackMessage(data) {
+    switch (data.type) {
+        case 'tilePack:download': {
+            const pack = validateTilePack(data.pack);
+            if (!pack) {
+                await postToClients({ type: 'tilePack:error', id: data.pack?.id, code: 'invalid' });
+                return;
+            }
+            return downloadTilePack(pack, false);
+        }
+        case 'tilePack:refresh': {
+            // Unvollständiges Paket fortsetzen (vorhandene Tiles behalten), vollständiges neu laden
+            const pack = (await readTilePacks()).find(p => p.id === data.id);
+            if (pack) return downloadTilePack(pack, pack.complete === true);
+            return;
+        }
+        case 'tilePack:cancel': {
+            const job = tilePackJobs.get(data.id);
+            if (job) job.cancelled = true;
+            return;
+        }
+        case 'tilePack:delete':
+            return deleteTilePack(data.id);
+    }
+}
+
+/**
+ * Tiles eines Pakets laden und speichern
+ * Bereits vorhandene Tiles werden übersprungen, außer beim Aktualisieren.
+ * Abbruch, Fehler und Speichergrenze hinterlassen ein unvollständiges Paket,
+ * das sich über "Fortsetzen" ohne erneuten Abruf der vorhandenen Tiles weiterladen lässt.
+ * @param {Object} pack - { id, name, bounds, minZoom, maxZoom[, bytes] }
+ * @param {boolean} refresh - vorhandene Tiles neu laden (nur für vollständige Pakete)
+ */
+async function downloadTilePack(pack, refresh) {
+    if (tilePackJobs.has(pack.id)) return;
+
+    const total = countTiles(pack.bounds, pack.minZoom, pack.maxZoom);
+    if (total > TILE_PACK_CONFIG.maxTilesPerPack) {
+        await postToClients({ type: 'tilePack:error', id: pack.id, code: 'tooLarge' });
+        return;
+    }
+
+    // Speichergrenze: bestehende Pakete + Schätzung für dieses
+    const others = (await readTilePacks()).filter(p => p.id !== pack.id);
+    const usedBytes = others.reduce((sum, p) => sum + (p.bytes || 0), 0);
+    const estimate = total * TILE_PACK_CONFIG.avgTileBytes;
+    // Beim Fortsetzen belegen die schon gespeicherten Tiles bereits Platz
+    const needed = Math.max(0, estimate - (pack.bytes || 0));
+    let free = Infinity;
+    try {
+        const { usage, quota } = await navigator.storage.estimate();
+        if (quota) free = quota - (usage || 0);
+    } catch (e) {
+        // Ohne Schätzung gilt nur die eigene Grenze
+    }
+    if (usedBytes + estimate > TILE_PACK_CONFIG.maxTotalBytes || (!refresh && needed > free)) {
+        await postToClients({ type: 'tilePack:error', id: pack.id, code: 'quota' });
+        return;
+    }
+
+    const job = { cancelled: false };
+    tilePackJobs.set(pack.id, job);
+    const entry = { ...pack, tiles: total, stored: 0, bytes: 0, complete: false, updatedAt: Date.now() };
+    await updateTilePacks(packs => [...packs.filter(p => p.id !== pack.id), entry]);
+
+    const cache = await caches.open(TILE_PACK_CONFIG.cacheName);
+    const tiles = packTiles(pack);
+    let done = 0, failed = 0, quotaHit = false;
+
+    const worker = async () => {
+        for (let next = tiles.next(); !next.done; next = tiles.next()) {
+            if (job.cancelled || quotaHit) return;
+            const { z, x, y } = next.value;
+            const url = tileUrl(z, x, y);
+            const key = tileCacheKey(url);
+            try {
+                let response = refresh ? null : await cache.match(key);
+                if (!response) {
+                    // CORS statt no-cors: opake Antworten belegen im Cache ein Vielfaches ihrer Größe
+                    response = await fetch(url, { mode: 'cors' });
+                    if (!response.ok) throw new Error('HTTP ' + response.status);
+                    await cache.put(key, response.clone());
+                }
+                const size = (await response.blob()).size;
+                entry.bytes += size;
+                entry.stored++;
+                if (usedBytes + entry.bytes > TILE_PACK_CONFIG.maxTotalBytes) quotaHit = true;
+            } catch (e) {
+                if (e.name === 'QuotaExceededError') quotaHit = true;
+                failed++;
+            }
+            done++;
+            if (done % 20 === 0) {
+                postToClients({ type: 'tilePack:progress', id: pack.id, done, total });
+            }
+        }
+    };
+
+    try {
+        await Promise.all(Array.from({ length: TILE_PACK_CONFIG.concurrency }, worker));
+    } finally {
+        tilePackJobs.delete(pack.id);
+    }
+    if (job.deleteWhenDone) return deleteTilePack(pack.id);
+
+    entry.complete = !job.cancelled && !quotaHit && failed === 0 && entry.stored === total;
+    entry.updatedAt = Date.now();
+    await updateTilePacks(packs => packs.map(p => p.id === pack.id ? entry : p));
+
+    if (quotaHit) {
+        await postToClients({ type: 'tilePack:error', id: pack.id, code: 'quota' });
+    } else {
+        await postToClients({ type: 'tilePack:done', id: pack.id, name: entry.name, complete: entry.complete, failed: total - entry.stored });
+    }
+}
+
+/**
+ * Paket löschen - Tiles, die ein anderes Paket noch abdeckt, bleiben erhalten
+ */
+async function deleteTilePack(id) {
+    // Laufender Download: erst abbrechen, gelöscht wird an dessen Ende
+    const job = tilePackJobs.get(id);
+    if (job) {
+        job.cancelled = true;
+        job.deleteWhenDone = true;
+        return;
+    }
+
+    const packs = await readTilePacks();
+    const pack = packs.find(p => p.id === id);
+    if (!pack) return;
+    const others = packs.filter(p => p.id !== id);
+
+    const cache = await caches.open(TILE_PACK_CONFIG.cacheName);
+    for (const tile of packTiles(pack)) {
+        if (others.some(p => packHasTile(p, tile))) continue;
+        await cache.delete(tileCacheKey(tileUrl(tile.z, tile.x, tile.y)));
+    }
+    await updateTilePacks(list => list.filter(p => p.id !== id));
+    await postToClients({ type: 'tilePack:deleted', id });
+}
+
+// === Hintergrund-Benachrichtigungen für Favoriten ===
+
+/**
+ * Periodic Background Sync: Favoriten mit aktiver Regel prüfen
+ * Einziger Auslöser - Web Push wird nicht unterstützt (kein Server, keine Subscription)
+ */
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === NOTIFY_CONFIG.syncTag) {
+        event.waitUntil(checkFavoriteWindows());
+    }
+});
+
+/**
+ * Klick auf Benachrichtigung: App mit dem Favoriten öffnen
+ */
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || './', self.registration.scope).href;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+            const client = windows.find(c => c.url.startsWith(self.registration.scope));
+            if (client) {
+                return client.navigate(url).then(c => (c || client).focus());
+            }
+            return self.clients.openWindow(url);
+        })
+    );
+});
+
+/**
+ * JSON aus dem Benachrichtigungs-Cache lesen
+ */
+async function readNotifyJson(url) {
+    const cache = await caches.open(NOTIFY_CONFIG.cacheName);
+    const response = await cache.match(url);
+    if (!response) return null;
+    try {
+        return await response.json();
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * JSON in den Benachrichtigungs-Cache schreiben
+ */
+async function writeNotifyJson(url, data) {
+    const cache = await caches.open(NOTIFY_CONFIG.cacheName);
+    await cache.put(url, new Response(JSON.stringify(data), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+}
+
+/**
+ * Liegt die Stunde in der Ruhezeit? (über Mitternacht möglich, z.B. 22-7 Uhr)
+ */
+function isQuietHour(hour, rule) {
+    if (rule.quietFrom === rule.quietTo) return false;
+    return rule.quietFrom < rule.quietTo
+        ? hour >= rule.quietFrom && hour < rule.quietTo
+        : hour >= rule.quietFrom || hour < rule.quietTo;
+}
+
+/**
+ * Alle Favoriten mit aktiver Regel für morgen bewerten und bei Änderung benachrichtigen
+ * - Neues grünes Fenster >= minHours: GO-Meldung
+ * - Bereits gemeldetes Fenster enthält jetzt eine rote Stunde: Warnung
+ */
+async function checkFavoriteWindows() {
+    if (self.Notification?.permission !== 'granted') return;
+    const config = await readNotifyJson(NOTIFY_CONFIG.configUrl);
+    if (!config || !Array.isArray(config.favorites) || config.favorites.length === 0) return;
+
+    // Expert-Grenzwerte und Sprache wie in der App (SW hat keinen Zugriff auf localStorage)
+    state.expertMode = !!config.expertMode;
+    state.customLimits = config.customLimits || null;
+    useLocale(config.locale);
+
+    const notifyState = (await readNotifyJson(NOTIFY_CONFIG.stateUrl)) || {};
+    // Wochentage und Ruhezeit gelten in der Zeitzone des Geräts, der bewertete Tag in der des Standorts
+    const now = new Date();
+    const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+
+    for (const fav of config.favorites) {
+        const rule = fav.notify;
+        if (!rule?.enabled || !rule.days.includes(tomorrow.getDay())) continue;
+        if (isQuietHour(now.getHours(), rule)) continue;
+
+        const key = fav.lat.toFixed(4) + ',' + fav.lon.toFixed(4);
+
+        try {
+            const h = await fetchSiteHourly(fav.lat, fav.lon, 2);
+            const dayStr = getSiteNow(h.timezone, 1).date;
+            const previous = notifyState[key]?.day === dayStr ? notifyState[key].notified : null;
+            // Föhn wie in der App nur im Alpenraum (sonst null) - Fehler sind unkritisch, dann entfällt nur die Föhn-Regel
+            const foehn = await fetchFoehnForSite(fav.lat, fav.lon, h.timezone, 2).catch(() => null);
+            const result = evaluateSiteDay(h, dayStr, fav.sectors || null, foehn);
+            const w = result.bestWindow;
+            const current = w && (w.end - w.start + 1) >= rule.minHours ? w : null;
+            const url = './?lat=' + fav.lat + '&lon=' + fav.lon + '&name=' + encodeURIComponent(fav.name);
+
+            let notified = previous;
+            const turnedRed = previous && Object.entries(result.scores)
+                .some(([hour, score]) => Number(hour) >= previous.start && Number(hour) <= previous.end && score === 1);
+
+            if (turnedRed) {
+                await self.registration.showNotification(t('notify.redTitle', { name: fav.name }), {
+                    body: t('notify.redBody', { start: previous.start, end: previous.end }),
+                    icon: './img/logo.svg',
+                    tag: 'skycheck-' + key,
+                    data: { url }
+                });
+                notified = null;
+            } else if (!previous && current) {
+                await self.registration.showNotification(t('notify.goTitle', { name: fav.name }), {
+                    body: t('notify.goBody', { start: current.start, end: current.end, hours: current.end - current.start + 1 }),
+                    icon: './img/logo.svg',
+                    tag: 'skycheck-' + key,
+                    data: { url }
+                });
+                notified = current;
+            } else if (current) {
+                notified = current;
+            }
+
+            notifyState[key] = { day: dayStr, notified };
+        } catch (error) {
+            console.log('[SW] Favorit-Prüfung fehlgeschlagen:', fav.name, error);
+        }
+    }
+
+    await writeNotifyJson(NOTIFY_CONFIG.stateUrl, notifyState);
+}
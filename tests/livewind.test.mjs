@@ -0,0 +1,90 @@
+/**
+ * SkyCheck - Tests der Live-Wind-Adapter
+ * Jede Beispielantwort in tests/fixtures/livewind/<adapter>.json durchläuft parse() und normalizeStation().
+ * Das Alter wird ab "recordedAt" gerechnet, die Distanz ab "location".
+ * Ausführen (ohne Netz, ohne Abhängigkeiten): node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { LIVE_WIND_ADAPTERS, normalizeStation } from '../js/livewind.js';
+
+/**
+ * Beispielantwort eines Adapters laden
+ * @returns {Object} { provider, recordedAt, location, response }
+ */
+function loadFixture(id) {
+    return JSON.parse(readFileSync(new URL(`./fixtures/livewind/${id}.json`, import.meta.url), 'utf8'));
+}
+
+/**
+ * Alle Stationen einer Beispielantwort im einheitlichen Format (ungültige/zu alte fallen weg)
+ */
+function normalizeFixture(adapter) {
+    const fixture = loadFixture(adapter.id);
+    const now = new Date(fixture.recordedAt).getTime();
+    return adapter.parse(fixture.response)
+        .map(station => normalizeStation(station, adapter, fixture.location.lat, fixture.location.lon, now))
+        .filter(station => station !== null);
+}
+
+// Erwartete erste Station je Adapter (Wind in km/h, gerundet)
+const EXPECTED = {
+    openwindmap: { count: 3, first: { id: 'piou-1101', name: 'Pfänder Nord', lat: 47.508, lon: 9.776, windSpeed: 14, windGust: 23, windDirection: 247.5, time: '2026-10-18T09:56:12.000Z' } },
+    lwd: { count: 1, first: { id: 'lwd-hochgrat', name: 'Hochgrat', lat: 47.4929, lon: 10.0735, windSpeed: 24, windGust: 39, windDirection: 262, time: '2026-10-18T09:40:00.000Z' } },
+    holfuy: { count: 2, first: { id: 'holfuy-1457', name: 'Pfänder Startplatz', lat: 47.509, lon: 9.777, windSpeed: 15, windGust: 24, windDirection: 250, time: '2026-10-18T09:58:00.000Z' } },
+    meteoswiss: { count: 2, first: { id: 'mch-ARH', name: 'Altenrhein', lat: 47.4851, lon: 9.5614, windSpeed: 18, windGust: 32, windDirection: 240, time: '2026-10-18T09:50:00.000Z' } },
+    dwd: { count: 1, first: { id: 'dwd-01443', name: 'Friedrichshafen', lat: 47.6711, lon: 9.5114, windSpeed: 17, windGust: 30, windDirection: 230, time: '2026-10-18T09:50:00.000Z' } },
+    geosphere: { count: 2, first: { id: 'gsa-11300', name: 'Bregenz', lat: 47.4987, lon: 9.7453, windSpeed: 11, windGust: 27, windDirection: 215, time: '2026-10-18T09:50:00.000Z' } },
+    metar: { count: 2, first: { id: 'metar-LSZR', name: 'St Gallen/Altenrhein Arpt (LSZR)', lat: 47.485, lon: 9.5604, windSpeed: 17, windGust: 30, windDirection: 240, time: '2026-10-18T09:50:00.000Z' } }
+};
+
+test('jeder Adapter hat eine Beispielantwort und Erwartungswerte', () => {
+    assert.deepEqual(LIVE_WIND_ADAPTERS.map(a => a.id).sort(), Object.keys(EXPECTED).sort());
+});
+
+for (const adapter of LIVE_WIND_ADAPTERS) {
+    test(`${adapter.id}: Stationen im einheitlichen Format`, () => {
+        const stations = normalizeFixture(adapter);
+        assert.equal(stations.length, EXPECTED[adapter.id].count);
+
+        for (const s of stations) {
+            assert.equal(typeof s.id, 'string');
+            assert.ok(s.id.length > 0);
+            assert.equal(typeof s.name, 'string');
+            assert.ok(s.name.length > 0);
+            assert.ok(s.lat >= -90 && s.lat <= 90, `lat ${s.lat}`);
+            assert.ok(s.lon >= -180 && s.lon <= 180, `lon ${s.lon}`);
+            assert.ok(Number.isInteger(s.windSpeed) && s.windSpeed >= 0, `windSpeed ${s.windSpeed}`);
+            assert.ok(s.windGust === null || (Number.isInteger(s.windGust) && s.windGust >= s.windSpeed), `windGust ${s.windGust}`);
+            assert.ok(s.windDirection === null || (s.windDirection >= 0 && s.windDirection <= 360), `windDirection ${s.windDirection}`);
+            assert.ok(s.lastUpdate instanceof Date && !isNaN(s.lastUpdate.getTime()));
+            assert.equal(s.source, adapter.id);
+            assert.equal(typeof s.distance, 'number');
+        }
+
+        const first = stations[0];
+        const expected = EXPECTED[adapter.id].first;
+        assert.equal(first.id, expected.id);
+        assert.equal(first.name, expected.name);
+        assert.ok(Math.abs(first.lat - expected.lat) < 0.001, `lat ${first.lat}`);
+        assert.ok(Math.abs(first.lon - expected.lon) < 0.001, `lon ${first.lon}`);
+        assert.equal(first.windSpeed, expected.windSpeed);
+        assert.equal(first.windGust, expected.windGust);
+        assert.equal(first.windDirection, expected.windDirection);
+        assert.equal(first.lastUpdate.toISOString(), expected.time);
+    });
+}
+
+test('openwindmap: Messung älter als maxAgeMinutes fällt weg', () => {
+    const stations = normalizeFixture(LIVE_WIND_ADAPTERS.find(a => a.id === 'openwindmap'));
+    assert.ok(!stations.some(s => s.id === 'piou-1103'));
+});
+
+test('metar: VRB ohne Richtung, Knoten in km/h', () => {
+    const stations = normalizeFixture(LIVE_WIND_ADAPTERS.find(a => a.id === 'metar'));
+    const edny = stations.find(s => s.id === 'metar-EDNY');
+    assert.equal(edny.windDirection, null);
+    assert.equal(edny.windSpeed, Math.round(3 * 1.852));
+});